@@ -0,0 +1,1491 @@
+/**
+ * Local Backend Adapter
+ * An in-browser stand-in for the Supabase client. Tables, the storage buckets and
+ * auth users live in IndexedDB (or only in memory when persistence is off), and the
+ * client exposes the subset of the supabase-js API the repositories rely on:
+ * from() query builders, storage.from() buckets, auth, rpc and functions.invoke.
+ */
+
+const TABLES_STORE = 'tables';
+const OBJECTS_STORE = 'objects';
+const AUTH_USERS_TABLE = '_auth_users';
+const AUTH_SESSIONS_TABLE = '_auth_sessions';
+
+// Recovery links stay valid as long as the hosted project's emailed links do
+const RECOVERY_LINK_SECONDS = 3600;
+
+// TOTP as Supabase Auth does it: 30 second steps, six digits, one step of clock drift
+const TOTP_PERIOD_SECONDS = 30;
+const TOTP_DIGITS = 6;
+const TOTP_DRIFT_STEPS = 1;
+const TOTP_CHALLENGE_SECONDS = 300;
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const NO_ROWS_ERROR = {
+    code: 'PGRST116',
+    message: 'JSON object requested, multiple (or no) rows returned'
+};
+
+/**
+ * Wrap an IndexedDB request in a promise
+ * @param {IDBRequest} request - Pending request
+ * @returns {Promise<*>} Request result
+ */
+function promisifyRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Generate a unique id for new rows and sessions
+ * @returns {string} UUID
+ */
+function generateId() {
+    if (window.crypto && window.crypto.randomUUID) {
+        return window.crypto.randomUUID();
+    }
+    return `${Date.now().toString(16)}-${Math.random().toString(16).slice(2)}`;
+}
+
+/**
+ * Copy a value so callers cannot mutate the stored rows
+ * @param {*} value - Value to copy
+ * @returns {*} Deep copy
+ */
+function clone(value) {
+    return value === undefined ? undefined : structuredClone(value);
+}
+
+/**
+ * Encode bytes as base32 (RFC 4648, no padding), the format authenticator apps expect
+ * @param {Uint8Array} bytes - Bytes to encode
+ * @returns {string} Base32 text
+ */
+function toBase32(bytes) {
+    let bits = '';
+    bytes.forEach(byte => { bits += byte.toString(2).padStart(8, '0'); });
+    return (bits.match(/.{1,5}/g) || [])
+        .map(chunk => BASE32_ALPHABET[parseInt(chunk.padEnd(5, '0'), 2)])
+        .join('');
+}
+
+/**
+ * Decode base32 text
+ * @param {string} text - Base32 text
+ * @returns {Uint8Array} Decoded bytes
+ */
+function fromBase32(text) {
+    const bits = [...text.toUpperCase()]
+        .map(char => BASE32_ALPHABET.indexOf(char).toString(2).padStart(5, '0'))
+        .join('');
+    return new Uint8Array((bits.match(/.{8}/g) || []).map(byte => parseInt(byte, 2)));
+}
+
+/**
+ * Compute the TOTP code for a time step (RFC 6238, HMAC-SHA-1)
+ * @param {string} secret - Base32 shared secret
+ * @param {number} step - Time step number
+ * @returns {Promise<string>} Zero-padded code
+ */
+async function totpCode(secret, step) {
+    const counter = new DataView(new ArrayBuffer(8));
+    counter.setUint32(0, Math.floor(step / 2 ** 32));
+    counter.setUint32(4, step % 2 ** 32);
+
+    const key = await window.crypto.subtle.importKey('raw', fromBase32(secret), { name: 'HMAC', hash: 'SHA-1' }, false, ['sign']);
+    const mac = new Uint8Array(await window.crypto.subtle.sign('HMAC', key, counter.buffer));
+    const offset = mac[mac.length - 1] & 0x0f;
+    const value = ((mac[offset] & 0x7f) << 24) | (mac[offset + 1] << 16) | (mac[offset + 2] << 8) | mac[offset + 3];
+    return String(value % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+}
+
+/**
+ * Check a TOTP code against the current time step and its neighbours
+ * @param {string} secret - Base32 shared secret
+ * @param {string} code - Code from the authenticator app
+ * @returns {Promise<boolean>} True if it matches
+ */
+async function verifyTotp(secret, code) {
+    const step = Math.floor(Date.now() / 1000 / TOTP_PERIOD_SECONDS);
+    for (let drift = -TOTP_DRIFT_STEPS; drift <= TOTP_DRIFT_STEPS; drift++) {
+        if (await totpCode(secret, step + drift) === String(code)) return true;
+    }
+    return false;
+}
+
+/**
+ * Hash a password so plain text never reaches IndexedDB
+ * @param {string} password - Plain text password
+ * @returns {Promise<string>} Hex encoded SHA-256 digest
+ */
+async function hashPassword(password) {
+    const digest = await window.crypto.subtle.digest('SHA-256', new TextEncoder().encode(password));
+    return [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Persistent key/value storage backed by IndexedDB with an in-memory mirror
+ */
+class LocalStore {
+    constructor({ databaseName, persist }) {
+        this.databaseName = databaseName;
+        this.persist = persist && 'indexedDB' in window;
+        this.tables = new Map();
+        this.objects = new Map();
+        this.db = null;
+        this.writes = Promise.resolve();
+    }
+
+    async open() {
+        if (!this.persist) return;
+
+        try {
+            const request = window.indexedDB.open(this.databaseName, 1);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(TABLES_STORE);
+                request.result.createObjectStore(OBJECTS_STORE);
+            };
+            this.db = await promisifyRequest(request);
+
+            const transaction = this.db.transaction([TABLES_STORE, OBJECTS_STORE], 'readonly');
+            const tableStore = transaction.objectStore(TABLES_STORE);
+            const objectStore = transaction.objectStore(OBJECTS_STORE);
+            const [tableNames, tableRows, objectKeys, objectValues] = await Promise.all([
+                promisifyRequest(tableStore.getAllKeys()),
+                promisifyRequest(tableStore.getAll()),
+                promisifyRequest(objectStore.getAllKeys()),
+                promisifyRequest(objectStore.getAll())
+            ]);
+
+            tableNames.forEach((name, i) => this.tables.set(name, tableRows[i]));
+            objectKeys.forEach((key, i) => this.objects.set(key, objectValues[i]));
+        } catch (error) {
+            console.error('Local store unavailable, falling back to memory:', error);
+            this.persist = false;
+        }
+    }
+
+    table(name) {
+        if (!this.tables.has(name)) {
+            this.tables.set(name, []);
+        }
+        return this.tables.get(name);
+    }
+
+    setTable(name, rows) {
+        this.tables.set(name, rows);
+        return this.write(TABLES_STORE, name, rows);
+    }
+
+    saveTable(name) {
+        return this.write(TABLES_STORE, name, this.table(name));
+    }
+
+    putObject(key, value) {
+        this.objects.set(key, value);
+        return this.write(OBJECTS_STORE, key, value);
+    }
+
+    deleteObject(key) {
+        this.objects.delete(key);
+        return this.write(OBJECTS_STORE, key, undefined);
+    }
+
+    write(storeName, key, value) {
+        if (!this.persist) return Promise.resolve();
+
+        // Serialise writes so a later save never lands before an earlier one
+        this.writes = this.writes.then(() => {
+            const transaction = this.db.transaction(storeName, 'readwrite');
+            const store = transaction.objectStore(storeName);
+            return promisifyRequest(value === undefined ? store.delete(key) : store.put(value, key));
+        }).catch(error => {
+            console.error('Local store write failed:', error);
+        });
+        return this.writes;
+    }
+}
+
+/**
+ * Compare a row value against a filter value the way PostgREST would
+ * @param {string} operator - Filter operator (eq, neq, gt, ilike, in, ...)
+ * @param {*} actual - Value stored in the row
+ * @param {*} expected - Value from the filter
+ * @returns {boolean} Whether the row matches
+ */
+function matchesOperator(operator, actual, expected) {
+    const same = (a, b) => a !== null && a !== undefined && String(a) === String(b);
+    const order = (a, b) => {
+        const numeric = !isNaN(parseFloat(a)) && !isNaN(parseFloat(b)) && isFinite(a) && isFinite(b);
+        if (numeric) return parseFloat(a) - parseFloat(b);
+        return String(a).localeCompare(String(b));
+    };
+    const pattern = (value, flags) => new RegExp(
+        `^${String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/%/g, '.*').replace(/_/g, '.')}$`,
+        flags
+    );
+
+    switch (operator) {
+        case 'eq':
+            return same(actual, expected);
+        case 'neq':
+            return !same(actual, expected);
+        case 'gt':
+            return actual !== null && actual !== undefined && order(actual, expected) > 0;
+        case 'gte':
+            return actual !== null && actual !== undefined && order(actual, expected) >= 0;
+        case 'lt':
+            return actual !== null && actual !== undefined && order(actual, expected) < 0;
+        case 'lte':
+            return actual !== null && actual !== undefined && order(actual, expected) <= 0;
+        case 'like':
+            return actual !== null && actual !== undefined && pattern(expected, '').test(String(actual));
+        case 'ilike':
+            return actual !== null && actual !== undefined && pattern(expected, 'i').test(String(actual));
+        case 'is':
+            return expected === null ? actual === null || actual === undefined : actual === expected;
+        case 'in':
+            return expected.some(value => same(actual, value));
+        case 'cs':
+        case 'contains':
+            if (Array.isArray(actual)) {
+                return [].concat(expected).every(value => actual.some(item => same(item, value)));
+            }
+            return actual && typeof actual === 'object' &&
+                Object.entries(expected).every(([key, value]) => same(actual[key], value));
+        case 'ov':
+        case 'overlaps':
+            return Array.isArray(actual) && expected.some(value => actual.some(item => same(item, value)));
+        default:
+            throw new Error(`Unsupported filter operator: ${operator}`);
+    }
+}
+
+/**
+ * Parse a literal from a PostgREST filter string
+ * @param {string} operator - Filter operator
+ * @param {string} raw - Raw value text
+ * @returns {*} Parsed value
+ */
+function parseFilterValue(operator, raw) {
+    if (['in', 'cs', 'ov'].includes(operator)) {
+        return raw.replace(/^[({]|[)}]$/g, '').split(',').map(value => value.trim().replace(/^"|"$/g, ''));
+    }
+    if (raw === 'null') return null;
+    if (raw === 'true') return true;
+    if (raw === 'false') return false;
+    return raw.replace(/^"|"$/g, '');
+}
+
+/**
+ * Split a filter string on commas that are not nested in parentheses
+ * @param {string} text - Filter list
+ * @returns {Array<string>} Top-level filter expressions
+ */
+function splitTopLevel(text) {
+    const parts = [];
+    let depth = 0;
+    let current = '';
+
+    for (const char of text) {
+        if (char === '(') depth++;
+        if (char === ')') depth--;
+        if (char === ',' && depth === 0) {
+            parts.push(current);
+            current = '';
+        } else {
+            current += char;
+        }
+    }
+    if (current) parts.push(current);
+    return parts.map(part => part.trim());
+}
+
+/**
+ * Build a row predicate from a PostgREST logical filter string, e.g. "a.eq.1,and(b.gt.2,c.is.null)"
+ * @param {string} text - Filter list
+ * @param {string} mode - 'or' or 'and'
+ * @returns {Function} Predicate taking a row
+ */
+function parseLogicalFilter(text, mode) {
+    const predicates = splitTopLevel(text).map(expression => {
+        const nested = expression.match(/^(and|or)\((.*)\)$/);
+        if (nested) {
+            return parseLogicalFilter(nested[2], nested[1]);
+        }
+
+        const [column, ...rest] = expression.split('.');
+        let negate = false;
+        if (rest[0] === 'not') {
+            negate = true;
+            rest.shift();
+        }
+        const operator = rest.shift();
+        const value = parseFilterValue(operator, rest.join('.'));
+        return row => matchesOperator(operator, row[column], value) !== negate;
+    });
+
+    return mode === 'and'
+        ? row => predicates.every(predicate => predicate(row))
+        : row => predicates.some(predicate => predicate(row));
+}
+
+/**
+ * Chainable, thenable query builder mirroring the supabase-js PostgREST builder
+ */
+class LocalQueryBuilder {
+    constructor(store, tableName) {
+        this.store = store;
+        this.tableName = tableName;
+        this.action = null;
+        this.payload = null;
+        this.returning = null;
+        this.filters = [];
+        this.sorts = [];
+        this.rangeFrom = 0;
+        this.rangeTo = null;
+        this.resultMode = 'many';
+        this.countMode = null;
+        this.headOnly = false;
+        this.onConflict = 'id';
+    }
+
+    select(columns = '*', { count = null, head = false } = {}) {
+        if (this.action) {
+            this.returning = columns;
+        } else {
+            this.action = 'select';
+            this.returning = columns;
+            this.countMode = count;
+            this.headOnly = head;
+        }
+        return this;
+    }
+
+    insert(rows) {
+        this.action = 'insert';
+        this.payload = [].concat(rows);
+        return this;
+    }
+
+    upsert(rows, { onConflict = 'id' } = {}) {
+        this.action = 'upsert';
+        this.payload = [].concat(rows);
+        this.onConflict = onConflict;
+        return this;
+    }
+
+    update(values) {
+        this.action = 'update';
+        this.payload = values;
+        return this;
+    }
+
+    delete() {
+        this.action = 'delete';
+        return this;
+    }
+
+    filter(column, operator, value) {
+        this.filters.push(row => matchesOperator(operator, row[column], value));
+        return this;
+    }
+
+    eq(column, value) { return this.filter(column, 'eq', value); }
+    neq(column, value) { return this.filter(column, 'neq', value); }
+    gt(column, value) { return this.filter(column, 'gt', value); }
+    gte(column, value) { return this.filter(column, 'gte', value); }
+    lt(column, value) { return this.filter(column, 'lt', value); }
+    lte(column, value) { return this.filter(column, 'lte', value); }
+    like(column, value) { return this.filter(column, 'like', value); }
+    ilike(column, value) { return this.filter(column, 'ilike', value); }
+    is(column, value) { return this.filter(column, 'is', value); }
+    in(column, values) { return this.filter(column, 'in', values); }
+    contains(column, value) { return this.filter(column, 'contains', value); }
+    overlaps(column, value) { return this.filter(column, 'overlaps', value); }
+
+    not(column, operator, value) {
+        const expected = typeof value === 'string' ? parseFilterValue(operator, value) : value;
+        this.filters.push(row => !matchesOperator(operator, row[column], expected));
+        return this;
+    }
+
+    match(query) {
+        Object.entries(query).forEach(([column, value]) => this.eq(column, value));
+        return this;
+    }
+
+    or(filterText) {
+        this.filters.push(parseLogicalFilter(filterText, 'or'));
+        return this;
+    }
+
+    order(column, { ascending = true, nullsFirst = false } = {}) {
+        this.sorts.push({ column, ascending, nullsFirst });
+        return this;
+    }
+
+    limit(count) {
+        this.rangeTo = this.rangeFrom + count - 1;
+        return this;
+    }
+
+    range(from, to) {
+        this.rangeFrom = from;
+        this.rangeTo = to;
+        return this;
+    }
+
+    single() {
+        this.resultMode = 'single';
+        return this;
+    }
+
+    maybeSingle() {
+        this.resultMode = 'maybeSingle';
+        return this;
+    }
+
+    then(resolve, reject) {
+        return this.execute().then(resolve, reject);
+    }
+
+    matches(row) {
+        return this.filters.every(predicate => predicate(row));
+    }
+
+    project(row) {
+        if (!this.returning || this.returning.trim() === '*') return clone(row);
+
+        const projected = {};
+        this.returning.split(',').map(column => column.trim()).forEach(column => {
+            if (column === '*') {
+                Object.assign(projected, clone(row));
+            } else if (!column.includes('(')) {
+                projected[column] = clone(row[column]);
+            }
+        });
+        return projected;
+    }
+
+    sort(rows) {
+        return [...rows].sort((a, b) => {
+            for (const { column, ascending, nullsFirst } of this.sorts) {
+                const aMissing = a[column] === null || a[column] === undefined;
+                const bMissing = b[column] === null || b[column] === undefined;
+                if (aMissing || bMissing) {
+                    if (aMissing && bMissing) continue;
+                    return (aMissing ? -1 : 1) * (nullsFirst ? 1 : -1);
+                }
+                const difference = matchesOperator('gt', a[column], b[column]) ? 1
+                    : matchesOperator('lt', a[column], b[column]) ? -1 : 0;
+                if (difference !== 0) return ascending ? difference : -difference;
+            }
+            return 0;
+        });
+    }
+
+    prepareRow(row) {
+        return {
+            id: generateId(),
+            created_at: new Date().toISOString(),
+            ...clone(row)
+        };
+    }
+
+    async execute() {
+        try {
+            const rows = this.store.table(this.tableName);
+            let affected = [];
+
+            switch (this.action) {
+                case 'insert':
+                    affected = this.payload.map(row => this.prepareRow(row));
+                    rows.push(...affected);
+                    await this.store.saveTable(this.tableName);
+                    break;
+                case 'upsert':
+                    affected = this.payload.map(row => {
+                        const existing = rows.find(current => sameKey(current, row, this.onConflict));
+                        if (existing) {
+                            Object.assign(existing, clone(row));
+                            return existing;
+                        }
+                        const created = this.prepareRow(row);
+                        rows.push(created);
+                        return created;
+                    });
+                    await this.store.saveTable(this.tableName);
+                    break;
+                case 'update':
+                    affected = rows.filter(row => this.matches(row));
+                    affected.forEach(row => Object.assign(row, clone(this.payload)));
+                    await this.store.saveTable(this.tableName);
+                    break;
+                case 'delete':
+                    affected = rows.filter(row => this.matches(row));
+                    await this.store.setTable(this.tableName, rows.filter(row => !this.matches(row)));
+                    break;
+                default:
+                    affected = this.sort(rows.filter(row => this.matches(row)));
+            }
+
+            const count = this.countMode ? affected.length : null;
+            if (this.action === 'select' || !this.action) {
+                affected = affected.slice(this.rangeFrom, this.rangeTo === null ? undefined : this.rangeTo + 1);
+            }
+
+            if (this.headOnly || (this.action && this.action !== 'select' && !this.returning)) {
+                return { data: null, error: null, count, status: 200 };
+            }
+
+            const data = affected.map(row => this.project(row));
+
+            if (this.resultMode === 'single' && data.length !== 1) {
+                return { data: null, error: { ...NO_ROWS_ERROR }, count, status: 406 };
+            }
+            if (this.resultMode === 'maybeSingle' && data.length > 1) {
+                return { data: null, error: { ...NO_ROWS_ERROR }, count, status: 406 };
+            }
+            if (this.resultMode !== 'many') {
+                return { data: data[0] || null, error: null, count, status: 200 };
+            }
+            return { data, error: null, count, status: 200 };
+        } catch (error) {
+            return { data: null, error: { message: error.message }, count: null, status: 400 };
+        }
+    }
+}
+
+/**
+ * Check whether two rows collide on the given conflict columns
+ * @param {Object} a - Stored row
+ * @param {Object} b - Incoming row
+ * @param {string} columns - Comma-separated conflict columns
+ * @returns {boolean} Whether the rows share the same key
+ */
+function sameKey(a, b, columns) {
+    return columns.split(',').every(column => {
+        const key = column.trim();
+        return b[key] !== undefined && String(a[key]) === String(b[key]);
+    });
+}
+
+/**
+ * A storage bucket mirroring supabase-js StorageFileApi
+ */
+class LocalBucket {
+    constructor(store, bucketName) {
+        this.store = store;
+        this.bucketName = bucketName;
+    }
+
+    key(path) {
+        return `${this.bucketName}/${path}`;
+    }
+
+    async upload(path, file, { upsert = false, contentType } = {}) {
+        if (!upsert && this.store.objects.has(this.key(path))) {
+            return { data: null, error: { message: 'The resource already exists', statusCode: '409' } };
+        }
+
+        await this.store.putObject(this.key(path), {
+            blob: file,
+            size: file.size,
+            type: contentType || file.type || 'application/octet-stream',
+            created_at: new Date().toISOString()
+        });
+        revokeObjectUrl(this.key(path));
+        return { data: { path, fullPath: this.key(path) }, error: null };
+    }
+
+    update(path, file, options = {}) {
+        return this.upload(path, file, { ...options, upsert: true });
+    }
+
+    async download(path) {
+        const object = this.store.objects.get(this.key(path));
+        if (!object) {
+            return { data: null, error: { message: 'Object not found', statusCode: '404' } };
+        }
+        return { data: object.blob, error: null };
+    }
+
+    async remove(paths) {
+        const removed = [];
+        for (const path of paths) {
+            if (this.store.objects.has(this.key(path))) {
+                revokeObjectUrl(this.key(path));
+                await this.store.deleteObject(this.key(path));
+                removed.push({ name: path });
+            }
+        }
+        return { data: removed, error: null };
+    }
+
+    async move(fromPath, toPath) {
+        const object = this.store.objects.get(this.key(fromPath));
+        if (!object) {
+            return { data: null, error: { message: 'Object not found', statusCode: '404' } };
+        }
+        await this.store.putObject(this.key(toPath), object);
+        revokeObjectUrl(this.key(fromPath));
+        await this.store.deleteObject(this.key(fromPath));
+        return { data: { message: 'Successfully moved' }, error: null };
+    }
+
+    async list(prefix = '', { limit = 100, offset = 0 } = {}) {
+        const base = this.key(prefix ? `${prefix.replace(/\/$/, '')}/` : '');
+        const entries = new Map();
+
+        this.store.objects.forEach((object, key) => {
+            if (!key.startsWith(base)) return;
+            const [name, ...rest] = key.slice(base.length).split('/');
+            if (!entries.has(name)) {
+                entries.set(name, rest.length
+                    ? { name, id: null, metadata: null }
+                    : { name, id: key, created_at: object.created_at, metadata: { size: object.size, mimetype: object.type } });
+            }
+        });
+
+        return { data: [...entries.values()].slice(offset, offset + limit), error: null };
+    }
+
+    // Resumable uploads, following the TUS model: the client asks for the
+    // current offset and appends chunks from there. Partial data lives under
+    // its own key so list() never shows half-uploaded objects.
+    partialKey(path) {
+        return `partial:${this.key(path)}`;
+    }
+
+    async getUploadOffset(path) {
+        const partial = this.store.objects.get(this.partialKey(path));
+        return { data: { offset: partial ? partial.size : 0 }, error: null };
+    }
+
+    async uploadChunk(path, chunk, { offset, contentType, final = false } = {}) {
+        const partial = this.store.objects.get(this.partialKey(path));
+        const currentOffset = partial ? partial.size : 0;
+
+        if (offset !== currentOffset) {
+            return { data: null, error: { message: `Upload offset mismatch: expected ${currentOffset}`, statusCode: '409' } };
+        }
+        if (offset === 0 && this.store.objects.has(this.key(path))) {
+            return { data: null, error: { message: 'The resource already exists', statusCode: '409' } };
+        }
+
+        const blob = partial ? new Blob([partial.blob, chunk]) : chunk;
+
+        if (!final) {
+            await this.store.putObject(this.partialKey(path), { blob, size: blob.size });
+            return { data: { offset: blob.size }, error: null };
+        }
+
+        await this.store.putObject(this.key(path), {
+            blob: new Blob([blob], { type: contentType || 'application/octet-stream' }),
+            size: blob.size,
+            type: contentType || 'application/octet-stream',
+            created_at: new Date().toISOString()
+        });
+        if (partial) await this.store.deleteObject(this.partialKey(path));
+        revokeObjectUrl(this.key(path));
+        return { data: { offset: blob.size, path, fullPath: this.key(path) }, error: null };
+    }
+
+    async discardUpload(path) {
+        if (this.store.objects.has(this.partialKey(path))) {
+            await this.store.deleteObject(this.partialKey(path));
+        }
+        return { data: null, error: null };
+    }
+
+    getPublicUrl(path) {
+        return { data: { publicUrl: getObjectUrl(this.store, this.key(path)) } };
+    }
+
+    async createSignedUrl(path) {
+        if (!this.store.objects.has(this.key(path))) {
+            return { data: null, error: { message: 'Object not found', statusCode: '404' } };
+        }
+        const signedUrl = getObjectUrl(this.store, this.key(path));
+        return { data: { signedUrl }, error: null };
+    }
+}
+
+const objectUrls = new Map();
+
+/**
+ * Get (or create) a blob: URL for a stored object
+ * @param {LocalStore} store - Backing store
+ * @param {string} key - Bucket-qualified object key
+ * @returns {string} Object URL, or an empty string if the object is missing
+ */
+function getObjectUrl(store, key) {
+    if (!objectUrls.has(key)) {
+        const object = store.objects.get(key);
+        if (!object) return '';
+        objectUrls.set(key, URL.createObjectURL(object.blob));
+    }
+    return objectUrls.get(key);
+}
+
+/**
+ * Release the blob: URL for an object that changed or was removed
+ * @param {string} key - Bucket-qualified object key
+ */
+function revokeObjectUrl(key) {
+    if (objectUrls.has(key)) {
+        URL.revokeObjectURL(objectUrls.get(key));
+        objectUrls.delete(key);
+    }
+}
+
+/**
+ * TOTP factors mirroring supabase-js auth.mfa. There is no QR encoder locally,
+ * so enrolment returns an empty qr_code and the secret is typed in instead.
+ */
+class LocalMfa {
+    constructor(auth) {
+        this.auth = auth;
+        this.challenges = new Map();
+    }
+
+    currentUser() {
+        const session = this.auth.readSession();
+        return session && this.auth.users().find(candidate => candidate.id === session.user.id);
+    }
+
+    publicFactor(factor) {
+        const { secret, ...rest } = factor;
+        return clone(rest);
+    }
+
+    async enroll({ factorType = 'totp', friendlyName = '' } = {}) {
+        const user = this.currentUser();
+        if (!user) {
+            return { data: null, error: { message: 'Auth session missing!', status: 401 } };
+        }
+        if (factorType !== 'totp') {
+            return { data: null, error: { message: `Factor type ${factorType} is not supported`, status: 422 } };
+        }
+
+        const now = new Date().toISOString();
+        const factor = {
+            id: generateId(),
+            friendly_name: friendlyName,
+            factor_type: 'totp',
+            status: 'unverified',
+            secret: toBase32(window.crypto.getRandomValues(new Uint8Array(20))),
+            created_at: now,
+            updated_at: now
+        };
+        user.factors = [...(user.factors || []), factor];
+        await this.auth.store.saveTable(AUTH_USERS_TABLE);
+
+        const label = encodeURIComponent(`ClassMate:${user.email}`);
+        return {
+            data: {
+                id: factor.id,
+                type: 'totp',
+                friendly_name: friendlyName,
+                totp: {
+                    qr_code: '',
+                    secret: factor.secret,
+                    uri: `otpauth://totp/${label}?secret=${factor.secret}&issuer=ClassMate`
+                }
+            },
+            error: null
+        };
+    }
+
+    async challenge({ factorId }) {
+        const user = this.currentUser();
+        if (!user || !(user.factors || []).some(factor => factor.id === factorId)) {
+            return { data: null, error: { message: 'Factor not found', status: 404 } };
+        }
+
+        const expiresAt = Math.floor(Date.now() / 1000) + TOTP_CHALLENGE_SECONDS;
+        const id = generateId();
+        this.challenges.set(id, { factorId, expiresAt });
+        return { data: { id, type: 'totp', expires_at: expiresAt }, error: null };
+    }
+
+    async verify({ factorId, challengeId, code }) {
+        const user = this.currentUser();
+        const factor = user && (user.factors || []).find(candidate => candidate.id === factorId);
+        const challenge = this.challenges.get(challengeId);
+        this.challenges.delete(challengeId);
+
+        if (!factor || !challenge || challenge.factorId !== factorId || challenge.expiresAt < Date.now() / 1000) {
+            return { data: null, error: { message: 'Challenge not found or expired', status: 422 } };
+        }
+        if (!await verifyTotp(factor.secret, code)) {
+            return { data: null, error: { message: 'Invalid TOTP code entered', status: 422 } };
+        }
+
+        factor.status = 'verified';
+        factor.updated_at = new Date().toISOString();
+        await this.auth.store.saveTable(AUTH_USERS_TABLE);
+
+        // The same session moves up a level, as it does on the server
+        const { session_id: sessionId } = this.auth.readSession();
+        const record = this.auth.sessions().find(row => row.id === sessionId);
+        if (record) {
+            record.aal = 'aal2';
+            await this.auth.store.saveTable(AUTH_SESSIONS_TABLE);
+        }
+
+        const session = this.auth.createSession(user, sessionId, 'aal2');
+        this.auth.writeSession(session);
+        this.auth.emit('MFA_CHALLENGE_VERIFIED', session);
+        return { data: session, error: null };
+    }
+
+    async challengeAndVerify({ factorId, code }) {
+        const { data, error } = await this.challenge({ factorId });
+        if (error) return { data: null, error };
+        return this.verify({ factorId, challengeId: data.id, code });
+    }
+
+    async unenroll({ factorId }) {
+        const user = this.currentUser();
+        const factor = user && (user.factors || []).find(candidate => candidate.id === factorId);
+        if (!factor) {
+            return { data: null, error: { message: 'Factor not found', status: 404 } };
+        }
+        if (factor.status === 'verified' && this.auth.readSession().aal !== 'aal2') {
+            return { data: null, error: { message: 'AAL2 required to unenroll verified factor', status: 422 } };
+        }
+
+        user.factors = user.factors.filter(candidate => candidate.id !== factorId);
+        await this.auth.store.saveTable(AUTH_USERS_TABLE);
+        return { data: { id: factorId }, error: null };
+    }
+
+    async listFactors() {
+        const user = this.currentUser();
+        const all = ((user && user.factors) || []).map(factor => this.publicFactor(factor));
+        return {
+            data: { all, totp: all.filter(factor => factor.status === 'verified'), phone: [] },
+            error: null
+        };
+    }
+
+    async getAuthenticatorAssuranceLevel() {
+        const session = this.auth.readSession();
+        if (!session) {
+            return { data: { currentLevel: null, nextLevel: null, currentAuthenticationMethods: [] }, error: null };
+        }
+
+        const user = this.currentUser();
+        const hasFactor = ((user && user.factors) || []).some(factor => factor.status === 'verified');
+        return {
+            data: {
+                currentLevel: session.aal || 'aal1',
+                nextLevel: hasFactor ? 'aal2' : 'aal1',
+                currentAuthenticationMethods: []
+            },
+            error: null
+        };
+    }
+}
+
+/**
+ * Email/password auth mirroring the parts of supabase-js GoTrueClient used by the app
+ */
+class LocalAuth {
+    constructor(store, databaseName) {
+        this.store = store;
+        this.sessionKey = `${databaseName}-session`;
+        this.listeners = new Set();
+        this.pendingRecovery = null;
+        this.mfa = new LocalMfa(this);
+
+        // Keep tabs in step like supabase-js, which passes auth events between tabs
+        window.addEventListener('storage', (e) => {
+            if (e.key !== this.sessionKey) return;
+            this.emit(this.describeSessionChange(e.oldValue, e.newValue), this.readSession());
+        });
+    }
+
+    // Name the auth event behind a session written by another tab
+    describeSessionChange(oldValue, newValue) {
+        if (!newValue) return 'SIGNED_OUT';
+
+        try {
+            const before = JSON.parse(oldValue);
+            const after = JSON.parse(newValue);
+            if (!before || before.session_id !== after.session_id) return 'SIGNED_IN';
+            if (before.aal !== after.aal) return 'MFA_CHALLENGE_VERIFIED';
+            return before.access_token === after.access_token ? 'USER_UPDATED' : 'TOKEN_REFRESHED';
+        } catch (error) {
+            return 'SIGNED_IN';
+        }
+    }
+
+    readSession() {
+        try {
+            return JSON.parse(window.localStorage.getItem(this.sessionKey));
+        } catch (error) {
+            return null;
+        }
+    }
+
+    writeSession(session) {
+        if (session) {
+            window.localStorage.setItem(this.sessionKey, JSON.stringify(session));
+        } else {
+            window.localStorage.removeItem(this.sessionKey);
+        }
+    }
+
+    emit(event, session) {
+        this.listeners.forEach(callback => callback(event, session));
+    }
+
+    users() {
+        return this.store.table(AUTH_USERS_TABLE);
+    }
+
+    publicUser(user) {
+        const { password_hash, recovery_token, recovery_sent_at, factors = [], ...rest } = user;
+        return { ...clone(rest), factors: factors.map(factor => this.mfa.publicFactor(factor)) };
+    }
+
+    sessions() {
+        return this.store.table(AUTH_SESSIONS_TABLE);
+    }
+
+    createSession(user, sessionId, aal = 'aal1') {
+        return {
+            access_token: generateId(),
+            refresh_token: generateId(),
+            token_type: 'bearer',
+            expires_in: 3600,
+            expires_at: Math.floor(Date.now() / 1000) + 3600,
+            session_id: sessionId,
+            aal,
+            user: this.publicUser(user)
+        };
+    }
+
+    // Record a new sign-in, like a row in auth.sessions
+    async startSession(user) {
+        const now = new Date().toISOString();
+        const record = {
+            id: generateId(),
+            user_id: user.id,
+            created_at: now,
+            refreshed_at: now,
+            user_agent: window.navigator.userAgent,
+            aal: 'aal1'
+        };
+        this.sessions().push(record);
+        await this.store.saveTable(AUTH_SESSIONS_TABLE);
+        return this.createSession(user, record.id);
+    }
+
+    async getSession() {
+        return { data: { session: this.readSession() }, error: null };
+    }
+
+    async getUser() {
+        const session = this.readSession();
+        const user = session && this.users().find(candidate => candidate.id === session.user.id);
+
+        // Sessions revoked elsewhere end here, like the server's session_not_found
+        const record = session && session.session_id && this.sessions().find(row => row.id === session.session_id);
+        if (session && session.session_id && !record) {
+            this.writeSession(null);
+            this.emit('SIGNED_OUT', null);
+            return { data: { user: null }, error: { message: 'Session from session_id claim in JWT does not exist', status: 403, code: 'session_not_found' } };
+        }
+
+        // Checking in with the server counts as activity
+        if (record) {
+            record.refreshed_at = new Date().toISOString();
+            await this.store.saveTable(AUTH_SESSIONS_TABLE);
+        }
+        return { data: { user: user ? this.publicUser(user) : null }, error: null };
+    }
+
+    async signUp({ email, password, options = {} }) {
+        const normalizedEmail = String(email).trim().toLowerCase();
+        if (this.users().some(user => user.email === normalizedEmail)) {
+            return { data: { user: null, session: null }, error: { message: 'User already registered', status: 422 } };
+        }
+
+        const now = new Date().toISOString();
+        const user = {
+            id: generateId(),
+            email: normalizedEmail,
+            password_hash: await hashPassword(password),
+            user_metadata: clone(options.data || {}),
+            created_at: now,
+            email_confirmed_at: now
+        };
+        this.users().push(user);
+        await this.store.saveTable(AUTH_USERS_TABLE);
+
+        const session = await this.startSession(user);
+        this.writeSession(session);
+        this.emit('SIGNED_IN', session);
+        return { data: { user: this.publicUser(user), session }, error: null };
+    }
+
+    async signInWithPassword({ email, password }) {
+        const normalizedEmail = String(email).trim().toLowerCase();
+        const user = this.users().find(candidate => candidate.email === normalizedEmail);
+        if (!user || user.password_hash !== await hashPassword(password)) {
+            return { data: { user: null, session: null }, error: { message: 'Invalid login credentials', status: 400 } };
+        }
+
+        user.last_sign_in_at = new Date().toISOString();
+        await this.store.saveTable(AUTH_USERS_TABLE);
+
+        const session = await this.startSession(user);
+        this.writeSession(session);
+        this.emit('SIGNED_IN', session);
+        return { data: { user: this.publicUser(user), session }, error: null };
+    }
+
+    async refreshSession() {
+        const session = this.readSession();
+        const user = session && this.users().find(candidate => candidate.id === session.user.id);
+        if (!user) {
+            return { data: { user: null, session: null }, error: { message: 'Auth session missing!', status: 401 } };
+        }
+
+        const record = this.sessions().find(row => row.id === session.session_id);
+        if (record) {
+            record.refreshed_at = new Date().toISOString();
+            await this.store.saveTable(AUTH_SESSIONS_TABLE);
+        }
+
+        const refreshed = this.createSession(user, session.session_id, session.aal);
+        this.writeSession(refreshed);
+        this.emit('TOKEN_REFRESHED', refreshed);
+        return { data: { user: this.publicUser(user), session: refreshed }, error: null };
+    }
+
+    // scope: 'global' ends every session of the user (the supabase-js default),
+    // 'local' only this one and 'others' all but this one
+    async signOut({ scope = 'global' } = {}) {
+        const session = this.readSession();
+        if (session) {
+            const keep = row => row.user_id !== session.user.id
+                || (scope === 'local' && row.id !== session.session_id)
+                || (scope === 'others' && row.id === session.session_id);
+            this.store.setTable(AUTH_SESSIONS_TABLE, this.sessions().filter(keep));
+            await this.store.saveTable(AUTH_SESSIONS_TABLE);
+        }
+
+        if (scope !== 'others') {
+            this.writeSession(null);
+            this.emit('SIGNED_OUT', null);
+        }
+        return { error: null };
+    }
+
+    async resetPasswordForEmail(email, { redirectTo = window.location.href } = {}) {
+        const normalizedEmail = String(email).trim().toLowerCase();
+        const user = this.users().find(candidate => candidate.email === normalizedEmail);
+
+        // Answer the same either way so the form can't be used to find accounts
+        if (user) {
+            user.recovery_token = generateId();
+            user.recovery_sent_at = new Date().toISOString();
+            await this.store.saveTable(AUTH_USERS_TABLE);
+
+            // There is no mail server locally, so the link the email would hold goes to the console
+            const link = new URL(redirectTo);
+            link.hash = `type=recovery&token=${user.recovery_token}`;
+            console.info(`Password reset link for ${normalizedEmail}: ${link.href}`);
+        }
+        return { data: {}, error: null };
+    }
+
+    // Sign in from a recovery link in the address bar, like supabase-js does on load
+    async detectSessionInUrl() {
+        const params = new URLSearchParams(window.location.hash.slice(1));
+        if (params.get('type') !== 'recovery') return;
+
+        window.history.replaceState(null, '', window.location.pathname + window.location.search);
+
+        const token = params.get('token');
+        const user = token && this.users().find(candidate => candidate.recovery_token === token);
+        if (!user || Date.now() - new Date(user.recovery_sent_at).getTime() > RECOVERY_LINK_SECONDS * 1000) {
+            window.history.replaceState(null, '', '#error=access_denied&error_code=otp_expired&error_description=Email+link+is+invalid+or+has+expired');
+            return;
+        }
+
+        delete user.recovery_token;
+        delete user.recovery_sent_at;
+        await this.store.saveTable(AUTH_USERS_TABLE);
+
+        const session = await this.startSession(user);
+        this.writeSession(session);
+        this.pendingRecovery = session;
+    }
+
+    async updateUser({ email, password, data } = {}) {
+        const session = this.readSession();
+        const user = session && this.users().find(candidate => candidate.id === session.user.id);
+        if (!user) {
+            return { data: { user: null }, error: { message: 'Auth session missing!', status: 401 } };
+        }
+
+        if (email) {
+            // Without a mail server the change can't be confirmed, so it applies straight away
+            const normalizedEmail = String(email).trim().toLowerCase();
+            if (this.users().some(candidate => candidate.email === normalizedEmail && candidate.id !== user.id)) {
+                return { data: { user: null }, error: { message: 'A user with this email address has already been registered', status: 422 } };
+            }
+            user.email = normalizedEmail;
+        }
+        if (password) user.password_hash = await hashPassword(password);
+        if (data) user.user_metadata = { ...user.user_metadata, ...clone(data) };
+        user.updated_at = new Date().toISOString();
+        await this.store.saveTable(AUTH_USERS_TABLE);
+
+        const updatedSession = { ...session, user: this.publicUser(user) };
+        this.writeSession(updatedSession);
+        this.emit('USER_UPDATED', updatedSession);
+        return { data: { user: this.publicUser(user) }, error: null };
+    }
+
+    onAuthStateChange(callback) {
+        this.listeners.add(callback);
+        setTimeout(() => {
+            callback('INITIAL_SESSION', this.readSession());
+
+            // Pages opened from a recovery link hear about it once, as with supabase-js
+            if (this.pendingRecovery) {
+                callback('PASSWORD_RECOVERY', this.pendingRecovery);
+                this.pendingRecovery = null;
+            }
+        }, 0);
+        return {
+            data: {
+                subscription: {
+                    unsubscribe: () => this.listeners.delete(callback)
+                }
+            }
+        };
+    }
+}
+
+// Database functions the hosted project exposes through rpc(); called with (params, store, auth)
+const RPC_FUNCTIONS = {
+    // Tables are created on demand by the local store
+    create_archive_table_if_not_exists: () => null,
+
+    // Record a report and flag the file for review, once per student and file
+    report_archive_file: async ({ target_id, report_reason, report_details = null }, store, auth) => {
+        const session = auth.readSession();
+        if (!session) {
+            throw { code: '42501', message: 'Not signed in' };
+        }
+
+        const reports = store.table('archive_reports');
+        if (reports.some(report => report.archive_id === target_id && report.user_id === session.user.id)) {
+            throw { code: '23505', message: 'duplicate key value violates unique constraint "archive_reports_archive_id_user_id_key"' };
+        }
+
+        const now = new Date().toISOString();
+        reports.push({
+            id: generateId(),
+            archive_id: target_id,
+            user_id: session.user.id,
+            reason: report_reason,
+            details: report_details,
+            status: 'open',
+            created_at: now
+        });
+        await store.saveTable('archive_reports');
+
+        const file = store.table('archive').find(row => row.id === target_id);
+        if (file) {
+            file.flagged_at = file.flagged_at || now;
+            file.report_count = (file.report_count || 0) + 1;
+            await store.saveTable('archive');
+        }
+        return null;
+    },
+
+    // Delete an archive row with its ratings, comments and reports, as a moderator
+    remove_archive_file: async ({ target_id }, store, auth) => {
+        if (!auth.readSession()) {
+            throw { code: '42501', message: 'Not signed in' };
+        }
+
+        for (const table of ['archive_ratings', 'archive_comments', 'archive_reports']) {
+            await store.setTable(table, store.table(table).filter(row => row.archive_id !== target_id));
+        }
+        await store.setTable('archive', store.table('archive').filter(row => row.id !== target_id));
+        return null;
+    },
+
+    // Join a study group by its code, like the join_study_group database function
+    join_study_group: async ({ code }, store, auth) => {
+        const session = auth.readSession();
+        if (!session) {
+            throw { code: '42501', message: 'Not signed in' };
+        }
+
+        const group = store.table('study_groups').find(row => row.join_code === String(code).trim());
+        if (!group) {
+            throw { code: 'P0002', message: 'No study group has this code' };
+        }
+
+        const members = store.table('study_group_members');
+        if (!members.some(member => member.group_id === group.id && member.user_id === session.user.id)) {
+            members.push({ group_id: group.id, user_id: session.user.id, joined_at: new Date().toISOString() });
+            await store.saveTable('study_group_members');
+        }
+        return clone(group);
+    },
+
+    // Check the caller's password without starting a session, like verify_my_password:
+    // five wrong passwords in a row lock the check for 15 minutes
+    verify_my_password: async ({ current_password }, store, auth) => {
+        const session = auth.readSession();
+        if (!session) {
+            throw { code: '42501', message: 'Not signed in' };
+        }
+
+        const checks = store.table('password_check_attempts');
+        const attempts = checks.find(row => row.user_id === session.user.id);
+        if (attempts && attempts.locked_until && new Date(attempts.locked_until) > new Date()) {
+            throw { code: 'P0001', message: 'Too many wrong passwords. Please try again later' };
+        }
+
+        const user = auth.users().find(candidate => candidate.id === session.user.id);
+        if (user && user.password_hash === await hashPassword(current_password)) {
+            await store.setTable('password_check_attempts', checks.filter(row => row !== attempts));
+            return true;
+        }
+
+        // An expired lock starts a fresh count
+        const failedAttempts = attempts && !attempts.locked_until ? attempts.failed_attempts + 1 : 1;
+        const lockedUntil = failedAttempts >= 5 ? new Date(Date.now() + 15 * 60 * 1000).toISOString() : null;
+        if (attempts) {
+            attempts.failed_attempts = failedAttempts;
+            attempts.locked_until = lockedUntil;
+        } else {
+            checks.push({ user_id: session.user.id, failed_attempts: failedAttempts, locked_until: lockedUntil });
+        }
+        await store.saveTable('password_check_attempts');
+        return false;
+    },
+
+    // The caller's sessions, like the list_my_sessions database function
+    list_my_sessions: async (params, store, auth) => {
+        const session = auth.readSession();
+        const { data: aal } = await auth.mfa.getAuthenticatorAssuranceLevel();
+        if (!session || (aal.nextLevel === 'aal2' && aal.currentLevel !== 'aal2')) return [];
+
+        return auth.sessions()
+            .filter(row => row.user_id === session.user.id)
+            .map(row => ({
+                id: row.id,
+                created_at: row.created_at,
+                last_active_at: row.refreshed_at || row.created_at,
+                user_agent: row.user_agent,
+                ip: null,
+                aal: row.aal,
+                is_current: row.id === session.session_id
+            }))
+            .sort((a, b) => b.last_active_at.localeCompare(a.last_active_at));
+    },
+
+    // End one of the caller's sessions, like the revoke_session database function
+    revoke_session: async ({ target_session_id }, store, auth) => {
+        const session = auth.readSession();
+        const { data: aal } = await auth.mfa.getAuthenticatorAssuranceLevel();
+        if (!session || (aal.nextLevel === 'aal2' && aal.currentLevel !== 'aal2')) {
+            throw { code: '42501', message: 'Not allowed' };
+        }
+
+        const sessions = auth.sessions();
+        if (!sessions.some(row => row.id === target_session_id && row.user_id === session.user.id)) {
+            throw { code: 'P0002', message: 'Session not found' };
+        }
+
+        store.setTable(AUTH_SESSIONS_TABLE, sessions.filter(row => row.id !== target_session_id));
+        await store.saveTable(AUTH_SESSIONS_TABLE);
+        return null;
+    }
+};
+
+/**
+ * Hash a share link password the way the share-download function does
+ * @param {string} password - Plain text password
+ * @param {string} salt - Per-link salt
+ * @returns {Promise<string>} Hex encoded PBKDF2-SHA-256 hash
+ */
+async function hashSharePassword(password, salt) {
+    const encoder = new TextEncoder();
+    const key = await window.crypto.subtle.importKey('raw', encoder.encode(password), 'PBKDF2', false, ['deriveBits']);
+    const bits = await window.crypto.subtle.deriveBits(
+        { name: 'PBKDF2', hash: 'SHA-256', salt: encoder.encode(salt), iterations: 100000 },
+        key,
+        256
+    );
+    return [...new Uint8Array(bits)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Serve a share link like supabase/functions/share-download. Local links only
+ * work in the browser that holds the data.
+ * @param {Object} body - Request body: { action: 'info' | 'download', token, password }
+ * @param {LocalStore} store - Backing store
+ * @returns {Promise<Object>} { status, body }
+ */
+async function shareDownload({ action, token, password = '' }, store) {
+    const share = store.table('file_shares').find(row => row.token === token);
+    const file = share && store.table('files').find(row => row.id === share.file_id && !row.deleted_at);
+
+    if (!share || !file) {
+        return { status: 404, body: { error: 'This link does not exist or has been revoked.' } };
+    }
+    if (new Date(share.expires_at) <= new Date()) {
+        return { status: 410, body: { error: 'This link has expired.' } };
+    }
+
+    const downloadsLeft = share.max_downloads === null || share.max_downloads === undefined
+        ? null
+        : share.max_downloads - share.download_count;
+    if (downloadsLeft !== null && downloadsLeft <= 0) {
+        return { status: 410, body: { error: 'This link has reached its download limit.' } };
+    }
+
+    if (action === 'info') {
+        return {
+            status: 200,
+            body: {
+                file_name: file.file_name,
+                file_size: file.file_size,
+                expires_at: share.expires_at,
+                requires_password: Boolean(share.password_hash),
+                downloads_left: downloadsLeft
+            }
+        };
+    }
+
+    if (share.password_hash) {
+        // Same limit as claim_share_password_attempt(): five guesses, then 15 minutes locked
+        const locked = share.locked_until && new Date(share.locked_until) > new Date();
+        if (locked) {
+            return { status: 429, body: { error: 'Too many wrong passwords. Please try again later.' } };
+        }
+        share.failed_attempts = share.locked_until ? 1 : (share.failed_attempts || 0) + 1;
+        share.locked_until = share.failed_attempts >= 5
+            ? new Date(Date.now() + 15 * 60 * 1000).toISOString()
+            : null;
+        await store.saveTable('file_shares');
+
+        if (await hashSharePassword(password, share.password_salt) !== share.password_hash) {
+            return { status: 403, body: { error: 'Wrong password.' } };
+        }
+    }
+
+    share.download_count += 1;
+    share.failed_attempts = 0;
+    share.locked_until = null;
+    await store.saveTable('file_shares');
+
+    const { data, error } = await new LocalBucket(store, 'student-files').createSignedUrl(file.file_path);
+    if (error) {
+        return { status: 404, body: { error: 'The shared file is no longer stored.' } };
+    }
+    return { status: 200, body: { url: data.signedUrl, file_name: file.file_name } };
+}
+
+/**
+ * Redeem a recovery code like supabase/functions/mfa-recovery: spend the code
+ * and remove the student's factors so the password session is enough again
+ * @param {Object} body - Request body: { code }
+ * @param {LocalStore} store - Backing store
+ * @param {LocalAuth} auth - Local auth, for the caller's session
+ * @returns {Promise<Object>} { status, body }
+ */
+async function mfaRecovery({ code = '' }, store, auth) {
+    const session = auth.readSession();
+    const user = session && auth.users().find(candidate => candidate.id === session.user.id);
+    if (!code || !user) {
+        return { status: 401, body: { error: 'Sign in with your password first.' } };
+    }
+
+    // Same hash as scripts/mfa.js: SHA-256 of the code without case, spaces or dashes
+    const codeHash = await hashPassword(code.toUpperCase().replace(/[^A-Z0-9]/g, ''));
+    const codes = store.table('mfa_recovery_codes');
+    const match = codes.find(row => row.user_id === user.id && row.code_hash === codeHash && !row.used_at);
+    if (!match) {
+        return { status: 403, body: { error: 'That recovery code is not valid or has already been used.' } };
+    }
+
+    // The remaining codes belonged to the factors being removed
+    store.setTable('mfa_recovery_codes', codes.filter(row => row.user_id !== user.id));
+    await store.saveTable('mfa_recovery_codes');
+
+    user.factors = [];
+    await store.saveTable(AUTH_USERS_TABLE);
+    return { status: 200, body: { ok: true } };
+}
+
+// Edge functions the hosted project deploys, invoked through functions.invoke()
+const EDGE_FUNCTIONS = {
+    'share-download': shareDownload,
+    'mfa-recovery': mfaRecovery
+};
+
+/**
+ * Create a local client with the same surface the app uses from supabase-js
+ * @param {Object} options - Local backend options from config.js
+ * @param {string} options.databaseName - IndexedDB database name
+ * @param {boolean} options.persist - Keep data between page loads
+ * @returns {Promise<Object>} Client exposing from(), storage, auth and rpc()
+ */
+export async function createLocalClient({ databaseName = 'classmate-local', persist = true } = {}) {
+    const store = new LocalStore({ databaseName, persist });
+    await store.open();
+    const auth = new LocalAuth(store, databaseName);
+    await auth.detectSessionInUrl();
+
+    return {
+        from: (table) => new LocalQueryBuilder(store, table),
+        storage: {
+            from: (bucket) => new LocalBucket(store, bucket)
+        },
+        auth,
+        functions: {
+            invoke: async (name, { body = {} } = {}) => {
+                const fn = EDGE_FUNCTIONS[name];
+                if (!fn) {
+                    return { data: null, error: { message: `Function ${name} not found` } };
+                }
+
+                const { status, body: result } = await fn(body, store, auth);
+                if (status >= 400) {
+                    // Mirrors FunctionsHttpError, which keeps the response on context
+                    return { data: null, error: { message: result.error, context: new Response(JSON.stringify(result), { status }) } };
+                }
+                return { data: result, error: null };
+            }
+        },
+        rpc: async (name, params = {}) => {
+            const fn = RPC_FUNCTIONS[name];
+            if (!fn) {
+                return { data: null, error: { code: 'PGRST202', message: `Could not find the function ${name}` } };
+            }
+            try {
+                return { data: await fn(params, store, auth), error: null };
+            } catch (error) {
+                return { data: null, error };
+            }
+        }
+    };
+}
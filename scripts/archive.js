@@ -3,41 +3,87 @@
  * Handles shared files archive for students in same university and academic year
  */
 
-import { supabase, checkAuth, showError, showSuccess, showModal, hideModal } from './supabase.js';
+import { checkAuth, showError, showSuccess, showModal, hideModal, escapeHtml } from './supabase.js';
+import * as archiveRepo from './repositories/archive.js';
+import * as studentsRepo from './repositories/students.js';
+import * as storageRepo from './repositories/storage.js';
+import * as moderationRepo from './repositories/moderation.js';
+import * as studyGroupsRepo from './repositories/study-groups.js';
+import { config } from './config.js';
+import { extractText } from './documents.js';
+import { renderFilePreview, startDownload } from './preview.js';
+import { createUploadQueue, mountUploadQueue } from './upload-queue.js';
+import { validateUploads } from './upload-policy.js';
+import { hashFile, resolveDuplicates } from './duplicates.js';
+import { removeArchiveFileForever, showUndoToast } from './trash-bin.js';
+import { canModerateFaculty, needsReview } from './roles.js';
+import { requireCompleteProfile } from './profile.js';
 
 let currentUser = null;
+let currentProfile = null;
 let currentUserFaculty = '';
 let currentUserYear = 0;
+let userGroups = [];
+let uploadQueue = null;
+let previewFile = null;
+let archiveFiles = [];
+let ratingSummaries = new Map();
+let commentCounts = new Map();
+let fileComments = [];
+let replyToId = null;
+
+const MATERIAL_TYPES = {
+    lecture: 'Lecture',
+    exam: 'Exam',
+    assignment: 'Assignment',
+    notes: 'Notes',
+    solution: 'Solution'
+};
+
+const SEMESTERS = {
+    fall: 'Fall',
+    spring: 'Spring',
+    summer: 'Summer'
+};
+
+let uploadCourses = [];
+
+const REPORT_REASONS = {
+    wrong_course: 'Wrong course or year',
+    spam: 'Spam',
+    copyright: 'Copyright violation',
+    other: 'Something else'
+};
 
 // Initialize archive page
 document.addEventListener('DOMContentLoaded', async function() {
     // Check authentication
-    currentUser = await checkAuth(true);
+    currentUser = await checkAuth();
     if (!currentUser) return;
     
-    // Load user profile to get faculty and year
-    await loadUserProfile();
+    // Load user profile to get faculty and year; incomplete profiles go through onboarding first
+    if (!await loadUserProfile()) return;
     
     // Initialize UI components
     initArchiveUI();
     
     // Load shared files
+    refreshCourseFilter();
+    loadUploadCourses();
+    loadSubmissions();
     loadSharedFiles();
 });
 
 /**
- * Load user profile to get faculty and academic year
+ * Load user profile to get faculty and academic year, and the student's study groups
+ * @returns {Promise<boolean>} False if the page can't be used yet
  */
 async function loadUserProfile() {
     try {
-        const { data: profile, error } = await supabase
-            .from('students')
-            .select('faculty, academic_year')
-            .eq('user_id', currentUser.id)
-            .single();
-            
-        if (error) throw error;
+        const profile = await requireCompleteProfile(currentUser);
+        if (!profile) return false;
         
+        currentProfile = profile;
         currentUserFaculty = profile.faculty;
         currentUserYear = profile.academic_year;
         
@@ -45,51 +91,104 @@ async function loadUserProfile() {
         populateFacultyFilter();
     } catch (error) {
         console.error('Failed to load user profile:', error);
+        document.getElementById('archive-files-list').innerHTML = '<div class="empty-state">Failed to load your profile. Please refresh the page.</div>';
+        return false;
     }
+    
+    await loadStudyGroups();
+    return true;
 }
 
 /**
- * Populate faculty filter dropdown with available faculties
+ * Load the student's study groups for sharing and for the list
  */
-async function populateFacultyFilter() {
+async function loadStudyGroups() {
     try {
-        const { data: faculties, error } = await supabase
-            .from('students')
-            .select('faculty')
-            .neq('faculty', '')
-            .not('faculty', 'is', null)
-            .order('faculty', { ascending: true });
-            
-        if (error) throw error;
-        
-        // Get unique faculties
-        const uniqueFaculties = [...new Set(faculties.map(item => item.faculty))];
-        
-        const facultySelect = document.getElementById('filter-faculty');
-        uniqueFaculties.forEach(faculty => {
-            const option = document.createElement('option');
-            option.value = faculty;
-            option.textContent = faculty;
-            facultySelect.appendChild(option);
-        });
+        userGroups = await studyGroupsRepo.listMyGroups(currentUser.id);
     } catch (error) {
-        console.error('Failed to load faculties:', error);
+        console.error('Failed to load study groups:', error);
+        userGroups = [];
     }
+    
+    const groupSelect = document.getElementById('upload-study-group');
+    groupSelect.innerHTML = userGroups.length === 0
+        ? '<option value="">Join or create a group in Settings first</option>'
+        : userGroups.map(group => `<option value="${group.id}">${escapeHtml(group.name)}</option>`).join('');
+}
+
+/**
+ * Describe the current student for the archive's visibility filter
+ * @returns {Object} { userId, userFaculty, userYear, userGroupIds }
+ */
+function getViewer() {
+    return {
+        userId: currentUser.id,
+        userFaculty: currentUserFaculty,
+        userYear: currentUserYear,
+        userGroupIds: userGroups.map(group => group.id)
+    };
+}
+
+/**
+ * Populate faculty filter dropdown with available faculties
+ */
+function populateFacultyFilter() {
+    const facultySelect = document.getElementById('filter-faculty');
+    config.faculties.forEach(faculty => {
+        const option = document.createElement('option');
+        option.value = faculty;
+        option.textContent = faculty;
+        facultySelect.appendChild(option);
+    });
 }
 
 /**
  * Initialize archive UI components
  */
 function initArchiveUI() {
-    // Upload button
+    // Set up the upload queue and continue uploads left over from before a reload
+    uploadQueue = createUploadQueue({ name: 'archive', userId: currentUser.id, onComplete: handleUploadComplete });
+    mountUploadQueue(document.getElementById('archive-upload-queue'), uploadQueue);
+    uploadQueue.restore();
+    
+    // Upload button; course details are asked for first and apply to the whole batch
     const uploadBtn = document.getElementById('upload-archive-btn');
     if (uploadBtn) {
         uploadBtn.addEventListener('click', () => {
+            document.getElementById('archive-course-form').style.display = 'block';
             document.getElementById('archive-dropzone').style.display = 'block';
+            document.getElementById('upload-course-code').focus();
+        });
+    }
+    
+    const courseForm = document.getElementById('archive-course-form');
+    if (courseForm) {
+        courseForm.addEventListener('submit', (e) => {
+            e.preventDefault();
             document.getElementById('archive-file-input').click();
         });
     }
     
+    // A study group is only needed when sharing with one
+    const visibilitySelect = document.getElementById('upload-visibility');
+    if (visibilitySelect) {
+        visibilitySelect.addEventListener('change', () => {
+            document.getElementById('upload-study-group-field').style.display = visibilitySelect.value === 'group' ? 'block' : 'none';
+        });
+    }
+    
+    // Fill in the name of a course that already has shared files
+    const courseCodeInput = document.getElementById('upload-course-code');
+    if (courseCodeInput) {
+        courseCodeInput.addEventListener('change', () => {
+            const course = uploadCourses.find(row => row.course_code === normalizeCourseCode(courseCodeInput.value));
+            const nameInput = document.getElementById('upload-course-name');
+            if (course && course.course_name && !nameInput.value.trim()) {
+                nameInput.value = course.course_name;
+            }
+        });
+    }
+    
     // File input change
     const fileInput = document.getElementById('archive-file-input');
     if (fileInput) {
@@ -130,8 +229,44 @@ function initArchiveUI() {
         });
     }
     
+    // The course list depends on the faculty and year
+    ['filter-faculty', 'filter-year'].forEach(id => {
+        document.getElementById(id).addEventListener('change', refreshCourseFilter);
+    });
+    
+    // Browsing folders and the breadcrumb set the filters
+    document.getElementById('archive-browse').addEventListener('click', (e) => {
+        const target = e.target.closest('[data-browse-level]');
+        if (target) {
+            browseTo(target.getAttribute('data-browse-level'), target.getAttribute('data-browse-value'));
+        }
+    });
+    
+    // Sorting only reorders the files already loaded
+    const sortSelect = document.getElementById('sort-archive');
+    if (sortSelect) {
+        sortSelect.addEventListener('change', () => {
+            renderArchiveFiles(archiveFiles);
+        });
+    }
+    
+    // Ratings, comments and reports in the preview modal
+    document.getElementById('archive-comment-form').addEventListener('submit', handleCommentSubmit);
+    document.getElementById('archive-comment-cancel-reply').addEventListener('click', () => setReplyTo(null));
+    document.getElementById('archive-report-btn').addEventListener('click', () => {
+        document.getElementById('archive-report-form').style.display = 'block';
+    });
+    document.getElementById('archive-report-cancel').addEventListener('click', hideReportForm);
+    document.getElementById('archive-report-form').addEventListener('submit', handleReportSubmit);
+    
+    // Download button; URLs are signed on click so they never go stale in an open modal
+    const downloadBtn = document.getElementById('archive-download-file-btn');
+    if (downloadBtn) {
+        downloadBtn.addEventListener('click', handleArchiveFileDownload);
+    }
+    
     // Close modal buttons
-    const closeButtons = document.querySelectorAll('.close-modal');
+    const closeButtons = document.querySelectorAll('#archive-preview-modal .close-modal');
     closeButtons.forEach(button => {
         button.addEventListener('click', () => {
             hideModal('archive-preview-modal');
@@ -140,101 +275,280 @@ function initArchiveUI() {
 }
 
 /**
- * Upload files to the shared archive
+ * Check files against the archive's upload policy, ask about any already shared
+ * with this faculty and year, and queue the rest
  * @param {FileList} files - Files to upload
  */
 async function uploadArchiveFiles(files) {
-    const progressBar = document.getElementById('archive-progress-bar');
-    const progressText = document.getElementById('archive-progress-text');
-    const uploadProgress = document.getElementById('archive-upload-progress');
+    const details = getUploadDetails();
+    if (!details) return;
+    
+    const { accepted, rejected } = await validateUploads(files, 'archive');
+    uploadQueue.reject(rejected);
+    if (accepted.length === 0) return;
     
-    // Show progress container
-    uploadProgress.style.display = 'block';
-    progressBar.style.width = '0%';
-    progressText.textContent = 'Uploading...';
+    // Hash one file at a time so a large batch isn't held in memory at once
+    const hashes = new Map();
+    for (const file of accepted) {
+        hashes.set(file, await hashFile(file));
+    }
     
+    let actions = new Map();
     try {
-        for (let i = 0; i < files.length; i++) {
-            const file = files[i];
-            const fileName = file.name;
-            const filePath = `archive/${currentUserFaculty}/${currentUserYear}/${Date.now()}_${fileName}`;
-            
-            // Update progress text
-            progressText.textContent = `Uploading ${i + 1} of ${files.length}: ${fileName}`;
-            
-            // Upload file to Supabase Storage
-            const { error } = await supabase.storage
-                .from('student-files')
-                .upload(filePath, file, {
-                    cacheControl: '3600',
-                    upsert: false
-                });
-            
-            if (error) throw error;
-            
-            // Update progress bar
-            const progress = ((i + 1) / files.length) * 100;
-            progressBar.style.width = `${progress}%`;
+        const existing = await archiveRepo.findArchiveFilesByHash(currentUserFaculty, currentUserYear, [...new Set(hashes.values())]);
+        const duplicates = accepted
+            .map(file => ({ file, existing: existing.find(row => row.content_hash === hashes.get(file)) }))
+            .filter(duplicate => duplicate.existing);
+        
+        if (duplicates.length > 0) {
+            actions = await resolveDuplicates(duplicates, { linkLabel: 'Show the shared copy' });
             
-            // Save file metadata to database
-            await saveArchiveMetadata(fileName, filePath, file.type, file.size);
+            const linkedIds = duplicates
+                .filter(({ file }) => actions.get(file) === 'link')
+                .map(({ existing: match }) => match.id);
+            if (linkedIds.length > 0) {
+                await revealArchiveFiles(linkedIds);
+            }
         }
+    } catch (error) {
+        // A failed check shouldn't stop the upload
+        console.error('Failed to check for duplicate files:', error);
+    }
+    
+    const toUpload = accepted.filter(file => !actions.has(file) || actions.get(file) === 'upload');
+    uploadQueue.add(toUpload, file => ({
+        path: `archive/${currentUserFaculty}/${currentUserYear}/${details.course_code}/${details.material_type}/${Date.now()}_${file.name}`,
+        meta: { contentHash: hashes.get(file), details }
+    }));
+}
+
+/**
+ * Normalize a course code for storage and comparison
+ * @param {string} code - Course code as typed
+ * @returns {string} Upper-case code without spaces
+ */
+function normalizeCourseCode(code) {
+    return code.trim().toUpperCase().replace(/\s+/g, '');
+}
+
+/**
+ * Read the course details and sharing scope for the next upload, pointing out missing fields
+ * @returns {Object|null} Archive fields, or null if the form is incomplete
+ */
+function getUploadDetails() {
+    const form = document.getElementById('archive-course-form');
+    form.style.display = 'block';
+    
+    const codeInput = document.getElementById('upload-course-code');
+    codeInput.value = normalizeCourseCode(codeInput.value);
+    
+    if (!/^[A-Z0-9-]*$/.test(codeInput.value)) {
+        codeInput.setCustomValidity('Use only letters, digits and dashes.');
+    } else {
+        codeInput.setCustomValidity('');
+    }
+    
+    const visibility = document.getElementById('upload-visibility').value;
+    const groupSelect = document.getElementById('upload-study-group');
+    groupSelect.setCustomValidity(visibility === 'group' && !groupSelect.value ? 'Choose a study group.' : '');
+    
+    if (!form.reportValidity()) return null;
+    
+    const examYear = document.getElementById('upload-exam-year').value;
+    return {
+        course_code: codeInput.value,
+        course_name: document.getElementById('upload-course-name').value.trim(),
+        material_type: document.getElementById('upload-material-type').value,
+        semester: document.getElementById('upload-semester').value || null,
+        exam_year: examYear ? parseInt(examYear) : null,
+        visibility: visibility,
+        study_group_id: visibility === 'group' ? groupSelect.value : null
+    };
+}
+
+/**
+ * Load the courses of the student's own faculty and year as suggestions for uploads
+ */
+async function loadUploadCourses() {
+    try {
+        uploadCourses = await archiveRepo.listArchiveCourses({
+            ...getViewer(),
+            faculty: currentUserFaculty,
+            year: currentUserYear
+        });
         
-        // Hide progress after successful upload
-        setTimeout(() => {
-            uploadProgress.style.display = 'none';
-            document.getElementById('archive-dropzone').style.display = 'none';
-        }, 1000);
+        document.getElementById('archive-course-options').innerHTML = uploadCourses
+            .map(course => `<option value="${escapeHtml(course.course_code)}">${escapeHtml(course.course_name || '')}</option>`)
+            .join('');
+    } catch (error) {
+        console.error('Failed to load courses:', error);
+    }
+}
+
+/**
+ * Fill the course filter with the courses of the selected faculty and year,
+ * keeping the current choice if it is still there
+ */
+async function refreshCourseFilter() {
+    const courseSelect = document.getElementById('filter-course');
+    const facultyFilter = document.getElementById('filter-faculty').value;
+    const yearFilter = document.getElementById('filter-year').value;
+    
+    try {
+        const courses = await archiveRepo.listArchiveCourses({
+            ...getViewer(),
+            faculty: facultyFilter,
+            year: yearFilter ? parseInt(yearFilter) : null
+        });
         
-        // Reload files list
-        loadSharedFiles();
+        const selected = courseSelect.value;
+        courseSelect.innerHTML = '<option value="">All Courses</option>' + courses
+            .map(course => `<option value="${escapeHtml(course.course_code)}">${escapeHtml(formatCourse(course))}</option>`)
+            .join('');
+        if (courses.some(course => course.course_code === selected)) {
+            courseSelect.value = selected;
+        }
     } catch (error) {
-        console.error('File upload error:', error);
-        progressText.textContent = 'Upload failed. Please try again.';
-        setTimeout(() => {
-            uploadProgress.style.display = 'none';
-        }, 3000);
+        console.error('Failed to load courses:', error);
+    }
+}
+
+/**
+ * Select a course in the course filter, adding it if the list hasn't caught up
+ * @param {string} courseCode - Course code, or '' for all courses
+ */
+function setCourseFilter(courseCode) {
+    const courseSelect = document.getElementById('filter-course');
+    if (courseCode && ![...courseSelect.options].some(option => option.value === courseCode)) {
+        const option = document.createElement('option');
+        option.value = courseCode;
+        option.textContent = courseCode;
+        courseSelect.appendChild(option);
+    }
+    courseSelect.value = courseCode;
+}
+
+/**
+ * Label a course with its code and name
+ * @param {Object} course - Row with course_code and course_name
+ * @returns {string} e.g. "CS101 – Introduction to Programming"
+ */
+function formatCourse(course) {
+    return course.course_name ? `${course.course_code} – ${course.course_name}` : course.course_code;
+}
+
+/**
+ * Show the student's own faculty and year and highlight the given files
+ * @param {Array} fileIds - Archive row IDs
+ */
+async function revealArchiveFiles(fileIds) {
+    document.getElementById('filter-faculty').value = currentUserFaculty;
+    document.getElementById('filter-year').value = String(currentUserYear);
+    setCourseFilter('');
+    ['filter-visibility', 'filter-material-type', 'filter-semester', 'filter-exam-year'].forEach(id => {
+        document.getElementById(id).value = '';
+    });
+    refreshCourseFilter();
+    await loadSharedFiles();
+    
+    const items = fileIds
+        .map(fileId => document.querySelector(`.file-item[data-id="${fileId}"]`))
+        .filter(Boolean);
+    items.forEach(item => item.classList.add('file-item-highlight'));
+    if (items.length > 0) {
+        items[0].scrollIntoView({ behavior: 'smooth', block: 'center' });
     }
 }
 
 /**
- * Save archive file metadata to Supabase database
+ * Save an uploaded queue entry's metadata and its searchable text
+ * @param {Object} entry - Upload queue entry
+ */
+async function handleUploadComplete(entry) {
+    const contentText = await extractText(entry.file);
+    await saveArchiveMetadata(entry.name, entry.path, entry.type, entry.size, contentText, entry.meta.contentHash, entry.meta.details);
+    refreshCourseFilter();
+    loadUploadCourses();
+    loadSubmissions();
+    loadSharedFiles();
+}
+
+/**
+ * Save archive file metadata to the database
  * @param {string} fileName - Original file name
- * @param {string} filePath - Path in Supabase Storage
+ * @param {string} filePath - Path in storage
  * @param {string} fileType - MIME type of the file
  * @param {number} fileSize - Size of the file in bytes
+ * @param {string|null} contentText - Text extracted for search
+ * @param {string|null} contentHash - SHA-256 of the content, for duplicate detection
+ * @param {Object} [details] - Course code, name, material type, semester, exam year and sharing scope
+ */
+async function saveArchiveMetadata(fileName, filePath, fileType, fileSize, contentText, contentHash, details = {}) {
+    // Errors propagate so the upload queue can offer a retry
+    // Get user's full name from profile
+    const profile = await studentsRepo.getStudent(currentUser.id);
+    if (!profile) throw new Error('Student profile not found');
+    
+    // Students' uploads wait for a moderator; the database enforces the same rule
+    const status = needsReview(profile) ? 'pending' : 'approved';
+    
+    // Insert archive record
+    await archiveRepo.createArchiveFile({
+        user_id: currentUser.id,
+        user_name: profile.full_name || currentUser.email,
+        faculty: profile.faculty,
+        academic_year: profile.academic_year,
+        file_name: fileName,
+        file_path: filePath,
+        file_type: fileType,
+        file_size: fileSize,
+        content_text: contentText,
+        content_hash: contentHash || null,
+        course_code: details.course_code || null,
+        course_name: details.course_name || null,
+        material_type: details.material_type || null,
+        semester: details.semester || null,
+        exam_year: details.exam_year || null,
+        visibility: details.visibility || 'year',
+        study_group_id: details.study_group_id || null,
+        status: status,
+        uploaded_at: new Date().toISOString()
+    });
+}
+
+/**
+ * Show the student's uploads that are waiting for review or were rejected
  */
-async function saveArchiveMetadata(fileName, filePath, fileType, fileSize) {
+async function loadSubmissions() {
+    const container = document.getElementById('archive-submissions');
+    
     try {
-        // Get user's full name from profile
-        const { data: profile, error: profileError } = await supabase
-            .from('students')
-            .select('full_name, faculty, academic_year')
-            .eq('user_id', currentUser.id)
-            .single();
-            
-        if (profileError) throw profileError;
+        const files = await moderationRepo.listOwnUnpublishedArchiveFiles(currentUser.id);
+        if (files.length === 0) {
+            container.style.display = 'none';
+            return;
+        }
         
-        // Insert archive record
-        const { error } = await supabase
-            .from('archive')
-            .insert([
-                {
-                    user_id: currentUser.id,
-                    user_name: profile.full_name || currentUser.email,
-                    faculty: profile.faculty,
-                    academic_year: profile.academic_year,
-                    file_name: fileName,
-                    file_path: filePath,
-                    file_type: fileType,
-                    file_size: fileSize,
-                    uploaded_at: new Date().toISOString()
-                }
-            ]);
+        container.innerHTML = `
+            <h3>Your Submissions</h3>
+            ${files.map(file => `
+                <div class="submission-item">
+                    <div class="submission-name">${getFileIcon(file.file_name)} ${escapeHtml(file.file_name)}</div>
+                    ${file.status === 'rejected'
+                        ? `<div class="submission-status rejected">Rejected${file.review_reason ? `: ${escapeHtml(file.review_reason)}` : ''}</div>`
+                        : '<div class="submission-status">Waiting for a moderator</div>'}
+                    <button type="button" class="btn btn-small delete-submission-btn" data-id="${file.id}">Delete</button>
+                </div>
+            `).join('')}
+        `;
+        container.style.display = 'block';
         
-        if (error) throw error;
+        container.querySelectorAll('.delete-submission-btn').forEach(button => {
+            button.addEventListener('click', () => deleteArchiveFile(button.getAttribute('data-id')));
+        });
     } catch (error) {
-        console.error('Error saving archive metadata:', error);
+        console.error('Failed to load submissions:', error);
+        container.style.display = 'none';
     }
 }
 
@@ -245,33 +559,240 @@ async function loadSharedFiles() {
     try {
         const facultyFilter = document.getElementById('filter-faculty').value;
         const yearFilter = document.getElementById('filter-year').value;
+        const examYearFilter = document.getElementById('filter-exam-year').value;
         
-        let query = supabase
-            .from('archive')
-            .select('*')
-            .or(`faculty.eq.${currentUserFaculty},academic_year.eq.${currentUserYear}`)
-            .order('uploaded_at', { ascending: false });
+        const files = await archiveRepo.listArchiveFiles({
+            ...getViewer(),
+            visibility: document.getElementById('filter-visibility').value,
+            faculty: facultyFilter,
+            year: yearFilter ? parseInt(yearFilter) : null,
+            courseCode: document.getElementById('filter-course').value,
+            materialType: document.getElementById('filter-material-type').value,
+            semester: document.getElementById('filter-semester').value,
+            examYear: examYearFilter ? parseInt(examYearFilter) : null
+        });
         
-        // Apply additional filters if selected
-        if (facultyFilter) {
-            query = query.eq('faculty', facultyFilter);
-        }
+        archiveFiles = files;
+        await loadFeedbackSummaries(files);
+        renderBrowse(files);
+        renderArchiveFiles(files);
+    } catch (error) {
+        console.error('Failed to load shared files:', error);
+        document.getElementById('archive-files-list').innerHTML = '<div class="empty-state">Failed to load shared files. Please refresh the page.</div>';
+    }
+}
+
+/**
+ * Render the breadcrumb for faculty → year → course → material and the
+ * folders one level below the current filters, counted from the loaded files
+ * @param {Array} files - Archive rows matching the current filters
+ */
+function renderBrowse(files) {
+    const browse = document.getElementById('archive-browse');
+    const faculty = document.getElementById('filter-faculty').value;
+    const year = document.getElementById('filter-year').value;
+    const courseCode = document.getElementById('filter-course').value;
+    const materialType = document.getElementById('filter-material-type').value;
+    
+    const crumbs = [{ level: 'all', value: '', label: 'All Files' }];
+    if (faculty) crumbs.push({ level: 'faculty', value: faculty, label: faculty });
+    if (year) crumbs.push({ level: 'year', value: year, label: `Year ${year}` });
+    if (courseCode) crumbs.push({ level: 'course', value: courseCode, label: courseCode });
+    if (materialType) crumbs.push({ level: 'type', value: materialType, label: MATERIAL_TYPES[materialType] });
+    
+    // The next level down that isn't chosen yet
+    let folders = [];
+    let folderLevel = '';
+    if (!faculty) {
+        folderLevel = 'faculty';
+        folders = groupFiles(files, file => file.faculty, value => value);
+    } else if (!year) {
+        folderLevel = 'year';
+        folders = groupFiles(files, file => file.academic_year, value => `Year ${value}`);
+    } else if (!courseCode) {
+        folderLevel = 'course';
+        folders = groupFiles(files, file => file.course_code, (value, file) => formatCourse(file));
+    } else if (!materialType) {
+        folderLevel = 'type';
+        folders = groupFiles(files, file => file.material_type, value => MATERIAL_TYPES[value] || value);
+    }
+    
+    browse.innerHTML = `
+        <ol class="browse-breadcrumb">
+            ${crumbs.map((crumb, index) => `
+                <li>${index === crumbs.length - 1
+                    ? `<span aria-current="location">${escapeHtml(crumb.label)}</span>`
+                    : `<button type="button" data-browse-level="${crumb.level}" data-browse-value="${escapeHtml(crumb.value)}">${escapeHtml(crumb.label)}</button>`}</li>
+            `).join('')}
+        </ol>
+        ${folders.length > 0 ? `
+        <div class="browse-folders">
+            ${folders.map(folder => `
+                <button type="button" class="browse-folder" data-browse-level="${folderLevel}" data-browse-value="${escapeHtml(folder.value)}">
+                    <span class="browse-folder-name">📁 ${escapeHtml(folder.label)}</span>
+                    <span class="browse-folder-count">${folder.count} file${folder.count === 1 ? '' : 's'}</span>
+                </button>
+            `).join('')}
+        </div>` : ''}
+    `;
+}
+
+/**
+ * Group files into browse folders, leaving out files without a value
+ * @param {Array} files - Archive rows
+ * @param {Function} getValue - Returns a file's value at this level
+ * @param {Function} getLabel - Returns a folder's label from its value and first file
+ * @returns {Array} { value, label, count } sorted by label
+ */
+function groupFiles(files, getValue, getLabel) {
+    const folders = new Map();
+    files.forEach(file => {
+        const value = getValue(file);
+        if (value === null || value === undefined || value === '') return;
         
-        if (yearFilter) {
-            query = query.eq('academic_year', parseInt(yearFilter));
+        const key = String(value);
+        if (!folders.has(key)) {
+            folders.set(key, { value: key, label: getLabel(value, file), count: 0 });
         }
+        folders.get(key).count++;
+    });
+    return [...folders.values()].sort((a, b) => a.label.localeCompare(b.label, undefined, { numeric: true }));
+}
+
+/**
+ * Open a browse level: set its filter, clear the levels below it and reload
+ * @param {string} level - 'all', 'faculty', 'year', 'course' or 'type'
+ * @param {string} value - Value for that level
+ */
+async function browseTo(level, value) {
+    const levels = ['faculty', 'year', 'course', 'type'];
+    const depth = level === 'all' ? -1 : levels.indexOf(level);
+    
+    if (level === 'faculty') document.getElementById('filter-faculty').value = value;
+    if (level === 'year') document.getElementById('filter-year').value = value;
+    if (level === 'course') setCourseFilter(value);
+    if (level === 'type') document.getElementById('filter-material-type').value = value;
+    
+    if (depth < 0) document.getElementById('filter-faculty').value = '';
+    if (depth < 1) document.getElementById('filter-year').value = '';
+    if (depth < 2) setCourseFilter('');
+    if (depth < 3) document.getElementById('filter-material-type').value = '';
+    
+    if (depth < 2) {
+        refreshCourseFilter();
+    }
+    await loadSharedFiles();
+}
+
+/**
+ * Load the average rating and comment count of each listed file. The list
+ * still shows without them if this fails.
+ * @param {Array} files - Archive rows
+ */
+async function loadFeedbackSummaries(files) {
+    ratingSummaries = new Map();
+    commentCounts = new Map();
+    
+    try {
+        const fileIds = files.map(file => file.id);
+        const [ratings, comments] = await Promise.all([
+            archiveRepo.listRatings(fileIds),
+            archiveRepo.listCommentRefs(fileIds)
+        ]);
         
-        const { data: files, error } = await query;
-        
-        if (error) throw error;
-        
-        renderArchiveFiles(files || []);
+        fileIds.forEach(fileId => {
+            ratingSummaries.set(fileId, summarizeRatings(ratings.filter(rating => rating.archive_id === fileId)));
+        });
+        comments.forEach(comment => {
+            commentCounts.set(comment.archive_id, (commentCounts.get(comment.archive_id) || 0) + 1);
+        });
     } catch (error) {
-        console.error('Failed to load shared files:', error);
-        document.getElementById('archive-files-list').innerHTML = '<div class="empty-state">Failed to load shared files. Please refresh the page.</div>';
+        console.error('Failed to load ratings and comments:', error);
+    }
+}
+
+/**
+ * Average a file's ratings
+ * @param {Array} ratings - Rating rows of one file
+ * @returns {Object} { average, count }; average is 0 without ratings
+ */
+function summarizeRatings(ratings) {
+    const total = ratings.reduce((sum, rating) => sum + rating.rating, 0);
+    return { average: ratings.length > 0 ? total / ratings.length : 0, count: ratings.length };
+}
+
+/**
+ * Order files by the selected sort, newest first on ties
+ * @param {Array} files - Archive rows
+ * @returns {Array} Sorted copy
+ */
+function sortArchiveFiles(files) {
+    const sortBy = document.getElementById('sort-archive').value;
+    const byNewest = (a, b) => new Date(b.uploaded_at) - new Date(a.uploaded_at);
+    
+    return [...files].sort((a, b) => {
+        if (sortBy === 'rating') {
+            const ratingA = ratingSummaries.get(a.id) || { average: 0, count: 0 };
+            const ratingB = ratingSummaries.get(b.id) || { average: 0, count: 0 };
+            return (ratingB.average - ratingA.average) || (ratingB.count - ratingA.count) || byNewest(a, b);
+        }
+        if (sortBy === 'comments') {
+            return ((commentCounts.get(b.id) || 0) - (commentCounts.get(a.id) || 0)) || byNewest(a, b);
+        }
+        return byNewest(a, b);
+    });
+}
+
+/**
+ * Describe who a file is shared with
+ * @param {Object} file - Archive row
+ * @returns {string} e.g. "Year 2, Engineering" or a study group's name
+ */
+function describeVisibility(file) {
+    switch (file.visibility || 'year') {
+        case 'university':
+            return 'Whole university';
+        case 'faculty':
+            return `All of ${file.faculty}`;
+        case 'group': {
+            const group = userGroups.find(row => row.id === file.study_group_id);
+            return group ? group.name : 'Study group';
+        }
+        default:
+            return `Year ${file.academic_year}, ${file.faculty}`;
     }
 }
 
+/**
+ * Build the course line and the rating, comment count and review status line shown under a file name
+ * @param {Object} file - Archive row
+ * @returns {string} Meta HTML
+ */
+function renderFeedbackMeta(file) {
+    const rating = ratingSummaries.get(file.id);
+    const comments = commentCounts.get(file.id) || 0;
+    
+    const ratingText = rating && rating.count > 0
+        ? `★ ${rating.average.toFixed(1)} (${rating.count})`
+        : 'No ratings';
+    
+    const course = file.course_code ? [
+        formatCourse(file),
+        MATERIAL_TYPES[file.material_type],
+        [SEMESTERS[file.semester], file.exam_year].filter(Boolean).join(' ')
+    ].filter(Boolean).join(' • ') : '';
+    
+    return `
+        ${course ? `<div class="archive-file-course">${escapeHtml(course)}</div>` : ''}
+        <div class="archive-file-meta">
+            <span class="archive-file-rating">${ratingText}</span>
+            <span>💬 ${comments}</span>
+            <span class="scope-badge" title="Shared with">👥 ${escapeHtml(describeVisibility(file))}</span>
+            ${file.flagged_at ? '<span class="review-badge" title="Reported by students and waiting for review">Under review</span>' : ''}
+        </div>
+    `;
+}
+
 /**
  * Render archive files to the UI
  * @param {Array} files - Array of file objects
@@ -287,35 +808,41 @@ function renderArchiveFiles(files) {
     
     let filesList = '';
     
-    files.forEach(file => {
+    sortArchiveFiles(files).forEach(file => {
         const fileTypeDisplay = file.file_type.split('/')[1] ? file.file_type.split('/')[1].toUpperCase() : 'FILE';
         const fileSizeDisplay = formatFileSize(file.file_size);
         const uploadedAt = formatDate(file.uploaded_at);
         const isOwner = file.user_id === currentUser.id;
         
         filesList += `
-            <div class="file-item">
+            <div class="file-item" data-id="${file.id}">
                 <div class="file-name">
                     ${getFileIcon(file.file_name)}
-                    ${file.file_name}
+                    ${escapeHtml(file.file_name)}
+                    ${renderFeedbackMeta(file)}
                 </div>
-                <div class="file-owner">${file.user_name}</div>
-                <div class="file-type">${fileTypeDisplay}</div>
+                <div class="file-owner">${escapeHtml(file.user_name || '')}</div>
+                <div class="file-type">${escapeHtml(fileTypeDisplay)}</div>
                 <div class="file-size">${fileSizeDisplay}</div>
                 <div class="file-date">${uploadedAt}</div>
                 <div class="file-actions">
                     <button type="button" class="preview-file-btn" 
                         data-id="${file.id}" 
-                        data-path="${file.file_path}" 
-                        data-name="${file.file_name}">
+                        data-path="${escapeHtml(file.file_path)}" 
+                        data-name="${escapeHtml(file.file_name)}"
+                        data-size="${file.file_size}">
                         View
                     </button>
                     ${isOwner ? `
                     <button type="button" class="delete-file-btn" 
                         data-id="${file.id}" 
-                        data-path="${file.file_path}">
+                        data-path="${escapeHtml(file.file_path)}">
                         Delete
                     </button>` : ''}
+                    ${!isOwner && canModerateFaculty(currentProfile, file.faculty) ? `
+                    <button type="button" class="remove-file-btn" data-id="${file.id}">
+                        Remove
+                    </button>` : ''}
                 </div>
             </div>
         `;
@@ -330,11 +857,13 @@ function renderArchiveFiles(files) {
     
     document.querySelectorAll('.delete-file-btn').forEach(button => {
         button.addEventListener('click', (e) => {
-            if (confirm('Are you sure you want to delete this file?')) {
-                const fileId = e.target.getAttribute('data-id');
-                const filePath = e.target.getAttribute('data-path');
-                deleteArchiveFile(fileId, filePath);
-            }
+            deleteArchiveFile(e.target.getAttribute('data-id'));
+        });
+    });
+    
+    document.querySelectorAll('.remove-file-btn').forEach(button => {
+        button.addEventListener('click', (e) => {
+            removeArchiveFile(e.target.getAttribute('data-id'));
         });
     });
 }
@@ -343,45 +872,306 @@ function renderArchiveFiles(files) {
  * @param {Event} event - Click event
  */
 async function handleArchiveFilePreview(event) {
+    const fileId = event.target.getAttribute('data-id');
     const filePath = event.target.getAttribute('data-path');
     const fileName = event.target.getAttribute('data-name');
+    const file = archiveFiles.find(row => row.id === fileId);
+    previewFile = { id: fileId, filePath, fileName, isOwner: Boolean(file && file.user_id === currentUser.id) };
+    
+    // Students can't report their own uploads
+    document.getElementById('archive-report-btn').style.display = previewFile.isOwner ? 'none' : '';
+    hideReportForm();
+    setReplyTo(null);
+    loadFileFeedback(fileId);
     
     // Update modal title
     document.getElementById('archive-file-preview-name').textContent = fileName;
     
-    // Set download link
-    const downloadBtn = document.getElementById('archive-download-file-btn');
-    const { data: { publicUrl } } = supabase.storage
-        .from('student-files')
-        .getPublicUrl(filePath);
-    
-    downloadBtn.href = publicUrl;
-    downloadBtn.setAttribute('download', fileName);
+    // Show modal, then load preview content
+    showModal('archive-preview-modal');
     
-    // Load preview content
     const previewContainer = document.getElementById('archive-file-preview-container');
-    previewContainer.innerHTML = '<div class="loading">Loading preview...</div>';
+    try {
+        const url = await storageRepo.createSignedUrl(filePath);
+        await renderFilePreview(previewContainer, {
+            url: url,
+            fileName: fileName,
+            fileSize: parseInt(event.target.getAttribute('data-size')) || undefined
+        });
+    } catch (error) {
+        console.error('Failed to sign preview URL:', error);
+        previewContainer.innerHTML = '<div class="error">Failed to load preview. Please try downloading the file instead.</div>';
+    }
+}
+
+/**
+ * Download the file open in the preview modal
+ */
+async function handleArchiveFileDownload() {
+    if (!previewFile) return;
+    
+    try {
+        const url = await storageRepo.createSignedUrl(previewFile.filePath, { download: previewFile.fileName });
+        startDownload(url, previewFile.fileName);
+    } catch (error) {
+        console.error('Failed to download file:', error);
+        alert('Failed to download file. Please try again.');
+    }
+}
+
+/**
+ * Load the rating and comments of the file open in the preview modal
+ * @param {string} fileId - Archive row ID
+ */
+async function loadFileFeedback(fileId) {
+    const commentsList = document.getElementById('archive-comments-list');
+    commentsList.innerHTML = '<div class="loading">Loading comments...</div>';
+    document.getElementById('archive-rating-stars').innerHTML = '';
+    document.getElementById('archive-rating-summary').textContent = '';
+    
+    try {
+        const [ratings, comments] = await Promise.all([
+            archiveRepo.listRatings([fileId]),
+            archiveRepo.listComments(fileId)
+        ]);
+        
+        // The modal may have moved on to another file meanwhile
+        if (!previewFile || previewFile.id !== fileId) return;
+        
+        fileComments = comments;
+        renderRating(ratings);
+        renderComments();
+    } catch (error) {
+        console.error('Failed to load file feedback:', error);
+        commentsList.innerHTML = '<div class="error">Failed to load comments.</div>';
+    }
+}
+
+/**
+ * Render the star picker and the average rating
+ * @param {Array} ratings - Rating rows of the open file
+ */
+function renderRating(ratings) {
+    const summary = summarizeRatings(ratings);
+    const ownRating = ratings.find(rating => rating.user_id === currentUser.id);
+    const selected = ownRating ? ownRating.rating : 0;
+    
+    const starsContainer = document.getElementById('archive-rating-stars');
+    starsContainer.innerHTML = [1, 2, 3, 4, 5].map(value => `
+        <button type="button" class="rating-star ${value <= selected ? 'selected' : ''}"
+            data-rating="${value}"
+            aria-label="Rate ${value} out of 5"
+            ${previewFile.isOwner ? 'disabled' : ''}>★</button>
+    `).join('');
+    
+    starsContainer.querySelectorAll('.rating-star').forEach(button => {
+        button.addEventListener('click', () => handleRatingClick(parseInt(button.getAttribute('data-rating'))));
+    });
+    
+    let summaryText = summary.count > 0
+        ? `${summary.average.toFixed(1)} out of 5 from ${summary.count} rating${summary.count === 1 ? '' : 's'}`
+        : 'No ratings yet';
+    if (previewFile.isOwner) {
+        summaryText += ' • You can\'t rate your own upload';
+    }
+    document.getElementById('archive-rating-summary').textContent = summaryText;
+}
+
+/**
+ * Save the current student's rating of the open file
+ * @param {number} value - Stars from 1 to 5
+ */
+async function handleRatingClick(value) {
+    if (!previewFile || previewFile.isOwner) return;
+    const fileId = previewFile.id;
     
     try {
-        const fileExt = fileName.split('.').pop().toLowerCase();
+        await archiveRepo.saveRating({
+            archive_id: fileId,
+            user_id: currentUser.id,
+            rating: value
+        });
         
-        if (['jpg', 'jpeg', 'png', 'gif', 'svg'].includes(fileExt)) {
-            // Image preview
-            previewContainer.innerHTML = `<img src="${publicUrl}" alt="${fileName}">`;
-        } else if (['pdf'].includes(fileExt)) {
-            // PDF preview
-            previewContainer.innerHTML = `<iframe src="${publicUrl}" width="100%" height="500px"></iframe>`;
-        } else {
-            // No preview available
-            previewContainer.innerHTML = '<div class="no-preview">No preview available for this file type. Click the Download button to view the file.</div>';
+        const ratings = await archiveRepo.listRatings([fileId]);
+        ratingSummaries.set(fileId, summarizeRatings(ratings));
+        if (previewFile && previewFile.id === fileId) {
+            renderRating(ratings);
         }
+        renderArchiveFiles(archiveFiles);
     } catch (error) {
-        console.error('Failed to generate preview:', error);
-        previewContainer.innerHTML = '<div class="error">Failed to load preview. Please try downloading the file instead.</div>';
+        console.error('Failed to save rating:', error);
+        alert('Failed to save your rating. Please try again.');
+    }
+}
+
+/**
+ * Render the open file's comments as threads, replies under their parent
+ */
+function renderComments() {
+    const commentsList = document.getElementById('archive-comments-list');
+    
+    if (fileComments.length === 0) {
+        commentsList.innerHTML = '<div class="empty-state">No comments yet. Start the discussion.</div>';
+        return;
     }
     
-    // Show modal
-    showModal('archive-preview-modal');
+    const renderThread = (parentId) => fileComments
+        .filter(comment => (comment.parent_id || null) === parentId)
+        .map(comment => `
+            <div class="archive-comment" data-id="${comment.id}">
+                <div class="archive-comment-header">
+                    <span class="archive-comment-author">${escapeHtml(comment.user_name || 'Student')}</span>
+                    <span class="archive-comment-date">${formatDate(comment.created_at)}</span>
+                </div>
+                <div class="archive-comment-body">${escapeHtml(comment.body)}</div>
+                <div class="archive-comment-actions">
+                    <button type="button" class="btn btn-small reply-comment-btn" data-id="${comment.id}">Reply</button>
+                    ${comment.user_id === currentUser.id ? `
+                    <button type="button" class="btn btn-small delete-comment-btn" data-id="${comment.id}">Delete</button>` : ''}
+                </div>
+                <div class="archive-comment-replies">${renderThread(comment.id)}</div>
+            </div>
+        `).join('');
+    
+    commentsList.innerHTML = renderThread(null);
+    
+    commentsList.querySelectorAll('.reply-comment-btn').forEach(button => {
+        button.addEventListener('click', () => setReplyTo(button.getAttribute('data-id')));
+    });
+    
+    commentsList.querySelectorAll('.delete-comment-btn').forEach(button => {
+        button.addEventListener('click', () => handleCommentDelete(button.getAttribute('data-id')));
+    });
+}
+
+/**
+ * Choose the comment the next post replies to
+ * @param {string|null} commentId - Parent comment ID, or null for a new thread
+ */
+function setReplyTo(commentId) {
+    const parent = commentId ? fileComments.find(comment => comment.id === commentId) : null;
+    replyToId = parent ? parent.id : null;
+    
+    document.getElementById('archive-comment-replying').style.display = parent ? 'flex' : 'none';
+    document.getElementById('archive-comment-replying-to').textContent = parent
+        ? `Replying to ${parent.user_name || 'Student'}`
+        : '';
+    
+    if (parent) {
+        document.getElementById('archive-comment-body').focus();
+    }
+}
+
+/**
+ * Post a comment or reply on the open file
+ * @param {Event} event - Submit event
+ */
+async function handleCommentSubmit(event) {
+    event.preventDefault();
+    if (!previewFile) return;
+    
+    const bodyInput = document.getElementById('archive-comment-body');
+    const body = bodyInput.value.trim();
+    if (!body) return;
+    
+    const button = event.target.querySelector('button[type="submit"]');
+    button.disabled = true;
+    
+    try {
+        const profile = await studentsRepo.getStudent(currentUser.id);
+        const comment = await archiveRepo.createComment({
+            archive_id: previewFile.id,
+            parent_id: replyToId,
+            user_id: currentUser.id,
+            user_name: (profile && profile.full_name) || currentUser.email,
+            body: body,
+            created_at: new Date().toISOString()
+        });
+        
+        fileComments.push(comment);
+        commentCounts.set(previewFile.id, (commentCounts.get(previewFile.id) || 0) + 1);
+        bodyInput.value = '';
+        setReplyTo(null);
+        renderComments();
+        renderArchiveFiles(archiveFiles);
+    } catch (error) {
+        console.error('Failed to post comment:', error);
+        alert('Failed to post your comment. Please try again.');
+    } finally {
+        button.disabled = false;
+    }
+}
+
+/**
+ * Delete one of the current student's comments, with the replies under it
+ * @param {string} commentId - Comment ID
+ */
+async function handleCommentDelete(commentId) {
+    if (!confirm('Delete this comment and its replies?')) return;
+    
+    const threadIds = [commentId];
+    for (let i = 0; i < threadIds.length; i++) {
+        fileComments
+            .filter(comment => comment.parent_id === threadIds[i])
+            .forEach(comment => threadIds.push(comment.id));
+    }
+    
+    try {
+        await archiveRepo.deleteComments(threadIds);
+        
+        fileComments = fileComments.filter(comment => !threadIds.includes(comment.id));
+        commentCounts.set(previewFile.id, fileComments.length);
+        if (replyToId && threadIds.includes(replyToId)) {
+            setReplyTo(null);
+        }
+        renderComments();
+        renderArchiveFiles(archiveFiles);
+    } catch (error) {
+        console.error('Failed to delete comment:', error);
+        alert('Failed to delete the comment. Please try again.');
+    }
+}
+
+/**
+ * Close and reset the report form
+ */
+function hideReportForm() {
+    const form = document.getElementById('archive-report-form');
+    form.reset();
+    form.style.display = 'none';
+}
+
+/**
+ * Report the open file; it is flagged for review straight away
+ * @param {Event} event - Submit event
+ */
+async function handleReportSubmit(event) {
+    event.preventDefault();
+    if (!previewFile || previewFile.isOwner) return;
+    
+    const reason = document.getElementById('archive-report-reason').value;
+    const details = document.getElementById('archive-report-details').value.trim();
+    
+    try {
+        await archiveRepo.reportArchiveFile(previewFile.id, reason, details || null);
+        
+        const file = archiveFiles.find(row => row.id === previewFile.id);
+        if (file) {
+            file.flagged_at = file.flagged_at || new Date().toISOString();
+        }
+        hideReportForm();
+        renderArchiveFiles(archiveFiles);
+        alert(`Thanks. The file was reported for "${REPORT_REASONS[reason]}" and will be reviewed.`);
+    } catch (error) {
+        // One report per student and file
+        if (error.code === '23505') {
+            hideReportForm();
+            alert('You have already reported this file.');
+            return;
+        }
+        console.error('Failed to report file:', error);
+        alert('Failed to send the report. Please try again.');
+    }
 }
 
 /**
@@ -445,50 +1235,50 @@ function getFileIcon(fileName) {
 }
 
 /**
- * Delete archive file (only if owned by current user)
+ * Move an archive file to the Trash (only if owned by current user), with an undo prompt
  * @param {string} fileId - ID of the file to delete
- * @param {string} filePath - Path of the file in storage
  */
-async function deleteArchiveFile(fileId, filePath) {
+async function deleteArchiveFile(fileId) {
     try {
         // التحقق من ملكية الملف أولاً
-        const { data: file, error: fetchError } = await supabase
-            .from('archive')
-            .select('user_id, file_path')
-            .eq('id', fileId)
-            .single();
-            
-        if (fetchError) throw new Error(`Fetch error: ${fetchError.message}`);
+        const file = await archiveRepo.getArchiveFile(fileId);
         
         if (file.user_id !== currentUser.id) {
             throw new Error('You can only delete your own files');
         }
-
-        // 1. حذف من التخزين أولاً
-        const { data: storageData, error: storageError } = await supabase.storage
-            .from('student-files')
-            .remove([file.file_path]); // استخدم file.file_path بدلاً من المعلمة
-        
-        if (storageError) throw new Error(`Storage error: ${storageError.message}`);
-        
-        // 2. ثم حذف من قاعدة البيانات
-        const { error: dbError } = await supabase
-            .from('archive')
-            .delete()
-            .eq('id', fileId);
-            
-        if (dbError) throw new Error(`Database error: ${dbError.message}`);
         
-        showSuccess('File deleted successfully');
+        // The object stays in storage until the Trash is emptied
+        await archiveRepo.trashArchiveFile(fileId);
+        loadSubmissions();
         loadSharedFiles();
+        
+        showUndoToast('File moved to the Trash.', async () => {
+            await archiveRepo.restoreArchiveFile(fileId);
+            loadSubmissions();
+            loadSharedFiles();
+        });
     } catch (error) {
         console.error('Delete failed:', error);
-        showError(`Delete failed: ${error.message}`);
-        
-        // لعرض تفاصيل الخطأ للمطورين في الكونسول
-        const { data: storageData } = await supabase.storage
-            .from('student-files')
-            .list('archive');
-        console.log('Current storage files:', storageData);
+        alert(`Delete failed: ${error.message}`);
+    }
+}
+
+/**
+ * Remove another student's file for good, as a moderator of its faculty
+ * @param {string} fileId - ID of the file to remove
+ */
+async function removeArchiveFile(fileId) {
+    const file = archiveFiles.find(row => row.id === fileId);
+    if (!file || !canModerateFaculty(currentProfile, file.faculty)) return;
+    
+    const reason = prompt(`Remove "${file.file_name}" from the archive? This can't be undone.\n\nReason:`);
+    if (reason === null) return;
+    
+    try {
+        await removeArchiveFileForever(file, reason.trim() || null);
+        loadSharedFiles();
+    } catch (error) {
+        console.error('Remove failed:', error);
+        alert(`Failed to remove the file: ${error.message}`);
     }
-}
\ No newline at end of file
+}
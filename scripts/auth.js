@@ -3,7 +3,25 @@
  * Handles user authentication using Supabase Auth
  */
 
-import { supabase, showError, showSuccess } from './supabase.js';
+import { supabase, showError, showSuccess, holdAuthRedirects } from './supabase.js';
+import * as studentsRepo from './repositories/students.js';
+import { isModerator } from './roles.js';
+import { ensureStudentProfile, isProfileComplete, populateFacultySelect } from './profile.js';
+import { attachStrengthMeter, validateNewPassword } from './password-policy.js';
+import { getTotpFactor, isSecondFactorPending, verifyTotpCode } from './mfa.js';
+import * as mfaRepo from './repositories/mfa.js';
+import { resetIdleTimer, startSessionMonitor } from './session-monitor.js';
+import { LOGIN_PAGE, getNextPage } from './routes.js';
+import { clearUploadQueues } from './upload-queue.js';
+
+// Whether the second step takes a recovery code instead of an authenticator code
+let usingRecoveryCode = false;
+
+// Shown on the login page after the session monitor signs the student out
+const SIGNED_OUT_MESSAGES = {
+    idle: 'You were signed out because you were inactive for a while. Please log in again.',
+    revoked: 'This session was signed out from another device. Please log in again.'
+};
 
 // Handle tab switching
 document.addEventListener('DOMContentLoaded', () => {
@@ -36,9 +54,63 @@ document.addEventListener('DOMContentLoaded', () => {
         loginForm.addEventListener('submit', handleLogin);
     }
     
+    // Say why the student was signed out, when it wasn't their choice
+    const signedOutNotice = document.getElementById('signed-out-notice');
+    if (signedOutNotice) {
+        const reason = new URLSearchParams(window.location.search).get('signed_out');
+        if (SIGNED_OUT_MESSAGES[reason]) {
+            signedOutNotice.textContent = SIGNED_OUT_MESSAGES[reason];
+            signedOutNotice.hidden = false;
+        }
+    }
+    
+    // Forgot password form, reached from a link under the login form
+    const forgotForm = document.getElementById('forgot-form');
+    if (forgotForm) {
+        forgotForm.addEventListener('submit', handleForgotPassword);
+        
+        document.getElementById('forgot-password-link').addEventListener('click', (e) => {
+            e.preventDefault();
+            authForms.forEach(form => form.classList.toggle('active', form === forgotForm));
+            document.getElementById('forgot-email').value = document.getElementById('login-email').value;
+        });
+        
+        document.getElementById('back-to-login-link').addEventListener('click', (e) => {
+            e.preventDefault();
+            document.querySelector('[data-tab="login"]').click();
+        });
+    }
+    
+    // Second factor step of the login
+    const mfaForm = document.getElementById('mfa-form');
+    if (mfaForm) {
+        mfaForm.addEventListener('submit', handleSecondFactor);
+        
+        document.getElementById('mfa-recovery-link').addEventListener('click', (e) => {
+            e.preventDefault();
+            setRecoveryMode(!usingRecoveryCode);
+        });
+        
+        document.getElementById('mfa-cancel-link').addEventListener('click', async (e) => {
+            e.preventDefault();
+            await supabase.auth.signOut({ scope: 'local' });
+            document.querySelector('.tabs').hidden = false;
+            document.querySelector('[data-tab="login"]').click();
+        });
+        
+        // Someone who left at the second step carries on there
+        resumeSecondFactor();
+    }
+    
     // Initialize registration form
     const registerForm = document.getElementById('register-form');
     if (registerForm) {
+        populateFacultySelect(document.getElementById('register-faculty'));
+        attachStrengthMeter(
+            document.getElementById('register-password'),
+            document.getElementById('register-password-strength'),
+            () => document.getElementById('register-email').value
+        );
         registerForm.addEventListener('submit', handleRegister);
     }
 
@@ -70,6 +142,9 @@ async function handleLogin(e) {
     const email = emailInput.value;
     const password = passwordInput.value;
     
+    // This tab picks the next page itself once the login is complete
+    holdAuthRedirects(true);
+    
     try {
         const { data, error } = await supabase.auth.signInWithPassword({
             email,
@@ -78,14 +153,143 @@ async function handleLogin(e) {
         
         if (error) throw error;
         
-        // Redirect to Home on successful login
-        window.location.href = 'home.html';
+        // Students with 2FA confirm with their authenticator before going further
+        if (await isSecondFactorPending()) {
+            holdAuthRedirects(false);
+            showSecondFactorStep();
+            return;
+        }
+        
+        await finishLogin(data.user);
     } catch (error) {
+        holdAuthRedirects(false);
         console.error('Login error:', error);
         showError('login-error', `Login failed: ${error.message}`);
     }
 }
 
+/**
+ * Send a fully signed-in student on into the app
+ * @param {Object} user - Authenticated user
+ */
+async function finishLogin(user) {
+    resetIdleTimer();
+    
+    // Back to the page that asked for the login; students who haven't
+    // finished their profile do that first
+    const profile = await ensureStudentProfile(user);
+    window.location.href = isProfileComplete(profile)
+        ? getNextPage()
+        : `onboarding.html?next=${encodeURIComponent(getNextPage())}`;
+}
+
+/**
+ * Show the second factor step if the session is waiting for it
+ */
+async function resumeSecondFactor() {
+    try {
+        const { data: { session } } = await supabase.auth.getSession();
+        if (session && await isSecondFactorPending()) {
+            showSecondFactorStep();
+        }
+    } catch (error) {
+        console.error('Failed to check the second factor:', error);
+    }
+}
+
+/**
+ * Switch the login card to the second factor step
+ */
+function showSecondFactorStep() {
+    document.querySelector('.tabs').hidden = true;
+    document.querySelectorAll('.auth-form').forEach(form => {
+        form.classList.toggle('active', form.id === 'mfa-form');
+    });
+    setRecoveryMode(false);
+}
+
+/**
+ * Choose between an authenticator code and a recovery code
+ * @param {boolean} enabled - True to ask for a recovery code
+ */
+function setRecoveryMode(enabled) {
+    usingRecoveryCode = enabled;
+    
+    document.getElementById('mfa-code-group').hidden = enabled;
+    document.getElementById('mfa-recovery-group').hidden = !enabled;
+    document.getElementById('mfa-code').required = !enabled;
+    document.getElementById('mfa-recovery-code').required = enabled;
+    document.getElementById('mfa-intro').textContent = enabled
+        ? 'Enter one of the recovery codes you saved when you turned on two-factor authentication.'
+        : 'Enter the 6-digit code from your authenticator app.';
+    document.getElementById('mfa-recovery-link').textContent = enabled
+        ? 'Use your authenticator app instead'
+        : 'Use a recovery code instead';
+    document.getElementById(enabled ? 'mfa-recovery-code' : 'mfa-code').focus();
+}
+
+/**
+ * Handle the second factor form submission
+ * @param {Event} e - Form submit event
+ */
+async function handleSecondFactor(e) {
+    e.preventDefault();
+    
+    const button = e.target.querySelector('button[type="submit"]');
+    button.disabled = true;
+    holdAuthRedirects(true);
+    
+    try {
+        if (usingRecoveryCode) {
+            // A recovery code turns 2FA off, so the password session is enough again
+            await mfaRepo.redeemRecoveryCode(document.getElementById('mfa-recovery-code').value);
+            await supabase.auth.refreshSession();
+            alert('Two-factor authentication has been turned off because you used a recovery code. Set it up again in Settings.');
+        } else {
+            const factor = await getTotpFactor();
+            if (!factor) throw new Error('No authenticator is set up for this account');
+            await verifyTotpCode(factor.id, document.getElementById('mfa-code').value);
+        }
+        
+        const { data: { user } } = await supabase.auth.getUser();
+        await finishLogin(user);
+    } catch (error) {
+        holdAuthRedirects(false);
+        console.error('Second factor error:', error);
+        showError('mfa-error', `Verification failed: ${error.message}`);
+        button.disabled = false;
+    }
+}
+
+/**
+ * Send a password reset link to the given email
+ * @param {Event} e - Form submit event
+ */
+async function handleForgotPassword(e) {
+    e.preventDefault();
+    
+    const email = document.getElementById('forgot-email').value.trim();
+    const button = e.target.querySelector('button[type="submit"]');
+    button.disabled = true;
+    
+    try {
+        const { error } = await supabase.auth.resetPasswordForEmail(email, {
+            redirectTo: new URL('reset-password.html', window.location.href).href
+        });
+        
+        if (error) throw error;
+        
+        // Same answer whether or not the account exists
+        showSuccess('forgot-success', 'If an account uses that email, a reset link is on its way. Check your inbox.');
+        e.target.reset();
+    } catch (error) {
+        console.error('Password reset request error:', error);
+        showError('forgot-error', `Failed to send the reset link: ${error.message}`);
+    } finally {
+        button.disabled = false;
+    }
+}
+
 /**
  * Handle registration form submission
  * @param {Event} e - Form submit event
@@ -93,11 +297,14 @@ async function handleLogin(e) {
 async function handleRegister(e) {
     e.preventDefault();
     
+    const fullNameInput = document.getElementById('register-fullname');
     const emailInput = document.getElementById('register-email');
     const passwordInput = document.getElementById('register-password');
     const confirmPasswordInput = document.getElementById('register-confirm-password');
+    const facultyInput = document.getElementById('register-faculty');
+    const yearInput = document.getElementById('register-year');
     
-    if (!emailInput || !passwordInput || !confirmPasswordInput) {
+    if (!fullNameInput || !emailInput || !passwordInput || !confirmPasswordInput || !facultyInput || !yearInput) {
         console.error('Registration form elements not found');
         return;
     }
@@ -106,17 +313,39 @@ async function handleRegister(e) {
     const password = passwordInput.value;
     const confirmPassword = confirmPasswordInput.value;
     
+    // Kept in the account's metadata, so the profile can be created even
+    // when the account only becomes usable after email verification
+    const profileDetails = {
+        full_name: fullNameInput.value.trim(),
+        faculty: facultyInput.value,
+        academic_year: parseInt(yearInput.value)
+    };
+    
     // Validate passwords match
     if (password !== confirmPassword) {
         showError('register-error', 'Passwords do not match');
         return;
     }
     
+    // Validate against the password policy and known breached passwords
+    try {
+        await validateNewPassword(password, email);
+    } catch (error) {
+        showError('register-error', error.message);
+        return;
+    }
+    
+    holdAuthRedirects(true);
+    
     try {
-        // Register user with Supabase
+        // Register user with Supabase; the verification link keeps the page to return to
         const { data: authData, error: authError } = await supabase.auth.signUp({
             email,
-            password
+            password,
+            options: {
+                data: profileDetails,
+                emailRedirectTo: new URL(`index.html${window.location.search}`, window.location.href).href
+            }
         });
         
         if (authError) {
@@ -124,6 +353,15 @@ async function handleRegister(e) {
             throw new Error(`Authentication failed: ${authError.message}`);
         }
         
+        // Without email verification the account is signed in straight away
+        if (authData.session) {
+            resetIdleTimer();
+            await ensureStudentProfile(authData.user);
+            window.location.href = getNextPage();
+            return;
+        }
+        
+        holdAuthRedirects(false);
         showSuccess('register-error', 'Registration successful! Please check your email for verification.');
         e.target.reset();
         
@@ -131,6 +369,7 @@ async function handleRegister(e) {
         document.querySelector('[data-tab="login"]').click();
         
     } catch (error) {
+        holdAuthRedirects(false);
         console.error('Registration error:', error);
         showError('register-error', `Registration failed: ${error.message}`);
     }
@@ -140,13 +379,19 @@ async function handleRegister(e) {
  * Logs out the current user
  */
 export async function logout() {
+    // A chosen logout goes to the plain login page, not back here afterwards
+    holdAuthRedirects(true);
+    
     try {
-        const { error } = await supabase.auth.signOut();
+        // Only this browser; other devices can be signed out from Settings
+        const { error } = await supabase.auth.signOut({ scope: 'local' });
         if (error) throw error;
+        await clearUploadQueues();
 
         // Redirect to login page
-        window.location.href = 'index.html';
+        window.location.href = LOGIN_PAGE;
     } catch (error) {
+        holdAuthRedirects(false);
         console.error('Logout error:', error);
         alert(`Failed to log out: ${error.message}`);
     }
@@ -158,22 +403,28 @@ async function displayUserName() {
         const { data: { user } } = await supabase.auth.getUser();
         if (!user) return;
 
-        const { data: profile, error } = await supabase
-            .from('students')
-            .select('full_name')
-            .eq('user_id', user.id)
-            .single();
-
-        if (error) throw error;
+        const profile = await studentsRepo.getStudent(user.id);
 
         const userName = document.getElementById('user-name');
         if (userName) {
-            userName.textContent = profile.full_name || user.email;
+            userName.textContent = (profile && profile.full_name) || user.email;
         }
+
+        // Only moderators and admins get the moderation page in the menu
+        document.querySelectorAll('.moderator-link').forEach(link => {
+            link.hidden = !isModerator(profile);
+        });
     } catch (error) {
         console.error('Error fetching user name:', error);
     }
 }
 
 // Call the function when the page loads
-document.addEventListener('DOMContentLoaded', displayUserName);
\ No newline at end of file
+document.addEventListener('DOMContentLoaded', displayUserName);
+
+// Watch for inactivity and revoked sessions everywhere but the login page
+document.addEventListener('DOMContentLoaded', () => {
+    if (!document.getElementById('login-form')) {
+        startSessionMonitor();
+    }
+});
\ No newline at end of file
@@ -0,0 +1,36 @@
+/**
+ * Common Passwords
+ * Passwords that top the public breach corpora, in lower case. New passwords
+ * matching one of these (ignoring case) are refused even when the breached
+ * password lookup is switched off or unreachable.
+ */
+
+export const COMMON_PASSWORDS = new Set([
+    '123456', '123456789', '12345678', '1234567890', '12345', '1234567', '123123', '111111',
+    '000000', '654321', '666666', '121212', '112233', '123321', '987654321', '1q2w3e4r',
+    '1q2w3e4r5t', '1qaz2wsx', 'qwerty', 'qwerty123', 'qwertyuiop', 'qwerty1234', 'qwe123',
+    'asdfghjkl', 'asdfgh', 'zxcvbnm', 'zxcvbnm123', 'q1w2e3r4t5y6', 'a1b2c3d4', 'abc123',
+    'abcd1234', 'abc12345', 'aa123456', 'a123456', 'password', 'password1', 'password12',
+    'password123', 'password1234', 'password!', 'passw0rd', 'p@ssword', 'p@ssw0rd', 'p@ssw0rd1',
+    'pa$$word', 'passpass', 'pass1234', 'letmein', 'letmein1', 'letmein123', 'welcome',
+    'welcome1', 'welcome123', 'welcome2024', 'welcome2025', 'welcome2026', 'admin', 'admin123',
+    'admin1234', 'administrator', 'root', 'toor', 'login', 'guest', 'master', 'master123',
+    'changeme', 'changeme123', 'secret', 'secret123', 'default', 'iloveyou', 'iloveyou1',
+    'iloveyou2', 'loveyou', 'lovely', 'princess', 'princess1', 'sunshine', 'sunshine1',
+    'football', 'football1', 'baseball', 'basketball', 'soccer', 'hockey', 'monkey', 'monkey123',
+    'dragon', 'dragon123', 'shadow', 'shadow123', 'superman', 'batman', 'spiderman', 'pokemon',
+    'starwars', 'michael', 'jennifer', 'jordan23', 'charlie', 'daniel', 'thomas', 'jessica',
+    'ashley', 'michelle', 'nicole', 'hannah', 'matthew', 'anthony', 'andrew', 'joshua',
+    'trustno1', 'whatever', 'freedom', 'computer', 'internet', 'samsung', 'google', 'apple123',
+    'hello', 'hello123', 'hellohello', 'hellokitty', 'flower', 'chocolate', 'butterfly',
+    'cookie', 'summer', 'summer2024', 'summer2025', 'summer2026', 'winter', 'autumn', 'spring',
+    'january', 'september', 'october', 'november', 'december', 'mustang', 'harley', 'ferrari',
+    'killer', 'ninja', 'tigger', 'cheese', 'pepper', 'ginger', 'maggie', 'buster', 'jordan',
+    'zaq12wsx', 'zaq1zaq1', 'qazwsx', 'qazwsxedc', '1qazxsw2', 'asdf1234', 'asdasd', 'asdasd123',
+    'aaaaaa', 'aaaaaaaa', 'abcdef', 'abcdefg', 'abcdefgh', 'abcdefghij', 'test', 'test123',
+    'test1234', 'testing', 'testing123', 'user', 'user123', 'student', 'student1', 'student123',
+    'students', 'university', 'college', 'school', 'school123', 'classmate', 'classmate1',
+    'classmate123', 'homework', 'library', 'teacher', 'professor', 'exam2024', 'exam2025',
+    'qwertyui', 'qwertyu', '11111111', '88888888', '00000000', '12341234', '123qwe', '123qweasd',
+    '123abc', '159753', '147258369', '789456123', '741852963', '0987654321', '1111111111'
+]);
@@ -0,0 +1,178 @@
+/**
+ * Documents Module
+ * Loads the client-side document libraries (pdf.js, JSZip, SheetJS,
+ * highlight.js, marked, DOMPurify) from the CDN on first use and extracts
+ * plain text from uploaded files for search.
+ */
+
+const PDFJS_URL = 'https://cdn.jsdelivr.net/npm/pdfjs-dist@4.4.168/build/pdf.min.mjs';
+const PDFJS_WORKER_URL = 'https://cdn.jsdelivr.net/npm/pdfjs-dist@4.4.168/build/pdf.worker.min.mjs';
+const JSZIP_URL = 'https://cdn.jsdelivr.net/npm/jszip@3.10.1/+esm';
+const SHEETJS_URL = 'https://cdn.sheetjs.com/xlsx-0.20.2/package/xlsx.mjs';
+const HIGHLIGHT_URL = 'https://cdn.jsdelivr.net/npm/@highlightjs/cdn-assets@11.9.0/es/highlight.min.js';
+const HIGHLIGHT_STYLE_URL = 'https://cdn.jsdelivr.net/npm/@highlightjs/cdn-assets@11.9.0/styles/github.min.css';
+const MARKED_URL = 'https://cdn.jsdelivr.net/npm/marked@12.0.2/lib/marked.esm.js';
+const DOMPURIFY_URL = 'https://cdn.jsdelivr.net/npm/dompurify@3.1.6/+esm';
+
+// Extracted text is stored with the file row, so keep it to a sensible size
+const MAX_TEXT_LENGTH = 50000;
+
+const TEXT_EXTENSIONS = ['txt', 'md', 'csv'];
+
+let pdfjsPromise = null;
+let jszipPromise = null;
+let sheetjsPromise = null;
+let highlightPromise = null;
+let markdownPromise = null;
+
+/**
+ * Load pdf.js once
+ * @returns {Promise<Object>} pdf.js module
+ */
+export function loadPdfJs() {
+    if (!pdfjsPromise) {
+        pdfjsPromise = import(PDFJS_URL).then(pdfjs => {
+            pdfjs.GlobalWorkerOptions.workerSrc = PDFJS_WORKER_URL;
+            return pdfjs;
+        });
+    }
+    return pdfjsPromise;
+}
+
+/**
+ * Load JSZip once
+ * @returns {Promise<Function>} JSZip constructor
+ */
+export function loadJSZip() {
+    if (!jszipPromise) {
+        jszipPromise = import(JSZIP_URL).then(module => module.default);
+    }
+    return jszipPromise;
+}
+
+/**
+ * Load SheetJS once
+ * @returns {Promise<Object>} SheetJS module
+ */
+export function loadSheetJs() {
+    if (!sheetjsPromise) {
+        sheetjsPromise = import(SHEETJS_URL);
+    }
+    return sheetjsPromise;
+}
+
+/**
+ * Load highlight.js and its stylesheet once
+ * @returns {Promise<Object>} highlight.js instance
+ */
+export function loadHighlightJs() {
+    if (!highlightPromise) {
+        const style = document.createElement('link');
+        style.rel = 'stylesheet';
+        style.href = HIGHLIGHT_STYLE_URL;
+        document.head.appendChild(style);
+
+        highlightPromise = import(HIGHLIGHT_URL).then(module => module.default);
+    }
+    return highlightPromise;
+}
+
+/**
+ * Load marked and DOMPurify once
+ * @returns {Promise<Function>} Renders markdown text to sanitized HTML
+ */
+export function loadMarkdownRenderer() {
+    if (!markdownPromise) {
+        markdownPromise = Promise.all([import(MARKED_URL), import(DOMPURIFY_URL)])
+            .then(([{ marked }, { default: DOMPurify }]) => text => DOMPurify.sanitize(marked.parse(text)));
+    }
+    return markdownPromise;
+}
+
+/**
+ * Get the lower-case extension of a file name
+ * @param {string} fileName - File name
+ * @returns {string} Extension without the dot
+ */
+export function getExtension(fileName) {
+    return fileName.includes('.') ? fileName.split('.').pop().toLowerCase() : '';
+}
+
+/**
+ * Check whether text can be extracted from a file
+ * @param {string} fileName - File name
+ * @returns {boolean} True for PDF, DOCX and plain-text files
+ */
+export function canExtractText(fileName) {
+    const ext = getExtension(fileName);
+    return ext === 'pdf' || ext === 'docx' || TEXT_EXTENSIONS.includes(ext);
+}
+
+/**
+ * Extract the text of every page of a PDF
+ * @param {ArrayBuffer} data - PDF bytes
+ * @returns {Promise<string>} Text
+ */
+async function extractPdfText(data) {
+    const pdfjs = await loadPdfJs();
+    const pdf = await pdfjs.getDocument({ data }).promise;
+    const pages = [];
+    let length = 0;
+
+    for (let pageNumber = 1; pageNumber <= pdf.numPages && length < MAX_TEXT_LENGTH; pageNumber++) {
+        const page = await pdf.getPage(pageNumber);
+        const content = await page.getTextContent();
+        const text = content.items.map(item => item.str).join(' ');
+        pages.push(text);
+        length += text.length;
+    }
+
+    return pages.join('\n');
+}
+
+/**
+ * Extract the paragraphs of a Word document
+ * @param {ArrayBuffer} data - DOCX bytes
+ * @returns {Promise<string>} Text
+ */
+async function extractDocxText(data) {
+    const JSZip = await loadJSZip();
+    const zip = await JSZip.loadAsync(data);
+    const documentXml = zip.file('word/document.xml');
+    if (!documentXml) return '';
+
+    const xml = new DOMParser().parseFromString(await documentXml.async('string'), 'application/xml');
+    return [...xml.getElementsByTagName('w:p')]
+        .map(paragraph => [...paragraph.getElementsByTagName('w:t')].map(node => node.textContent).join(''))
+        .filter(Boolean)
+        .join('\n');
+}
+
+/**
+ * Extract searchable text from a file. Failures are logged and give null,
+ * so an unreadable document never blocks its upload.
+ * @param {File|Blob} file - File to read (needs a name)
+ * @returns {Promise<string|null>} Text, or null when none could be extracted
+ */
+export async function extractText(file) {
+    if (!canExtractText(file.name)) return null;
+
+    try {
+        const ext = getExtension(file.name);
+        let text;
+
+        if (ext === 'pdf') {
+            text = await extractPdfText(await file.arrayBuffer());
+        } else if (ext === 'docx') {
+            text = await extractDocxText(await file.arrayBuffer());
+        } else {
+            text = await file.text();
+        }
+
+        text = text.replace(/\s+/g, ' ').trim();
+        return text ? text.slice(0, MAX_TEXT_LENGTH) : null;
+    } catch (error) {
+        console.error(`Failed to extract text from ${file.name}:`, error);
+        return null;
+    }
+}
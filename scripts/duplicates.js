@@ -0,0 +1,80 @@
+/**
+ * Duplicates Module
+ * Hashes files in the browser before upload so content that is already stored
+ * can be caught, and asks the uploader what to do with each duplicate.
+ */
+
+import { escapeHtml } from './supabase.js';
+
+/**
+ * Compute the SHA-256 of a file's content
+ * @param {File|Blob} file - File to hash
+ * @returns {Promise<string>} Hex encoded SHA-256 digest
+ */
+export async function hashFile(file) {
+    const digest = await window.crypto.subtle.digest('SHA-256', await file.arrayBuffer());
+    return [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Describe the stored file a duplicate matches
+ * @param {Object} existing - Matching files or archive row
+ * @returns {string} HTML description
+ */
+function describeExisting(existing) {
+    const details = [
+        existing.user_name ? `uploaded by ${escapeHtml(existing.user_name)}` : 'uploaded',
+        existing.uploaded_at ? `on ${new Date(existing.uploaded_at).toLocaleDateString()}` : ''
+    ].filter(Boolean).join(' ');
+
+    return `Same content as <strong>${escapeHtml(existing.file_name)}</strong>, ${details}`;
+}
+
+/**
+ * Ask what to do with files whose content is already stored, using the
+ * page's #duplicate-modal. Closing the modal skips every duplicate.
+ * @param {Array} duplicates - Pairs of { file, existing }
+ * @param {Object} options - Dialog options
+ * @param {string} options.linkLabel - Label for the link action on this page
+ * @returns {Promise<Map>} File to chosen action: 'link', 'upload' or 'skip'
+ */
+export function resolveDuplicates(duplicates, { linkLabel }) {
+    const modal = document.getElementById('duplicate-modal');
+    const list = document.getElementById('duplicate-list');
+
+    list.innerHTML = duplicates.map(({ file, existing }, index) => `
+        <div class="duplicate-item">
+            <div class="duplicate-details">
+                <div class="duplicate-name">${escapeHtml(file.name)}</div>
+                <div class="duplicate-match">${describeExisting(existing)}</div>
+            </div>
+            <select class="duplicate-action" data-index="${index}" aria-label="What to do with ${escapeHtml(file.name)}">
+                <option value="link">${escapeHtml(linkLabel)}</option>
+                <option value="upload">Upload anyway</option>
+                <option value="skip">Skip</option>
+            </select>
+        </div>
+    `).join('');
+
+    modal.style.display = 'block';
+
+    return new Promise(resolve => {
+        // Drop every listener once the dialog is answered
+        const controller = new AbortController();
+
+        const finish = (chooseAction) => {
+            controller.abort();
+            modal.style.display = 'none';
+            resolve(new Map(duplicates.map(({ file }, index) => [file, chooseAction(index)])));
+        };
+
+        document.getElementById('duplicate-confirm').addEventListener('click', () => {
+            const selects = [...list.querySelectorAll('.duplicate-action')];
+            finish(index => selects[index].value);
+        }, { signal: controller.signal });
+
+        modal.querySelector('.close-modal').addEventListener('click', () => {
+            finish(() => 'skip');
+        }, { signal: controller.signal });
+    });
+}
@@ -1,12 +1,33 @@
 /**
  * Files Module
- * Handles file upload, download, and management with Supabase Storage
+ * Handles file upload, download, and management with Supabase Storage.
+ * Files are organised into nested folders and tagged; folders only exist in
+ * the database, so moving a file never touches its storage object.
  */
 
-import { supabase, checkAuth, showError, showSuccess , hideModal} from './supabase.js';
+import { supabase, checkAuth, showError, showSuccess, hideModal, escapeHtml } from './supabase.js';
+import * as filesRepo from './repositories/files.js';
+import * as foldersRepo from './repositories/folders.js';
+import * as storageRepo from './repositories/storage.js';
+import { extractText } from './documents.js';
+import { renderFilePreview, startDownload } from './preview.js';
+import { createUploadQueue, mountUploadQueue } from './upload-queue.js';
+import { validateUploads } from './upload-policy.js';
+import { hashFile, resolveDuplicates } from './duplicates.js';
+import { showUndoToast } from './trash-bin.js';
+import * as sharesRepo from './repositories/shares.js';
+import { buildShareUrl, createRandomToken, hashSharePassword, isShareActive } from './share-links.js';
 
 let currentFileId = null;
 let currentFilePath = null;
+let currentVersions = [];
+let currentShares = [];
+let currentUserId = null;
+let currentFolderId = null;
+let activeTag = '';
+let userFiles = [];
+let userFolders = [];
+let uploadQueue = null;
 
 // Format date to YYYY-MM-DD
 function formatDate(date) {
@@ -73,10 +94,12 @@ document.addEventListener('DOMContentLoaded', async function() {
     // Check authentication
     const user = await checkAuth();
     if (!user) return;
+    currentUserId = user.id;
     
     // Initialize file components
     initFileUpload(user.id);
     initFileActions();
+    initFolderControls();
     
     // Load user's files
     loadUserFiles(user.id);
@@ -93,6 +116,11 @@ function initFileUpload(userId) {
     
     if (!dropzone || !fileInput || !uploadBtn) return;
     
+    // Set up the upload queue and continue uploads left over from before a reload
+    uploadQueue = createUploadQueue({ name: 'files', userId, onComplete: handleUploadComplete });
+    mountUploadQueue(document.getElementById('upload-queue'), uploadQueue);
+    uploadQueue.restore();
+    
     // Handle upload button click
     uploadBtn.addEventListener('click', () => {
         fileInput.click();
@@ -137,122 +165,257 @@ function initFileUpload(userId) {
  */
 function initFileActions() {
     // Close modal
-    const closeButtons = document.querySelectorAll('.close-modal');
+    const closeButtons = document.querySelectorAll('#file-preview-modal .close-modal');
     closeButtons.forEach(button => {
         button.addEventListener('click', () => {
             hideModal('file-preview-modal');
         });
     });
     
+    // Download button; URLs are signed on click so they never go stale in an open modal
+    const downloadFileBtn = document.getElementById('download-file-btn');
+    if (downloadFileBtn) {
+        downloadFileBtn.addEventListener('click', () => {
+            const file = userFiles.find(row => row.id === currentFileId);
+            if (file) {
+                downloadStoredFile(file.file_path, file.file_name);
+            }
+        });
+    }
+    
     // Delete file button
     const deleteFileBtn = document.getElementById('delete-file-btn');
     if (deleteFileBtn) {
         deleteFileBtn.addEventListener('click', handleFileDelete);
     }
+    
+    // Save tags button
+    const saveTagsBtn = document.getElementById('save-file-tags-btn');
+    if (saveTagsBtn) {
+        saveTagsBtn.addEventListener('click', handleTagsSave);
+    }
+    
+    // Upload new version button
+    const versionInput = document.getElementById('version-file-input');
+    const uploadVersionBtn = document.getElementById('upload-version-btn');
+    if (versionInput && uploadVersionBtn) {
+        uploadVersionBtn.addEventListener('click', () => versionInput.click());
+        versionInput.addEventListener('change', handleVersionUpload);
+    }
+    
+    // Share link form and list
+    const shareForm = document.getElementById('share-form');
+    if (shareForm) {
+        shareForm.addEventListener('submit', handleShareCreate);
+    }
+    
+    const sharesList = document.getElementById('file-shares-list');
+    if (sharesList) {
+        sharesList.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-share-action]');
+            if (!button) return;
+            
+            if (button.dataset.shareAction === 'copy') {
+                copyShareLink(button.dataset.id);
+            } else {
+                handleShareRevoke(button.dataset.id);
+            }
+        });
+    }
+    
+    // Download and restore buttons in the version history
+    const versionsList = document.getElementById('file-versions-list');
+    if (versionsList) {
+        versionsList.addEventListener('click', (e) => {
+            const restoreBtn = e.target.closest('.restore-version-btn');
+            if (restoreBtn) {
+                handleVersionRestore(restoreBtn.dataset.id);
+            }
+            
+            const downloadBtn = e.target.closest('.download-version-btn');
+            const version = downloadBtn && currentVersions.find(row => row.id === downloadBtn.dataset.id);
+            const file = userFiles.find(row => row.id === currentFileId);
+            if (version && file) {
+                downloadStoredFile(version.file_path, file.file_name);
+            }
+        });
+    }
 }
 
 /**
- * Upload files to Supabase Storage
+ * Check files against the upload policy, ask about any the user already has,
+ * and queue the rest for the open folder
  * @param {FileList} files - Files to upload
  * @param {string} userId - User ID
  */
 async function uploadFiles(files, userId) {
-    const progressBar = document.getElementById('progress-bar');
-    const progressText = document.getElementById('progress-text');
-    const uploadProgress = document.getElementById('upload-progress');
+    const { accepted, rejected } = await validateUploads(files, 'files');
+    uploadQueue.reject(rejected);
+    if (accepted.length === 0) return;
     
-    // Show progress container
-    uploadProgress.style.display = 'block';
-    progressBar.style.width = '0%';
-    progressText.textContent = 'Uploading...';
+    const folderId = currentFolderId;
     
+    // Hash one file at a time so a large batch isn't held in memory at once
+    const hashes = new Map();
+    for (const file of accepted) {
+        hashes.set(file, await hashFile(file));
+    }
+    
+    let actions = new Map();
     try {
-        for (let i = 0; i < files.length; i++) {
-            const file = files[i];
-            const fileName = file.name;
-            const filePath = `${userId}/${Date.now()}_${fileName}`;
-            
-            // Update progress text
-            progressText.textContent = `Uploading ${i + 1} of ${files.length}: ${fileName}`;
-            
-            // Upload file to Supabase Storage
-            const { error } = await supabase.storage
-                .from('student-files')
-                .upload(filePath, file, {
-                    cacheControl: '3600',
-                    upsert: false
-                });
-            
-            if (error) throw error;
-            
-            // Update progress bar
-            const progress = ((i + 1) / files.length) * 100;
-            progressBar.style.width = `${progress}%`;
+        const existing = await filesRepo.findFilesByHash(userId, [...new Set(hashes.values())]);
+        const duplicates = accepted
+            .map(file => ({ file, existing: existing.find(row => row.content_hash === hashes.get(file)) }))
+            .filter(duplicate => duplicate.existing);
+        
+        if (duplicates.length > 0) {
+            actions = await resolveDuplicates(duplicates, { linkLabel: 'Link to existing file' });
             
-            // Save file metadata to database
-            await saveFileMetadata(userId, fileName, filePath, file.type, file.size);
+            for (const { file, existing: match } of duplicates) {
+                if (actions.get(file) === 'link') {
+                    await linkExistingFile(userId, file.name, match, folderId);
+                }
+            }
+            if (duplicates.some(({ file }) => actions.get(file) === 'link')) {
+                await loadUserFiles(userId);
+            }
         }
-        
-        // Hide progress after successful upload
-        setTimeout(() => {
-            uploadProgress.style.display = 'none';
-        }, 1000);
-        
-        // Reload files list
-        loadUserFiles(userId);
     } catch (error) {
-        console.error('File upload error:', error);
-        progressText.textContent = 'Upload failed. Please try again.';
-        setTimeout(() => {
-            uploadProgress.style.display = 'none';
-        }, 3000);
+        // A failed check shouldn't stop the upload
+        console.error('Failed to check for duplicate files:', error);
+    }
+    
+    const toUpload = accepted.filter(file => !actions.has(file) || actions.get(file) === 'upload');
+    uploadQueue.add(toUpload, file => ({
+        path: `${userId}/${Date.now()}_${file.name}`,
+        meta: { userId, folderId, contentHash: hashes.get(file) }
+    }));
+}
+
+/**
+ * Add a file row that points at an already stored copy of the same content
+ * @param {string} userId - User ID
+ * @param {string} fileName - Name of the file being uploaded
+ * @param {Object} existing - File row with the same content
+ * @param {string|null} folderId - Folder to add the link to
+ */
+async function linkExistingFile(userId, fileName, existing, folderId) {
+    await filesRepo.createFile({
+        user_id: userId,
+        file_name: fileName,
+        file_path: existing.file_path,
+        file_type: existing.file_type,
+        file_size: existing.file_size,
+        content_text: existing.content_text,
+        content_hash: existing.content_hash,
+        folder_id: folderId,
+        tags: [],
+        uploaded_at: new Date().toISOString()
+    });
+}
+
+/**
+ * Save an uploaded queue entry's metadata and its searchable text
+ * @param {Object} entry - Upload queue entry
+ */
+async function handleUploadComplete(entry) {
+    const contentText = await extractText(entry.file);
+    if (entry.meta.versionOf) {
+        await saveFileVersion(entry.meta.versionOf, entry.path, entry.type, entry.size, contentText, entry.meta.contentHash);
+    } else {
+        await saveFileMetadata(entry.meta.userId, entry.name, entry.path, entry.type, entry.size, contentText, entry.meta.folderId, entry.meta.contentHash);
     }
+    loadUserFiles(entry.meta.userId);
+}
+
+/**
+ * Make an uploaded object the current version of a file, keeping the
+ * previous version in its history
+ * @param {string} fileId - File ID
+ * @param {string} filePath - Path of the new version in storage
+ * @param {string} fileType - MIME type of the new version
+ * @param {number} fileSize - Size of the new version in bytes
+ * @param {string|null} contentText - Text extracted for search
+ * @param {string|null} contentHash - SHA-256 of the content
+ */
+async function saveFileVersion(fileId, filePath, fileType, fileSize, contentText, contentHash) {
+    // Errors propagate so the upload queue can offer a retry
+    const file = await filesRepo.getFile(fileId);
+    
+    await filesRepo.createFileVersion(toVersionRow(file));
+    await filesRepo.updateFile(fileId, {
+        file_path: filePath,
+        file_type: fileType,
+        file_size: fileSize,
+        content_text: contentText,
+        content_hash: contentHash || null,
+        uploaded_at: new Date().toISOString()
+    });
 }
 
 /**
- * Save file metadata to Supabase database
+ * Copy a file's current version into a version history row
+ * @param {Object} file - File row
+ * @returns {Object} Version fields
+ */
+function toVersionRow(file) {
+    return {
+        file_id: file.id,
+        user_id: file.user_id,
+        file_path: file.file_path,
+        file_type: file.file_type,
+        file_size: file.file_size,
+        content_text: file.content_text || null,
+        content_hash: file.content_hash || null,
+        uploaded_at: file.uploaded_at
+    };
+}
+
+/**
+ * Save file metadata to the database
  * @param {string} userId - User ID
  * @param {string} fileName - Original file name
- * @param {string} filePath - Path in Supabase Storage
+ * @param {string} filePath - Path in storage
  * @param {string} fileType - MIME type of the file
  * @param {number} fileSize - Size of the file in bytes
+ * @param {string|null} contentText - Text extracted for search
+ * @param {string|null} folderId - Folder the file was uploaded into
+ * @param {string|null} contentHash - SHA-256 of the content, for duplicate detection
  */
-async function saveFileMetadata(userId, fileName, filePath, fileType, fileSize) {
-    try {
-        const { error } = await supabase
-            .from('files')
-            .insert([
-                {
-                    user_id: userId,
-                    file_name: fileName,
-                    file_path: filePath,
-                    file_type: fileType,
-                    file_size: fileSize,
-                    uploaded_at: new Date().toISOString()
-                }
-            ]);
-        
-        if (error) throw error;
-    } catch (error) {
-        console.error('Error saving file metadata:', error);
-    }
+async function saveFileMetadata(userId, fileName, filePath, fileType, fileSize, contentText, folderId, contentHash) {
+    // Errors propagate so the upload queue can offer a retry
+    await filesRepo.createFile({
+        user_id: userId,
+        file_name: fileName,
+        file_path: filePath,
+        file_type: fileType,
+        file_size: fileSize,
+        content_text: contentText,
+        content_hash: contentHash || null,
+        folder_id: folderId,
+        tags: [],
+        uploaded_at: new Date().toISOString()
+    });
 }
 
 /**
- * Load user's files from Supabase
+ * Load user's files
  * @param {string} userId - User ID
  */
 async function loadUserFiles(userId) {
     try {
-        const { data, error } = await supabase
-            .from('files')
-            .select('*')
-            .eq('user_id', userId)
-            .order('uploaded_at', { ascending: false });
+        [userFiles, userFolders] = await Promise.all([
+            filesRepo.listFiles(userId),
+            foldersRepo.listFolders(userId)
+        ]);
         
-        if (error) throw error;
+        // The open folder may have been deleted in another tab
+        if (currentFolderId && !userFolders.some(folder => folder.id === currentFolderId)) {
+            currentFolderId = null;
+        }
         
-        renderFiles(data || []);
+        populateTagFilter();
+        renderFolderView();
     } catch (error) {
         console.error('Failed to load files:', error);
         document.getElementById('files-list').innerHTML = '<div class="empty-state">Failed to load files. Please refresh the page.</div>';
@@ -260,30 +423,212 @@ async function loadUserFiles(userId) {
 }
 
 /**
- * Render files to the UI
+ * Initialize folder navigation, tag filtering and drag-to-move
+ */
+function initFolderControls() {
+    const newFolderBtn = document.getElementById('new-folder-btn');
+    if (newFolderBtn) {
+        newFolderBtn.addEventListener('click', handleFolderCreate);
+    }
+    
+    const tagFilter = document.getElementById('tag-filter');
+    if (tagFilter) {
+        tagFilter.addEventListener('change', () => {
+            activeTag = tagFilter.value;
+            renderFolderView();
+        });
+    }
+    
+    const breadcrumbs = document.getElementById('folder-breadcrumbs');
+    if (breadcrumbs) {
+        breadcrumbs.addEventListener('click', (e) => {
+            const crumb = e.target.closest('.breadcrumb');
+            if (!crumb) return;
+            e.preventDefault();
+            openFolder(crumb.dataset.folderId || null);
+        });
+        addDropTarget(breadcrumbs, '.breadcrumb');
+    }
+    
+    const filesContainer = document.getElementById('files-list');
+    if (filesContainer) {
+        filesContainer.addEventListener('dragstart', (e) => {
+            const item = e.target.closest('[data-drag-type]');
+            if (!item) return;
+            e.dataTransfer.setData('application/x-classmate-item', JSON.stringify({
+                type: item.dataset.dragType,
+                id: item.dataset.id
+            }));
+            e.dataTransfer.effectAllowed = 'move';
+        });
+        addDropTarget(filesContainer, '.folder-item');
+    }
+}
+
+/**
+ * Let folder rows or breadcrumbs inside a container accept dragged files and folders
+ * @param {HTMLElement} container - Element containing the targets
+ * @param {string} selector - Selector of the drop targets
+ */
+function addDropTarget(container, selector) {
+    const isMove = e => e.dataTransfer.types.includes('application/x-classmate-item');
+    
+    container.addEventListener('dragover', (e) => {
+        const target = e.target.closest(selector);
+        if (!target || !isMove(e)) return;
+        e.preventDefault();
+        target.classList.add('drop-target');
+    });
+    
+    container.addEventListener('dragleave', (e) => {
+        const target = e.target.closest(selector);
+        if (target && !target.contains(e.relatedTarget)) {
+            target.classList.remove('drop-target');
+        }
+    });
+    
+    container.addEventListener('drop', (e) => {
+        const target = e.target.closest(selector);
+        if (!target || !isMove(e)) return;
+        e.preventDefault();
+        e.stopPropagation();
+        target.classList.remove('drop-target');
+        
+        const item = JSON.parse(e.dataTransfer.getData('application/x-classmate-item'));
+        handleItemMove(item, target.dataset.folderId || null);
+    });
+}
+
+/**
+ * Open a folder
+ * @param {string|null} folderId - Folder ID, or null for the top level
+ */
+function openFolder(folderId) {
+    currentFolderId = folderId;
+    renderFolderView();
+}
+
+/**
+ * Get a folder and its ancestors, top level first
+ * @param {string|null} folderId - Folder ID
+ * @returns {Array} Folder rows
+ */
+function getFolderPath(folderId) {
+    const path = [];
+    let folder = userFolders.find(item => item.id === folderId);
+    
+    // Guard against cycles in case of bad data
+    while (folder && !path.includes(folder)) {
+        path.unshift(folder);
+        folder = userFolders.find(item => item.id === folder.parent_id);
+    }
+    return path;
+}
+
+/**
+ * Fill the tag filter with every tag in use
+ */
+function populateTagFilter() {
+    const tagFilter = document.getElementById('tag-filter');
+    if (!tagFilter) return;
+    
+    const tags = [...new Set(userFiles.flatMap(file => file.tags || []))].sort((a, b) => a.localeCompare(b));
+    if (activeTag && !tags.includes(activeTag)) activeTag = '';
+    
+    tagFilter.innerHTML = `
+        <option value="">All tags</option>
+        ${tags.map(tag => `<option value="${escapeHtml(tag)}">${escapeHtml(tag)}</option>`).join('')}
+    `;
+    tagFilter.value = activeTag;
+}
+
+/**
+ * Render the breadcrumbs and the contents of the open folder. With a tag
+ * selected, matching files from every folder are listed instead.
+ */
+function renderFolderView() {
+    const breadcrumbs = document.getElementById('folder-breadcrumbs');
+    if (breadcrumbs) {
+        const crumbs = [{ id: '', name: 'My Files' }, ...getFolderPath(currentFolderId)];
+        breadcrumbs.innerHTML = crumbs.map((folder, index) => index === crumbs.length - 1 && !activeTag
+            ? `<span class="breadcrumb current" data-folder-id="${folder.id}">${escapeHtml(folder.name)}</span>`
+            : `<a href="#" class="breadcrumb" data-folder-id="${folder.id}">${escapeHtml(folder.name)}</a>`
+        ).join('<span class="breadcrumb-separator">/</span>');
+        
+        if (activeTag) {
+            breadcrumbs.innerHTML += `<span class="breadcrumb-separator">/</span><span class="breadcrumb-tag">Tagged "${escapeHtml(activeTag)}" in all folders</span>`;
+        }
+    }
+    
+    if (activeTag) {
+        renderFiles([], userFiles.filter(file => (file.tags || []).includes(activeTag)), true);
+    } else {
+        renderFiles(
+            userFolders.filter(folder => (folder.parent_id || null) === currentFolderId),
+            userFiles.filter(file => (file.folder_id || null) === currentFolderId),
+            false
+        );
+    }
+}
+
+/**
+ * Render folders and files to the UI
+ * @param {Array} folders - Folder rows to list
  * @param {Array} files - Array of file objects
+ * @param {boolean} showFolderPath - Whether to show which folder each file is in
  */
-function renderFiles(files) {
+function renderFiles(folders, files, showFolderPath) {
     const filesContainer = document.getElementById('files-list');
     if (!filesContainer) return;
     
-    if (files.length === 0) {
-        filesContainer.innerHTML = '<div class="empty-state">No files uploaded yet. Upload your first file!</div>';
+    if (folders.length === 0 && files.length === 0) {
+        filesContainer.innerHTML = activeTag
+            ? '<div class="empty-state">No files have this tag.</div>'
+            : currentFolderId
+                ? '<div class="empty-state">This folder is empty. Drop files here to upload them into it.</div>'
+                : '<div class="empty-state">No files uploaded yet. Upload your first file!</div>';
         return;
     }
     
     let filesList = '';
     
+    folders.forEach(folder => {
+        const itemCount = userFiles.filter(file => file.folder_id === folder.id).length +
+            userFolders.filter(item => item.parent_id === folder.id).length;
+        
+        filesList += `
+            <div class="file-item folder-item" draggable="true" data-drag-type="folder" data-id="${folder.id}" data-folder-id="${folder.id}">
+                <div class="file-name">
+                    📂
+                    <a href="#" class="open-folder-link" data-id="${folder.id}">${escapeHtml(folder.name)}</a>
+                </div>
+                <div class="file-type">Folder</div>
+                <div class="file-size">${itemCount} item${itemCount === 1 ? '' : 's'}</div>
+                <div class="file-date">${folder.created_at ? formatDate(folder.created_at) : ''}</div>
+                <div class="file-actions">
+                    <button type="button" class="rename-folder-btn" data-id="${folder.id}">Rename</button>
+                    <button type="button" class="delete-folder-btn" data-id="${folder.id}">Delete</button>
+                </div>
+            </div>
+        `;
+    });
+    
     files.forEach(file => {
         const fileTypeDisplay = file.file_type.split('/')[1] ? file.file_type.split('/')[1].toUpperCase() : 'FILE';
         const fileSizeDisplay = formatFileSize(file.file_size);
         const uploadedAt = formatDate(file.uploaded_at);
+        const tags = (file.tags || []).map(tag => `<span class="tag">${escapeHtml(tag)}</span>`).join('');
+        const folderPath = showFolderPath
+            ? `<span class="file-folder-path">${escapeHtml(['My Files', ...getFolderPath(file.folder_id || null).map(folder => folder.name)].join(' / '))}</span>`
+            : '';
         
         filesList += `
-            <div class="file-item">
+            <div class="file-item" draggable="true" data-drag-type="file" data-id="${file.id}">
                 <div class="file-name">
                     ${getFileIcon(file.file_name)}
                     ${file.file_name}
+                    ${tags}
+                    ${folderPath}
                 </div>
                 <div class="file-type">${fileTypeDisplay}</div>
                 <div class="file-size">${fileSizeDisplay}</div>
@@ -301,6 +646,146 @@ function renderFiles(files) {
     document.querySelectorAll('.preview-file-btn').forEach(button => {
         button.addEventListener('click', handleFilePreview);
     });
+    
+    // Add event listeners to folder rows
+    document.querySelectorAll('.open-folder-link').forEach(link => {
+        link.addEventListener('click', (e) => {
+            e.preventDefault();
+            openFolder(link.dataset.id);
+        });
+    });
+    
+    document.querySelectorAll('.rename-folder-btn').forEach(button => {
+        button.addEventListener('click', () => handleFolderRename(button.dataset.id));
+    });
+    
+    document.querySelectorAll('.delete-folder-btn').forEach(button => {
+        button.addEventListener('click', () => handleFolderDelete(button.dataset.id));
+    });
+}
+
+/**
+ * Create a folder inside the open folder
+ */
+async function handleFolderCreate() {
+    const name = prompt('Folder name:');
+    if (!name || !name.trim()) return;
+    
+    try {
+        await foldersRepo.createFolder({
+            user_id: currentUserId,
+            name: name.trim(),
+            parent_id: currentFolderId
+        });
+        await loadUserFiles(currentUserId);
+    } catch (error) {
+        console.error('Failed to create folder:', error);
+        alert('Failed to create folder.');
+    }
+}
+
+/**
+ * Rename a folder
+ * @param {string} folderId - Folder ID
+ */
+async function handleFolderRename(folderId) {
+    const folder = userFolders.find(item => item.id === folderId);
+    if (!folder) return;
+    
+    const name = prompt('Folder name:', folder.name);
+    if (!name || !name.trim() || name.trim() === folder.name) return;
+    
+    try {
+        await foldersRepo.updateFolder(folderId, { name: name.trim() });
+        await loadUserFiles(currentUserId);
+    } catch (error) {
+        console.error('Failed to rename folder:', error);
+        alert('Failed to rename folder.');
+    }
+}
+
+/**
+ * Delete a folder, moving its files and subfolders up one level
+ * @param {string} folderId - Folder ID
+ */
+async function handleFolderDelete(folderId) {
+    const folder = userFolders.find(item => item.id === folderId);
+    if (!folder) return;
+    
+    if (!confirm(`Delete the folder "${folder.name}"? Its contents will be moved to the parent folder.`)) {
+        return;
+    }
+    
+    try {
+        const parentId = folder.parent_id || null;
+        
+        await filesRepo.updateFiles(
+            userFiles.filter(file => file.folder_id === folderId).map(file => file.id),
+            { folder_id: parentId }
+        );
+        for (const child of userFolders.filter(item => item.parent_id === folderId)) {
+            await foldersRepo.updateFolder(child.id, { parent_id: parentId });
+        }
+        await foldersRepo.deleteFolder(folderId);
+        
+        await loadUserFiles(currentUserId);
+    } catch (error) {
+        console.error('Failed to delete folder:', error);
+        alert('Failed to delete folder.');
+        await loadUserFiles(currentUserId);
+    }
+}
+
+/**
+ * Move a dragged file or folder into another folder
+ * @param {Object} item - Dragged item ({ type: 'file' | 'folder', id })
+ * @param {string|null} targetFolderId - Destination folder, or null for the top level
+ */
+async function handleItemMove(item, targetFolderId) {
+    try {
+        if (item.type === 'file') {
+            const file = userFiles.find(row => row.id === item.id);
+            if (!file || (file.folder_id || null) === targetFolderId) return;
+            
+            await filesRepo.updateFile(item.id, { folder_id: targetFolderId });
+        } else {
+            const folder = userFolders.find(row => row.id === item.id);
+            if (!folder || (folder.parent_id || null) === targetFolderId) return;
+            
+            // A folder can't go inside itself or one of its own subfolders
+            if (getFolderPath(targetFolderId).some(ancestor => ancestor.id === item.id)) {
+                alert('A folder cannot be moved into itself.');
+                return;
+            }
+            
+            await foldersRepo.updateFolder(item.id, { parent_id: targetFolderId });
+        }
+        
+        await loadUserFiles(currentUserId);
+    } catch (error) {
+        console.error('Failed to move item:', error);
+        alert('Failed to move item.');
+    }
+}
+
+/**
+ * Save the tags typed in the preview modal
+ */
+async function handleTagsSave() {
+    if (!currentFileId) return;
+    
+    const tags = [...new Set(document.getElementById('file-tags').value
+        .split(',')
+        .map(tag => tag.trim().toLowerCase())
+        .filter(Boolean))];
+    
+    try {
+        await filesRepo.updateFile(currentFileId, { tags });
+        await loadUserFiles(currentUserId);
+    } catch (error) {
+        console.error('Failed to save tags:', error);
+        alert('Failed to save tags.');
+    }
 }
 
 /**
@@ -308,87 +793,314 @@ function renderFiles(files) {
  * @param {Event} event - Click event
  */
 async function handleFilePreview(event) {
-    const fileId = event.target.getAttribute('data-id');
-    const filePath = event.target.getAttribute('data-path');
-    const fileName = event.target.getAttribute('data-name');
+    await openFilePreview(event.target.getAttribute('data-id'));
+}
+
+/**
+ * Open the preview modal for a file, with its tags and version history
+ * @param {string} fileId - File ID
+ */
+async function openFilePreview(fileId) {
+    const file = userFiles.find(row => row.id === fileId);
+    if (!file) return;
+    
+    const filePath = file.file_path;
+    const fileName = file.file_name;
     
     currentFileId = fileId;
     currentFilePath = filePath;
     
+    // Fill the tag editor
+    document.getElementById('file-tags').value = (file.tags || []).join(', ');
+    
     // Update modal title
     document.getElementById('file-preview-name').textContent = fileName;
     
-    // Set download link
-    const downloadBtn = document.getElementById('download-file-btn');
-    const { data: { publicUrl } } = supabase.storage
-        .from('student-files')
-        .getPublicUrl(filePath);
-    
-    downloadBtn.href = publicUrl;
-    downloadBtn.setAttribute('download', fileName);
+    // Show modal, then load preview content, history and share links
+    showModal('file-preview-modal');
+    loadFileVersions(file);
+    loadFileShares(file);
     
-    // Load preview content
     const previewContainer = document.getElementById('file-preview-container');
-    previewContainer.innerHTML = '<div class="loading">Loading preview...</div>';
+    try {
+        const url = await storageRepo.createSignedUrl(filePath);
+        await renderFilePreview(previewContainer, {
+            url: url,
+            fileName: fileName,
+            fileSize: file.file_size
+        });
+    } catch (error) {
+        console.error('Failed to sign preview URL:', error);
+        previewContainer.innerHTML = '<div class="error">Failed to load preview. Please try downloading the file instead.</div>';
+    }
+}
+
+/**
+ * Download a stored object under a file's name
+ * @param {string} filePath - Path in storage
+ * @param {string} fileName - Name to save the file as
+ */
+async function downloadStoredFile(filePath, fileName) {
+    try {
+        const url = await storageRepo.createSignedUrl(filePath, { download: fileName });
+        startDownload(url, fileName);
+    } catch (error) {
+        console.error('Failed to download file:', error);
+        alert('Failed to download file. Please try again.');
+    }
+}
+
+/**
+ * Load and render a file's version history in the preview modal
+ * @param {Object} file - File row
+ */
+async function loadFileVersions(file) {
+    const list = document.getElementById('file-versions-list');
+    list.innerHTML = '<div class="empty-state">Loading versions...</div>';
+    
+    try {
+        currentVersions = await filesRepo.listFileVersions(file.id);
+    } catch (error) {
+        console.error('Failed to load versions:', error);
+        currentVersions = [];
+        list.innerHTML = '<div class="empty-state">Failed to load versions.</div>';
+        return;
+    }
+    
+    // The preview may have moved on to another file while loading
+    if (currentFileId !== file.id) return;
+    
+    const renderVersion = (version, isCurrent) => `
+        <div class="file-version${isCurrent ? ' file-version-current' : ''}">
+            <div class="file-version-date">${new Date(version.uploaded_at).toLocaleString()}</div>
+            <div class="file-version-size">${formatFileSize(version.file_size)}</div>
+            <div class="file-version-actions">
+                ${isCurrent ? '<span class="file-version-label">Current</span>' : `
+                    <button type="button" class="btn btn-small download-version-btn" data-id="${version.id}">Download</button>
+                    <button type="button" class="btn btn-small restore-version-btn" data-id="${version.id}">Restore</button>
+                `}
+            </div>
+        </div>
+    `;
+    
+    list.innerHTML = renderVersion(file, true) + currentVersions.map(version => renderVersion(version, false)).join('');
+}
+
+/**
+ * Load and render a file's active share links in the preview modal
+ * @param {Object} file - File row
+ */
+async function loadFileShares(file) {
+    const list = document.getElementById('file-shares-list');
+    list.innerHTML = '<div class="empty-state">Loading share links...</div>';
     
     try {
-        const fileExt = fileName.split('.').pop().toLowerCase();
+        const shares = await sharesRepo.listFileShares(file.id);
+        if (currentFileId !== file.id) return;
+        currentShares = shares.filter(share => isShareActive(share));
+    } catch (error) {
+        console.error('Failed to load share links:', error);
+        currentShares = [];
+        list.innerHTML = '<div class="empty-state">Failed to load share links.</div>';
+        return;
+    }
+    
+    if (currentShares.length === 0) {
+        list.innerHTML = '<div class="empty-state">No active share links.</div>';
+        return;
+    }
+    
+    list.innerHTML = currentShares.map(share => {
+        const details = [
+            `Expires ${new Date(share.expires_at).toLocaleString()}`,
+            share.max_downloads ? `${share.download_count} of ${share.max_downloads} downloads` : `${share.download_count} downloads`,
+            share.password_hash ? 'Password protected' : ''
+        ].filter(Boolean).join(' • ');
         
-        if (['jpg', 'jpeg', 'png', 'gif', 'svg'].includes(fileExt)) {
-            // Image preview
-            previewContainer.innerHTML = `<img src="${publicUrl}" alt="${fileName}">`;
-        } else if (['pdf'].includes(fileExt)) {
-            // PDF preview
-            previewContainer.innerHTML = `<iframe src="${publicUrl}" width="100%" height="500px"></iframe>`;
-        } else {
-            // No preview available
-            previewContainer.innerHTML = '<div class="no-preview">No preview available for this file type. Click the Download button to view the file.</div>';
+        return `
+            <div class="file-share">
+                <input type="text" class="file-share-url" value="${escapeHtml(buildShareUrl(share.token))}" readonly aria-label="Share link">
+                <div class="file-share-details">${escapeHtml(details)}</div>
+                <div class="file-share-actions">
+                    <button type="button" class="btn btn-small" data-share-action="copy" data-id="${share.id}">Copy</button>
+                    <button type="button" class="btn btn-small btn-danger" data-share-action="revoke" data-id="${share.id}">Revoke</button>
+                </div>
+            </div>
+        `;
+    }).join('');
+}
+
+/**
+ * Create a share link for the open file from the share form
+ * @param {Event} event - Submit event
+ */
+async function handleShareCreate(event) {
+    event.preventDefault();
+    
+    const file = userFiles.find(row => row.id === currentFileId);
+    if (!file) return;
+    
+    const hours = parseInt(document.getElementById('share-expiry').value);
+    const password = document.getElementById('share-password').value;
+    const maxDownloads = parseInt(document.getElementById('share-max-downloads').value) || null;
+    
+    try {
+        const salt = password ? createRandomToken(16) : null;
+        const share = await sharesRepo.createFileShare({
+            file_id: file.id,
+            user_id: file.user_id,
+            token: createRandomToken(),
+            expires_at: new Date(Date.now() + hours * 60 * 60 * 1000).toISOString(),
+            password_salt: salt,
+            password_hash: password ? await hashSharePassword(password, salt) : null,
+            max_downloads: maxDownloads,
+            download_count: 0,
+            created_at: new Date().toISOString()
+        });
+        
+        event.target.reset();
+        await loadFileShares(file);
+        copyShareLink(share.id);
+    } catch (error) {
+        console.error('Failed to create share link:', error);
+        alert('Failed to create share link. Please try again.');
+    }
+}
+
+/**
+ * Copy a share link to the clipboard
+ * @param {string} shareId - Share ID
+ */
+async function copyShareLink(shareId) {
+    const share = currentShares.find(row => row.id === shareId);
+    if (!share) return;
+    
+    try {
+        await navigator.clipboard.writeText(buildShareUrl(share.token));
+        
+        const button = document.querySelector(`[data-share-action="copy"][data-id="${shareId}"]`);
+        if (button) {
+            button.textContent = 'Copied';
+            setTimeout(() => { button.textContent = 'Copy'; }, 2000);
         }
     } catch (error) {
-        console.error('Failed to generate preview:', error);
-        previewContainer.innerHTML = '<div class="error">Failed to load preview. Please try downloading the file instead.</div>';
+        // Clipboard access can be refused; the link is still shown to copy by hand
+        console.error('Failed to copy share link:', error);
+    }
+}
+
+/**
+ * Revoke a share link so it stops working
+ * @param {string} shareId - Share ID
+ */
+async function handleShareRevoke(shareId) {
+    const file = userFiles.find(row => row.id === currentFileId);
+    if (!file || !confirm('Revoke this link? Anyone who has it will no longer be able to download the file.')) {
+        return;
     }
     
-    // Show modal
-    showModal('file-preview-modal');
+    try {
+        await sharesRepo.deleteFileShare(shareId);
+        await loadFileShares(file);
+    } catch (error) {
+        console.error('Failed to revoke share link:', error);
+        alert('Failed to revoke share link. Please try again.');
+    }
 }
 
 /**
- * Handle file deletion
+ * Queue a new version of the open file
+ * @param {Event} event - Change event of the version file input
  */
-async function handleFileDelete() {
-    if (!currentFileId || !currentFilePath) return;
+async function handleVersionUpload(event) {
+    const [upload] = event.target.files;
+    event.target.value = '';
+    
+    const file = userFiles.find(row => row.id === currentFileId);
+    if (!upload || !file) return;
+    
+    const { accepted, rejected } = await validateUploads([upload], 'files');
+    uploadQueue.reject(rejected);
+    if (accepted.length === 0) {
+        hideModal('file-preview-modal');
+        return;
+    }
+    
+    const contentHash = await hashFile(accepted[0]);
+    if (file.content_hash && contentHash === file.content_hash) {
+        alert('This file is the same as the current version.');
+        return;
+    }
+    
+    uploadQueue.add(accepted, version => ({
+        path: `${file.user_id}/${Date.now()}_${version.name}`,
+        meta: { userId: file.user_id, versionOf: file.id, contentHash }
+    }));
     
-    if (!confirm('Are you sure you want to delete this file? This action cannot be undone.')) {
+    // Let the upload queue's progress show
+    hideModal('file-preview-modal');
+}
+
+/**
+ * Make an earlier version current again; the current one moves into the history
+ * @param {string} versionId - Version ID
+ */
+async function handleVersionRestore(versionId) {
+    const file = userFiles.find(row => row.id === currentFileId);
+    const version = currentVersions.find(row => row.id === versionId);
+    if (!file || !version) return;
+    
+    if (!confirm(`Restore the version from ${new Date(version.uploaded_at).toLocaleString()}? The current version will be kept in the history.`)) {
         return;
     }
     
+    try {
+        await filesRepo.createFileVersion(toVersionRow(file));
+        await filesRepo.updateFile(file.id, {
+            file_path: version.file_path,
+            file_type: version.file_type,
+            file_size: version.file_size,
+            content_text: version.content_text,
+            content_hash: version.content_hash,
+            uploaded_at: version.uploaded_at
+        });
+        await filesRepo.deleteFileVersion(version.id);
+        
+        await loadUserFiles(currentUserId);
+        await openFilePreview(file.id);
+    } catch (error) {
+        console.error('Failed to restore version:', error);
+        alert('Failed to restore version. Please try again.');
+    }
+}
+
+/**
+ * Move the open file to the Trash, with an undo prompt. Its versions stay
+ * stored until the Trash is emptied.
+ */
+async function handleFileDelete() {
+    if (!currentFileId || !currentFilePath) return;
+    
+    const fileId = currentFileId;
+    
     try {
         const user = (await supabase.auth.getUser()).data.user;
         if (!user) return;
         
-        // Delete file from storage
-        const { error: storageError } = await supabase.storage
-            .from('student-files')
-            .remove([currentFilePath]);
-        
-        if (storageError) throw storageError;
-        
-        // Delete metadata from database
-        const { error: dbError } = await supabase
-            .from('files')
-            .delete()
-            .eq('id', currentFileId);
-        
-        if (dbError) throw dbError;
+        await filesRepo.trashFile(fileId);
         
         // Reload files
         await loadUserFiles(user.id);
         
         // Hide modal
         hideModal('file-preview-modal');
+        
+        showUndoToast('File moved to the Trash.', async () => {
+            await filesRepo.restoreFile(fileId);
+            await loadUserFiles(user.id);
+        });
     } catch (error) {
         console.error('Failed to delete file:', error);
         alert('Failed to delete file. Please try again.');
     }
-} 
+}
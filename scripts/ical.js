@@ -0,0 +1,267 @@
+/**
+ * iCalendar Module
+ * Converts weekly classes to and from iCalendar (.ics, RFC 5545) text.
+ * Times are written as floating local times, so a class at 10:00 stays at
+ * 10:00 in whichever time zone the calendar app is in.
+ */
+
+import { WEEKDAY_CODES, parseDate, toDateString } from './recurrence.js';
+import { addDays } from './occurrences.js';
+
+const PRODUCT_ID = '-//ClassMate//Weekly Schedule//EN';
+const PROFESSOR_PREFIX = 'Professor: ';
+const encoder = new TextEncoder();
+
+/**
+ * Escape a TEXT value
+ * @param {string} value - Raw text
+ * @returns {string} Escaped text
+ */
+function escapeText(value) {
+    return String(value)
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Unescape a TEXT value
+ * @param {string} value - Escaped text
+ * @returns {string} Raw text
+ */
+function unescapeText(value) {
+    return String(value).replace(/\\([\\;,nN])/g, (match, char) => (char === 'n' || char === 'N' ? '\n' : char));
+}
+
+/**
+ * Fold a content line to 75 UTF-8 octets as the spec requires, never splitting a character
+ * @param {string} line - Content line
+ * @returns {string} Folded line
+ */
+function foldLine(line) {
+    const parts = [];
+    let current = '';
+    let octets = 0;
+    for (const char of line) {
+        const size = encoder.encode(char).length;
+        if (octets + size > 75) {
+            parts.push(current);
+            // Continuation lines start with a space, which counts towards their length
+            current = ' ';
+            octets = 1;
+        }
+        current += char;
+        octets += size;
+    }
+    parts.push(current);
+    return parts.join('\r\n');
+}
+
+/**
+ * Format a date and HH:MM time as a floating DATE-TIME
+ * @param {string} date - Date string (YYYY-MM-DD)
+ * @param {string} time - Time (HH:MM or HH:MM:SS)
+ * @returns {string} Value such as 20261019T101500
+ */
+function formatDateTime(date, time) {
+    return `${date.replace(/-/g, '')}T${time.slice(0, 5).replace(':', '')}00`;
+}
+
+/**
+ * First date on or after a date that falls on a weekday
+ * @param {string} date - Date string
+ * @param {number} weekday - Day index (0 = Sunday)
+ * @returns {string} Date string
+ */
+function nextWeekday(date, weekday) {
+    const offset = (weekday - parseDate(date).getDay() + 7) % 7;
+    return addDays(date, offset);
+}
+
+/**
+ * Build an iCalendar file with one weekly-recurring VEVENT per class
+ * @param {Array} schedules - Schedule rows
+ * @param {Array} [semesters] - Semester rows, used to bound each class's series
+ * @returns {string} Calendar text
+ */
+export function buildScheduleCalendar(schedules, semesters = []) {
+    const stamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    const thisWeek = addDays(toDateString(new Date()), -new Date().getDay());
+
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:${PRODUCT_ID}`,
+        'CALSCALE:GREGORIAN',
+        'X-WR-CALNAME:ClassMate schedule'
+    ];
+
+    schedules.forEach(schedule => {
+        const weekday = parseInt(schedule.day);
+        const semester = semesters.find(item => item.id === schedule.semester_id);
+        const firstDate = nextWeekday(semester ? semester.start_date : thisWeek, weekday);
+
+        let rule = `FREQ=WEEKLY;BYDAY=${WEEKDAY_CODES[weekday]}`;
+        if (semester) rule += `;UNTIL=${formatDateTime(semester.end_date, '23:59')}`;
+
+        lines.push(
+            'BEGIN:VEVENT',
+            `UID:${schedule.id}@classmate`,
+            `DTSTAMP:${stamp}`,
+            `DTSTART:${formatDateTime(firstDate, schedule.start_time)}`,
+            `DTEND:${formatDateTime(firstDate, schedule.end_time)}`,
+            `RRULE:${rule}`,
+            `SUMMARY:${escapeText(schedule.class_name)}`
+        );
+        if (schedule.room) lines.push(`LOCATION:${escapeText(schedule.room)}`);
+        if (schedule.professor) lines.push(`DESCRIPTION:${escapeText(PROFESSOR_PREFIX + schedule.professor)}`);
+        lines.push('END:VEVENT');
+    });
+
+    lines.push('END:VCALENDAR');
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+/**
+ * Split calendar text into unfolded content lines
+ * @param {string} text - Calendar text
+ * @returns {Array} Lines as { name, params, value }
+ */
+function parseLines(text) {
+    return text
+        .replace(/\r\n[ \t]/g, '')
+        .replace(/\n[ \t]/g, '')
+        .split(/\r?\n/)
+        .filter(line => line.trim())
+        .map(line => {
+            // The value starts at the first colon outside a quoted parameter
+            let quoted = false;
+            let index = 0;
+            for (; index < line.length; index++) {
+                if (line[index] === '"') quoted = !quoted;
+                if (line[index] === ':' && !quoted) break;
+            }
+
+            const [name, ...paramParts] = line.slice(0, index).split(';');
+            const params = {};
+            paramParts.forEach(part => {
+                const [key, value = ''] = part.split('=');
+                params[key.toUpperCase()] = value.replace(/^"|"$/g, '');
+            });
+
+            return { name: name.toUpperCase(), params, value: line.slice(index + 1) };
+        });
+}
+
+/**
+ * Read a DATE-TIME value as a local date and HH:MM time
+ * @param {string} value - Value such as 20261019T101500 or 20261019T081500Z
+ * @returns {Object|null} { date, time } or null for all-day values
+ */
+function parseDateTime(value) {
+    const match = /^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})\d{0,2}(Z?)$/.exec(value.trim());
+    if (!match) return null;
+
+    const [, year, month, day, hours, minutes, utc] = match;
+    const date = utc
+        ? new Date(Date.UTC(year, month - 1, day, hours, minutes))
+        : new Date(year, month - 1, day, hours, minutes);
+
+    return {
+        date: toDateString(date),
+        time: `${date.getHours().toString().padStart(2, '0')}:${date.getMinutes().toString().padStart(2, '0')}`
+    };
+}
+
+/**
+ * Parse the VEVENTs of an iCalendar file into schedule rows.
+ * Events repeating on several weekdays give one row per weekday; all-day events are skipped.
+ * @param {string} text - Calendar text
+ * @returns {Array} Rows as { class_name, day, start_time, end_time, room, professor, weekly }
+ * @throws {Error} If the text is not an iCalendar file
+ */
+export function parseScheduleCalendar(text) {
+    const lines = parseLines(text);
+    if (!lines.some(line => line.name === 'BEGIN' && line.value.toUpperCase() === 'VCALENDAR')) {
+        throw new Error('This file is not an iCalendar (.ics) file');
+    }
+
+    const rows = [];
+    let event = null;
+
+    lines.forEach(line => {
+        if (line.name === 'BEGIN' && line.value.toUpperCase() === 'VEVENT') {
+            event = {};
+        } else if (line.name === 'END' && line.value.toUpperCase() === 'VEVENT') {
+            if (event) rows.push(...eventToRows(event));
+            event = null;
+        } else if (event) {
+            event[line.name] = line;
+        }
+    });
+
+    return rows;
+}
+
+/**
+ * Convert one parsed VEVENT into schedule rows
+ * @param {Object} event - Lines of the event keyed by property name
+ * @returns {Array} Schedule rows
+ */
+function eventToRows(event) {
+    const start = event.DTSTART && parseDateTime(event.DTSTART.value);
+    if (!start || !event.SUMMARY) return [];
+
+    let end = event.DTEND && parseDateTime(event.DTEND.value);
+    if (!end && event.DURATION) {
+        const match = /PT(?:(\d+)H)?(?:(\d+)M)?/.exec(event.DURATION.value);
+        if (match) {
+            const minutes = parseInt(match[1] || 0) * 60 + parseInt(match[2] || 0);
+            const startMinutes = parseInt(start.time.slice(0, 2)) * 60 + parseInt(start.time.slice(3, 5));
+            const total = Math.min(startMinutes + minutes, 24 * 60 - 1);
+            end = { time: `${Math.floor(total / 60).toString().padStart(2, '0')}:${(total % 60).toString().padStart(2, '0')}` };
+        }
+    }
+    if (!end) return [];
+
+    const rule = event.RRULE ? event.RRULE.value.toUpperCase() : '';
+    const byDay = /BYDAY=([^;]+)/.exec(rule);
+    const weekdays = byDay
+        ? byDay[1].split(',').map(code => WEEKDAY_CODES.indexOf(code.replace(/^[+-]?\d+/, ''))).filter(day => day >= 0)
+        : [parseDate(start.date).getDay()];
+
+    let professor = '';
+    if (event.DESCRIPTION) {
+        const description = unescapeText(event.DESCRIPTION.value);
+        const line = description.split('\n').find(item => item.startsWith(PROFESSOR_PREFIX));
+        professor = line ? line.slice(PROFESSOR_PREFIX.length).trim() : '';
+    }
+    if (!professor && event.ORGANIZER && event.ORGANIZER.params.CN) {
+        professor = event.ORGANIZER.params.CN;
+    }
+
+    return weekdays.map(day => ({
+        class_name: unescapeText(event.SUMMARY.value).trim(),
+        day: day,
+        start_time: start.time,
+        end_time: end.time,
+        room: event.LOCATION ? unescapeText(event.LOCATION.value).trim() : '',
+        professor: professor,
+        weekly: rule.includes('FREQ=WEEKLY')
+    }));
+}
+
+/**
+ * Key identifying a class slot, used to spot duplicates
+ * @param {Object} row - Schedule row
+ * @returns {string} Key of name, weekday and times
+ */
+export function scheduleKey(row) {
+    return [
+        row.class_name.trim().toLowerCase(),
+        parseInt(row.day),
+        row.start_time.slice(0, 5),
+        row.end_time.slice(0, 5)
+    ].join('|');
+}
@@ -0,0 +1,98 @@
+/**
+ * MFA Module
+ * Two-factor sign-in with an authenticator app (TOTP) through supabase.auth.mfa,
+ * plus one-time recovery codes for when the authenticator is lost. Recovery
+ * codes are hashed the same way in supabase/functions/mfa-recovery.
+ */
+
+import { supabase } from './supabase.js';
+import * as mfaRepo from './repositories/mfa.js';
+
+export const RECOVERY_CODE_COUNT = 10;
+
+// Letters and digits that can't be mistaken for each other when copied by hand
+const RECOVERY_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const RECOVERY_CODE_LENGTH = 10;
+
+/**
+ * Get the student's verified authenticator, if they have one
+ * @returns {Promise<Object|null>} Factor, or null when 2FA is off
+ */
+export async function getTotpFactor() {
+    const { data, error } = await supabase.auth.mfa.listFactors();
+    if (error) throw error;
+
+    // `totp` only lists verified factors
+    return data.totp[0] || null;
+}
+
+/**
+ * Remove authenticators whose set-up was never finished
+ */
+export async function removeUnverifiedFactors() {
+    const { data, error } = await supabase.auth.mfa.listFactors();
+    if (error) throw error;
+
+    for (const factor of data.all.filter(factor => factor.status === 'unverified')) {
+        const { error: unenrollError } = await supabase.auth.mfa.unenroll({ factorId: factor.id });
+        if (unenrollError) throw unenrollError;
+    }
+}
+
+/**
+ * Check whether the session still needs its second factor
+ * @returns {Promise<boolean>} True after the password step when 2FA is on
+ */
+export async function isSecondFactorPending() {
+    const { data, error } = await supabase.auth.mfa.getAuthenticatorAssuranceLevel();
+    if (error) throw error;
+
+    return data.nextLevel === 'aal2' && data.currentLevel !== 'aal2';
+}
+
+/**
+ * Check an authenticator code, raising the session to the second factor
+ * @param {string} factorId - Factor ID
+ * @param {string} code - Six-digit code from the app
+ */
+export async function verifyTotpCode(factorId, code) {
+    const { error } = await supabase.auth.mfa.challengeAndVerify({
+        factorId,
+        code: code.replace(/\s/g, '')
+    });
+
+    if (error) throw new Error('That code is not valid. Check the time on your device and try again');
+}
+
+/**
+ * Hash a recovery code with SHA-256, ignoring case, spaces and dashes
+ * @param {string} code - Recovery code as typed
+ * @returns {Promise<string>} Hex encoded hash
+ */
+export async function hashRecoveryCode(code) {
+    const normalized = code.toUpperCase().replace(/[^A-Z0-9]/g, '');
+    const digest = await window.crypto.subtle.digest('SHA-256', new TextEncoder().encode(normalized));
+    return [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Create a random recovery code, grouped for reading (e.g. ABCDE-FGHJK)
+ * @returns {string} Recovery code
+ */
+function createRecoveryCode() {
+    const bytes = window.crypto.getRandomValues(new Uint8Array(RECOVERY_CODE_LENGTH));
+    const code = [...bytes].map(byte => RECOVERY_CODE_ALPHABET[byte % RECOVERY_CODE_ALPHABET.length]).join('');
+    return `${code.slice(0, RECOVERY_CODE_LENGTH / 2)}-${code.slice(RECOVERY_CODE_LENGTH / 2)}`;
+}
+
+/**
+ * Replace the student's recovery codes with a fresh set. Only the hashes are
+ * stored, so the codes returned here can't be shown again.
+ * @param {string} userId - User ID
+ * @returns {Promise<Array<string>>} New recovery codes
+ */
+export async function issueRecoveryCodes(userId) {
+    const codes = Array.from({ length: RECOVERY_CODE_COUNT }, createRecoveryCode);
+    await mfaRepo.replaceRecoveryCodes(userId, await Promise.all(codes.map(hashRecoveryCode)));
+    return codes;
+}
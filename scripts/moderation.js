@@ -0,0 +1,522 @@
+/**
+ * Moderation Module
+ * Review queue, reports, recategorising and removing archive files for
+ * moderators (their own faculty) and admins (every faculty), role assignment
+ * for admins, and the log of everything done here
+ */
+
+import { checkAuth, showModal, hideModal, escapeHtml } from './supabase.js';
+import * as studentsRepo from './repositories/students.js';
+import * as storageRepo from './repositories/storage.js';
+import * as moderationRepo from './repositories/moderation.js';
+import { removeArchiveFileForever } from './trash-bin.js';
+import { ROLE_LABELS, getRole, isModerator } from './roles.js';
+
+const MATERIAL_TYPES = {
+    lecture: 'Lecture',
+    exam: 'Exam',
+    assignment: 'Assignment',
+    notes: 'Notes',
+    solution: 'Solution'
+};
+
+const SEMESTERS = {
+    fall: 'Fall',
+    spring: 'Spring',
+    summer: 'Summer'
+};
+
+const REPORT_REASONS = {
+    wrong_course: 'Wrong course or year',
+    spam: 'Spam',
+    copyright: 'Copyright violation',
+    other: 'Something else'
+};
+
+const ACTION_LABELS = {
+    submit: 'submitted',
+    approve: 'approved',
+    reject: 'rejected',
+    delete: 'removed',
+    recategorize: 'recategorised',
+    dismiss_reports: 'dismissed reports on',
+    role_change: 'changed the role of'
+};
+
+let currentUser = null;
+let currentProfile = null;
+// Faculty a moderator looks after; null for admins, who see every faculty
+let scopeFaculty = null;
+let pendingFiles = [];
+let reportedFiles = [];
+let reportsByFile = new Map();
+let publishedFiles = [];
+let students = [];
+let categoryFile = null;
+
+document.addEventListener('DOMContentLoaded', async function() {
+    // Check authentication
+    currentUser = await checkAuth();
+    if (!currentUser) return;
+
+    try {
+        currentProfile = await studentsRepo.getStudent(currentUser.id);
+    } catch (error) {
+        console.error('Failed to load user profile:', error);
+    }
+
+    if (!isModerator(currentProfile)) {
+        window.location.href = 'home.html';
+        return;
+    }
+
+    scopeFaculty = getRole(currentProfile) === 'admin' ? null : currentProfile.faculty;
+    document.getElementById('moderation-scope').textContent = scopeFaculty
+        ? `You moderate the archive of ${scopeFaculty}.`
+        : 'As an admin you moderate the archive of every faculty.';
+
+    initModerationUI();
+    await loadModeration();
+});
+
+/**
+ * Format date to human readable format
+ * @param {string} dateString - ISO date string
+ * @returns {string} Formatted date
+ */
+function formatDate(dateString) {
+    return new Date(dateString).toLocaleDateString('en-US', {
+        year: 'numeric',
+        month: 'short',
+        day: 'numeric',
+        hour: '2-digit',
+        minute: '2-digit'
+    });
+}
+
+/**
+ * Normalize a course code for storage and comparison
+ * @param {string} code - Course code as typed
+ * @returns {string} Upper-case code without spaces
+ */
+function normalizeCourseCode(code) {
+    return code.trim().toUpperCase().replace(/\s+/g, '');
+}
+
+/**
+ * Set up the list actions, filters, role changes and the recategorise modal
+ */
+function initModerationUI() {
+    document.querySelector('.main-content').addEventListener('click', (e) => {
+        const button = e.target.closest('[data-moderation-action]');
+        if (button) {
+            handleFileAction(button.getAttribute('data-moderation-action'), button.getAttribute('data-id'));
+        }
+    });
+
+    document.getElementById('published-filter').addEventListener('input', renderPublished);
+    document.getElementById('roles-filter').addEventListener('input', renderRoles);
+    document.getElementById('roles-list').addEventListener('change', (e) => {
+        const select = e.target.closest('.role-select');
+        if (select) {
+            handleRoleChange(select);
+        }
+    });
+
+    document.getElementById('category-form').addEventListener('submit', handleCategorySubmit);
+    document.querySelectorAll('#category-modal .close-modal').forEach(button => {
+        button.addEventListener('click', () => hideModal('category-modal'));
+    });
+}
+
+/**
+ * Load every section of the page
+ */
+async function loadModeration() {
+    const isAdmin = getRole(currentProfile) === 'admin';
+    document.getElementById('roles-card').style.display = isAdmin ? 'block' : 'none';
+
+    await Promise.all([
+        loadPending(),
+        loadReported(),
+        loadPublished(),
+        isAdmin ? loadRoles() : Promise.resolve(),
+        loadLog()
+    ]);
+}
+
+/**
+ * Load the uploads waiting for review
+ */
+async function loadPending() {
+    const container = document.getElementById('pending-list');
+
+    try {
+        pendingFiles = await moderationRepo.listArchiveFilesByStatus('pending', scopeFaculty);
+
+        container.innerHTML = pendingFiles.length === 0
+            ? '<div class="empty-state">Nothing is waiting for review.</div>'
+            : pendingFiles.map(file => renderFileItem(file, `
+                <button type="button" class="btn btn-small" data-moderation-action="view" data-id="${file.id}">View</button>
+                <button type="button" class="btn btn-small btn-primary" data-moderation-action="approve" data-id="${file.id}">Approve</button>
+                <button type="button" class="btn btn-small btn-danger" data-moderation-action="reject" data-id="${file.id}">Reject</button>
+            `)).join('');
+    } catch (error) {
+        console.error('Failed to load pending uploads:', error);
+        container.innerHTML = '<div class="empty-state">Failed to load uploads. Please refresh the page.</div>';
+    }
+}
+
+/**
+ * Load flagged files with their open reports
+ */
+async function loadReported() {
+    const container = document.getElementById('reported-list');
+
+    try {
+        reportedFiles = await moderationRepo.listFlaggedArchiveFiles(scopeFaculty);
+        const reports = await moderationRepo.listOpenReports(reportedFiles.map(file => file.id));
+
+        reportsByFile = new Map();
+        reports.forEach(report => {
+            if (!reportsByFile.has(report.archive_id)) {
+                reportsByFile.set(report.archive_id, []);
+            }
+            reportsByFile.get(report.archive_id).push(report);
+        });
+
+        container.innerHTML = reportedFiles.length === 0
+            ? '<div class="empty-state">No files have been reported.</div>'
+            : reportedFiles.map(file => renderFileItem(file, `
+                <button type="button" class="btn btn-small" data-moderation-action="view" data-id="${file.id}">View</button>
+                <button type="button" class="btn btn-small" data-moderation-action="dismiss" data-id="${file.id}">Dismiss</button>
+                <button type="button" class="btn btn-small" data-moderation-action="recategorize" data-id="${file.id}">Recategorise</button>
+                <button type="button" class="btn btn-small btn-danger" data-moderation-action="remove" data-id="${file.id}">Remove</button>
+            `, renderReports(reportsByFile.get(file.id) || []))).join('');
+    } catch (error) {
+        console.error('Failed to load reports:', error);
+        container.innerHTML = '<div class="empty-state">Failed to load reports. Please refresh the page.</div>';
+    }
+}
+
+/**
+ * Load the published files that can be recategorised or removed
+ */
+async function loadPublished() {
+    try {
+        publishedFiles = await moderationRepo.listArchiveFilesByStatus('approved', scopeFaculty);
+        renderPublished();
+    } catch (error) {
+        console.error('Failed to load published files:', error);
+        document.getElementById('published-list').innerHTML = '<div class="empty-state">Failed to load files. Please refresh the page.</div>';
+    }
+}
+
+/**
+ * Render the published files matching the filter, newest first
+ */
+function renderPublished() {
+    const container = document.getElementById('published-list');
+    const filter = document.getElementById('published-filter').value.trim().toLowerCase();
+
+    const files = publishedFiles
+        .filter(file => !filter || [file.file_name, file.course_code, file.course_name]
+            .some(value => value && value.toLowerCase().includes(filter)))
+        .sort((a, b) => new Date(b.uploaded_at) - new Date(a.uploaded_at));
+
+    container.innerHTML = files.length === 0
+        ? '<div class="empty-state">No published files found.</div>'
+        : files.map(file => renderFileItem(file, `
+            <button type="button" class="btn btn-small" data-moderation-action="view" data-id="${file.id}">View</button>
+            <button type="button" class="btn btn-small" data-moderation-action="recategorize" data-id="${file.id}">Recategorise</button>
+            <button type="button" class="btn btn-small btn-danger" data-moderation-action="remove" data-id="${file.id}">Remove</button>
+        `)).join('');
+}
+
+/**
+ * Build a file row for one of the lists
+ * @param {Object} file - Archive row
+ * @param {string} actions - Action buttons HTML
+ * @param {string} [extra] - HTML shown under the details
+ * @returns {string} Row HTML
+ */
+function renderFileItem(file, actions, extra = '') {
+    const course = file.course_code
+        ? [
+            file.course_name ? `${file.course_code} – ${file.course_name}` : file.course_code,
+            MATERIAL_TYPES[file.material_type],
+            [SEMESTERS[file.semester], file.exam_year].filter(Boolean).join(' ')
+        ].filter(Boolean).join(' • ')
+        : 'No course';
+
+    return `
+        <div class="moderation-item">
+            <div class="moderation-item-details">
+                <div class="moderation-item-name">${escapeHtml(file.file_name)}</div>
+                <div class="moderation-item-meta">
+                    ${escapeHtml(file.user_name || 'Student')} • ${escapeHtml(file.faculty)} • Year ${file.academic_year} • ${formatDate(file.uploaded_at)}
+                </div>
+                <div class="moderation-item-meta">${escapeHtml(course)}</div>
+                ${extra}
+            </div>
+            <div class="moderation-item-actions">${actions}</div>
+        </div>
+    `;
+}
+
+/**
+ * Build the list of open reports on a file
+ * @param {Array} reports - Report rows
+ * @returns {string} Reports HTML
+ */
+function renderReports(reports) {
+    if (reports.length === 0) return '';
+
+    return `
+        <ul class="moderation-reports">
+            ${reports.map(report => `
+                <li>
+                    <strong>${REPORT_REASONS[report.reason] || escapeHtml(report.reason)}</strong>
+                    ${report.details ? ` – ${escapeHtml(report.details)}` : ''}
+                    <span class="moderation-item-meta">${formatDate(report.created_at)}</span>
+                </li>
+            `).join('')}
+        </ul>
+    `;
+}
+
+/**
+ * Find a file shown in any of the lists
+ * @param {string} fileId - Archive row ID
+ * @returns {Object|undefined} Archive row
+ */
+function findFile(fileId) {
+    return [...pendingFiles, ...reportedFiles, ...publishedFiles].find(file => file.id === fileId);
+}
+
+/**
+ * Run a list action on a file
+ * @param {string} action - 'view', 'approve', 'reject', 'dismiss', 'recategorize' or 'remove'
+ * @param {string} fileId - Archive row ID
+ */
+async function handleFileAction(action, fileId) {
+    const file = findFile(fileId);
+    if (!file) return;
+
+    if (action === 'view') {
+        openFile(file);
+        return;
+    }
+    if (action === 'recategorize') {
+        openCategoryModal(file);
+        return;
+    }
+
+    try {
+        if (action === 'approve') {
+            await moderationRepo.reviewArchiveFile(file.id, {
+                status: 'approved',
+                reviewed_by: currentUser.id,
+                review_reason: null
+            });
+        } else if (action === 'reject') {
+            const reason = prompt(`Why is "${file.file_name}" rejected? The uploader will see this.`);
+            if (reason === null) return;
+            if (!reason.trim()) {
+                alert('Please give a reason so the uploader knows what to change.');
+                return;
+            }
+
+            await moderationRepo.reviewArchiveFile(file.id, {
+                status: 'rejected',
+                reviewed_by: currentUser.id,
+                review_reason: reason.trim()
+            });
+        } else if (action === 'dismiss') {
+            await moderationRepo.closeReports(file.id, 'dismissed');
+        } else if (action === 'remove') {
+            const reason = prompt(`Remove "${file.file_name}" from the archive? This can't be undone.\n\nReason:`);
+            if (reason === null) return;
+
+            await removeArchiveFileForever(file, reason.trim() || null);
+        }
+
+        await loadModeration();
+    } catch (error) {
+        console.error(`Moderation action "${action}" failed:`, error);
+        alert(`Failed to update the file: ${error.message}`);
+    }
+}
+
+/**
+ * Open a file in a new tab through a signed URL
+ * @param {Object} file - Archive row
+ */
+async function openFile(file) {
+    // Open the tab before the await so it counts as a response to the click
+    const tab = window.open('', '_blank');
+
+    try {
+        const url = await storageRepo.createSignedUrl(file.file_path);
+        if (tab) {
+            tab.opener = null;
+            tab.location.href = url;
+        }
+    } catch (error) {
+        console.error('Failed to open file:', error);
+        if (tab) tab.close();
+        alert('Failed to open file. Please try again.');
+    }
+}
+
+/**
+ * Show the recategorise form filled in with a file's current details
+ * @param {Object} file - Archive row
+ */
+function openCategoryModal(file) {
+    categoryFile = file;
+
+    document.getElementById('category-file-name').textContent = `Recategorise ${file.file_name}`;
+    document.getElementById('category-year').value = String(file.academic_year);
+    document.getElementById('category-course-code').value = file.course_code || '';
+    document.getElementById('category-course-name').value = file.course_name || '';
+    document.getElementById('category-material-type').value = file.material_type || 'lecture';
+    document.getElementById('category-semester').value = file.semester || '';
+    document.getElementById('category-exam-year').value = file.exam_year || '';
+
+    showModal('category-modal');
+}
+
+/**
+ * Save a file's new year and course details; reports on it count as resolved
+ * @param {Event} event - Submit event
+ */
+async function handleCategorySubmit(event) {
+    event.preventDefault();
+    if (!categoryFile) return;
+
+    const codeInput = document.getElementById('category-course-code');
+    codeInput.value = normalizeCourseCode(codeInput.value);
+    codeInput.setCustomValidity(/^[A-Z0-9-]*$/.test(codeInput.value) ? '' : 'Use only letters, digits and dashes.');
+    if (!event.target.reportValidity()) return;
+
+    const examYear = document.getElementById('category-exam-year').value;
+    const changes = {
+        academic_year: parseInt(document.getElementById('category-year').value),
+        course_code: codeInput.value,
+        course_name: document.getElementById('category-course-name').value.trim(),
+        material_type: document.getElementById('category-material-type').value,
+        semester: document.getElementById('category-semester').value || null,
+        exam_year: examYear ? parseInt(examYear) : null
+    };
+
+    try {
+        await moderationRepo.updateArchiveCategory(categoryFile.id, changes);
+        if (categoryFile.flagged_at) {
+            await moderationRepo.closeReports(categoryFile.id, 'resolved');
+        }
+
+        hideModal('category-modal');
+        categoryFile = null;
+        await loadModeration();
+    } catch (error) {
+        console.error('Failed to recategorise file:', error);
+        alert(`Failed to recategorise the file: ${error.message}`);
+    }
+}
+
+/**
+ * Load every student for the admin's role list
+ */
+async function loadRoles() {
+    try {
+        students = await moderationRepo.listStudents();
+        renderRoles();
+    } catch (error) {
+        console.error('Failed to load students:', error);
+        document.getElementById('roles-list').innerHTML = '<div class="empty-state">Failed to load students. Please refresh the page.</div>';
+    }
+}
+
+/**
+ * Render the students matching the filter with a role picker each
+ */
+function renderRoles() {
+    const container = document.getElementById('roles-list');
+    const filter = document.getElementById('roles-filter').value.trim().toLowerCase();
+
+    const matching = students.filter(student => !filter || [student.full_name, student.faculty]
+        .some(value => value && value.toLowerCase().includes(filter)));
+
+    container.innerHTML = matching.length === 0
+        ? '<div class="empty-state">No students found.</div>'
+        : matching.map(student => `
+            <div class="moderation-item">
+                <div class="moderation-item-details">
+                    <div class="moderation-item-name">${escapeHtml(student.full_name || 'Unnamed student')}</div>
+                    <div class="moderation-item-meta">${escapeHtml(student.faculty || 'No faculty')} • Year ${student.academic_year || '–'}</div>
+                </div>
+                <select class="role-select" data-user-id="${student.user_id}" aria-label="Role"
+                    ${student.user_id === currentUser.id ? 'disabled title="You can\'t change your own role"' : ''}>
+                    ${Object.entries(ROLE_LABELS).map(([role, label]) => `
+                        <option value="${role}" ${getRole(student) === role ? 'selected' : ''}>${label}</option>
+                    `).join('')}
+                </select>
+            </div>
+        `).join('');
+}
+
+/**
+ * Save a student's new role
+ * @param {HTMLSelectElement} select - Role picker that changed
+ */
+async function handleRoleChange(select) {
+    const student = students.find(row => row.user_id === select.getAttribute('data-user-id'));
+    if (!student) return;
+
+    const previousRole = getRole(student);
+    const role = select.value;
+
+    try {
+        await studentsRepo.updateStudent(student.user_id, { role });
+        student.role = role;
+        await loadLog();
+    } catch (error) {
+        console.error('Failed to change role:', error);
+        select.value = previousRole;
+        alert(`Failed to change the role: ${error.message}`);
+    }
+}
+
+/**
+ * Load the latest actions for the faculty in scope
+ */
+async function loadLog() {
+    const container = document.getElementById('moderation-log');
+
+    try {
+        const entries = await moderationRepo.listModerationLog(scopeFaculty);
+
+        container.innerHTML = entries.length === 0
+            ? '<div class="empty-state">Nothing has happened yet.</div>'
+            : entries.map(entry => {
+                const target = entry.action === 'role_change'
+                    ? `${entry.details?.name || 'a student'} (${ROLE_LABELS[entry.details?.from] || '?'} → ${ROLE_LABELS[entry.details?.to] || '?'})`
+                    : entry.file_name || 'a file';
+
+                return `
+                    <div class="moderation-log-entry">
+                        <span class="moderation-item-meta">${formatDate(entry.created_at)}</span>
+                        <span>
+                            <strong>${escapeHtml(entry.actor_name || 'Someone')}</strong>
+                            ${ACTION_LABELS[entry.action] || escapeHtml(entry.action)}
+                            ${escapeHtml(target)}${entry.reason ? `: ${escapeHtml(entry.reason)}` : ''}
+                        </span>
+                    </div>
+                `;
+            }).join('');
+    } catch (error) {
+        console.error('Failed to load moderation log:', error);
+        container.innerHTML = '<div class="empty-state">Failed to load activity. Please refresh the page.</div>';
+    }
+}
@@ -0,0 +1,166 @@
+/**
+ * Occurrences Module
+ * Expands weekly classes into dated occurrences inside a semester, skipping
+ * holiday and exam-period blackouts and applying per-occurrence exceptions
+ * (cancelled or moved). Dates are local YYYY-MM-DD strings.
+ */
+
+import { parseDate, toDateString } from './recurrence.js';
+
+/**
+ * Add days to a YYYY-MM-DD date
+ * @param {string} date - Date string
+ * @param {number} days - Days to add (may be negative)
+ * @returns {string} Date string
+ */
+export function addDays(date, days) {
+    const result = parseDate(date);
+    result.setDate(result.getDate() + days);
+    return toDateString(result);
+}
+
+/**
+ * Find the blackout range (holiday or exam period) covering a date
+ * @param {Object|null} semester - Semester row
+ * @param {string} date - Date string
+ * @returns {Object|null} Blackout ({ label, type, start_date, end_date }) or null
+ */
+export function findBlackout(semester, date) {
+    if (!semester) return null;
+    return (semester.blackouts || []).find(range => range.start_date <= date && date <= range.end_date) || null;
+}
+
+/**
+ * Pick the semester to show by default: the one running today, otherwise the
+ * next one to start, otherwise the most recent one
+ * @param {Array} semesters - Semester rows
+ * @param {string} [today] - Date string for "today"
+ * @returns {Object|null} Semester row
+ */
+export function findCurrentSemester(semesters, today = toDateString(new Date())) {
+    if (semesters.length === 0) return null;
+
+    const sorted = [...semesters].sort((a, b) => a.start_date.localeCompare(b.start_date));
+    return sorted.find(semester => semester.start_date <= today && today <= semester.end_date)
+        || sorted.find(semester => semester.start_date > today)
+        || sorted[sorted.length - 1];
+}
+
+/**
+ * Expand weekly classes into the occurrences that fall within a date range
+ * @param {Object} options - Expansion options
+ * @param {Array} options.schedules - Schedule rows (day, start_time, end_time, semester_id)
+ * @param {Object|null} options.semester - Semester bounding the series; null for no bounds
+ * @param {Array} options.exceptions - Exception rows for these schedules
+ * @param {string} options.rangeStart - First date to include
+ * @param {string} options.rangeEnd - First date to exclude
+ * @returns {Array} Occurrences as { schedule, date, originalDate, startTime, endTime, status, exception }
+ */
+export function expandClassOccurrences({ schedules, semester, exceptions, rangeStart, rangeEnd }) {
+    // Classes from other semesters are hidden; classes without one follow the selected semester
+    const series = schedules.filter(schedule => !semester || !schedule.semester_id || schedule.semester_id === semester.id);
+    const seriesIds = new Set(series.map(schedule => String(schedule.id)));
+    const exceptionFor = (scheduleId, date) => exceptions.find(exception =>
+        String(exception.schedule_id) === String(scheduleId) && exception.occurrence_date === date
+    );
+
+    let from = rangeStart;
+    let to = rangeEnd;
+    if (semester) {
+        if (semester.start_date > from) from = semester.start_date;
+        if (addDays(semester.end_date, 1) < to) to = addDays(semester.end_date, 1);
+    }
+
+    const occurrences = [];
+
+    for (let date = from; date < to; date = addDays(date, 1)) {
+        if (findBlackout(semester, date)) continue;
+
+        const weekday = parseDate(date).getDay();
+        series.filter(schedule => parseInt(schedule.day) === weekday).forEach(schedule => {
+            const exception = exceptionFor(schedule.id, date);
+
+            // Moved occurrences are placed at their new date below
+            if (exception && exception.type === 'moved') return;
+
+            occurrences.push({
+                schedule,
+                date,
+                originalDate: date,
+                startTime: schedule.start_time,
+                endTime: schedule.end_time,
+                status: exception ? 'cancelled' : 'scheduled',
+                exception: exception || null
+            });
+        });
+    }
+
+    exceptions
+        .filter(exception => exception.type === 'moved' && seriesIds.has(String(exception.schedule_id)))
+        .filter(exception => rangeStart <= exception.new_date && exception.new_date < rangeEnd)
+        .forEach(exception => {
+            const schedule = series.find(item => String(item.id) === String(exception.schedule_id));
+            occurrences.push({
+                schedule,
+                date: exception.new_date,
+                originalDate: exception.occurrence_date,
+                startTime: exception.new_start_time || schedule.start_time,
+                endTime: exception.new_end_time || schedule.end_time,
+                status: 'moved',
+                exception
+            });
+        });
+
+    return occurrences;
+}
+
+/**
+ * Check whether two time ranges on the same day overlap. Touching ranges
+ * (one ends when the other starts) don't count.
+ * @param {string} startA - Start of the first range (HH:MM or HH:MM:SS)
+ * @param {string} endA - End of the first range
+ * @param {string} startB - Start of the second range
+ * @param {string} endB - End of the second range
+ * @returns {boolean} True if the ranges overlap
+ */
+export function timesOverlap(startA, endA, startB, endB) {
+    return startA.slice(0, 5) < endB.slice(0, 5) && startB.slice(0, 5) < endA.slice(0, 5);
+}
+
+/**
+ * Find the weekly classes a class would overlap with. Classes in different
+ * semesters never meet; classes without a semester meet every semester.
+ * @param {Object} candidate - Class being saved (id, day, start_time, end_time, semester_id)
+ * @param {Array} schedules - Existing schedule rows
+ * @returns {Array} Overlapping schedule rows
+ */
+export function findScheduleConflicts(candidate, schedules) {
+    return schedules.filter(schedule =>
+        String(schedule.id) !== String(candidate.id) &&
+        parseInt(schedule.day) === parseInt(candidate.day) &&
+        (!schedule.semester_id || !candidate.semester_id || schedule.semester_id === candidate.semester_id) &&
+        timesOverlap(candidate.start_time, candidate.end_time, schedule.start_time, schedule.end_time)
+    );
+}
+
+/**
+ * Find the occurrences that overlap another occurrence on the same date
+ * @param {Array} occurrences - Occurrences from expandClassOccurrences
+ * @returns {Set} Keys (`${scheduleId}:${originalDate}`) of conflicting occurrences
+ */
+export function findOccurrenceConflicts(occurrences) {
+    const active = occurrences.filter(occurrence => occurrence.status !== 'cancelled');
+    const conflicts = new Set();
+
+    active.forEach((occurrence, index) => {
+        active.slice(index + 1).forEach(other => {
+            if (other.date === occurrence.date &&
+                timesOverlap(occurrence.startTime, occurrence.endTime, other.startTime, other.endTime)) {
+                conflicts.add(`${occurrence.schedule.id}:${occurrence.originalDate}`);
+                conflicts.add(`${other.schedule.id}:${other.originalDate}`);
+            }
+        });
+    });
+
+    return conflicts;
+}
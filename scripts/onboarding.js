@@ -0,0 +1,69 @@
+/**
+ * Onboarding Module
+ * Asks for the profile details the archive depends on before it can be used,
+ * then returns to the page that sent the student here
+ */
+
+import { checkAuth, showError } from './supabase.js';
+import * as studentsRepo from './repositories/students.js';
+import { ensureStudentProfile, isKnownFaculty, isProfileComplete, populateFacultySelect } from './profile.js';
+import { getNextPage } from './routes.js';
+
+let currentUser = null;
+
+document.addEventListener('DOMContentLoaded', async function() {
+    // Check authentication
+    currentUser = await checkAuth();
+    if (!currentUser) return;
+
+    try {
+        const profile = await ensureStudentProfile(currentUser);
+        if (isProfileComplete(profile)) {
+            window.location.href = getNextPage();
+            return;
+        }
+
+        document.getElementById('onboarding-fullname').value = profile.full_name || '';
+        populateFacultySelect(document.getElementById('onboarding-faculty'), profile.faculty);
+        document.getElementById('onboarding-year').value = profile.academic_year ? String(profile.academic_year) : '';
+    } catch (error) {
+        console.error('Failed to load profile:', error);
+        populateFacultySelect(document.getElementById('onboarding-faculty'));
+        showError('onboarding-error', `Failed to load your profile: ${error.message}`);
+    }
+
+    document.getElementById('onboarding-form').addEventListener('submit', handleOnboardingSubmit);
+});
+
+/**
+ * Save the profile and continue
+ * @param {Event} event - Submit event
+ */
+async function handleOnboardingSubmit(event) {
+    event.preventDefault();
+
+    const fullName = document.getElementById('onboarding-fullname').value.trim();
+    const faculty = document.getElementById('onboarding-faculty').value;
+    const academicYear = parseInt(document.getElementById('onboarding-year').value);
+
+    if (!fullName || !isKnownFaculty(faculty) || !academicYear) {
+        showError('onboarding-error', 'Please fill in your name, faculty and year.');
+        return;
+    }
+
+    const button = event.target.querySelector('button[type="submit"]');
+    button.disabled = true;
+
+    try {
+        await studentsRepo.updateStudent(currentUser.id, {
+            full_name: fullName,
+            faculty: faculty,
+            academic_year: academicYear
+        });
+        window.location.href = getNextPage();
+    } catch (error) {
+        console.error('Failed to save profile:', error);
+        showError('onboarding-error', `Failed to save your profile: ${error.message}`);
+        button.disabled = false;
+    }
+}
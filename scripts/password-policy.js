@@ -0,0 +1,197 @@
+/**
+ * Password Policy Module
+ * Checks new passwords against config.passwords: length, character classes,
+ * the account's email, and lists of common and breached passwords. Also drives
+ * the strength meter under new password fields.
+ */
+
+import { config } from './config.js';
+import { COMMON_PASSWORDS } from './common-passwords.js';
+
+const STRENGTH_LABELS = ['Very weak', 'Weak', 'Fair', 'Good', 'Strong'];
+const MAX_STRENGTH = STRENGTH_LABELS.length - 1;
+
+// Shorter pieces of an email address turn up in passwords by chance
+const MIN_EMAIL_PART_LENGTH = 3;
+
+// Breached-password lookups send only this many characters of the SHA-1 hash
+const RANGE_PREFIX_LENGTH = 5;
+
+/**
+ * Check whether a password contains the email address or part of its name
+ * @param {string} password - Password to check
+ * @param {string} email - Account email
+ * @returns {boolean} True if any part of the email appears in the password
+ */
+function containsEmail(password, email) {
+    if (!email) return false;
+
+    const lowerPassword = password.toLowerCase();
+    const lowerEmail = email.trim().toLowerCase();
+    const localPart = lowerEmail.split('@')[0];
+    const parts = [lowerEmail, localPart, ...localPart.split(/[._+-]/)];
+
+    return parts.some(part => part.length >= MIN_EMAIL_PART_LENGTH && lowerPassword.includes(part));
+}
+
+/**
+ * Check a password against the bundled list, also without trailing digits and
+ * symbols, so "Password123!" counts as "password"
+ * @param {string} password - Password to check
+ * @returns {boolean} True if it is a common password
+ */
+function isCommonPassword(password) {
+    const lower = password.toLowerCase();
+    return COMMON_PASSWORDS.has(lower) || COMMON_PASSWORDS.has(lower.replace(/[^a-z]+$/, ''));
+}
+
+/**
+ * Count the kinds of characters a password uses
+ * @param {string} password - Password to check
+ * @returns {number} 0-4: lowercase, uppercase, digits, symbols
+ */
+function countCharacterClasses(password) {
+    return [/[a-z]/, /[A-Z]/, /[0-9]/, /[^A-Za-z0-9]/].filter(pattern => pattern.test(password)).length;
+}
+
+/**
+ * List the password rules in force and whether a password meets each
+ * @param {string} password - Password to check
+ * @param {string} [email] - Account email
+ * @returns {Array<Object>} { label, met } per rule
+ */
+export function getPasswordRules(password, email = '') {
+    const policy = config.passwords;
+
+    return [
+        { label: `At least ${policy.minLength} characters`, met: password.length >= policy.minLength },
+        policy.requireLowercase && { label: 'A lowercase letter', met: /[a-z]/.test(password) },
+        policy.requireUppercase && { label: 'An uppercase letter', met: /[A-Z]/.test(password) },
+        policy.requireNumber && { label: 'A number', met: /[0-9]/.test(password) },
+        policy.requireSymbol && { label: 'A symbol', met: /[^A-Za-z0-9]/.test(password) },
+        policy.forbidEmail && { label: 'Nothing from your email address', met: !containsEmail(password, email) },
+        { label: 'Not a commonly used password', met: password.length > 0 && !isCommonPassword(password) }
+    ].filter(Boolean);
+}
+
+/**
+ * Rate a password for the strength meter
+ * @param {string} password - Password to rate
+ * @param {string} [email] - Account email
+ * @returns {Object} { score: 0-4, label }
+ */
+export function estimatePasswordStrength(password, email = '') {
+    const rulesMet = getPasswordRules(password, email).every(rule => rule.met);
+    const classes = countCharacterClasses(password);
+
+    let score = 0;
+    if (password.length >= config.passwords.minLength) score++;
+    if (password.length >= config.passwords.minLength + 4) score++;
+    if (classes >= 3) score++;
+    if (classes === 4 || password.length >= 20) score++;
+
+    // Passwords the policy refuses are never better than weak
+    if (!rulesMet) score = Math.min(score, 1);
+
+    return { score, label: STRENGTH_LABELS[score] };
+}
+
+/**
+ * Hash a password with SHA-1 for the breached-password lookup
+ * @param {string} password - Password to hash
+ * @returns {Promise<string>} Upper-case hex digest
+ */
+async function sha1Hex(password) {
+    const digest = await window.crypto.subtle.digest('SHA-1', new TextEncoder().encode(password));
+    return [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, '0')).join('').toUpperCase();
+}
+
+/**
+ * Look a password up in the configured breach range service (k-anonymity:
+ * only a short hash prefix leaves the browser)
+ * @param {string} password - Password to check
+ * @returns {Promise<boolean>} True if it has appeared in a breach; false when lookups are off
+ */
+export async function isBreachedPassword(password) {
+    const rangeUrl = config.passwords.breachedRangeUrl;
+    if (!rangeUrl) return false;
+
+    const hash = await sha1Hex(password);
+    const prefix = hash.slice(0, RANGE_PREFIX_LENGTH);
+    const suffix = hash.slice(RANGE_PREFIX_LENGTH);
+
+    // Padding hides how many suffixes the prefix really has
+    const response = await fetch(`${rangeUrl}${prefix}`, { headers: { 'Add-Padding': 'true' } });
+    if (!response.ok) {
+        throw new Error(`Breached password lookup failed with status ${response.status}`);
+    }
+
+    const text = await response.text();
+    return text.split('\n').some(line => {
+        const [lineSuffix, count] = line.trim().split(':');
+        return lineSuffix === suffix && parseInt(count) > 0;
+    });
+}
+
+/**
+ * Make sure a new password may be used
+ * @param {string} password - New password
+ * @param {string} [email] - Account email
+ * @throws {Error} Explaining which rules it breaks
+ */
+export async function validateNewPassword(password, email = '') {
+    const unmet = getPasswordRules(password, email).filter(rule => !rule.met);
+    if (unmet.length > 0) {
+        throw new Error(`Password needs: ${unmet.map(rule => rule.label.toLowerCase()).join(', ')}`);
+    }
+
+    let breached = false;
+    try {
+        breached = await isBreachedPassword(password);
+    } catch (error) {
+        // The bundled list has already been checked, so an unreachable service doesn't block sign-up
+        console.error('Breached password lookup error:', error);
+    }
+
+    if (breached) {
+        throw new Error('This password has appeared in a data breach. Please choose a different one');
+    }
+}
+
+/**
+ * Show a live strength meter and rule checklist for a new password field
+ * @param {HTMLInputElement} input - New password field
+ * @param {HTMLElement} meter - Empty element to render the meter into
+ * @param {Function} [getEmail] - Returns the account email to check against
+ */
+export function attachStrengthMeter(input, meter, getEmail = () => '') {
+    meter.innerHTML = `
+        <div class="password-strength-bar"><span></span></div>
+        <div class="password-strength-label"></div>
+        <ul class="password-rules"></ul>
+    `;
+
+    const render = () => {
+        const password = input.value;
+        meter.hidden = password.length === 0;
+        if (meter.hidden) return;
+
+        const email = getEmail();
+        const { score, label } = estimatePasswordStrength(password, email);
+        meter.setAttribute('data-score', score);
+        meter.querySelector('.password-strength-bar span').style.width = `${Math.max(score, 0.25) / MAX_STRENGTH * 100}%`;
+        meter.querySelector('.password-strength-label').textContent = `Strength: ${label}`;
+
+        const list = meter.querySelector('.password-rules');
+        list.innerHTML = '';
+        getPasswordRules(password, email).forEach(rule => {
+            const item = document.createElement('li');
+            item.className = rule.met ? 'met' : '';
+            item.textContent = rule.label;
+            list.appendChild(item);
+        });
+    };
+
+    input.addEventListener('input', render);
+    render();
+}
@@ -0,0 +1,313 @@
+/**
+ * Preview Module
+ * Shared file preview used by the files and archive pages. Renders images,
+ * PDFs, text, markdown and source code (highlighted), audio and video,
+ * CSV/XLSX tables and DOCX/PPTX documents, all in the browser.
+ */
+
+import {
+    getExtension,
+    loadHighlightJs,
+    loadJSZip,
+    loadMarkdownRenderer,
+    loadSheetJs
+} from './documents.js';
+import { escapeHtml } from './supabase.js';
+
+// Files above this size are only offered as a download
+const MAX_PREVIEW_BYTES = 10 * 1024 * 1024;
+
+// Rows shown per sheet so large spreadsheets stay responsive
+const MAX_TABLE_ROWS = 500;
+
+const IMAGE_EXTENSIONS = ['jpg', 'jpeg', 'png', 'gif', 'svg', 'webp'];
+const AUDIO_EXTENSIONS = ['mp3', 'wav', 'ogg', 'm4a', 'flac'];
+const VIDEO_EXTENSIONS = ['mp4', 'webm', 'mov', 'ogv'];
+const TEXT_EXTENSIONS = ['txt', 'log'];
+const MARKDOWN_EXTENSIONS = ['md', 'markdown'];
+const TABLE_EXTENSIONS = ['csv', 'xlsx', 'xls', 'ods'];
+
+// Extension to highlight.js language
+const CODE_LANGUAGES = {
+    js: 'javascript', mjs: 'javascript', ts: 'typescript', jsx: 'javascript', tsx: 'typescript',
+    py: 'python', java: 'java', c: 'c', h: 'c', cpp: 'cpp', hpp: 'cpp', cs: 'csharp',
+    go: 'go', rs: 'rust', rb: 'ruby', php: 'php', kt: 'kotlin', swift: 'swift',
+    html: 'xml', xml: 'xml', css: 'css', scss: 'scss', json: 'json', yml: 'yaml', yaml: 'yaml',
+    sql: 'sql', sh: 'bash', r: 'r', m: 'matlab', tex: 'latex'
+};
+
+/**
+ * Check whether a file type has an in-browser preview
+ * @param {string} fileName - File name
+ * @returns {boolean} True if renderFilePreview can show it
+ */
+export function canPreview(fileName) {
+    const ext = getExtension(fileName);
+    return [
+        ...IMAGE_EXTENSIONS, 'pdf', ...AUDIO_EXTENSIONS, ...VIDEO_EXTENSIONS, ...TEXT_EXTENSIONS,
+        ...MARKDOWN_EXTENSIONS, ...TABLE_EXTENSIONS, 'docx', 'pptx'
+    ].includes(ext) || Object.hasOwn(CODE_LANGUAGES, ext);
+}
+
+/**
+ * Render a preview of a stored file into a container
+ * @param {HTMLElement} container - Preview container
+ * @param {Object} file - File to preview
+ * @param {string} file.url - URL the file can be fetched from
+ * @param {string} file.fileName - File name, used to pick the renderer
+ * @param {number} [file.fileSize] - Size in bytes, if known
+ */
+export async function renderFilePreview(container, { url, fileName, fileSize }) {
+    const ext = getExtension(fileName);
+    container.className = 'file-preview-container';
+    container.innerHTML = '<div class="loading">Loading preview...</div>';
+
+    if (!canPreview(fileName)) {
+        container.innerHTML = '<div class="no-preview">No preview available for this file type. Click the Download button to view the file.</div>';
+        return;
+    }
+
+    // Images, PDFs and media stream from the URL; everything else is fetched whole
+    const streamed = IMAGE_EXTENSIONS.includes(ext) || ext === 'pdf' ||
+        AUDIO_EXTENSIONS.includes(ext) || VIDEO_EXTENSIONS.includes(ext);
+    if (!streamed && fileSize > MAX_PREVIEW_BYTES) {
+        container.innerHTML = '<div class="no-preview">This file is too large to preview. Click the Download button to view the file.</div>';
+        return;
+    }
+
+    try {
+        if (IMAGE_EXTENSIONS.includes(ext)) {
+            container.innerHTML = `<img src="${escapeHtml(url)}" alt="${escapeHtml(fileName)}">`;
+        } else if (ext === 'pdf') {
+            container.innerHTML = `<iframe src="${escapeHtml(url)}" width="100%" height="500px"></iframe>`;
+        } else if (AUDIO_EXTENSIONS.includes(ext)) {
+            container.innerHTML = `<audio controls preload="metadata" src="${escapeHtml(url)}"></audio>`;
+        } else if (VIDEO_EXTENSIONS.includes(ext)) {
+            container.innerHTML = `<video controls preload="metadata" src="${escapeHtml(url)}"></video>`;
+        } else {
+            const response = await fetch(url);
+            if (!response.ok) throw new Error(`Download failed with status ${response.status}`);
+
+            container.classList.add('document-preview');
+            if (TEXT_EXTENSIONS.includes(ext)) {
+                container.innerHTML = `<pre class="text-preview">${escapeHtml(await response.text())}</pre>`;
+            } else if (MARKDOWN_EXTENSIONS.includes(ext)) {
+                const renderMarkdown = await loadMarkdownRenderer();
+                container.innerHTML = `<div class="markdown-preview">${renderMarkdown(await response.text())}</div>`;
+            } else if (Object.hasOwn(CODE_LANGUAGES, ext)) {
+                await renderCode(container, await response.text(), CODE_LANGUAGES[ext]);
+            } else if (TABLE_EXTENSIONS.includes(ext)) {
+                await renderSpreadsheet(container, await response.arrayBuffer());
+            } else if (ext === 'docx') {
+                await renderDocx(container, await response.arrayBuffer());
+            } else if (ext === 'pptx') {
+                await renderPptx(container, await response.arrayBuffer());
+            }
+        }
+    } catch (error) {
+        console.error('Failed to generate preview:', error);
+        container.className = 'file-preview-container';
+        container.innerHTML = '<div class="error">Failed to load preview. Please try downloading the file instead.</div>';
+    }
+}
+
+/**
+ * Render highlighted source code
+ * @param {HTMLElement} container - Preview container
+ * @param {string} code - Source text
+ * @param {string} language - highlight.js language name
+ */
+async function renderCode(container, code, language) {
+    const hljs = await loadHighlightJs();
+    const highlighted = hljs.getLanguage(language)
+        ? hljs.highlight(code, { language }).value
+        : hljs.highlightAuto(code).value;
+
+    container.innerHTML = `<pre class="code-preview"><code class="hljs">${highlighted}</code></pre>`;
+}
+
+/**
+ * Render every sheet of a CSV or spreadsheet as a table, with tabs between sheets
+ * @param {HTMLElement} container - Preview container
+ * @param {ArrayBuffer} data - File bytes
+ */
+async function renderSpreadsheet(container, data) {
+    const XLSX = await loadSheetJs();
+    const workbook = XLSX.read(data, { type: 'array' });
+
+    const sheets = workbook.SheetNames.map((name, index) => {
+        const rows = XLSX.utils.sheet_to_json(workbook.Sheets[name], { header: 1, defval: '' });
+        const shown = rows.slice(0, MAX_TABLE_ROWS);
+        const [header = [], ...body] = shown;
+
+        return `
+            <div class="sheet" data-sheet="${index}" ${index > 0 ? 'hidden' : ''}>
+                <table class="table-preview">
+                    <thead><tr>${header.map(cell => `<th>${escapeHtml(cell)}</th>`).join('')}</tr></thead>
+                    <tbody>${body.map(row => `<tr>${row.map(cell => `<td>${escapeHtml(cell)}</td>`).join('')}</tr>`).join('')}</tbody>
+                </table>
+                ${rows.length > MAX_TABLE_ROWS ? `<p class="preview-note">Showing the first ${MAX_TABLE_ROWS} of ${rows.length} rows.</p>` : ''}
+            </div>
+        `;
+    });
+
+    const tabs = workbook.SheetNames.length > 1
+        ? `<div class="sheet-tabs">${workbook.SheetNames.map((name, index) =>
+            `<button type="button" class="sheet-tab ${index === 0 ? 'active' : ''}" data-sheet="${index}">${escapeHtml(name)}</button>`
+        ).join('')}</div>`
+        : '';
+
+    container.innerHTML = `${tabs}<div class="table-preview-wrapper">${sheets.join('')}</div>`;
+
+    container.querySelectorAll('.sheet-tab').forEach(tab => {
+        tab.addEventListener('click', () => {
+            container.querySelectorAll('.sheet-tab').forEach(item => item.classList.toggle('active', item === tab));
+            container.querySelectorAll('.sheet').forEach(sheet => {
+                sheet.hidden = sheet.dataset.sheet !== tab.dataset.sheet;
+            });
+        });
+    });
+}
+
+/**
+ * Read the XML parts of an Office Open XML file
+ * @param {ArrayBuffer} data - File bytes
+ * @returns {Promise<Object>} JSZip archive
+ */
+async function openOfficeFile(data) {
+    const JSZip = await loadJSZip();
+    return JSZip.loadAsync(data);
+}
+
+/**
+ * Parse an XML part of an Office file
+ * @param {Object} zip - JSZip archive
+ * @param {string} path - Part path
+ * @returns {Promise<Document|null>} XML document, or null if the part is missing
+ */
+async function readXmlPart(zip, path) {
+    const part = zip.file(path);
+    if (!part) return null;
+    return new DOMParser().parseFromString(await part.async('string'), 'application/xml');
+}
+
+/**
+ * Render the runs of a Word paragraph with bold, italic and underline
+ * @param {Element} paragraph - w:p element
+ * @returns {string} HTML
+ */
+function renderDocxRuns(paragraph) {
+    return [...paragraph.getElementsByTagName('w:r')].map(run => {
+        const text = [...run.childNodes].map(node => {
+            if (node.nodeName === 'w:t') return escapeHtml(node.textContent);
+            if (node.nodeName === 'w:tab') return '&emsp;';
+            if (node.nodeName === 'w:br') return '<br>';
+            return '';
+        }).join('');
+        if (!text) return '';
+
+        const props = run.getElementsByTagName('w:rPr')[0];
+        const has = tag => props && props.getElementsByTagName(tag).length > 0;
+        let html = text;
+        if (has('w:b')) html = `<strong>${html}</strong>`;
+        if (has('w:i')) html = `<em>${html}</em>`;
+        if (has('w:u')) html = `<u>${html}</u>`;
+        return html;
+    }).join('');
+}
+
+/**
+ * Render a Word paragraph, using its heading or list style when it has one
+ * @param {Element} paragraph - w:p element
+ * @returns {string} HTML
+ */
+function renderDocxParagraph(paragraph) {
+    const content = renderDocxRuns(paragraph) || '&nbsp;';
+    const style = paragraph.getElementsByTagName('w:pStyle')[0];
+    const styleName = style ? style.getAttribute('w:val') || '' : '';
+    const heading = /^(?:Heading|Title)(\d?)$/i.exec(styleName);
+
+    if (heading) {
+        const level = Math.min(parseInt(heading[1] || '1'), 6);
+        return `<h${level}>${content}</h${level}>`;
+    }
+    if (paragraph.getElementsByTagName('w:numPr').length > 0) {
+        return `<p class="docx-list-item">• ${content}</p>`;
+    }
+    return `<p>${content}</p>`;
+}
+
+/**
+ * Render a DOCX document's paragraphs and tables
+ * @param {HTMLElement} container - Preview container
+ * @param {ArrayBuffer} data - File bytes
+ */
+async function renderDocx(container, data) {
+    const zip = await openOfficeFile(data);
+    const xml = await readXmlPart(zip, 'word/document.xml');
+    if (!xml) throw new Error('Not a Word document');
+
+    const body = xml.getElementsByTagName('w:body')[0];
+    const html = [...body.childNodes].map(node => {
+        if (node.nodeName === 'w:p') return renderDocxParagraph(node);
+        if (node.nodeName === 'w:tbl') {
+            const rows = [...node.getElementsByTagName('w:tr')].map(row =>
+                `<tr>${[...row.getElementsByTagName('w:tc')].map(cell =>
+                    `<td>${[...cell.getElementsByTagName('w:p')].map(renderDocxRuns).join('<br>')}</td>`
+                ).join('')}</tr>`
+            );
+            return `<table class="table-preview">${rows.join('')}</table>`;
+        }
+        return '';
+    }).join('');
+
+    container.innerHTML = `<div class="docx-preview">${html}</div>`;
+}
+
+/**
+ * Render the text of each PPTX slide as a card, in slide order
+ * @param {HTMLElement} container - Preview container
+ * @param {ArrayBuffer} data - File bytes
+ */
+async function renderPptx(container, data) {
+    const zip = await openOfficeFile(data);
+    const slidePaths = Object.keys(zip.files)
+        .filter(path => /^ppt\/slides\/slide\d+\.xml$/.test(path))
+        .sort((a, b) => parseInt(a.match(/\d+/)[0]) - parseInt(b.match(/\d+/)[0]));
+
+    if (slidePaths.length === 0) throw new Error('Not a PowerPoint presentation');
+
+    const slides = [];
+    for (const [index, path] of slidePaths.entries()) {
+        const xml = await readXmlPart(zip, path);
+        const paragraphs = [...xml.getElementsByTagName('a:p')]
+            .map(paragraph => [...paragraph.getElementsByTagName('a:t')].map(node => node.textContent).join(''))
+            .filter(text => text.trim());
+
+        const [title = '', ...rest] = paragraphs;
+        slides.push(`
+            <div class="pptx-slide">
+                <div class="pptx-slide-number">Slide ${index + 1}</div>
+                <h4>${escapeHtml(title)}</h4>
+                ${rest.map(text => `<p>${escapeHtml(text)}</p>`).join('')}
+            </div>
+        `);
+    }
+
+    container.innerHTML = `<div class="pptx-preview">${slides.join('')}</div>`;
+}
+
+/**
+ * Start a download through a temporary link
+ * @param {string} url - URL of the file; signed URLs should be created with the download name
+ * @param {string} fileName - Name to save the file as
+ */
+export function startDownload(url, fileName) {
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    link.rel = 'noopener';
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+}
@@ -0,0 +1,92 @@
+/**
+ * Profile Module
+ * Makes sure every signed-in student has a complete `students` profile whose
+ * email matches their account.
+ * Sign-up stores the profile fields in the account's metadata; the hosted
+ * database creates the profile from them, and this module fills the gap
+ * where that hasn't happened (local backend, accounts from before).
+ */
+
+import { config } from './config.js';
+import * as studentsRepo from './repositories/students.js';
+import { getCurrentPage } from './routes.js';
+
+export const MIN_ACADEMIC_YEAR = 1;
+export const MAX_ACADEMIC_YEAR = 6;
+
+/**
+ * Check whether a faculty is one students may choose
+ * @param {string} faculty - Faculty name
+ * @returns {boolean} True if it is in config.faculties
+ */
+export function isKnownFaculty(faculty) {
+    return config.faculties.includes(faculty);
+}
+
+/**
+ * Check whether a profile has everything the archive needs
+ * @param {Object|null} profile - Student row
+ * @returns {boolean} True with a name, a listed faculty and a valid year
+ */
+export function isProfileComplete(profile) {
+    if (!profile) return false;
+
+    const year = parseInt(profile.academic_year);
+    return Boolean(profile.full_name && profile.full_name.trim())
+        && isKnownFaculty(profile.faculty)
+        && year >= MIN_ACADEMIC_YEAR
+        && year <= MAX_ACADEMIC_YEAR;
+}
+
+/**
+ * Fill a faculty select with the listed faculties
+ * @param {HTMLSelectElement} select - Select to fill
+ * @param {string} [selected] - Faculty to select
+ */
+export function populateFacultySelect(select, selected = '') {
+    select.innerHTML = '<option value="">Select Faculty</option>' + config.faculties
+        .map(faculty => `<option value="${faculty}">${faculty}</option>`)
+        .join('');
+    select.value = isKnownFaculty(selected) ? selected : '';
+}
+
+/**
+ * Get the student's profile, creating it from the sign-up details if it is missing
+ * and following the account if its email has changed
+ * @param {Object} user - Authenticated user
+ * @returns {Promise<Object>} Student row
+ */
+export async function ensureStudentProfile(user) {
+    const profile = await studentsRepo.getStudent(user.id);
+    if (profile) {
+        if (profile.email !== user.email) {
+            await studentsRepo.updateStudent(user.id, { email: user.email });
+            return { ...profile, email: user.email };
+        }
+        return profile;
+    }
+
+    const metadata = user.user_metadata || {};
+    const year = parseInt(metadata.academic_year);
+
+    return studentsRepo.createStudent({
+        user_id: user.id,
+        email: user.email,
+        full_name: (metadata.full_name || '').trim(),
+        faculty: isKnownFaculty(metadata.faculty) ? metadata.faculty : '',
+        academic_year: year >= MIN_ACADEMIC_YEAR && year <= MAX_ACADEMIC_YEAR ? year : MIN_ACADEMIC_YEAR
+    });
+}
+
+/**
+ * Get the student's complete profile, or send them to onboarding to finish it
+ * @param {Object} user - Authenticated user
+ * @returns {Promise<Object|null>} Student row, or null while redirecting
+ */
+export async function requireCompleteProfile(user) {
+    const profile = await ensureStudentProfile(user);
+    if (isProfileComplete(profile)) return profile;
+
+    window.location.href = `onboarding.html?next=${encodeURIComponent(getCurrentPage() + window.location.search)}`;
+    return null;
+}
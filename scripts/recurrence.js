@@ -0,0 +1,180 @@
+/**
+ * Recurrence Module
+ * Parses and evaluates repeat rules written as a subset of iCalendar RRULE:
+ * FREQ (DAILY, WEEKLY, MONTHLY), INTERVAL, BYDAY (weekly only), COUNT and UNTIL.
+ * Dates are handled as local YYYY-MM-DD strings, matching the `due_date` column.
+ */
+
+// Indexed like Date.getDay(): 0 = Sunday
+export const WEEKDAY_CODES = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+const WEEKDAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const SUPPORTED_FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY'];
+
+// Upper bound when searching for the next occurrence, so a bad rule can't loop forever
+const MAX_SEARCH_DAYS = 366 * 5;
+
+/**
+ * Parse a YYYY-MM-DD (or YYYYMMDD) string into a local date
+ * @param {string} value - Date string
+ * @returns {Date} Local midnight
+ */
+export function parseDate(value) {
+    const digits = String(value).replace(/-/g, '').slice(0, 8);
+    return new Date(parseInt(digits.slice(0, 4)), parseInt(digits.slice(4, 6)) - 1, parseInt(digits.slice(6, 8)));
+}
+
+/**
+ * Format a date as a local YYYY-MM-DD string
+ * @param {Date} date - Date to format
+ * @returns {string} Date string
+ */
+export function toDateString(date) {
+    const month = (date.getMonth() + 1).toString().padStart(2, '0');
+    const day = date.getDate().toString().padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Parse an RRULE string
+ * @param {string} text - Rule such as "FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,WE"
+ * @returns {Object} Rule with freq, interval, byDay, count and until
+ * @throws {Error} If the rule uses parts outside the supported subset
+ */
+export function parseRule(text) {
+    const rule = { freq: null, interval: 1, byDay: [], count: null, until: null };
+
+    String(text).trim().replace(/^RRULE:/i, '').split(';').filter(Boolean).forEach(part => {
+        const [key, value = ''] = part.split('=').map(item => item.trim().toUpperCase());
+
+        switch (key) {
+            case 'FREQ':
+                if (!SUPPORTED_FREQUENCIES.includes(value)) {
+                    throw new Error(`Unsupported repeat frequency: ${value}`);
+                }
+                rule.freq = value;
+                break;
+            case 'INTERVAL':
+                rule.interval = parseInt(value);
+                if (!(rule.interval > 0)) throw new Error('INTERVAL must be a positive number');
+                break;
+            case 'BYDAY':
+                rule.byDay = value.split(',').map(day => {
+                    if (!WEEKDAY_CODES.includes(day)) throw new Error(`Unsupported BYDAY value: ${day}`);
+                    return day;
+                });
+                break;
+            case 'COUNT':
+                rule.count = parseInt(value);
+                if (!(rule.count > 0)) throw new Error('COUNT must be a positive number');
+                break;
+            case 'UNTIL':
+                if (!/^\d{8}/.test(value)) throw new Error('UNTIL must be a date such as 20250630');
+                rule.until = toDateString(parseDate(value));
+                break;
+            case 'WKST':
+                // Week start doesn't change the result for the supported rules
+                break;
+            default:
+                throw new Error(`Unsupported repeat rule part: ${key}`);
+        }
+    });
+
+    if (!rule.freq) throw new Error('Repeat rule needs a FREQ');
+    if (rule.byDay.length > 0 && rule.freq !== 'WEEKLY') {
+        throw new Error('BYDAY is only supported with FREQ=WEEKLY');
+    }
+
+    return rule;
+}
+
+/**
+ * Serialize a rule object back into an RRULE string
+ * @param {Object} rule - Rule object (see parseRule)
+ * @returns {string} RRULE string
+ */
+export function serializeRule(rule) {
+    const parts = [`FREQ=${rule.freq}`];
+    if (rule.interval && rule.interval > 1) parts.push(`INTERVAL=${rule.interval}`);
+    if (rule.byDay && rule.byDay.length > 0) parts.push(`BYDAY=${rule.byDay.join(',')}`);
+    if (rule.count) parts.push(`COUNT=${rule.count}`);
+    if (rule.until) parts.push(`UNTIL=${rule.until.replace(/-/g, '')}`);
+    return parts.join(';');
+}
+
+/**
+ * Whole weeks between the Sunday-starting weeks of two dates
+ * @param {Date} from - Earlier date
+ * @param {Date} to - Later date
+ * @returns {number} Week difference
+ */
+function weeksBetween(from, to) {
+    const startOfWeek = date => new Date(date.getFullYear(), date.getMonth(), date.getDate() - date.getDay());
+    return Math.round((startOfWeek(to) - startOfWeek(from)) / (7 * 24 * 60 * 60 * 1000));
+}
+
+/**
+ * Work out the occurrence that follows the current one
+ * @param {string} ruleText - RRULE string
+ * @param {string} currentDate - Current occurrence (YYYY-MM-DD)
+ * @param {number} [completedCount=0] - Occurrences already completed, for COUNT
+ * @returns {string|null} Next occurrence (YYYY-MM-DD), or null when the series has ended
+ */
+export function getNextOccurrence(ruleText, currentDate, completedCount = 0) {
+    const rule = parseRule(ruleText);
+
+    // The current occurrence is about to be completed as well
+    if (rule.count && completedCount + 1 >= rule.count) return null;
+
+    const current = parseDate(currentDate);
+    let next = null;
+
+    if (rule.freq === 'DAILY') {
+        next = new Date(current.getFullYear(), current.getMonth(), current.getDate() + rule.interval);
+    } else if (rule.freq === 'MONTHLY') {
+        // Months without the day (e.g. the 31st) are skipped, as in RFC 5545
+        for (let step = 1; step <= 60 && !next; step++) {
+            const candidate = new Date(current.getFullYear(), current.getMonth() + rule.interval * step, current.getDate());
+            if (candidate.getDate() === current.getDate()) next = candidate;
+        }
+    } else {
+        const days = rule.byDay.length > 0 ? rule.byDay : [WEEKDAY_CODES[current.getDay()]];
+        for (let offset = 1; offset <= MAX_SEARCH_DAYS && !next; offset++) {
+            const candidate = new Date(current.getFullYear(), current.getMonth(), current.getDate() + offset);
+            const inWeek = weeksBetween(current, candidate) % rule.interval === 0;
+            if (inWeek && days.includes(WEEKDAY_CODES[candidate.getDay()])) next = candidate;
+        }
+    }
+
+    if (!next) return null;
+    const nextDate = toDateString(next);
+    if (rule.until && nextDate > rule.until) return null;
+    return nextDate;
+}
+
+/**
+ * Describe a rule in plain English for the task list
+ * @param {string} ruleText - RRULE string
+ * @returns {string} Description such as "Every 2 weeks on Mon, Wed"
+ */
+export function describeRule(ruleText) {
+    let rule;
+    try {
+        rule = parseRule(ruleText);
+    } catch (error) {
+        return 'Custom repeat';
+    }
+
+    const units = { DAILY: 'day', WEEKLY: 'week', MONTHLY: 'month' };
+    const unit = units[rule.freq];
+    let description = rule.interval > 1 ? `Every ${rule.interval} ${unit}s` : `Every ${unit}`;
+    if (rule.freq === 'DAILY' && rule.interval === 1) description = 'Daily';
+
+    if (rule.byDay.length > 0) {
+        description += ` on ${rule.byDay.map(day => WEEKDAY_NAMES[WEEKDAY_CODES.indexOf(day)]).join(', ')}`;
+    }
+    if (rule.count) description += `, ${rule.count} times`;
+    if (rule.until) description += `, until ${rule.until}`;
+
+    return description;
+}
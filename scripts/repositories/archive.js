@@ -0,0 +1,378 @@
+/**
+ * Archive Repository
+ * Data access for the `archive` table (files shared between students)
+ */
+
+import { supabase } from '../supabase.js';
+
+// Uploads that are waiting for a moderator or were turned down
+const UNPUBLISHED_STATUSES = '(pending,rejected)';
+
+/**
+ * Quote a value for a PostgREST filter string, so spaces and commas survive
+ * @param {string|number} value - Filter value
+ * @returns {string} Double-quoted value
+ */
+function quoteFilterValue(value) {
+    return `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+}
+
+/**
+ * Build the filter for the files shared with a student: their own uploads,
+ * the whole university, their faculty, their year in their faculty, and
+ * their study groups. Row level security applies the same rule.
+ * @param {Object} viewer - The student
+ * @param {string} viewer.userId - User ID
+ * @param {string} viewer.userFaculty - Faculty
+ * @param {number} viewer.userYear - Academic year
+ * @param {Array} [viewer.userGroupIds] - IDs of their study groups
+ * @returns {string} Filter for .or()
+ */
+function buildVisibilityFilter({ userId, userFaculty, userYear, userGroupIds = [] }) {
+    const faculty = quoteFilterValue(userFaculty);
+    const scopes = [
+        `user_id.eq.${userId}`,
+        'visibility.eq.university',
+        `and(visibility.eq.faculty,faculty.eq.${faculty})`,
+        `and(visibility.eq.year,faculty.eq.${faculty},academic_year.eq.${userYear})`
+    ];
+
+    if (userGroupIds.length > 0) {
+        scopes.push(`and(visibility.eq.group,study_group_id.in.(${userGroupIds.join(',')}))`);
+    }
+    return scopes.join(',');
+}
+
+/**
+ * List published shared files visible to a student, newest first, leaving out those in the Trash.
+ * The optional filters narrow by the file's own faculty, year and course.
+ * @param {Object} options - Query options
+ * @param {string} options.userId - ID of the current student
+ * @param {string} options.userFaculty - Faculty of the current student
+ * @param {number} options.userYear - Academic year of the current student
+ * @param {Array} [options.userGroupIds] - Study groups of the current student
+ * @param {string} [options.visibility] - Optional sharing scope filter
+ * @param {string} [options.faculty] - Optional faculty filter
+ * @param {number} [options.year] - Optional academic year filter
+ * @param {string} [options.courseCode] - Optional course filter
+ * @param {string} [options.materialType] - Optional material type filter
+ * @param {string} [options.semester] - Optional semester filter
+ * @param {number} [options.examYear] - Optional exam year filter
+ * @returns {Promise<Array>} Archive rows
+ */
+export async function listArchiveFiles({ userId, userFaculty, userYear, userGroupIds, visibility, faculty, year, courseCode, materialType, semester, examYear }) {
+    let query = supabase
+        .from('archive')
+        .select('*')
+        .or(buildVisibilityFilter({ userId, userFaculty, userYear, userGroupIds }))
+        .not('status', 'in', UNPUBLISHED_STATUSES)
+        .is('deleted_at', null)
+        .order('uploaded_at', { ascending: false });
+
+    // Apply additional filters if selected
+    if (visibility) {
+        query = query.eq('visibility', visibility);
+    }
+
+    if (faculty) {
+        query = query.eq('faculty', faculty);
+    }
+
+    if (year) {
+        query = query.eq('academic_year', year);
+    }
+
+    if (courseCode) {
+        query = query.eq('course_code', courseCode);
+    }
+
+    if (materialType) {
+        query = query.eq('material_type', materialType);
+    }
+
+    if (semester) {
+        query = query.eq('semester', semester);
+    }
+
+    if (examYear) {
+        query = query.eq('exam_year', examYear);
+    }
+
+    const { data, error } = await query;
+
+    if (error) throw error;
+    return data || [];
+}
+
+/**
+ * List the courses that have published shared files visible to a student
+ * @param {Object} options - Query options
+ * @param {string} options.userId - ID of the current student
+ * @param {string} options.userFaculty - Faculty of the current student
+ * @param {number} options.userYear - Academic year of the current student
+ * @param {Array} [options.userGroupIds] - Study groups of the current student
+ * @param {string} [options.faculty] - Optional faculty filter
+ * @param {number} [options.year] - Optional academic year filter
+ * @returns {Promise<Array>} { course_code, course_name } sorted by code
+ */
+export async function listArchiveCourses({ userId, userFaculty, userYear, userGroupIds, faculty, year }) {
+    let query = supabase
+        .from('archive')
+        .select('course_code, course_name')
+        .or(buildVisibilityFilter({ userId, userFaculty, userYear, userGroupIds }))
+        .not('status', 'in', UNPUBLISHED_STATUSES)
+        .is('deleted_at', null)
+        .not('course_code', 'is', null);
+
+    if (faculty) {
+        query = query.eq('faculty', faculty);
+    }
+
+    if (year) {
+        query = query.eq('academic_year', year);
+    }
+
+    const { data, error } = await query;
+
+    if (error) throw error;
+
+    const courses = new Map();
+    (data || []).forEach(row => {
+        if (!courses.has(row.course_code)) {
+            courses.set(row.course_code, row);
+        }
+    });
+    return [...courses.values()].sort((a, b) => a.course_code.localeCompare(b.course_code));
+}
+
+/**
+ * Get a single archive row
+ * @param {string} fileId - Archive row ID
+ * @returns {Promise<Object>} Archive row
+ */
+export async function getArchiveFile(fileId) {
+    const { data, error } = await supabase
+        .from('archive')
+        .select('*')
+        .eq('id', fileId)
+        .single();
+
+    if (error) throw error;
+    return data;
+}
+
+/**
+ * Find archive files for a faculty and year with any of the given content hashes
+ * @param {string} faculty - Faculty
+ * @param {number} year - Academic year
+ * @param {Array} hashes - SHA-256 hex digests
+ * @returns {Promise<Array>} Matching archive rows
+ */
+export async function findArchiveFilesByHash(faculty, year, hashes) {
+    if (hashes.length === 0) return [];
+
+    const { data, error } = await supabase
+        .from('archive')
+        .select('*')
+        .eq('faculty', faculty)
+        .eq('academic_year', year)
+        .is('deleted_at', null)
+        .in('content_hash', hashes);
+
+    if (error) throw error;
+    return data || [];
+}
+
+/**
+ * Insert archive file metadata
+ * @param {Object} file - Archive metadata fields
+ * @returns {Promise<Object>} Created archive row
+ */
+export async function createArchiveFile(file) {
+    const { data, error } = await supabase
+        .from('archive')
+        .insert([file])
+        .select()
+        .single();
+
+    if (error) throw error;
+    return data;
+}
+
+/**
+ * List the archive files a user shared that are in the Trash, most recently deleted first
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>} Archive rows
+ */
+export async function listTrashedArchiveFiles(userId) {
+    const { data, error } = await supabase
+        .from('archive')
+        .select('*')
+        .eq('user_id', userId)
+        .not('deleted_at', 'is', null)
+        .order('deleted_at', { ascending: false });
+
+    if (error) throw error;
+    return data || [];
+}
+
+/**
+ * Move an archive file to the Trash
+ * @param {string} fileId - Archive row ID
+ */
+export async function trashArchiveFile(fileId) {
+    const { error } = await supabase
+        .from('archive')
+        .update({ deleted_at: new Date().toISOString() })
+        .eq('id', fileId);
+
+    if (error) throw error;
+}
+
+/**
+ * Take an archive file back out of the Trash
+ * @param {string} fileId - Archive row ID
+ */
+export async function restoreArchiveFile(fileId) {
+    const { error } = await supabase
+        .from('archive')
+        .update({ deleted_at: null })
+        .eq('id', fileId);
+
+    if (error) throw error;
+}
+
+/**
+ * Delete archive file metadata
+ * @param {string} fileId - Archive row ID
+ */
+export async function deleteArchiveFile(fileId) {
+    const { error } = await supabase
+        .from('archive')
+        .delete()
+        .eq('id', fileId);
+
+    if (error) throw error;
+}
+
+/**
+ * List the star ratings of several archive files
+ * @param {Array} fileIds - Archive row IDs
+ * @returns {Promise<Array>} Rating rows ({ archive_id, user_id, rating })
+ */
+export async function listRatings(fileIds) {
+    if (fileIds.length === 0) return [];
+
+    const { data, error } = await supabase
+        .from('archive_ratings')
+        .select('archive_id, user_id, rating')
+        .in('archive_id', fileIds);
+
+    if (error) throw error;
+    return data || [];
+}
+
+/**
+ * Create or replace a student's rating of an archive file
+ * @param {Object} rating - Rating fields (archive_id and user_id identify it)
+ */
+export async function saveRating(rating) {
+    const { error } = await supabase
+        .from('archive_ratings')
+        .upsert([rating], { onConflict: 'archive_id,user_id' });
+
+    if (error) throw error;
+}
+
+/**
+ * List the comments of several archive files, only as far as needed to count them
+ * @param {Array} fileIds - Archive row IDs
+ * @returns {Promise<Array>} Rows with archive_id
+ */
+export async function listCommentRefs(fileIds) {
+    if (fileIds.length === 0) return [];
+
+    const { data, error } = await supabase
+        .from('archive_comments')
+        .select('archive_id')
+        .in('archive_id', fileIds);
+
+    if (error) throw error;
+    return data || [];
+}
+
+/**
+ * List an archive file's comments, oldest first
+ * @param {string} fileId - Archive row ID
+ * @returns {Promise<Array>} Comment rows; replies carry parent_id
+ */
+export async function listComments(fileId) {
+    const { data, error } = await supabase
+        .from('archive_comments')
+        .select('*')
+        .eq('archive_id', fileId)
+        .order('created_at', { ascending: true });
+
+    if (error) throw error;
+    return data || [];
+}
+
+/**
+ * Insert a comment or reply
+ * @param {Object} comment - Comment fields
+ * @returns {Promise<Object>} Created comment row
+ */
+export async function createComment(comment) {
+    const { data, error } = await supabase
+        .from('archive_comments')
+        .insert([comment])
+        .select()
+        .single();
+
+    if (error) throw error;
+    return data;
+}
+
+/**
+ * Delete a comment; its replies go with it
+ * @param {Array} commentIds - The comment and its replies
+ */
+export async function deleteComments(commentIds) {
+    const { error } = await supabase
+        .from('archive_comments')
+        .delete()
+        .in('id', commentIds);
+
+    if (error) throw error;
+}
+
+/**
+ * Report an archive file and flag it for review
+ * @param {string} fileId - Archive row ID
+ * @param {string} reason - 'wrong_course', 'spam', 'copyright' or 'other'
+ * @param {string|null} details - Optional explanation
+ */
+export async function reportArchiveFile(fileId, reason, details) {
+    const { error } = await supabase.rpc('report_archive_file', {
+        target_id: fileId,
+        report_reason: reason,
+        report_details: details
+    });
+
+    if (error) throw error;
+}
+
+/**
+ * Delete the ratings, comments and reports of an archive file
+ * @param {string} fileId - Archive row ID
+ */
+export async function deleteArchiveFeedback(fileId) {
+    for (const table of ['archive_ratings', 'archive_comments', 'archive_reports']) {
+        const { error } = await supabase
+            .from(table)
+            .delete()
+            .eq('archive_id', fileId);
+
+        if (error) throw error;
+    }
+}
@@ -0,0 +1,237 @@
+/**
+ * Files Repository
+ * Data access for the `files` table (personal file metadata)
+ */
+
+import { supabase } from '../supabase.js';
+
+/**
+ * List a user's files, newest first, leaving out those in the Trash
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>} File rows
+ */
+export async function listFiles(userId) {
+    const { data, error } = await supabase
+        .from('files')
+        .select('*')
+        .eq('user_id', userId)
+        .is('deleted_at', null)
+        .order('uploaded_at', { ascending: false });
+
+    if (error) throw error;
+    return data || [];
+}
+
+/**
+ * Get a single file row
+ * @param {string} fileId - File ID
+ * @returns {Promise<Object>} File row
+ */
+export async function getFile(fileId) {
+    const { data, error } = await supabase
+        .from('files')
+        .select('*')
+        .eq('id', fileId)
+        .single();
+
+    if (error) throw error;
+    return data;
+}
+
+/**
+ * Find a user's files with any of the given content hashes
+ * @param {string} userId - User ID
+ * @param {Array} hashes - SHA-256 hex digests
+ * @returns {Promise<Array>} Matching file rows
+ */
+export async function findFilesByHash(userId, hashes) {
+    if (hashes.length === 0) return [];
+
+    const { data, error } = await supabase
+        .from('files')
+        .select('*')
+        .eq('user_id', userId)
+        .is('deleted_at', null)
+        .in('content_hash', hashes);
+
+    if (error) throw error;
+    return data || [];
+}
+
+/**
+ * Insert file metadata
+ * @param {Object} file - File metadata fields
+ * @returns {Promise<Object>} Created file row
+ */
+export async function createFile(file) {
+    const { data, error } = await supabase
+        .from('files')
+        .insert([file])
+        .select()
+        .single();
+
+    if (error) throw error;
+    return data;
+}
+
+/**
+ * Update file metadata
+ * @param {string} fileId - File ID
+ * @param {Object} changes - Fields to update
+ */
+export async function updateFile(fileId, changes) {
+    const { error } = await supabase
+        .from('files')
+        .update(changes)
+        .eq('id', fileId);
+
+    if (error) throw error;
+}
+
+/**
+ * Update several files at once
+ * @param {Array} fileIds - File IDs
+ * @param {Object} changes - Fields to update
+ */
+export async function updateFiles(fileIds, changes) {
+    if (fileIds.length === 0) return;
+
+    const { error } = await supabase
+        .from('files')
+        .update(changes)
+        .in('id', fileIds);
+
+    if (error) throw error;
+}
+
+/**
+ * List a user's files in the Trash, most recently deleted first
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>} File rows
+ */
+export async function listTrashedFiles(userId) {
+    const { data, error } = await supabase
+        .from('files')
+        .select('*')
+        .eq('user_id', userId)
+        .not('deleted_at', 'is', null)
+        .order('deleted_at', { ascending: false });
+
+    if (error) throw error;
+    return data || [];
+}
+
+/**
+ * Move a file to the Trash
+ * @param {string} fileId - File ID
+ */
+export async function trashFile(fileId) {
+    const { error } = await supabase
+        .from('files')
+        .update({ deleted_at: new Date().toISOString() })
+        .eq('id', fileId);
+
+    if (error) throw error;
+}
+
+/**
+ * Take a file back out of the Trash
+ * @param {string} fileId - File ID
+ * @param {Object} [changes] - Other fields to update at the same time
+ */
+export async function restoreFile(fileId, changes = {}) {
+    const { error } = await supabase
+        .from('files')
+        .update({ ...changes, deleted_at: null })
+        .eq('id', fileId);
+
+    if (error) throw error;
+}
+
+/**
+ * Delete file metadata
+ * @param {string} fileId - File ID
+ */
+export async function deleteFile(fileId) {
+    const { error } = await supabase
+        .from('files')
+        .delete()
+        .eq('id', fileId);
+
+    if (error) throw error;
+}
+
+/**
+ * List a file's earlier versions, newest first
+ * @param {string} fileId - File ID
+ * @returns {Promise<Array>} Version rows
+ */
+export async function listFileVersions(fileId) {
+    const { data, error } = await supabase
+        .from('file_versions')
+        .select('*')
+        .eq('file_id', fileId)
+        .order('uploaded_at', { ascending: false });
+
+    if (error) throw error;
+    return data || [];
+}
+
+/**
+ * List versions of any file stored at the given paths
+ * @param {Array} paths - Storage paths
+ * @returns {Promise<Array>} Version rows
+ */
+export async function listFileVersionsByPaths(paths) {
+    if (paths.length === 0) return [];
+
+    const { data, error } = await supabase
+        .from('file_versions')
+        .select('*')
+        .in('file_path', paths);
+
+    if (error) throw error;
+    return data || [];
+}
+
+/**
+ * Insert a version history row
+ * @param {Object} version - Version fields
+ * @returns {Promise<Object>} Created version row
+ */
+export async function createFileVersion(version) {
+    const { data, error } = await supabase
+        .from('file_versions')
+        .insert([version])
+        .select()
+        .single();
+
+    if (error) throw error;
+    return data;
+}
+
+/**
+ * Delete a single version history row
+ * @param {string} versionId - Version ID
+ */
+export async function deleteFileVersion(versionId) {
+    const { error } = await supabase
+        .from('file_versions')
+        .delete()
+        .eq('id', versionId);
+
+    if (error) throw error;
+}
+
+/**
+ * Delete a file's whole version history
+ * @param {string} fileId - File ID
+ */
+export async function deleteFileVersions(fileId) {
+    const { error } = await supabase
+        .from('file_versions')
+        .delete()
+        .eq('file_id', fileId);
+
+    if (error) throw error;
+}
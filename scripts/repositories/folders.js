@@ -0,0 +1,65 @@
+/**
+ * Folders Repository
+ * Data access for the `folders` table (nested folders for personal files)
+ */
+
+import { supabase } from '../supabase.js';
+
+/**
+ * List a user's folders
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>} Folder rows ordered by name
+ */
+export async function listFolders(userId) {
+    const { data, error } = await supabase
+        .from('folders')
+        .select('*')
+        .eq('user_id', userId)
+        .order('name', { ascending: true });
+
+    if (error) throw error;
+    return data || [];
+}
+
+/**
+ * Insert a new folder
+ * @param {Object} folder - Folder fields (user_id, name, parent_id)
+ * @returns {Promise<Object>} Created folder row
+ */
+export async function createFolder(folder) {
+    const { data, error } = await supabase
+        .from('folders')
+        .insert([folder])
+        .select()
+        .single();
+
+    if (error) throw error;
+    return data;
+}
+
+/**
+ * Update a folder
+ * @param {string} folderId - Folder ID
+ * @param {Object} changes - Fields to update
+ */
+export async function updateFolder(folderId, changes) {
+    const { error } = await supabase
+        .from('folders')
+        .update(changes)
+        .eq('id', folderId);
+
+    if (error) throw error;
+}
+
+/**
+ * Delete a folder
+ * @param {string} folderId - Folder ID
+ */
+export async function deleteFolder(folderId) {
+    const { error } = await supabase
+        .from('folders')
+        .delete()
+        .eq('id', folderId);
+
+    if (error) throw error;
+}
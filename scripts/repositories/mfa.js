@@ -0,0 +1,68 @@
+/**
+ * MFA Repository
+ * Data access for `mfa_recovery_codes` and the mfa-recovery function that
+ * redeems them. The TOTP factors themselves are managed through supabase.auth.mfa.
+ */
+
+import { supabase } from '../supabase.js';
+
+const RECOVERY_FUNCTION = 'mfa-recovery';
+
+/**
+ * List a student's recovery codes (hashes only)
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>} Rows with id and used_at
+ */
+export async function listRecoveryCodes(userId) {
+    const { data, error } = await supabase
+        .from('mfa_recovery_codes')
+        .select('id, used_at')
+        .eq('user_id', userId);
+
+    if (error) throw error;
+    return data || [];
+}
+
+/**
+ * Delete all of a student's recovery codes
+ * @param {string} userId - User ID
+ */
+export async function deleteRecoveryCodes(userId) {
+    const { error } = await supabase
+        .from('mfa_recovery_codes')
+        .delete()
+        .eq('user_id', userId);
+
+    if (error) throw error;
+}
+
+/**
+ * Replace a student's recovery codes with a new set
+ * @param {string} userId - User ID
+ * @param {Array<string>} codeHashes - Hashes of the new codes
+ */
+export async function replaceRecoveryCodes(userId, codeHashes) {
+    await deleteRecoveryCodes(userId);
+
+    const { error } = await supabase
+        .from('mfa_recovery_codes')
+        .insert(codeHashes.map(codeHash => ({ user_id: userId, code_hash: codeHash })));
+
+    if (error) throw error;
+}
+
+/**
+ * Spend a recovery code to finish signing in; removes the student's TOTP factors
+ * @param {string} code - Recovery code as typed
+ */
+export async function redeemRecoveryCode(code) {
+    const { error } = await supabase.functions.invoke(RECOVERY_FUNCTION, { body: { code } });
+
+    if (error) {
+        // supabase-js keeps the function's JSON error body on error.context
+        const details = error.context && typeof error.context.json === 'function'
+            ? await error.context.json().catch(() => null)
+            : null;
+        throw new Error((details && details.error) || error.message);
+    }
+}
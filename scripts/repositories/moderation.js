@@ -0,0 +1,193 @@
+/**
+ * Moderation Repository
+ * Data access for reviewing archive uploads, closing reports, assigning
+ * roles and the `moderation_log` table. The database writes the log itself
+ * whenever one of these actions changes a row.
+ */
+
+import { supabase } from '../supabase.js';
+
+/**
+ * List archive uploads with a review status, oldest first, leaving out those in the Trash
+ * @param {string} status - 'pending' or 'rejected'
+ * @param {string|null} faculty - Faculty to limit to, or null for every faculty
+ * @returns {Promise<Array>} Archive rows
+ */
+export async function listArchiveFilesByStatus(status, faculty) {
+    let query = supabase
+        .from('archive')
+        .select('*')
+        .eq('status', status)
+        .is('deleted_at', null)
+        .order('uploaded_at', { ascending: true });
+
+    if (faculty) {
+        query = query.eq('faculty', faculty);
+    }
+
+    const { data, error } = await query;
+
+    if (error) throw error;
+    return data || [];
+}
+
+/**
+ * List a student's own uploads that are waiting for review or were rejected
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>} Archive rows, newest first
+ */
+export async function listOwnUnpublishedArchiveFiles(userId) {
+    const { data, error } = await supabase
+        .from('archive')
+        .select('*')
+        .eq('user_id', userId)
+        .in('status', ['pending', 'rejected'])
+        .is('deleted_at', null)
+        .order('uploaded_at', { ascending: false });
+
+    if (error) throw error;
+    return data || [];
+}
+
+/**
+ * List flagged archive files, most recently flagged first
+ * @param {string|null} faculty - Faculty to limit to, or null for every faculty
+ * @returns {Promise<Array>} Archive rows
+ */
+export async function listFlaggedArchiveFiles(faculty) {
+    let query = supabase
+        .from('archive')
+        .select('*')
+        .not('flagged_at', 'is', null)
+        .is('deleted_at', null)
+        .order('flagged_at', { ascending: false });
+
+    if (faculty) {
+        query = query.eq('faculty', faculty);
+    }
+
+    const { data, error } = await query;
+
+    if (error) throw error;
+    return data || [];
+}
+
+/**
+ * List the open reports on archive files
+ * @param {Array} fileIds - Archive row IDs
+ * @returns {Promise<Array>} Report rows, oldest first
+ */
+export async function listOpenReports(fileIds) {
+    if (fileIds.length === 0) return [];
+
+    const { data, error } = await supabase
+        .from('archive_reports')
+        .select('*')
+        .in('archive_id', fileIds)
+        .eq('status', 'open')
+        .order('created_at', { ascending: true });
+
+    if (error) throw error;
+    return data || [];
+}
+
+/**
+ * Close the open reports on a file and remove its review flag
+ * @param {string} fileId - Archive row ID
+ * @param {string} status - 'dismissed' when the file is fine, 'resolved' when it was changed
+ */
+export async function closeReports(fileId, status) {
+    const { error: reportsError } = await supabase
+        .from('archive_reports')
+        .update({ status })
+        .eq('archive_id', fileId)
+        .eq('status', 'open');
+
+    if (reportsError) throw reportsError;
+
+    const { error } = await supabase
+        .from('archive')
+        .update({ flagged_at: null, report_count: 0 })
+        .eq('id', fileId);
+
+    if (error) throw error;
+}
+
+/**
+ * Approve or reject an archive upload
+ * @param {string} fileId - Archive row ID
+ * @param {Object} review - { status, reviewed_by, review_reason }
+ */
+export async function reviewArchiveFile(fileId, review) {
+    const { error } = await supabase
+        .from('archive')
+        .update({ ...review, reviewed_at: new Date().toISOString() })
+        .eq('id', fileId);
+
+    if (error) throw error;
+}
+
+/**
+ * Change the year and course details of an archive file
+ * @param {string} fileId - Archive row ID
+ * @param {Object} changes - Fields to update
+ */
+export async function updateArchiveCategory(fileId, changes) {
+    const { error } = await supabase
+        .from('archive')
+        .update(changes)
+        .eq('id', fileId);
+
+    if (error) throw error;
+}
+
+/**
+ * List every student, for assigning roles
+ * @returns {Promise<Array>} Student rows sorted by name
+ */
+export async function listStudents() {
+    const { data, error } = await supabase
+        .from('students')
+        .select('*')
+        .order('full_name', { ascending: true });
+
+    if (error) throw error;
+    return data || [];
+}
+
+/**
+ * Delete another student's archive row for good, as a moderator of its faculty
+ * @param {string} fileId - Archive row ID
+ * @param {string|null} reason - Why the file was removed, for the moderation log
+ */
+export async function removeArchiveFile(fileId, reason) {
+    const { error } = await supabase.rpc('remove_archive_file', {
+        target_id: fileId,
+        removal_reason: reason
+    });
+
+    if (error) throw error;
+}
+
+/**
+ * List the latest moderation log entries
+ * @param {string|null} faculty - Faculty to limit to, or null for every faculty
+ * @param {number} [limit] - Maximum number of entries
+ * @returns {Promise<Array>} Log rows, newest first
+ */
+export async function listModerationLog(faculty, limit = 100) {
+    let query = supabase
+        .from('moderation_log')
+        .select('*')
+        .order('created_at', { ascending: false })
+        .limit(limit);
+
+    if (faculty) {
+        query = query.eq('faculty', faculty);
+    }
+
+    const { data, error } = await query;
+
+    if (error) throw error;
+    return data || [];
+}
@@ -0,0 +1,152 @@
+/**
+ * Schedules Repository
+ * Data access for the `schedules` table (weekly classes)
+ */
+
+import { supabase } from '../supabase.js';
+
+/**
+ * List a user's classes, leaving out those in the Trash
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>} Schedule rows
+ */
+export async function listSchedules(userId) {
+    const { data, error } = await supabase
+        .from('schedules')
+        .select('*')
+        .eq('user_id', userId)
+        .is('deleted_at', null);
+
+    if (error) throw error;
+    return data || [];
+}
+
+/**
+ * Insert a new class
+ * @param {Object} schedule - Schedule fields
+ * @returns {Promise<Object>} Created schedule row
+ */
+export async function createSchedule(schedule) {
+    const { data, error } = await supabase
+        .from('schedules')
+        .insert([schedule])
+        .select()
+        .single();
+
+    if (error) throw error;
+    return data;
+}
+
+/**
+ * Update a class
+ * @param {string} scheduleId - Schedule ID
+ * @param {Object} changes - Fields to update
+ */
+export async function updateSchedule(scheduleId, changes) {
+    const { error } = await supabase
+        .from('schedules')
+        .update(changes)
+        .eq('id', scheduleId);
+
+    if (error) throw error;
+}
+
+/**
+ * List a user's classes in the Trash, most recently deleted first
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>} Schedule rows
+ */
+export async function listTrashedSchedules(userId) {
+    const { data, error } = await supabase
+        .from('schedules')
+        .select('*')
+        .eq('user_id', userId)
+        .not('deleted_at', 'is', null)
+        .order('deleted_at', { ascending: false });
+
+    if (error) throw error;
+    return data || [];
+}
+
+/**
+ * Move a class to the Trash
+ * @param {string} scheduleId - Schedule ID
+ */
+export async function trashSchedule(scheduleId) {
+    const { error } = await supabase
+        .from('schedules')
+        .update({ deleted_at: new Date().toISOString() })
+        .eq('id', scheduleId);
+
+    if (error) throw error;
+}
+
+/**
+ * Take a class back out of the Trash
+ * @param {string} scheduleId - Schedule ID
+ */
+export async function restoreSchedule(scheduleId) {
+    const { error } = await supabase
+        .from('schedules')
+        .update({ deleted_at: null })
+        .eq('id', scheduleId);
+
+    if (error) throw error;
+}
+
+/**
+ * Delete a class
+ * @param {string} scheduleId - Schedule ID
+ */
+export async function deleteSchedule(scheduleId) {
+    const { error } = await supabase
+        .from('schedules')
+        .delete()
+        .eq('id', scheduleId);
+
+    if (error) throw error;
+}
+
+/**
+ * List a user's occurrence exceptions (cancelled or moved classes)
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>} Exception rows
+ */
+export async function listExceptions(userId) {
+    const { data, error } = await supabase
+        .from('schedule_exceptions')
+        .select('*')
+        .eq('user_id', userId);
+
+    if (error) throw error;
+    return data || [];
+}
+
+/**
+ * Create or replace the exception for one occurrence of a class
+ * @param {Object} exception - Exception fields (schedule_id and occurrence_date identify the occurrence)
+ * @returns {Promise<Object>} Saved exception row
+ */
+export async function saveException(exception) {
+    const { data, error } = await supabase
+        .from('schedule_exceptions')
+        .upsert([exception], { onConflict: 'schedule_id,occurrence_date' })
+        .select()
+        .single();
+
+    if (error) throw error;
+    return data;
+}
+
+/**
+ * Delete an exception, restoring the regular occurrence
+ * @param {string} exceptionId - Exception ID
+ */
+export async function deleteException(exceptionId) {
+    const { error } = await supabase
+        .from('schedule_exceptions')
+        .delete()
+        .eq('id', exceptionId);
+
+    if (error) throw error;
+}
@@ -0,0 +1,65 @@
+/**
+ * Semesters Repository
+ * Data access for the `semesters` table (teaching periods with their breaks)
+ */
+
+import { supabase } from '../supabase.js';
+
+/**
+ * List a user's semesters ordered by start date
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>} Semester rows
+ */
+export async function listSemesters(userId) {
+    const { data, error } = await supabase
+        .from('semesters')
+        .select('*')
+        .eq('user_id', userId)
+        .order('start_date', { ascending: true });
+
+    if (error) throw error;
+    return data || [];
+}
+
+/**
+ * Insert a new semester
+ * @param {Object} semester - Semester fields
+ * @returns {Promise<Object>} Created semester row
+ */
+export async function createSemester(semester) {
+    const { data, error } = await supabase
+        .from('semesters')
+        .insert([semester])
+        .select()
+        .single();
+
+    if (error) throw error;
+    return data;
+}
+
+/**
+ * Update a semester
+ * @param {string} semesterId - Semester ID
+ * @param {Object} changes - Fields to update
+ */
+export async function updateSemester(semesterId, changes) {
+    const { error } = await supabase
+        .from('semesters')
+        .update(changes)
+        .eq('id', semesterId);
+
+    if (error) throw error;
+}
+
+/**
+ * Delete a semester
+ * @param {string} semesterId - Semester ID
+ */
+export async function deleteSemester(semesterId) {
+    const { error } = await supabase
+        .from('semesters')
+        .delete()
+        .eq('id', semesterId);
+
+    if (error) throw error;
+}
@@ -0,0 +1,41 @@
+/**
+ * Sessions Repository
+ * The signed-in student's own sessions, through the list_my_sessions and
+ * revoke_session database functions, and the password check that confirms
+ * it is still them before a sensitive change (verify_my_password)
+ */
+
+import { supabase } from '../supabase.js';
+
+/**
+ * List the student's active sessions, most recently active first
+ * @returns {Promise<Array>} { id, created_at, last_active_at, user_agent, ip, aal, is_current }
+ */
+export async function listSessions() {
+    const { data, error } = await supabase.rpc('list_my_sessions');
+
+    if (error) throw error;
+    return data || [];
+}
+
+/**
+ * End one of the student's sessions
+ * @param {string} sessionId - Session ID
+ */
+export async function revokeSession(sessionId) {
+    const { error } = await supabase.rpc('revoke_session', { target_session_id: sessionId });
+
+    if (error) throw error;
+}
+
+/**
+ * Check the student's current password without starting another session
+ * @param {string} password - Password as typed
+ * @returns {Promise<boolean>} Whether it is the right password
+ */
+export async function verifyPassword(password) {
+    const { data, error } = await supabase.rpc('verify_my_password', { current_password: password });
+
+    if (error) throw error;
+    return data === true;
+}
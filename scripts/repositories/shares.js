@@ -0,0 +1,104 @@
+/**
+ * Shares Repository
+ * Data access for the `file_shares` table (expiring share links for personal
+ * files) and the `share-download` function that serves them to other people
+ */
+
+import { supabase } from '../supabase.js';
+
+const SHARE_FUNCTION = 'share-download';
+
+/**
+ * List a file's share links, newest first
+ * @param {string} fileId - File ID
+ * @returns {Promise<Array>} Share rows
+ */
+export async function listFileShares(fileId) {
+    const { data, error } = await supabase
+        .from('file_shares')
+        .select('*')
+        .eq('file_id', fileId)
+        .order('created_at', { ascending: false });
+
+    if (error) throw error;
+    return data || [];
+}
+
+/**
+ * Insert a share link
+ * @param {Object} share - Share fields
+ * @returns {Promise<Object>} Created share row
+ */
+export async function createFileShare(share) {
+    const { data, error } = await supabase
+        .from('file_shares')
+        .insert([share])
+        .select()
+        .single();
+
+    if (error) throw error;
+    return data;
+}
+
+/**
+ * Delete a share link, so it stops working
+ * @param {string} shareId - Share ID
+ */
+export async function deleteFileShare(shareId) {
+    const { error } = await supabase
+        .from('file_shares')
+        .delete()
+        .eq('id', shareId);
+
+    if (error) throw error;
+}
+
+/**
+ * Delete every share link of a file
+ * @param {string} fileId - File ID
+ */
+export async function deleteFileSharesForFile(fileId) {
+    const { error } = await supabase
+        .from('file_shares')
+        .delete()
+        .eq('file_id', fileId);
+
+    if (error) throw error;
+}
+
+/**
+ * Call the share function, turning its error responses into Errors with a readable message
+ * @param {Object} body - Request body
+ * @returns {Promise<Object>} Response data
+ */
+async function invokeShareFunction(body) {
+    const { data, error } = await supabase.functions.invoke(SHARE_FUNCTION, { body });
+
+    if (error) {
+        // supabase-js keeps the function's JSON error body on error.context
+        const details = error.context && typeof error.context.json === 'function'
+            ? await error.context.json().catch(() => null)
+            : null;
+        throw new Error((details && details.error) || error.message);
+    }
+    return data;
+}
+
+/**
+ * Look up what a share link points to, without counting a download
+ * @param {string} token - Share token from the link
+ * @returns {Promise<Object>} { file_name, file_size, expires_at, requires_password, downloads_left }
+ */
+export async function getSharedFile(token) {
+    return invokeShareFunction({ action: 'info', token });
+}
+
+/**
+ * Redeem a share link for a short-lived download URL; counts one download
+ * @param {string} token - Share token from the link
+ * @param {string} [password] - Password, if the link has one
+ * @returns {Promise<Object>} { url, file_name }
+ */
+export async function downloadSharedFile(token, password = '') {
+    return invokeShareFunction({ action: 'download', token, password });
+}
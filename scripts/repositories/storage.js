@@ -0,0 +1,276 @@
+/**
+ * Storage Repository
+ * Object access for the private `student-files` bucket shared by personal files
+ * and the archive. Objects are read through short-lived signed URLs.
+ */
+
+import { supabase } from '../supabase.js';
+import { config } from '../config.js';
+
+const BUCKET = 'student-files';
+
+const TUS_URL = 'https://cdn.jsdelivr.net/npm/tus-js-client@4.1.0/+esm';
+
+let tusPromise = null;
+
+/**
+ * Upload an object
+ * @param {string} path - Object path in the bucket
+ * @param {File|Blob} file - File contents
+ * @param {Object} [options] - Upload options (cacheControl, upsert, contentType)
+ */
+export async function uploadObject(path, file, options = {}) {
+    const { error } = await supabase.storage
+        .from(BUCKET)
+        .upload(path, file, {
+            cacheControl: '3600',
+            upsert: false,
+            ...options
+        });
+
+    if (error) throw error;
+}
+
+/**
+ * Remove objects
+ * @param {Array<string>} paths - Object paths in the bucket
+ */
+export async function removeObjects(paths) {
+    const { error } = await supabase.storage
+        .from(BUCKET)
+        .remove(paths);
+
+    if (error) throw error;
+}
+
+/**
+ * List objects under a prefix
+ * @param {string} prefix - Folder path in the bucket
+ * @returns {Promise<Array>} Object entries
+ */
+export async function listObjects(prefix) {
+    const { data, error } = await supabase.storage
+        .from(BUCKET)
+        .list(prefix);
+
+    if (error) throw error;
+    return data || [];
+}
+
+/**
+ * Create a short-lived URL for reading an object
+ * @param {string} path - Object path in the bucket
+ * @param {Object} [options] - URL options
+ * @param {string} [options.download] - Serve as an attachment with this file name
+ * @returns {Promise<string>} Signed URL, valid for config.storage.signedUrlSeconds
+ */
+export async function createSignedUrl(path, { download } = {}) {
+    const { data, error } = await supabase.storage
+        .from(BUCKET)
+        .createSignedUrl(path, config.storage.signedUrlSeconds, download ? { download } : undefined);
+
+    if (error) throw error;
+    return data.signedUrl;
+}
+
+/**
+ * Load tus-js-client once
+ * @returns {Promise<Object>} tus module
+ */
+function loadTus() {
+    if (!tusPromise) {
+        tusPromise = import(TUS_URL);
+    }
+    return tusPromise;
+}
+
+/**
+ * Error thrown when an upload is stopped through its AbortSignal
+ * @returns {DOMException} AbortError
+ */
+function createAbortError() {
+    return new DOMException('Upload aborted', 'AbortError');
+}
+
+/**
+ * Check whether an upload error means the object is already stored
+ * @param {Object} error - Storage error
+ * @returns {boolean} True for "already exists" errors
+ */
+export function isAlreadyExistsError(error) {
+    return Boolean(error) && (String(error.statusCode) === '409' || error.error === 'Duplicate');
+}
+
+/**
+ * Headers for direct calls to the Supabase Storage API
+ * @returns {Promise<Object>} Authorization and apikey headers
+ */
+async function getStorageHeaders() {
+    const { data: { session } } = await supabase.auth.getSession();
+    return {
+        authorization: `Bearer ${session ? session.access_token : config.supabase.anonKey}`,
+        apikey: config.supabase.anonKey
+    };
+}
+
+/**
+ * Upload an object, reporting byte progress. Files above the resumable
+ * threshold are sent in chunks and continue from the last stored chunk when
+ * uploaded again to the same path.
+ * @param {string} path - Object path in the bucket
+ * @param {File|Blob} file - File contents
+ * @param {Object} [options] - Upload options
+ * @param {Function} [options.onProgress] - Called with (uploadedBytes, totalBytes)
+ * @param {AbortSignal} [options.signal] - Stops the upload; chunks already stored are kept
+ */
+export async function uploadObjectWithProgress(path, file, { onProgress = () => {}, signal } = {}) {
+    if (signal && signal.aborted) throw createAbortError();
+
+    if (file.size >= config.uploads.resumableThreshold) {
+        if (config.backend === 'local') {
+            await uploadChunkedLocal(path, file, onProgress, signal);
+        } else {
+            await uploadResumable(path, file, onProgress, signal);
+        }
+        return;
+    }
+
+    if (config.backend === 'local') {
+        await uploadObject(path, file);
+        onProgress(file.size, file.size);
+        return;
+    }
+
+    const headers = await getStorageHeaders();
+
+    await new Promise((resolve, reject) => {
+        const xhr = new XMLHttpRequest();
+        const objectPath = path.split('/').map(encodeURIComponent).join('/');
+
+        xhr.open('POST', `${config.supabase.url}/storage/v1/object/${BUCKET}/${objectPath}`);
+        Object.entries(headers).forEach(([name, value]) => xhr.setRequestHeader(name, value));
+        xhr.setRequestHeader('cache-control', 'max-age=3600');
+        xhr.setRequestHeader('x-upsert', 'false');
+        xhr.setRequestHeader('content-type', file.type || 'application/octet-stream');
+
+        xhr.upload.onprogress = (e) => onProgress(e.loaded, file.size);
+        xhr.onload = () => {
+            if (xhr.status >= 200 && xhr.status < 300) {
+                onProgress(file.size, file.size);
+                resolve();
+            } else {
+                let body = {};
+                try {
+                    body = JSON.parse(xhr.responseText);
+                } catch (error) {
+                    // Non-JSON error body
+                }
+                reject({ message: body.message || `Upload failed with status ${xhr.status}`, statusCode: String(xhr.status), error: body.error });
+            }
+        };
+        xhr.onerror = () => reject(new Error('Network error during upload'));
+        xhr.onabort = () => reject(createAbortError());
+
+        if (signal) signal.addEventListener('abort', () => xhr.abort(), { once: true });
+        xhr.send(file);
+    });
+}
+
+/**
+ * Resumable upload to Supabase Storage over the TUS protocol
+ * @param {string} path - Object path in the bucket
+ * @param {File|Blob} file - File contents
+ * @param {Function} onProgress - Progress callback
+ * @param {AbortSignal} [signal] - Stops the upload
+ */
+async function uploadResumable(path, file, onProgress, signal) {
+    const tus = await loadTus();
+    const headers = await getStorageHeaders();
+
+    await new Promise((resolve, reject) => {
+        const upload = new tus.Upload(file, {
+            endpoint: `${config.supabase.url}/storage/v1/upload/resumable`,
+            retryDelays: [0, 3000, 5000, 10000],
+            headers: { ...headers, 'x-upsert': 'false' },
+            uploadDataDuringCreation: true,
+            removeFingerprintOnSuccess: true,
+            chunkSize: config.uploads.chunkSize,
+            metadata: {
+                bucketName: BUCKET,
+                objectName: path,
+                contentType: file.type || 'application/octet-stream',
+                cacheControl: '3600'
+            },
+            // Key stored progress by destination so a reloaded page finds it again
+            fingerprint: async () => `classmate-upload-${BUCKET}/${path}`,
+            onProgress: (uploaded, total) => onProgress(uploaded, total),
+            onSuccess: () => resolve(),
+            onError: (error) => reject(error)
+        });
+
+        if (signal) {
+            signal.addEventListener('abort', () => {
+                upload.abort();
+                reject(createAbortError());
+            }, { once: true });
+        }
+
+        upload.findPreviousUploads().then(previous => {
+            if (previous.length > 0) upload.resumeFromPreviousUpload(previous[0]);
+            upload.start();
+        }, reject);
+    });
+}
+
+/**
+ * Chunked upload against the local backend, mirroring the TUS flow
+ * @param {string} path - Object path in the bucket
+ * @param {File|Blob} file - File contents
+ * @param {Function} onProgress - Progress callback
+ * @param {AbortSignal} [signal] - Stops the upload between chunks
+ */
+async function uploadChunkedLocal(path, file, onProgress, signal) {
+    const bucket = supabase.storage.from(BUCKET);
+    const { data, error } = await bucket.getUploadOffset(path);
+    if (error) throw error;
+
+    let offset = data.offset;
+    onProgress(offset, file.size);
+
+    while (offset < file.size) {
+        if (signal && signal.aborted) throw createAbortError();
+
+        const chunk = file.slice(offset, offset + config.uploads.chunkSize);
+        const final = offset + chunk.size >= file.size;
+        const result = await bucket.uploadChunk(path, chunk, { offset, contentType: file.type, final });
+        if (result.error) throw result.error;
+
+        offset = result.data.offset;
+        onProgress(offset, file.size);
+    }
+}
+
+/**
+ * Throw away the stored chunks of an unfinished resumable upload
+ * @param {string} path - Object path in the bucket
+ */
+export async function discardResumableUpload(path) {
+    if (config.backend === 'local') {
+        await supabase.storage.from(BUCKET).discardUpload(path);
+        return;
+    }
+
+    const tus = await loadTus();
+    const headers = await getStorageHeaders();
+    const upload = new tus.Upload(new Blob([]), {
+        endpoint: `${config.supabase.url}/storage/v1/upload/resumable`,
+        headers,
+        fingerprint: async () => `classmate-upload-${BUCKET}/${path}`
+    });
+
+    const previous = await upload.findPreviousUploads();
+    for (const item of previous) {
+        await tus.Upload.terminate(item.uploadUrl, { headers }).catch(() => {});
+        await upload.options.urlStorage.removeUpload(item.urlStorageKey);
+    }
+}
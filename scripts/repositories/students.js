@@ -0,0 +1,55 @@
+/**
+ * Students Repository
+ * Data access for the `students` table (user profiles)
+ */
+
+import { supabase } from '../supabase.js';
+
+// PostgREST "no rows found" error code for .single()
+const NO_ROWS_CODE = 'PGRST116';
+
+/**
+ * Get a student profile
+ * @param {string} userId - User ID
+ * @returns {Promise<Object|null>} Student row, or null if the profile doesn't exist
+ */
+export async function getStudent(userId) {
+    const { data, error } = await supabase
+        .from('students')
+        .select('*')
+        .eq('user_id', userId)
+        .single();
+
+    if (error && error.code !== NO_ROWS_CODE) throw error;
+    return data || null;
+}
+
+/**
+ * Insert a student profile
+ * @param {Object} student - Profile fields
+ * @returns {Promise<Object>} Created student row
+ */
+export async function createStudent(student) {
+    const { data, error } = await supabase
+        .from('students')
+        .insert([student])
+        .select()
+        .single();
+
+    if (error) throw error;
+    return data;
+}
+
+/**
+ * Update a student profile
+ * @param {string} userId - User ID
+ * @param {Object} changes - Fields to update
+ */
+export async function updateStudent(userId, changes) {
+    const { error } = await supabase
+        .from('students')
+        .update(changes)
+        .eq('user_id', userId);
+
+    if (error) throw error;
+}
@@ -0,0 +1,99 @@
+/**
+ * Study Groups Repository
+ * Data access for the `study_groups` and `study_group_members` tables
+ * (named groups archive files can be shared with)
+ */
+
+import { supabase } from '../supabase.js';
+
+/**
+ * List the study groups a student belongs to, by name
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>} Group rows
+ */
+export async function listMyGroups(userId) {
+    const { data: memberships, error: membershipError } = await supabase
+        .from('study_group_members')
+        .select('group_id')
+        .eq('user_id', userId);
+
+    if (membershipError) throw membershipError;
+    if (!memberships || memberships.length === 0) return [];
+
+    const { data, error } = await supabase
+        .from('study_groups')
+        .select('*')
+        .in('id', memberships.map(membership => membership.group_id))
+        .order('name', { ascending: true });
+
+    if (error) throw error;
+    return data || [];
+}
+
+/**
+ * Count the members of study groups
+ * @param {Array} groupIds - Group IDs
+ * @returns {Promise<Map>} Group ID to member count
+ */
+export async function countMembers(groupIds) {
+    const counts = new Map();
+    if (groupIds.length === 0) return counts;
+
+    const { data, error } = await supabase
+        .from('study_group_members')
+        .select('group_id')
+        .in('group_id', groupIds);
+
+    if (error) throw error;
+    (data || []).forEach(row => counts.set(row.group_id, (counts.get(row.group_id) || 0) + 1));
+    return counts;
+}
+
+/**
+ * Create a study group and make its creator the first member
+ * @param {Object} group - { name, join_code, created_by }
+ * @returns {Promise<Object>} Created group row
+ */
+export async function createGroup(group) {
+    const { data, error } = await supabase
+        .from('study_groups')
+        .insert([group])
+        .select()
+        .single();
+
+    if (error) throw error;
+
+    const { error: memberError } = await supabase
+        .from('study_group_members')
+        .insert([{ group_id: data.id, user_id: group.created_by }]);
+
+    if (memberError) throw memberError;
+    return data;
+}
+
+/**
+ * Join a study group with its code
+ * @param {string} code - Join code shared by a member
+ * @returns {Promise<Object>} Joined group row
+ */
+export async function joinGroup(code) {
+    const { data, error } = await supabase.rpc('join_study_group', { code });
+
+    if (error) throw error;
+    return data;
+}
+
+/**
+ * Leave a study group
+ * @param {string} groupId - Group ID
+ * @param {string} userId - User ID
+ */
+export async function leaveGroup(groupId, userId) {
+    const { error } = await supabase
+        .from('study_group_members')
+        .delete()
+        .eq('group_id', groupId)
+        .eq('user_id', userId);
+
+    if (error) throw error;
+}
@@ -0,0 +1,145 @@
+/**
+ * Tasks Repository
+ * Data access for the `tasks` table
+ */
+
+import { supabase } from '../supabase.js';
+
+/**
+ * List a user's tasks ordered by due date, leaving out those in the Trash
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>} Task rows
+ */
+export async function listTasks(userId) {
+    const { data, error } = await supabase
+        .from('tasks')
+        .select('*')
+        .eq('user_id', userId)
+        .is('deleted_at', null)
+        .order('due_date', { ascending: true });
+
+    if (error) throw error;
+    return data || [];
+}
+
+/**
+ * List the open tasks linked to any of the given classes
+ * @param {Array<string>} scheduleIds - Schedule IDs of the class
+ * @returns {Promise<Array>} Task rows ordered by due date
+ */
+export async function listOpenTasksForClasses(scheduleIds) {
+    if (scheduleIds.length === 0) return [];
+
+    const { data, error } = await supabase
+        .from('tasks')
+        .select('*')
+        .in('schedule_id', scheduleIds)
+        .eq('completed', false)
+        .is('deleted_at', null)
+        .order('due_date', { ascending: true });
+
+    if (error) throw error;
+    return data || [];
+}
+
+/**
+ * Get a single task
+ * @param {string} taskId - Task ID
+ * @returns {Promise<Object>} Task row
+ */
+export async function getTask(taskId) {
+    const { data, error } = await supabase
+        .from('tasks')
+        .select('*')
+        .eq('id', taskId)
+        .single();
+
+    if (error) throw error;
+    return data;
+}
+
+/**
+ * Insert a new task
+ * @param {Object} task - Task fields
+ * @returns {Promise<Object>} Created task row
+ */
+export async function createTask(task) {
+    const { data, error } = await supabase
+        .from('tasks')
+        .insert([task])
+        .select()
+        .single();
+
+    if (error) throw error;
+    return data;
+}
+
+/**
+ * Update a task
+ * @param {string} taskId - Task ID
+ * @param {Object} changes - Fields to update
+ */
+export async function updateTask(taskId, changes) {
+    const { error } = await supabase
+        .from('tasks')
+        .update(changes)
+        .eq('id', taskId);
+
+    if (error) throw error;
+}
+
+/**
+ * List a user's tasks in the Trash, most recently deleted first
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>} Task rows
+ */
+export async function listTrashedTasks(userId) {
+    const { data, error } = await supabase
+        .from('tasks')
+        .select('*')
+        .eq('user_id', userId)
+        .not('deleted_at', 'is', null)
+        .order('deleted_at', { ascending: false });
+
+    if (error) throw error;
+    return data || [];
+}
+
+/**
+ * Move a task to the Trash
+ * @param {string} taskId - Task ID
+ */
+export async function trashTask(taskId) {
+    const { error } = await supabase
+        .from('tasks')
+        .update({ deleted_at: new Date().toISOString() })
+        .eq('id', taskId);
+
+    if (error) throw error;
+}
+
+/**
+ * Take a task back out of the Trash
+ * @param {string} taskId - Task ID
+ */
+export async function restoreTask(taskId) {
+    const { error } = await supabase
+        .from('tasks')
+        .update({ deleted_at: null })
+        .eq('id', taskId);
+
+    if (error) throw error;
+}
+
+/**
+ * Delete a task
+ * @param {string} taskId - Task ID
+ */
+export async function deleteTask(taskId) {
+    const { error } = await supabase
+        .from('tasks')
+        .delete()
+        .eq('id', taskId);
+
+    if (error) throw error;
+}
@@ -0,0 +1,110 @@
+/**
+ * Reset Password Module
+ * Landing page for the link in a password reset email. Following the link
+ * signs the student in for recovery; the page then only asks for the new
+ * password. Opened any other way it points back to the login page.
+ */
+
+import { supabase, showError, showSuccess } from './supabase.js';
+import { attachStrengthMeter, validateNewPassword } from './password-policy.js';
+import { resetIdleTimer } from './session-monitor.js';
+import { DEFAULT_PAGE } from './routes.js';
+
+// Pause on the success message before going into the app
+const DONE_DELAY = 1500;
+
+// supabase-js reads the link's token from the address bar and removes it, so
+// note whether this is a recovery link before that happens
+const linkParams = new URLSearchParams(window.location.hash.slice(1));
+let isRecovery = linkParams.get('type') === 'recovery';
+
+// Email of the account being recovered, which the new password mustn't contain
+let accountEmail = '';
+
+supabase.auth.onAuthStateChange((event, session) => {
+    if (event === 'PASSWORD_RECOVERY' && session) {
+        isRecovery = true;
+        accountEmail = session.user.email;
+        showResetForm();
+    }
+});
+
+document.addEventListener('DOMContentLoaded', async function() {
+    document.getElementById('reset-password-form').addEventListener('submit', handleResetSubmit);
+    attachStrengthMeter(
+        document.getElementById('reset-new-password'),
+        document.getElementById('reset-password-strength'),
+        () => accountEmail
+    );
+
+    // Expired or already used links come back with the reason instead of a token
+    const linkError = linkParams.get('error_description');
+    if (linkError) {
+        showLinkProblem(`${linkError}. Request a new reset link from the login page.`);
+        return;
+    }
+
+    // Waits until supabase-js has finished with the link
+    const { data: { session } } = await supabase.auth.getSession();
+    if (session && isRecovery) {
+        accountEmail = session.user.email;
+        showResetForm();
+    } else if (!isRecovery) {
+        showLinkProblem('Open this page from the link in your password reset email. You can request one from the login page.');
+    } else {
+        showLinkProblem('This reset link is invalid or has expired. Request a new one from the login page.');
+    }
+});
+
+/**
+ * Show the new password form
+ */
+function showResetForm() {
+    document.getElementById('reset-status').textContent = 'Choose a new password for your account.';
+    document.getElementById('reset-password-form').classList.add('active');
+}
+
+/**
+ * Explain why the password can't be reset here
+ * @param {string} message - What went wrong
+ */
+function showLinkProblem(message) {
+    // A recovery event may still arrive and show the form
+    if (document.getElementById('reset-password-form').classList.contains('active')) return;
+    document.getElementById('reset-status').textContent = message;
+}
+
+/**
+ * Save the new password and continue into the app
+ * @param {Event} event - Submit event
+ */
+async function handleResetSubmit(event) {
+    event.preventDefault();
+
+    const newPassword = document.getElementById('reset-new-password').value;
+    const confirmPassword = document.getElementById('reset-confirm-password').value;
+
+    if (newPassword !== confirmPassword) {
+        showError('reset-error', 'Passwords do not match');
+        return;
+    }
+
+    const button = event.target.querySelector('button[type="submit"]');
+    button.disabled = true;
+
+    try {
+        await validateNewPassword(newPassword, accountEmail);
+
+        const { error } = await supabase.auth.updateUser({ password: newPassword });
+        if (error) throw error;
+
+        event.target.reset();
+        resetIdleTimer();
+        showSuccess('reset-success', 'Your password has been changed. Taking you to ClassMate...');
+        setTimeout(() => { window.location.href = DEFAULT_PAGE; }, DONE_DELAY);
+    } catch (error) {
+        console.error('Password reset error:', error);
+        showError('reset-error', `Failed to change your password: ${error.message}`);
+        button.disabled = false;
+    }
+}
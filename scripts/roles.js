@@ -0,0 +1,60 @@
+/**
+ * Roles Module
+ * What each role in `students.role` may do with the shared archive. The
+ * database enforces the same rules; these helpers only decide what to show.
+ */
+
+export const ROLE_LABELS = {
+    student: 'Student',
+    class_rep: 'Class Representative',
+    moderator: 'Moderator',
+    admin: 'Admin'
+};
+
+/**
+ * Get a profile's role, treating profiles from before roles existed as students
+ * @param {Object|null} profile - Student row
+ * @returns {string} Role key
+ */
+export function getRole(profile) {
+    return (profile && Object.hasOwn(ROLE_LABELS, profile.role)) ? profile.role : 'student';
+}
+
+/**
+ * Check whether a profile's archive uploads have to be approved first
+ * @param {Object|null} profile - Student row
+ * @returns {boolean} True for plain students
+ */
+export function needsReview(profile) {
+    return getRole(profile) === 'student';
+}
+
+/**
+ * Check whether a profile can open the moderation page
+ * @param {Object|null} profile - Student row
+ * @returns {boolean} True for moderators and admins
+ */
+export function isModerator(profile) {
+    return ['moderator', 'admin'].includes(getRole(profile));
+}
+
+/**
+ * Check whether a profile may change its own faculty. Moderators and class
+ * representatives act for their faculty, so only an admin moves them.
+ * @param {Object|null} profile - Student row
+ * @returns {boolean} True for students and admins
+ */
+export function canChangeOwnFaculty(profile) {
+    return ['student', 'admin'].includes(getRole(profile));
+}
+
+/**
+ * Check whether a profile may moderate a faculty's files
+ * @param {Object|null} profile - Student row
+ * @param {string} faculty - Faculty of the file
+ * @returns {boolean} True for admins, and moderators of that faculty
+ */
+export function canModerateFaculty(profile, faculty) {
+    const role = getRole(profile);
+    return role === 'admin' || (role === 'moderator' && profile.faculty === faculty);
+}
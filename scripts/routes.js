@@ -0,0 +1,85 @@
+/**
+ * Routes Module
+ * The page manifest: who may open each page of the app. The auth guard in
+ * supabase.js reads it on every page load and whenever the session changes in
+ * any tab. New pages must be listed here; unlisted pages need a signed-in student.
+ *
+ * access:
+ *  - 'guest'   only when signed out (signed-in students are sent on)
+ *  - 'student' only when fully signed in, including a second factor if enrolled
+ *  - 'public'  anyone; the page handles the session itself
+ * returnTo: whether login may send the student back to the page (default true)
+ */
+
+export const LOGIN_PAGE = 'index.html';
+export const DEFAULT_PAGE = 'home.html';
+
+export const PAGES = {
+    'index.html': { access: 'guest' },
+    'reset-password.html': { access: 'public' },
+    'share.html': { access: 'public' },
+    'home.html': { access: 'student' },
+    'files.html': { access: 'student' },
+    'archive.html': { access: 'student' },
+    'search.html': { access: 'student' },
+    'trash.html': { access: 'student' },
+    'moderation.html': { access: 'student' },
+    'settings.html': { access: 'student' },
+    'onboarding.html': { access: 'student', returnTo: false }
+};
+
+/**
+ * Get the file name of the page being shown
+ * @returns {string} e.g. "archive.html"
+ */
+export function getCurrentPage() {
+    return window.location.pathname.split('/').pop() || LOGIN_PAGE;
+}
+
+/**
+ * Get who may open a page
+ * @param {string} page - Page file name
+ * @returns {string} 'guest', 'student' or 'public'
+ */
+export function getPageAccess(page) {
+    return (PAGES[page] || { access: 'student' }).access;
+}
+
+/**
+ * Check whether login may send the student to a URL: a listed page of this
+ * app, never another site
+ * @param {string} url - Relative URL, e.g. "archive.html?course=CS101"
+ * @returns {boolean} True if it is safe to redirect to
+ */
+export function isReturnUrl(url) {
+    const match = /^([a-z-]+\.html)(\?[^#]*)?$/.exec(url || '');
+    if (!match) return false;
+
+    const route = PAGES[match[1]];
+    return Boolean(route) && route.access === 'student' && route.returnTo !== false;
+}
+
+/**
+ * Get the page to continue to after signing in
+ * @returns {string} The requested page from ?next=, or the default page
+ */
+export function getNextPage() {
+    const next = new URLSearchParams(window.location.search).get('next');
+    return isReturnUrl(next) ? next : DEFAULT_PAGE;
+}
+
+/**
+ * Build the login URL that returns to a page afterwards
+ * @param {string} [returnUrl] - Page to come back to; the current page by default
+ * @param {Object} [params] - Extra query parameters, e.g. { signed_out: 'idle' }
+ * @returns {string} Relative login URL
+ */
+export function buildLoginUrl(returnUrl = getCurrentPage() + window.location.search, params = {}) {
+    const query = new URLSearchParams(params);
+    if (isReturnUrl(returnUrl) && returnUrl !== DEFAULT_PAGE) {
+        query.set('next', returnUrl);
+    }
+
+    const search = query.toString();
+    return search ? `${LOGIN_PAGE}?${search}` : LOGIN_PAGE;
+}
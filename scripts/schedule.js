@@ -1,21 +1,52 @@
 /**
  * Schedule Module - Improved Version
- * Manages weekly class schedule using FullCalendar with better UX
+ * Manages weekly class schedule using FullCalendar with better UX.
+ * Weekly classes are expanded into dated occurrences within the selected semester.
  */
 
-import { supabase, checkAuth, showError, showSuccess, showModal, hideModal } from './supabase.js';
+import { supabase, checkAuth, showError, showSuccess, showModal, hideModal, escapeHtml } from './supabase.js';
+import * as schedulesRepo from './repositories/schedules.js';
+import * as tasksRepo from './repositories/tasks.js';
+import * as semestersRepo from './repositories/semesters.js';
+import { openNewTaskForClass } from './tasks.js';
+import { toDateString } from './recurrence.js';
+import {
+    addDays,
+    expandClassOccurrences,
+    findCurrentSemester,
+    findOccurrenceConflicts,
+    findScheduleConflicts,
+    timesOverlap
+} from './occurrences.js';
+import { buildScheduleCalendar, parseScheduleCalendar, scheduleKey } from './ical.js';
+import { showUndoToast } from './trash-bin.js';
+
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
 
 let calendar;
 let currentScheduleId = null;
+let popoverEvent = null;
+let movingEvent = null;
+let currentUserId = null;
+let scheduleRows = [];
+let semesters = [];
+let scheduleExceptions = [];
+let activeSemesterId = null;
+let importRows = [];
 
 document.addEventListener('DOMContentLoaded', async function() {
     // Check authentication
-    const user = await checkAuth(true);
+    const user = await checkAuth();
     if (!user) return;
+    currentUserId = user.id;
     
     // Initialize schedule components
     initCalendar();
     initScheduleModal();
+    initSemesterControls();
+    initOccurrenceModal();
+    initScheduleImportExport();
+    initClassPopover();
     initViewOptions();
     
     // Load user's schedule data
@@ -52,8 +83,9 @@ function initCalendar() {
             minute: '2-digit',
             hour12: true
         },
+        events: fetchCalendarEvents,
         eventClick: function(info) {
-            openScheduleModal(info.event);
+            showClassPopover(info);
         },
         eventDidMount: function(info) {
             // Add action buttons to events
@@ -93,68 +125,35 @@ function initCalendar() {
             document.getElementById('schedule-modal-title').textContent = 'Add Class';
             document.getElementById('delete-schedule-btn').style.display = 'none';
             
-            // Set default time values
+            // Set default day, time and semester values
+            document.getElementById('class-day').value = info.start.getDay();
             document.getElementById('class-start').value = formatTime(info.start);
             document.getElementById('class-end').value = formatTime(info.end);
+            populateClassSemesterSelect(activeSemesterId);
             
             showModal('schedule-modal');
             calendar.unselect();
         },
-        eventDrop: async function(info) {
+        eventDrop: function(info) {
             // Handle event drag-and-drop
-            try {
-                const event = info.event;
-                const dayOfWeek = event.start.getDay();
-                const startTime = formatTime(event.start);
-                const endTime = formatTime(event.end);
-                
-                const { error } = await supabase
-                    .from('schedules')
-                    .update({
-                        day: dayOfWeek,
-                        start_time: startTime,
-                        end_time: endTime
-                    })
-                    .eq('id', event.extendedProps.scheduleId);
-                
-                if (error) throw error;
-                
-                showSuccess('Schedule updated successfully');
-            } catch (error) {
-                console.error('Failed to update schedule:', error);
-                info.revert();
-                showError('Failed to update schedule');
-            }
+            handleEventTimeChange(info);
         },
-        eventResize: async function(info) {
+        eventResize: function(info) {
             // Handle event resizing
-            try {
-                const event = info.event;
-                const endTime = formatTime(event.end);
-                
-                const { error } = await supabase
-                    .from('schedules')
-                    .update({
-                        end_time: endTime
-                    })
-                    .eq('id', event.extendedProps.scheduleId);
-                
-                if (error) throw error;
-                
-                showSuccess('Schedule updated successfully');
-            } catch (error) {
-                console.error('Failed to update schedule:', error);
-                info.revert();
-                showError('Failed to update schedule');
-            }
+            handleEventTimeChange(info);
         },
 
         eventContent: function(arg) {
+            // Holiday and exam-period ranges only show their label
+            if (arg.event.display === 'background') {
+                return { html: `<div class="fc-blackout-label">${escapeHtml(arg.event.title)}</div>` };
+            }
+
             return {
                 html: `
                     <div class="fc-event-main">
                         <div class="fc-event-title">
-                            ${arg.event.title}
+                            ${escapeHtml(arg.event.title)}
                             <div class="fc-event-actions">
                                 <button class="fc-event-edit" title="Edit">
                                     <i class="fas fa-edit"></i>
@@ -173,6 +172,8 @@ function initCalendar() {
         },
         
         eventDidMount: function(info) {
+            if (info.event.display === 'background') return;
+
             // إضافة حدث النقر لزر التعديل
             info.el.querySelector('.fc-event-edit').addEventListener('click', (e) => {
                 e.stopPropagation();
@@ -247,61 +248,349 @@ function initScheduleModal() {
     closeButtons.forEach(button => {
         button.addEventListener('click', () => {
             hideModal('schedule-modal');
+            hideModal('semester-modal');
+            hideModal('occurrence-modal');
+            hideModal('import-schedule-modal');
+            hideModal('change-scope-modal');
         });
     });
 }
 
 /**
- * Load user's schedule data from Supabase
+ * Initialize the class popover shown when an event is clicked
+ */
+function initClassPopover() {
+    const popover = document.getElementById('class-popover');
+    if (!popover) return;
+
+    document.getElementById('close-class-popover').addEventListener('click', hideClassPopover);
+
+    document.getElementById('class-popover-add-task').addEventListener('click', () => {
+        const scheduleId = popoverEvent.extendedProps.scheduleId;
+        hideClassPopover();
+        openNewTaskForClass(scheduleId);
+    });
+
+    document.getElementById('class-popover-edit').addEventListener('click', () => {
+        const event = popoverEvent;
+        hideClassPopover();
+        openScheduleModal(event);
+    });
+
+    document.getElementById('class-popover-move').addEventListener('click', () => {
+        const event = popoverEvent;
+        hideClassPopover();
+        openOccurrenceModal(event);
+    });
+
+    document.getElementById('class-popover-cancel').addEventListener('click', () => {
+        const event = popoverEvent;
+        hideClassPopover();
+        handleOccurrenceCancel(event);
+    });
+
+    document.getElementById('class-popover-restore').addEventListener('click', () => {
+        const event = popoverEvent;
+        hideClassPopover();
+        handleOccurrenceRestore(event);
+    });
+
+    // Close when clicking anywhere else
+    document.addEventListener('click', (e) => {
+        if (popover.style.display !== 'none' && !popover.contains(e.target) && !e.target.closest('.fc-event')) {
+            hideClassPopover();
+        }
+    });
+}
+
+/**
+ * Show the popover for a class with its details and open tasks
+ * @param {Object} info - FullCalendar eventClick info
+ */
+async function showClassPopover(info) {
+    const popover = document.getElementById('class-popover');
+    if (!popover) {
+        openScheduleModal(info.event);
+        return;
+    }
+
+    const event = info.event;
+    popoverEvent = event;
+
+    const props = event.extendedProps;
+    const statusText = {
+        cancelled: 'Cancelled',
+        moved: `Moved from ${props.originalDate}`
+    }[props.status];
+
+    document.getElementById('class-popover-title').textContent = event.title;
+    const details = [
+        `${toDateString(event.start)} ${formatTime(event.start)} - ${event.end ? formatTime(event.end) : ''}`,
+        props.room,
+        props.professor,
+        statusText,
+        props.conflict ? 'Overlaps another class' : null,
+        props.note
+    ].filter(Boolean);
+    document.getElementById('class-popover-details').textContent = details.join(' • ');
+
+    // Occurrence actions depend on whether this one already has an exception
+    document.getElementById('class-popover-move').style.display = props.status === 'cancelled' ? 'none' : '';
+    document.getElementById('class-popover-cancel').style.display = props.status === 'cancelled' ? 'none' : '';
+    document.getElementById('class-popover-restore').style.display = props.exceptionId ? '' : 'none';
+
+    // Position below the clicked event, kept inside the viewport
+    const rect = info.el.getBoundingClientRect();
+    popover.style.display = 'block';
+    popover.style.top = `${rect.bottom + window.scrollY + 4}px`;
+    popover.style.left = `${Math.max(8, Math.min(rect.left, window.innerWidth - popover.offsetWidth - 8)) + window.scrollX}px`;
+
+    const tasksList = document.getElementById('class-popover-tasks');
+    tasksList.innerHTML = '<li class="empty">Loading tasks...</li>';
+
+    try {
+        // A course meeting on several days has one schedule row per day
+        const scheduleIds = scheduleRows
+            .filter(schedule => schedule.class_name === event.title)
+            .map(schedule => schedule.id);
+        const tasks = await tasksRepo.listOpenTasksForClasses(scheduleIds);
+
+        // Ignore the result if another event was clicked meanwhile
+        if (popoverEvent !== event) return;
+
+        tasksList.innerHTML = '';
+        if (tasks.length === 0) {
+            tasksList.innerHTML = '<li class="empty">No open tasks for this class.</li>';
+            return;
+        }
+        tasks.forEach(task => {
+            const item = document.createElement('li');
+            item.textContent = `${task.title} — due ${String(task.due_date).slice(0, 10)}`;
+            tasksList.appendChild(item);
+        });
+    } catch (error) {
+        console.error('Failed to load class tasks:', error);
+        tasksList.innerHTML = '<li class="empty">Failed to load tasks.</li>';
+    }
+}
+
+/**
+ * Hide the class popover
+ */
+function hideClassPopover() {
+    const popover = document.getElementById('class-popover');
+    if (popover) {
+        popover.style.display = 'none';
+    }
+    popoverEvent = null;
+}
+
+/**
+ * Load user's schedule data: classes, semesters and occurrence exceptions
  * @param {string} userId - User ID
  */
 async function loadUserSchedule(userId) {
     try {
-        const { data, error } = await supabase
-            .from('schedules')
-            .select('*')
-            .eq('user_id', userId);
-        
-        if (error) throw error;
-        
-        if (data && data.length > 0) {
-            // Convert schedule data to FullCalendar events
-            const events = data.map(schedule => {
-                const dayNumber = parseInt(schedule.day);
-                const startDate = getDateForDayOfWeek(dayNumber);
-                const endDate = new Date(startDate);
-                
-                // Set hours from time strings
-                const startParts = schedule.start_time.split(':');
-                const endParts = schedule.end_time.split(':');
-                
-                startDate.setHours(parseInt(startParts[0]), parseInt(startParts[1]));
-                endDate.setHours(parseInt(endParts[0]), parseInt(endParts[1]));
-                
-                return {
-                    id: schedule.id,
-                    title: schedule.class_name,
-                    start: startDate,
-                    end: endDate,
-                    daysOfWeek: [dayNumber],
-                    startTime: schedule.start_time,
-                    endTime: schedule.end_time,
-                    extendedProps: {
-                        room: schedule.room,
-                        professor: schedule.professor,
-                        scheduleId: schedule.id
-                    },
-                    backgroundColor: '#6f42c1'
-                };
+        [scheduleRows, semesters, scheduleExceptions] = await Promise.all([
+            schedulesRepo.listSchedules(userId),
+            semestersRepo.listSemesters(userId),
+            schedulesRepo.listExceptions(userId)
+        ]);
+
+        // Keep the selected semester if it still exists, otherwise pick the current one
+        if (!semesters.some(semester => semester.id === activeSemesterId)) {
+            const currentSemester = findCurrentSemester(semesters);
+            activeSemesterId = currentSemester ? currentSemester.id : null;
+        }
+
+        populateSemesterSelect();
+        calendar.refetchEvents();
+    } catch (error) {
+        console.error('Failed to load schedule:', error);
+    }
+}
+
+/**
+ * Get the semester selected in the semester dropdown
+ * @returns {Object|null} Semester row, or null to show every week
+ */
+function getActiveSemester() {
+    return semesters.find(semester => semester.id === activeSemesterId) || null;
+}
+
+/**
+ * FullCalendar event source: the class occurrences and blackout ranges in the visible range
+ * @param {Object} fetchInfo - Visible range from FullCalendar
+ * @param {Function} successCallback - Receives the events
+ */
+function fetchCalendarEvents(fetchInfo, successCallback) {
+    const semester = getActiveSemester();
+    const rangeStart = toDateString(fetchInfo.start);
+    const rangeEnd = toDateString(fetchInfo.end);
+
+    const occurrences = expandClassOccurrences({
+        schedules: scheduleRows,
+        semester,
+        exceptions: scheduleExceptions,
+        rangeStart,
+        rangeEnd
+    });
+
+    const blackouts = semester ? (semester.blackouts || [])
+        .filter(range => range.start_date < rangeEnd && range.end_date >= rangeStart)
+        .map(range => ({
+            title: range.label || (range.type === 'exam' ? 'Exam period' : 'Holiday'),
+            start: range.start_date,
+            end: addDays(range.end_date, 1),
+            allDay: true,
+            display: 'background',
+            classNames: [`blackout-${range.type}`]
+        })) : [];
+
+    const conflicts = findOccurrenceConflicts(occurrences);
+    const events = occurrences.map(occurrence => {
+        const calendarEvent = toCalendarEvent(occurrence);
+        if (conflicts.has(calendarEvent.id)) {
+            calendarEvent.classNames.push('event-conflict');
+            calendarEvent.extendedProps.conflict = true;
+        }
+        return calendarEvent;
+    });
+
+    successCallback([...events, ...blackouts]);
+}
+
+/**
+ * Convert a class occurrence into a FullCalendar event
+ * @param {Object} occurrence - Occurrence from expandClassOccurrences
+ * @returns {Object} FullCalendar event input
+ */
+function toCalendarEvent(occurrence) {
+    const schedule = occurrence.schedule;
+    const isCancelled = occurrence.status === 'cancelled';
+
+    return {
+        id: `${schedule.id}:${occurrence.originalDate}`,
+        title: schedule.class_name,
+        start: `${occurrence.date}T${occurrence.startTime.slice(0, 5)}`,
+        end: `${occurrence.date}T${occurrence.endTime.slice(0, 5)}`,
+        editable: !isCancelled,
+        classNames: [`event-${occurrence.status}`],
+        extendedProps: {
+            room: schedule.room,
+            professor: schedule.professor,
+            scheduleId: schedule.id,
+            day: schedule.day,
+            start_time: schedule.start_time,
+            end_time: schedule.end_time,
+            semester_id: schedule.semester_id || '',
+            originalDate: occurrence.originalDate,
+            status: occurrence.status,
+            exceptionId: occurrence.exception ? occurrence.exception.id : null,
+            note: occurrence.exception ? occurrence.exception.note : null
+        },
+        backgroundColor: isCancelled ? '#adb5bd' : '#6f42c1'
+    };
+}
+
+/**
+ * Ask whether a dragged or resized class changes only this occurrence or the whole series
+ * @param {string} title - Class name shown in the prompt
+ * @returns {Promise<string|null>} 'occurrence', 'series', or null when cancelled
+ */
+function askChangeScope(title) {
+    const modal = document.getElementById('change-scope-modal');
+    document.getElementById('change-scope-class').textContent = title;
+
+    return new Promise(resolve => {
+        const listeners = new AbortController();
+        const choose = scope => {
+            listeners.abort();
+            hideModal('change-scope-modal');
+            resolve(scope);
+        };
+
+        const choices = [
+            ['#change-scope-occurrence', 'occurrence'],
+            ['#change-scope-series', 'series'],
+            ['#change-scope-cancel', null],
+            ['.close-modal', null]
+        ];
+        choices.forEach(([selector, scope]) => {
+            modal.querySelector(selector).addEventListener('click', () => choose(scope), { signal: listeners.signal });
+        });
+
+        showModal('change-scope-modal');
+    });
+}
+
+/**
+ * Save a dragged or resized event, either for this occurrence only or for the whole series
+ * @param {Object} info - FullCalendar eventDrop/eventResize info
+ */
+async function handleEventTimeChange(info) {
+    const event = info.event;
+    const props = event.extendedProps;
+    const startTime = formatTime(event.start);
+    const endTime = event.end ? formatTime(event.end) : '';
+
+    if (!endTime || endTime <= startTime) {
+        alert('End time must be after start time.');
+        info.revert();
+        return;
+    }
+
+    // Occurrences that were already moved stay one-offs
+    const scope = props.status === 'moved' ? 'occurrence' : await askChangeScope(event.title);
+    if (!scope) {
+        info.revert();
+        return;
+    }
+    const onlyThisOccurrence = scope === 'occurrence';
+
+    try {
+
+        const conflicts = onlyThisOccurrence
+            ? findMovedOccurrenceConflicts(props.scheduleId, props.originalDate, toDateString(event.start), startTime, endTime)
+                .map(describeOccurrence)
+            : findScheduleConflicts({
+                id: props.scheduleId,
+                day: event.start.getDay(),
+                start_time: startTime,
+                end_time: endTime,
+                semester_id: props.semester_id || null
+            }, scheduleRows).map(describeSchedule);
+
+        if (!confirmConflicts(conflicts)) {
+            info.revert();
+            return;
+        }
+
+        if (onlyThisOccurrence) {
+            await schedulesRepo.saveException({
+                user_id: currentUserId,
+                schedule_id: props.scheduleId,
+                occurrence_date: props.originalDate,
+                type: 'moved',
+                new_date: toDateString(event.start),
+                new_start_time: startTime,
+                new_end_time: endTime,
+                note: props.note || null
             });
-            
-            // Add events to calendar
-            events.forEach(event => {
-                calendar.addEvent(event);
+        } else {
+            await schedulesRepo.updateSchedule(props.scheduleId, {
+                day: event.start.getDay(),
+                start_time: startTime,
+                end_time: endTime
             });
         }
+
+        await loadUserSchedule(currentUserId);
+        showSuccess('Schedule updated successfully');
     } catch (error) {
-        console.error('Failed to load schedule:', error);
+        console.error('Failed to update schedule:', error);
+        info.revert();
+        showError('Failed to update schedule');
     }
 }
 
@@ -329,12 +618,14 @@ function openScheduleModal(event = null) {
         document.getElementById('class-end').value = event.extendedProps.end_time;
         document.getElementById('class-room').value = event.extendedProps.room || '';
         document.getElementById('class-professor').value = event.extendedProps.professor || '';
+        populateClassSemesterSelect(event.extendedProps.semester_id);
         
         currentScheduleId = event.extendedProps.scheduleId;
     } else {
         // Adding new event
         modalTitle.textContent = "Add New Event";
         deleteBtn.style.display = 'none';
+        populateClassSemesterSelect(activeSemesterId);
         currentScheduleId = null;
     }
     
@@ -359,87 +650,60 @@ async function handleScheduleSubmit(event) {
     const endTime = document.getElementById('class-end').value;
     const room = document.getElementById('class-room').value;
     const professor = document.getElementById('class-professor').value;
+    const semesterId = document.getElementById('class-semester').value || null;
     
     // Validate form
     if (!className || !day || !startTime || !endTime) {
         alert('Please fill in all required fields.');
         return;
     }
+    if (endTime <= startTime) {
+        alert('End time must be after start time.');
+        return;
+    }
+    
+    const conflicts = findScheduleConflicts({
+        id: scheduleId,
+        day: day,
+        start_time: startTime,
+        end_time: endTime,
+        semester_id: semesterId
+    }, scheduleRows);
+    if (!confirmConflicts(conflicts.map(describeSchedule))) {
+        return;
+    }
     
     try {
         if (scheduleId) {
             // Update existing schedule
-            const { error } = await supabase
-                .from('schedules')
-                .update({
-                    class_name: className,
-                    day: day,
-                    start_time: startTime,
-                    end_time: endTime,
-                    room: room,
-                    professor: professor
-                })
-                .eq('id', scheduleId);
-            
-            if (error) throw error;
-            
-            // Update calendar event
-            const existingEvent = calendar.getEventById(scheduleId);
-            if (existingEvent) {
-                existingEvent.remove();
-            }
+            await schedulesRepo.updateSchedule(scheduleId, {
+                class_name: className,
+                day: day,
+                start_time: startTime,
+                end_time: endTime,
+                room: room,
+                professor: professor,
+                semester_id: semesterId
+            });
         } else {
             // Add new schedule
-            const { data, error } = await supabase
-                .from('schedules')
-                .insert([
-                    {
-                        user_id: user.id,
-                        class_name: className,
-                        day: day,
-                        start_time: startTime,
-                        end_time: endTime,
-                        room: room,
-                        professor: professor
-                    }
-                ])
-                .select();
-            
-            if (error) throw error;
+            const created = await schedulesRepo.createSchedule({
+                user_id: user.id,
+                class_name: className,
+                day: day,
+                start_time: startTime,
+                end_time: endTime,
+                room: room,
+                professor: professor,
+                semester_id: semesterId
+            });
             
             // Set schedule ID for the new event
-            if (data && data.length > 0) {
-                currentScheduleId = data[0].id;
-            }
+            currentScheduleId = created.id;
         }
         
-        // Add/update event on calendar
-        const dayNumber = parseInt(day);
-        const startDate = getDateForDayOfWeek(dayNumber);
-        const endDate = new Date(startDate);
-        
-        // Set hours from time strings
-        const startParts = startTime.split(':');
-        const endParts = endTime.split(':');
-        
-        startDate.setHours(parseInt(startParts[0]), parseInt(startParts[1]));
-        endDate.setHours(parseInt(endParts[0]), parseInt(endParts[1]));
-        
-        calendar.addEvent({
-            id: currentScheduleId,
-            title: className,
-            start: startDate,
-            end: endDate,
-            daysOfWeek: [dayNumber],
-            startTime: startTime,
-            endTime: endTime,
-            extendedProps: {
-                room: room,
-                professor: professor,
-                scheduleId: currentScheduleId
-            },
-            backgroundColor: '#6f42c1'
-        });
+        // Re-expand the occurrences on the calendar
+        await loadUserSchedule(user.id);
         
         // Hide modal
         hideModal('schedule-modal');
@@ -450,31 +714,26 @@ async function handleScheduleSubmit(event) {
 }
 
 /**
- * Handle schedule deletion
+ * Move the open class to the Trash, with an undo prompt
  */
 async function handleScheduleDelete() {
     if (!currentScheduleId) return;
     
-    if (!confirm('Are you sure you want to delete this class?')) {
-        return;
-    }
+    const scheduleId = currentScheduleId;
     
     try {
-        const { error } = await supabase
-            .from('schedules')
-            .delete()
-            .eq('id', currentScheduleId);
+        await schedulesRepo.trashSchedule(scheduleId);
         
-        if (error) throw error;
-        
-        // Remove event from calendar
-        const existingEvent = calendar.getEventById(currentScheduleId);
-        if (existingEvent) {
-            existingEvent.remove();
-        }
+        // Remove the class's occurrences from the calendar
+        await loadUserSchedule(currentUserId);
         
         // Hide modal
         hideModal('schedule-modal');
+        
+        showUndoToast('Class moved to the Trash.', async () => {
+            await schedulesRepo.restoreSchedule(scheduleId);
+            await loadUserSchedule(currentUserId);
+        });
     } catch (error) {
         console.error('Failed to delete schedule:', error);
         alert('Failed to delete schedule. Please try again.');
@@ -482,21 +741,550 @@ async function handleScheduleDelete() {
 }
 
 /**
- * Get a Date object for a specific day of the week
- * @param {number} dayOfWeek - Day of the week (0 = Sunday, 1 = Monday, etc.)
- * @returns {Date} Date object for the specified day of the current week
+ * Find the occurrences that a single moved occurrence would overlap on its new date
+ * @param {string} scheduleId - Class being moved
+ * @param {string} originalDate - Date the occurrence was originally on
+ * @param {string} newDate - Date it moves to
+ * @param {string} startTime - New start time
+ * @param {string} endTime - New end time
+ * @returns {Array} Overlapping occurrences
  */
-function getDateForDayOfWeek(dayOfWeek) {
-    const now = new Date();
-    const currentDay = now.getDay(); // 0 = Sunday, 1 = Monday, etc.
-    const distance = dayOfWeek - currentDay;
-    
-    // Clone current date and add/subtract days to get to the desired day
-    const date = new Date(now);
-    date.setDate(date.getDate() + distance);
-    
-    // Reset time part
-    date.setHours(0, 0, 0, 0);
-    
-    return date;
-} 
\ No newline at end of file
+function findMovedOccurrenceConflicts(scheduleId, originalDate, newDate, startTime, endTime) {
+    return expandClassOccurrences({
+        schedules: scheduleRows,
+        semester: getActiveSemester(),
+        exceptions: scheduleExceptions,
+        rangeStart: newDate,
+        rangeEnd: addDays(newDate, 1)
+    }).filter(occurrence =>
+        occurrence.status !== 'cancelled' &&
+        !(String(occurrence.schedule.id) === String(scheduleId) && occurrence.originalDate === originalDate) &&
+        timesOverlap(startTime, endTime, occurrence.startTime, occurrence.endTime)
+    );
+}
+
+/**
+ * Describe a weekly class for a conflict warning
+ * @param {Object} schedule - Schedule row
+ * @returns {string} Description such as "Physics (Monday 10:00 - 11:30)"
+ */
+function describeSchedule(schedule) {
+    return `${schedule.class_name} (${DAY_NAMES[schedule.day]} ${schedule.start_time.slice(0, 5)} - ${schedule.end_time.slice(0, 5)})`;
+}
+
+/**
+ * Describe a class occurrence for a conflict warning
+ * @param {Object} occurrence - Occurrence from expandClassOccurrences
+ * @returns {string} Description such as "Physics (2026-10-19 10:00 - 11:30)"
+ */
+function describeOccurrence(occurrence) {
+    return `${occurrence.schedule.class_name} (${occurrence.date} ${occurrence.startTime.slice(0, 5)} - ${occurrence.endTime.slice(0, 5)})`;
+}
+
+/**
+ * Ask the user whether to save despite overlapping classes
+ * @param {Array} descriptions - Descriptions of the conflicting classes
+ * @returns {boolean} True if there are no conflicts or the user chose to save anyway
+ */
+function confirmConflicts(descriptions) {
+    if (descriptions.length === 0) return true;
+    return confirm(`This overlaps with:\n\n${descriptions.join('\n')}\n\nSave anyway?`);
+}
+
+/**
+ * Initialize the semester dropdown, buttons and modal
+ */
+function initSemesterControls() {
+    const semesterSelect = document.getElementById('semester-select');
+    if (!semesterSelect) return;
+
+    semesterSelect.addEventListener('change', () => {
+        activeSemesterId = semesterSelect.value || null;
+        const semester = getActiveSemester();
+
+        // Jump into the semester if the visible week is outside it
+        if (semester) {
+            const visibleDate = toDateString(calendar.getDate());
+            if (visibleDate < semester.start_date || visibleDate > semester.end_date) {
+                calendar.gotoDate(semester.start_date);
+            }
+        }
+        calendar.refetchEvents();
+    });
+
+    document.getElementById('add-semester-btn').addEventListener('click', () => openSemesterModal());
+
+    document.getElementById('edit-semester-btn').addEventListener('click', () => {
+        const semester = getActiveSemester();
+        if (!semester) {
+            alert('Select a semester to edit.');
+            return;
+        }
+        openSemesterModal(semester);
+    });
+
+    document.getElementById('semester-form').addEventListener('submit', handleSemesterSubmit);
+    document.getElementById('delete-semester-btn').addEventListener('click', handleSemesterDelete);
+    document.getElementById('add-blackout-btn').addEventListener('click', () => addBlackoutRow());
+
+    document.getElementById('blackout-list').addEventListener('click', (e) => {
+        if (e.target.closest('.remove-blackout-btn')) {
+            e.target.closest('.blackout-row').remove();
+        }
+    });
+}
+
+/**
+ * Fill the semester dropdown above the calendar
+ */
+function populateSemesterSelect() {
+    const semesterSelect = document.getElementById('semester-select');
+    if (!semesterSelect) return;
+
+    semesterSelect.innerHTML = '<option value="">All weeks</option>';
+    semesters.forEach(semester => {
+        const option = document.createElement('option');
+        option.value = semester.id;
+        option.textContent = semester.name;
+        semesterSelect.appendChild(option);
+    });
+    semesterSelect.value = activeSemesterId || '';
+}
+
+/**
+ * Fill the semester dropdown in the class modal
+ * @param {string|null} selectedId - Semester ID to select
+ */
+function populateClassSemesterSelect(selectedId) {
+    const classSemester = document.getElementById('class-semester');
+    if (!classSemester) return;
+
+    classSemester.innerHTML = '<option value="">Every semester</option>';
+    semesters.forEach(semester => {
+        const option = document.createElement('option');
+        option.value = semester.id;
+        option.textContent = semester.name;
+        classSemester.appendChild(option);
+    });
+    classSemester.value = selectedId || '';
+}
+
+/**
+ * Open semester modal for adding or editing
+ * @param {Object} semester - Semester row (null for new semesters)
+ */
+function openSemesterModal(semester = null) {
+    document.getElementById('semester-form').reset();
+    document.getElementById('blackout-list').innerHTML = '';
+
+    if (semester) {
+        document.getElementById('semester-modal-title').textContent = 'Edit Semester';
+        document.getElementById('delete-semester-btn').style.display = 'block';
+        document.getElementById('semester-id').value = semester.id;
+        document.getElementById('semester-name').value = semester.name;
+        document.getElementById('semester-start').value = semester.start_date;
+        document.getElementById('semester-end').value = semester.end_date;
+        (semester.blackouts || []).forEach(range => addBlackoutRow(range));
+    } else {
+        document.getElementById('semester-modal-title').textContent = 'Add Semester';
+        document.getElementById('delete-semester-btn').style.display = 'none';
+        document.getElementById('semester-id').value = '';
+    }
+
+    showModal('semester-modal');
+}
+
+/**
+ * Add a holiday/exam-period row to the semester modal
+ * @param {Object} [range] - Existing blackout range
+ */
+function addBlackoutRow(range = {}) {
+    const row = document.createElement('div');
+    row.className = 'blackout-row';
+    row.innerHTML = `
+        <input type="text" class="blackout-label" placeholder="e.g. Spring break">
+        <select class="blackout-type">
+            <option value="holiday">Holiday</option>
+            <option value="exam">Exam period</option>
+        </select>
+        <input type="date" class="blackout-start" required>
+        <input type="date" class="blackout-end" required>
+        <button type="button" class="remove-blackout-btn" title="Remove">&times;</button>
+    `;
+    row.querySelector('.blackout-label').value = range.label || '';
+    row.querySelector('.blackout-type').value = range.type || 'holiday';
+    row.querySelector('.blackout-start').value = range.start_date || '';
+    row.querySelector('.blackout-end').value = range.end_date || '';
+    document.getElementById('blackout-list').appendChild(row);
+}
+
+/**
+ * Handle semester form submission
+ * @param {Event} event - Form submit event
+ */
+async function handleSemesterSubmit(event) {
+    event.preventDefault();
+
+    const semesterId = document.getElementById('semester-id').value;
+    const name = document.getElementById('semester-name').value.trim();
+    const startDate = document.getElementById('semester-start').value;
+    const endDate = document.getElementById('semester-end').value;
+    const blackouts = [...document.querySelectorAll('#blackout-list .blackout-row')].map(row => ({
+        label: row.querySelector('.blackout-label').value.trim(),
+        type: row.querySelector('.blackout-type').value,
+        start_date: row.querySelector('.blackout-start').value,
+        end_date: row.querySelector('.blackout-end').value
+    }));
+
+    // Validate form
+    if (!name || !startDate || !endDate) {
+        alert('Please fill in all required fields.');
+        return;
+    }
+    if (endDate < startDate) {
+        alert('The semester must end after it starts.');
+        return;
+    }
+    if (blackouts.some(range => !range.start_date || !range.end_date || range.end_date < range.start_date)) {
+        alert('Each break needs a start date on or before its end date.');
+        return;
+    }
+
+    try {
+        const changes = {
+            name: name,
+            start_date: startDate,
+            end_date: endDate,
+            blackouts: blackouts
+        };
+
+        if (semesterId) {
+            await semestersRepo.updateSemester(semesterId, changes);
+            activeSemesterId = semesterId;
+        } else {
+            const created = await semestersRepo.createSemester({ user_id: currentUserId, ...changes });
+            activeSemesterId = created.id;
+        }
+
+        await loadUserSchedule(currentUserId);
+        calendar.gotoDate(startDate > toDateString(new Date()) ? startDate : new Date());
+
+        hideModal('semester-modal');
+    } catch (error) {
+        console.error('Failed to save semester:', error);
+        alert('Failed to save semester. Please try again.');
+    }
+}
+
+/**
+ * Handle semester deletion
+ */
+async function handleSemesterDelete() {
+    const semesterId = document.getElementById('semester-id').value;
+    if (!semesterId) return;
+
+    if (!confirm('Are you sure you want to delete this semester? Its classes will show in every semester.')) {
+        return;
+    }
+
+    try {
+        await semestersRepo.deleteSemester(semesterId);
+        activeSemesterId = null;
+        await loadUserSchedule(currentUserId);
+
+        hideModal('semester-modal');
+    } catch (error) {
+        console.error('Failed to delete semester:', error);
+        alert('Failed to delete semester. Please try again.');
+    }
+}
+
+/**
+ * Initialize the modal for moving a single occurrence
+ */
+function initOccurrenceModal() {
+    const occurrenceForm = document.getElementById('occurrence-form');
+    if (occurrenceForm) {
+        occurrenceForm.addEventListener('submit', handleOccurrenceSubmit);
+    }
+}
+
+/**
+ * Open the move modal for one occurrence of a class
+ * @param {Object} event - FullCalendar event of the occurrence
+ */
+function openOccurrenceModal(event) {
+    movingEvent = event;
+
+    document.getElementById('occurrence-form').reset();
+    document.getElementById('occurrence-modal-title').textContent = `Move ${event.title} on ${event.extendedProps.originalDate}`;
+    document.getElementById('occurrence-date').value = toDateString(event.start);
+    document.getElementById('occurrence-start').value = formatTime(event.start);
+    document.getElementById('occurrence-end').value = formatTime(event.end);
+    document.getElementById('occurrence-note').value = event.extendedProps.note || '';
+
+    showModal('occurrence-modal');
+}
+
+/**
+ * Save a moved occurrence without changing the weekly series
+ * @param {Event} e - Form submit event
+ */
+async function handleOccurrenceSubmit(e) {
+    e.preventDefault();
+    if (!movingEvent) return;
+
+    const props = movingEvent.extendedProps;
+    const newDate = document.getElementById('occurrence-date').value;
+    const startTime = document.getElementById('occurrence-start').value;
+    const endTime = document.getElementById('occurrence-end').value;
+
+    if (endTime <= startTime) {
+        alert('End time must be after start time.');
+        return;
+    }
+
+    const conflicts = findMovedOccurrenceConflicts(props.scheduleId, props.originalDate, newDate, startTime, endTime);
+    if (!confirmConflicts(conflicts.map(describeOccurrence))) {
+        return;
+    }
+
+    try {
+        await schedulesRepo.saveException({
+            user_id: currentUserId,
+            schedule_id: props.scheduleId,
+            occurrence_date: props.originalDate,
+            type: 'moved',
+            new_date: newDate,
+            new_start_time: startTime,
+            new_end_time: endTime,
+            note: document.getElementById('occurrence-note').value.trim() || null
+        });
+
+        movingEvent = null;
+        await loadUserSchedule(currentUserId);
+        hideModal('occurrence-modal');
+    } catch (error) {
+        console.error('Failed to move class:', error);
+        alert('Failed to move class. Please try again.');
+    }
+}
+
+/**
+ * Cancel one occurrence of a class, keeping the series
+ * @param {Object} event - FullCalendar event of the occurrence
+ */
+async function handleOccurrenceCancel(event) {
+    const props = event.extendedProps;
+    if (!confirm(`Cancel ${event.title} on ${props.originalDate}? Other weeks are not affected.`)) {
+        return;
+    }
+
+    try {
+        await schedulesRepo.saveException({
+            user_id: currentUserId,
+            schedule_id: props.scheduleId,
+            occurrence_date: props.originalDate,
+            type: 'cancelled',
+            new_date: null,
+            new_start_time: null,
+            new_end_time: null,
+            note: props.note || null
+        });
+        await loadUserSchedule(currentUserId);
+    } catch (error) {
+        console.error('Failed to cancel class:', error);
+        alert('Failed to cancel class. Please try again.');
+    }
+}
+
+/**
+ * Undo a cancellation or move, restoring the regular occurrence
+ * @param {Object} event - FullCalendar event of the occurrence
+ */
+async function handleOccurrenceRestore(event) {
+    try {
+        await schedulesRepo.deleteException(event.extendedProps.exceptionId);
+        await loadUserSchedule(currentUserId);
+    } catch (error) {
+        console.error('Failed to restore class:', error);
+        alert('Failed to restore class. Please try again.');
+    }
+}
+
+/**
+ * Initialize the .ics export button and import modal
+ */
+function initScheduleImportExport() {
+    const exportBtn = document.getElementById('export-schedule-btn');
+    if (exportBtn) {
+        exportBtn.addEventListener('click', exportSchedule);
+    }
+
+    const importBtn = document.getElementById('import-schedule-btn');
+    if (!importBtn) return;
+
+    importBtn.addEventListener('click', () => {
+        importRows = [];
+        document.getElementById('import-schedule-file').value = '';
+        document.getElementById('import-preview').style.display = 'none';
+        document.getElementById('import-schedule-confirm').disabled = true;
+        showModal('import-schedule-modal');
+    });
+
+    document.getElementById('import-schedule-file').addEventListener('change', handleImportFile);
+    document.getElementById('import-schedule-confirm').addEventListener('click', handleImportConfirm);
+
+    document.getElementById('import-select-all').addEventListener('change', (e) => {
+        document.querySelectorAll('#import-preview-rows .import-row-check').forEach(checkbox => {
+            checkbox.checked = e.target.checked;
+        });
+    });
+}
+
+/**
+ * Download every class as a weekly-recurring iCalendar file
+ */
+function exportSchedule() {
+    if (scheduleRows.length === 0) {
+        alert('There are no classes to export yet.');
+        return;
+    }
+
+    const text = buildScheduleCalendar(scheduleRows, semesters);
+    const url = URL.createObjectURL(new Blob([text], { type: 'text/calendar' }));
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'classmate-schedule.ics';
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * Parse the chosen .ics file and show the classes it contains
+ * @param {Event} e - File input change event
+ */
+async function handleImportFile(e) {
+    const file = e.target.files[0];
+    if (!file) return;
+
+    try {
+        const parsedRows = parseScheduleCalendar(await file.text());
+        const existingKeys = new Set(scheduleRows.map(scheduleKey));
+        const seenKeys = new Set();
+
+        // Timetables often list every week as its own event, so repeats in the file count as duplicates too
+        importRows = parsedRows.map(row => {
+            const key = scheduleKey(row);
+            let status = 'new';
+            if (existingKeys.has(key)) status = 'existing';
+            else if (seenKeys.has(key)) status = 'repeated';
+            seenKeys.add(key);
+            return { ...row, status };
+        });
+
+        renderImportPreview();
+    } catch (error) {
+        console.error('Failed to read calendar file:', error);
+        importRows = [];
+        document.getElementById('import-preview').style.display = 'none';
+        alert(error.message || 'Failed to read calendar file.');
+    }
+}
+
+/**
+ * Render the import preview table
+ */
+function renderImportPreview() {
+    const tbody = document.getElementById('import-preview-rows');
+    const statusText = {
+        new: 'New',
+        existing: 'Already in schedule',
+        repeated: 'Repeated in file'
+    };
+
+    tbody.innerHTML = '';
+    importRows.forEach((row, index) => {
+        const tr = document.createElement('tr');
+        tr.className = row.status === 'new' ? '' : 'duplicate';
+
+        const checkCell = document.createElement('td');
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.className = 'import-row-check';
+        checkbox.dataset.index = index;
+        checkbox.checked = row.status === 'new';
+        checkCell.appendChild(checkbox);
+        tr.appendChild(checkCell);
+
+        let status = statusText[row.status];
+        if (!row.weekly) status += ' (single event, imported as weekly)';
+
+        [
+            row.class_name,
+            DAY_NAMES[row.day],
+            `${row.start_time} - ${row.end_time}`,
+            row.room,
+            row.professor,
+            status
+        ].forEach(text => {
+            const td = document.createElement('td');
+            td.textContent = text;
+            tr.appendChild(td);
+        });
+        tr.lastChild.className = row.status === 'new' ? 'import-status-new' : 'import-status-duplicate';
+
+        tbody.appendChild(tr);
+    });
+
+    if (importRows.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="7">No timed events found in this file.</td></tr>';
+    }
+
+    document.getElementById('import-select-all').checked = importRows.every(row => row.status === 'new');
+    document.getElementById('import-preview').style.display = 'block';
+    document.getElementById('import-schedule-confirm').disabled = importRows.length === 0;
+}
+
+/**
+ * Save the ticked preview rows as classes
+ */
+async function handleImportConfirm() {
+    const selected = [...document.querySelectorAll('#import-preview-rows .import-row-check:checked')]
+        .map(checkbox => importRows[parseInt(checkbox.dataset.index)]);
+
+    if (selected.length === 0) {
+        alert('Select at least one class to import.');
+        return;
+    }
+
+    const confirmBtn = document.getElementById('import-schedule-confirm');
+    confirmBtn.disabled = true;
+
+    try {
+        for (const row of selected) {
+            await schedulesRepo.createSchedule({
+                user_id: currentUserId,
+                class_name: row.class_name,
+                day: row.day,
+                start_time: row.start_time,
+                end_time: row.end_time,
+                room: row.room,
+                professor: row.professor,
+                semester_id: activeSemesterId
+            });
+        }
+
+        await loadUserSchedule(currentUserId);
+        hideModal('import-schedule-modal');
+    } catch (error) {
+        console.error('Failed to import schedule:', error);
+        alert('Failed to import schedule. Some classes may not have been saved.');
+        await loadUserSchedule(currentUserId);
+    } finally {
+        confirmBtn.disabled = false;
+    }
+}
@@ -0,0 +1,216 @@
+/**
+ * Search Index Module
+ * Ranks personal files and archive rows against a query, builds facet counts
+ * and highlights matches. Everything runs client-side on the loaded rows, so
+ * it works the same against Supabase and the local backend.
+ */
+
+import { escapeHtml } from './supabase.js';
+
+// How much a match in each field counts towards a result's score
+const FIELD_WEIGHTS = {
+    name: 10,
+    tags: 6,
+    course: 5,
+    uploader: 4,
+    faculty: 3,
+    year: 3,
+    content: 1
+};
+
+// Content matches stop adding to the score after this many hits per term
+const MAX_CONTENT_HITS = 5;
+
+const SNIPPET_RADIUS = 80;
+
+/**
+ * Escape text for use inside a regular expression
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Split a query into lower-case terms
+ * @param {string} query - Search text
+ * @returns {Array} Unique terms
+ */
+export function tokenize(query) {
+    return [...new Set(String(query).toLowerCase().split(/[\s,;]+/).filter(Boolean))];
+}
+
+/**
+ * Get the file type label used by the type facet
+ * @param {string} fileName - File name
+ * @returns {string} Upper-case extension, or FILE
+ */
+function getTypeLabel(fileName) {
+    return fileName.includes('.') ? fileName.split('.').pop().toUpperCase() : 'FILE';
+}
+
+/**
+ * Turn a `files` or `archive` row into a searchable document
+ * @param {Object} row - Table row
+ * @param {string} source - 'files' or 'archive'
+ * @returns {Object} Document with its searchable fields and facet values
+ */
+export function buildSearchDocument(row, source) {
+    const tags = Array.isArray(row.tags) ? row.tags : [];
+
+    return {
+        key: `${source}:${row.id}`,
+        source,
+        row,
+        fields: {
+            name: row.file_name || '',
+            tags: tags.join(' '),
+            course: [row.course_code, row.course_name].filter(Boolean).join(' '),
+            uploader: row.user_name || '',
+            faculty: row.faculty || '',
+            year: row.academic_year ? `year ${row.academic_year}` : '',
+            content: row.content_text || ''
+        },
+        facets: {
+            source: [source],
+            type: [getTypeLabel(row.file_name || '')],
+            faculty: row.faculty ? [row.faculty] : [],
+            year: row.academic_year ? [String(row.academic_year)] : [],
+            course: row.course_code ? [row.course_code] : [],
+            tags
+        }
+    };
+}
+
+/**
+ * Count how often a term occurs in a field, matching word prefixes
+ * @param {string} text - Field text
+ * @param {string} term - Lower-case term
+ * @returns {number} Number of matches
+ */
+function countMatches(text, term) {
+    if (!text) return 0;
+    const pattern = new RegExp(`(^|[^\\p{L}\\p{N}])${escapeRegExp(term)}`, 'giu');
+    return (text.match(pattern) || []).length;
+}
+
+/**
+ * Rank documents against a query. Every term has to match at least one
+ * field; an empty query returns all documents, newest first.
+ * @param {Array} documents - Documents from buildSearchDocument
+ * @param {string} query - Search text
+ * @returns {Array} Results as { document, score, matchedFields }, best first
+ */
+export function searchDocuments(documents, query) {
+    const terms = tokenize(query);
+    const uploadedAt = document => document.row.uploaded_at || '';
+
+    if (terms.length === 0) {
+        return documents
+            .map(document => ({ document, score: 0, matchedFields: [] }))
+            .sort((a, b) => uploadedAt(b.document).localeCompare(uploadedAt(a.document)));
+    }
+
+    const results = [];
+
+    documents.forEach(document => {
+        let score = 0;
+        const matchedFields = new Set();
+
+        const everyTermMatches = terms.every(term => {
+            let termScore = 0;
+            Object.entries(document.fields).forEach(([field, text]) => {
+                let hits = countMatches(text, term);
+                if (field === 'content') hits = Math.min(hits, MAX_CONTENT_HITS);
+                if (hits > 0) {
+                    termScore += hits * FIELD_WEIGHTS[field];
+                    matchedFields.add(field);
+                }
+            });
+            score += termScore;
+            return termScore > 0;
+        });
+
+        if (everyTermMatches) {
+            // An exact name match beats a name that merely contains the words
+            if (document.fields.name.toLowerCase().replace(/\.[^.]+$/, '') === terms.join(' ')) {
+                score += FIELD_WEIGHTS.name * 2;
+            }
+            results.push({ document, score, matchedFields: [...matchedFields] });
+        }
+    });
+
+    return results.sort((a, b) =>
+        b.score - a.score || uploadedAt(b.document).localeCompare(uploadedAt(a.document))
+    );
+}
+
+/**
+ * Count facet values across results
+ * @param {Array} results - Results from searchDocuments
+ * @returns {Object} Facet name to Map of value to count
+ */
+export function computeFacets(results) {
+    const facets = { source: new Map(), type: new Map(), faculty: new Map(), year: new Map(), course: new Map(), tags: new Map() };
+
+    results.forEach(({ document }) => {
+        Object.entries(document.facets).forEach(([facet, values]) => {
+            values.forEach(value => facets[facet].set(value, (facets[facet].get(value) || 0) + 1));
+        });
+    });
+
+    return facets;
+}
+
+/**
+ * Keep results matching the selected facet values: any value within a
+ * facet, every facet with a selection
+ * @param {Array} results - Results from searchDocuments
+ * @param {Object} selected - Facet name to Set of selected values
+ * @returns {Array} Filtered results
+ */
+export function filterByFacets(results, selected) {
+    return results.filter(({ document }) =>
+        Object.entries(selected).every(([facet, values]) =>
+            values.size === 0 || document.facets[facet].some(value => values.has(value))
+        )
+    );
+}
+
+/**
+ * Escape text and wrap the query terms in <mark>
+ * @param {string} text - Raw text
+ * @param {Array} terms - Terms from tokenize
+ * @returns {string} HTML
+ */
+export function highlight(text, terms) {
+    if (terms.length === 0) return escapeHtml(text);
+
+    // Split on the raw text so that escaping never breaks up a match
+    const pattern = new RegExp(`(${terms.map(escapeRegExp).join('|')})`, 'gi');
+    return String(text)
+        .split(pattern)
+        .map((part, index) => (index % 2 === 1 ? `<mark>${escapeHtml(part)}</mark>` : escapeHtml(part)))
+        .join('');
+}
+
+/**
+ * Cut a highlighted excerpt of the content around the first matching term
+ * @param {string} content - Extracted file text
+ * @param {Array} terms - Terms from tokenize
+ * @returns {string} HTML excerpt, or an empty string if no term occurs
+ */
+export function buildSnippet(content, terms) {
+    if (!content) return '';
+
+    const lower = content.toLowerCase();
+    const positions = terms.map(term => lower.indexOf(term)).filter(index => index >= 0);
+    if (positions.length === 0) return '';
+
+    const position = Math.min(...positions);
+    const start = Math.max(0, position - SNIPPET_RADIUS);
+    const end = Math.min(content.length, position + SNIPPET_RADIUS * 2);
+
+    return `${start > 0 ? '…' : ''}${highlight(content.slice(start, end), terms)}${end < content.length ? '…' : ''}`;
+}
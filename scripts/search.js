@@ -0,0 +1,277 @@
+/**
+ * Search Module
+ * Unified search over the student's own files and the shared archive,
+ * with ranked, highlighted results and a facet sidebar
+ */
+
+import { checkAuth, escapeHtml } from './supabase.js';
+import * as filesRepo from './repositories/files.js';
+import * as archiveRepo from './repositories/archive.js';
+import * as studyGroupsRepo from './repositories/study-groups.js';
+import * as storageRepo from './repositories/storage.js';
+import { startDownload } from './preview.js';
+import { ensureStudentProfile, isProfileComplete } from './profile.js';
+import {
+    buildSearchDocument,
+    buildSnippet,
+    computeFacets,
+    filterByFacets,
+    highlight,
+    searchDocuments,
+    tokenize
+} from './search-index.js';
+
+const FACET_TITLES = {
+    source: 'Location',
+    type: 'Type',
+    faculty: 'Faculty',
+    year: 'Academic Year',
+    course: 'Course',
+    tags: 'Tags'
+};
+
+const SOURCE_LABELS = {
+    files: 'My Files',
+    archive: 'Archive'
+};
+
+let searchDocumentsList = [];
+let renderedResults = [];
+let selectedFacets = createEmptySelection();
+let searchTimer = null;
+
+document.addEventListener('DOMContentLoaded', async function() {
+    // Check authentication
+    const user = await checkAuth();
+    if (!user) return;
+
+    initSearchUI();
+
+    const query = new URLSearchParams(window.location.search).get('q') || '';
+    document.getElementById('search-input').value = query;
+
+    await loadSearchDocuments(user);
+    runSearch();
+});
+
+/**
+ * Empty facet selection
+ * @returns {Object} Facet name to empty Set
+ */
+function createEmptySelection() {
+    return Object.fromEntries(Object.keys(FACET_TITLES).map(facet => [facet, new Set()]));
+}
+
+/**
+ * Initialize the search box and facet sidebar
+ */
+function initSearchUI() {
+    const searchForm = document.getElementById('search-form');
+    const searchInput = document.getElementById('search-input');
+
+    searchForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        runSearch();
+    });
+
+    // Search as the user types, once they pause
+    searchInput.addEventListener('input', () => {
+        clearTimeout(searchTimer);
+        searchTimer = setTimeout(runSearch, 250);
+    });
+
+    document.getElementById('search-facets').addEventListener('change', (e) => {
+        const checkbox = e.target.closest('.facet-option input');
+        if (!checkbox) return;
+
+        const values = selectedFacets[checkbox.dataset.facet];
+        if (checkbox.checked) {
+            values.add(checkbox.value);
+        } else {
+            values.delete(checkbox.value);
+        }
+        runSearch();
+    });
+
+    // Open and download links are signed when clicked, since the bucket is private
+    document.getElementById('search-results').addEventListener('click', (e) => {
+        const button = e.target.closest('[data-search-action]');
+        if (!button) return;
+
+        const result = renderedResults[parseInt(button.dataset.index)];
+        if (result) {
+            openResultFile(result.document.row, button.dataset.searchAction === 'download');
+        }
+    });
+}
+
+/**
+ * Open a result's file in a new tab, or download it
+ * @param {Object} file - Files or archive row
+ * @param {boolean} download - Download instead of opening
+ */
+async function openResultFile(file, download) {
+    // Open the tab before the await so it counts as a response to the click
+    const tab = download ? null : window.open('', '_blank');
+
+    try {
+        const url = await storageRepo.createSignedUrl(file.file_path, download ? { download: file.file_name } : {});
+        if (download) {
+            startDownload(url, file.file_name);
+        } else if (tab) {
+            tab.opener = null;
+            tab.location.href = url;
+        }
+    } catch (error) {
+        console.error('Failed to open file:', error);
+        if (tab) tab.close();
+        alert('Failed to open file. Please try again.');
+    }
+}
+
+/**
+ * Load the student's files and the archive rows they can see
+ * @param {Object} user - Authenticated user
+ */
+async function loadSearchDocuments(user) {
+    try {
+        const profile = await ensureStudentProfile(user);
+
+        // The archive only opens up once onboarding is done
+        const [files, archiveFiles] = await Promise.all([
+            filesRepo.listFiles(user.id),
+            isProfileComplete(profile)
+                ? studyGroupsRepo.listMyGroups(user.id).then(groups => archiveRepo.listArchiveFiles({
+                    userId: user.id,
+                    userFaculty: profile.faculty,
+                    userYear: profile.academic_year,
+                    userGroupIds: groups.map(group => group.id)
+                }))
+                : Promise.resolve([])
+        ]);
+
+        searchDocumentsList = [
+            ...files.map(file => buildSearchDocument(file, 'files')),
+            ...archiveFiles.map(file => buildSearchDocument(file, 'archive'))
+        ];
+    } catch (error) {
+        console.error('Failed to load files for search:', error);
+        document.getElementById('search-results').innerHTML = '<div class="empty-state">Failed to load files. Please refresh the page.</div>';
+    }
+}
+
+/**
+ * Run the current query and render results and facets
+ */
+function runSearch() {
+    const query = document.getElementById('search-input').value.trim();
+    const terms = tokenize(query);
+
+    // Keep the query in the address bar so results can be shared and reloaded
+    const url = new URL(window.location.href);
+    if (query) {
+        url.searchParams.set('q', query);
+    } else {
+        url.searchParams.delete('q');
+    }
+    window.history.replaceState(null, '', url);
+
+    const results = searchDocuments(searchDocumentsList, query);
+    const filtered = filterByFacets(results, selectedFacets);
+
+    renderFacets(computeFacets(results));
+    renderResults(filtered, terms);
+
+    document.getElementById('search-summary').textContent = query
+        ? `${filtered.length} result${filtered.length === 1 ? '' : 's'} for "${query}"`
+        : `${filtered.length} file${filtered.length === 1 ? '' : 's'}`;
+}
+
+/**
+ * Label a facet value for display
+ * @param {string} facet - Facet name
+ * @param {string} value - Facet value
+ * @returns {string} Label
+ */
+function getFacetLabel(facet, value) {
+    if (facet === 'source') return SOURCE_LABELS[value] || value;
+    if (facet === 'year') return `Year ${value}`;
+    return value;
+}
+
+/**
+ * Render the facet sidebar
+ * @param {Object} facets - Facet counts from computeFacets
+ */
+function renderFacets(facets) {
+    const container = document.getElementById('search-facets');
+
+    container.innerHTML = Object.entries(FACET_TITLES).map(([facet, title]) => {
+        // Keep selected values visible even when they have no results left
+        const values = new Map(facets[facet]);
+        selectedFacets[facet].forEach(value => {
+            if (!values.has(value)) values.set(value, 0);
+        });
+        if (values.size === 0) return '';
+
+        const options = [...values.entries()]
+            .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+            .map(([value, count]) => `
+                <label class="facet-option">
+                    <input type="checkbox" data-facet="${facet}" value="${escapeHtml(value)}" ${selectedFacets[facet].has(value) ? 'checked' : ''}>
+                    <span>${escapeHtml(getFacetLabel(facet, value))}</span>
+                    <span class="facet-count">${count}</span>
+                </label>
+            `).join('');
+
+        return `
+            <div class="facet-group">
+                <h4>${title}</h4>
+                ${options}
+            </div>
+        `;
+    }).join('');
+}
+
+/**
+ * Render ranked results
+ * @param {Array} results - Results from searchDocuments
+ * @param {Array} terms - Query terms to highlight
+ */
+function renderResults(results, terms) {
+    const container = document.getElementById('search-results');
+    renderedResults = results;
+
+    if (results.length === 0) {
+        container.innerHTML = '<div class="empty-state">No files match your search.</div>';
+        return;
+    }
+
+    container.innerHTML = results.map(({ document: doc }, index) => {
+        const file = doc.row;
+        const snippet = buildSnippet(doc.fields.content, terms);
+        const meta = [
+            file.user_name ? `Uploaded by ${highlight(file.user_name, terms)}` : '',
+            file.faculty ? highlight(file.faculty, terms) : '',
+            file.academic_year ? `Year ${file.academic_year}` : '',
+            file.uploaded_at ? new Date(file.uploaded_at).toLocaleDateString() : ''
+        ].filter(Boolean).join(' • ');
+        const tags = (file.tags || []).map(tag => `<span class="tag">${highlight(tag, terms)}</span>`).join('');
+
+        return `
+            <div class="search-result">
+                <div class="search-result-header">
+                    <span class="search-source search-source-${doc.source}">${SOURCE_LABELS[doc.source]}</span>
+                    <button type="button" class="search-result-name" data-search-action="open" data-index="${index}">${highlight(file.file_name, terms)}</button>
+                </div>
+                ${meta ? `<div class="search-result-meta">${meta}</div>` : ''}
+                ${tags ? `<div class="search-result-tags">${tags}</div>` : ''}
+                ${snippet ? `<div class="search-result-snippet">${snippet}</div>` : ''}
+                <div class="search-result-actions">
+                    <button type="button" class="btn btn-small" data-search-action="download" data-index="${index}">Download</button>
+                    <a href="${doc.source === 'files' ? 'files.html' : 'archive.html'}" class="btn btn-small">Open ${SOURCE_LABELS[doc.source]}</a>
+                </div>
+            </div>
+        `;
+    }).join('');
+}
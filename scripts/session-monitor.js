@@ -0,0 +1,161 @@
+/**
+ * Session Monitor Module
+ * Runs on the signed-in pages: signs the student out after
+ * config.session.idleTimeoutMinutes without activity in any tab, with a
+ * warning first, and when the session was ended from another device.
+ */
+
+import { config } from './config.js';
+import { supabase, holdAuthRedirects } from './supabase.js';
+import { buildLoginUrl } from './routes.js';
+import { clearUploadQueues } from './upload-queue.js';
+
+// Shared by all tabs, so activity in one keeps the others signed in
+const ACTIVITY_KEY = 'classmate-last-activity';
+const ACTIVITY_EVENTS = ['pointerdown', 'pointermove', 'keydown', 'wheel', 'touchstart'];
+
+// Activity is written at most this often
+const ACTIVITY_WRITE_INTERVAL = 5000;
+const TICK_INTERVAL = 1000;
+
+let lastWrite = 0;
+let timers = [];
+let warning = null;
+
+/**
+ * Get when the student was last active in any tab
+ * @returns {number} Timestamp in ms, 0 if unknown
+ */
+function readLastActivity() {
+    return parseInt(window.localStorage.getItem(ACTIVITY_KEY)) || 0;
+}
+
+/**
+ * Note activity in this tab
+ * @param {boolean} [force] - Write even if written moments ago
+ */
+function recordActivity(force = false) {
+    const now = Date.now();
+    if (!force && now - lastWrite < ACTIVITY_WRITE_INTERVAL) return;
+
+    lastWrite = now;
+    window.localStorage.setItem(ACTIVITY_KEY, String(now));
+}
+
+/**
+ * Show or update the idle warning
+ * @param {number} secondsLeft - Seconds until the sign-out
+ */
+function showIdleWarning(secondsLeft) {
+    if (!warning) {
+        warning = document.createElement('div');
+        warning.className = 'idle-warning';
+        warning.setAttribute('role', 'alertdialog');
+        warning.innerHTML = `
+            <span class="idle-warning-message"></span>
+            <button type="button" class="btn btn-small btn-primary">Stay Signed In</button>
+        `;
+        warning.querySelector('button').addEventListener('click', () => {
+            recordActivity(true);
+            hideIdleWarning();
+        });
+        document.body.appendChild(warning);
+    }
+
+    warning.querySelector('.idle-warning-message').textContent =
+        `You'll be signed out in ${secondsLeft} second${secondsLeft === 1 ? '' : 's'} because you've been inactive.`;
+}
+
+/**
+ * Remove the idle warning
+ */
+function hideIdleWarning() {
+    if (warning) {
+        warning.remove();
+        warning = null;
+    }
+}
+
+/**
+ * Sign this browser out and go to the login page, saying why
+ * @param {string} reason - 'idle' or 'revoked'
+ */
+async function endSession(reason) {
+    timers.forEach(timer => clearInterval(timer));
+    timers = [];
+    hideIdleWarning();
+    holdAuthRedirects(true);
+
+    try {
+        await supabase.auth.signOut({ scope: 'local' });
+    } catch (error) {
+        console.error('Sign-out error:', error);
+    }
+    await clearUploadQueues();
+
+    // Logging in again returns to this page
+    window.location.href = buildLoginUrl(undefined, { signed_out: reason });
+}
+
+/**
+ * Check the time since the last activity, warning or signing out as due
+ */
+function checkIdle() {
+    const timeoutMs = config.session.idleTimeoutMinutes * 60 * 1000;
+    const idleMs = Date.now() - readLastActivity();
+
+    if (idleMs >= timeoutMs) {
+        endSession('idle');
+    } else if (idleMs >= timeoutMs - config.session.idleWarningSeconds * 1000) {
+        showIdleWarning(Math.ceil((timeoutMs - idleMs) / 1000));
+    } else {
+        hideIdleWarning();
+    }
+}
+
+/**
+ * Sign out if the server no longer knows this session
+ */
+async function checkRevoked() {
+    const { error } = await supabase.auth.getUser();
+
+    // Network trouble has no status; only the server saying no ends the session
+    if (error && [401, 403].includes(error.status)) {
+        endSession('revoked');
+    }
+}
+
+/**
+ * Start the idle clock afresh after signing in, so time idle before an earlier
+ * sign-out doesn't count against the new session
+ */
+export function resetIdleTimer() {
+    recordActivity(true);
+}
+
+/**
+ * Start watching the session on a signed-in page
+ */
+export async function startSessionMonitor() {
+    const { data: { session } } = await supabase.auth.getSession();
+    if (!session || timers.length > 0) return;
+
+    if (config.session.idleTimeoutMinutes > 0) {
+        // Coming back after the timeout ends the session before anything is shown
+        const lastActivity = readLastActivity();
+        if (lastActivity && Date.now() - lastActivity >= config.session.idleTimeoutMinutes * 60 * 1000) {
+            endSession('idle');
+            return;
+        }
+
+        recordActivity(true);
+        ACTIVITY_EVENTS.forEach(type => {
+            document.addEventListener(type, () => recordActivity(), { passive: true });
+        });
+        timers.push(setInterval(checkIdle, TICK_INTERVAL));
+    }
+
+    if (config.session.revocationCheckSeconds > 0) {
+        timers.push(setInterval(checkRevoked, config.session.revocationCheckSeconds * 1000));
+    }
+}
@@ -3,15 +3,44 @@
  * Handles user profile and account settings
  */
 
-import { supabase, checkAuth, showError, showSuccess } from './supabase.js';
+import { supabase, checkAuth, showError, showSuccess, escapeHtml } from './supabase.js';
+import * as studentsRepo from './repositories/students.js';
+import * as studyGroupsRepo from './repositories/study-groups.js';
+import { ensureStudentProfile, isKnownFaculty, populateFacultySelect } from './profile.js';
+import { createRandomToken } from './share-links.js';
+import { attachStrengthMeter, validateNewPassword } from './password-policy.js';
+import { getTotpFactor, issueRecoveryCodes, removeUnverifiedFactors, verifyTotpCode } from './mfa.js';
+import * as mfaRepo from './repositories/mfa.js';
+import * as sessionsRepo from './repositories/sessions.js';
+import { startDownload } from './preview.js';
+import { canChangeOwnFaculty } from './roles.js';
+
+let currentUser = null;
+
+// The student's verified authenticator, or null while 2FA is off
+let totpFactor = null;
+
+// Authenticator being set up, until its first code is verified
+let pendingFactorId = null;
+
+// Recovery codes on screen right after they were issued
+let shownRecoveryCodes = [];
 
 // Initialize settings on page load
 document.addEventListener('DOMContentLoaded', async () => {
     // Check if user is authenticated
-    const user = await checkAuth(true);
+    const user = await checkAuth();
     if (user) {
-        await loadUserProfile(user);
+        // The stored session can predate a confirmed email change, so ask the server
+        const { data } = await supabase.auth.getUser();
+        currentUser = data.user || user;
+        await loadUserProfile(currentUser);
+        renderPendingEmail(currentUser);
+        showEmailLinkMessage();
         initSettingsHandlers();
+        loadStudyGroups();
+        loadTwoFactor();
+        loadSessions();
     }
 });
 
@@ -21,47 +50,11 @@ document.addEventListener('DOMContentLoaded', async () => {
  */
 async function loadUserProfile(user) {
     try {
-        // Check if profile exists
-        const { data: profile, error: fetchError } = await supabase
-            .from('students')
-            .select('*')
-            .eq('user_id', user.id)
-            .single();
-            
-        if (fetchError && fetchError.code !== 'PGRST116') {
-            // PGRST116 is "no rows found" error, which is expected if profile doesn't exist
-            console.error('Error fetching profile:', fetchError);
-            throw fetchError;
-        }
-        
-        // If profile doesn't exist, create an empty one
-        if (!profile) {
-            const { data: newProfile, error: insertError } = await supabase
-                .from('students')
-                .insert([
-                    {
-                        user_id: user.id,
-                        email: user.email,
-                        full_name: '',
-                        faculty: '',
-                        academic_year: 1
-                    }
-                ])
-                .select()
-                .single();
-                
-            if (insertError) {
-                console.error('Error creating profile:', insertError);
-                throw insertError;
-            }
-            
-            // Use the newly created profile
-            populateProfileForm(newProfile);
-        } else {
-            // Use existing profile
-            populateProfileForm(profile);
-        }
+        // Created from the sign-up details if it doesn't exist yet
+        const profile = await ensureStudentProfile(user);
+        populateProfileForm(profile);
     } catch (error) {
+        populateFacultySelect(document.getElementById('profile-faculty'));
         console.error('Profile loading error:', error);
         showError('settings-error', `Failed to load profile: ${error.message}`);
     }
@@ -79,7 +72,11 @@ function populateProfileForm(profile) {
     
     if (fullNameInput) fullNameInput.value = profile.full_name || '';
     if (emailInput) emailInput.value = profile.email || '';
-    if (facultyInput) facultyInput.value = profile.faculty || '';
+    if (facultyInput) {
+        populateFacultySelect(facultyInput, profile.faculty);
+        facultyInput.disabled = !canChangeOwnFaculty(profile);
+        facultyInput.title = facultyInput.disabled ? 'Ask an admin to change the faculty you look after' : '';
+    }
     if (academicYearInput) academicYearInput.value = profile.academic_year || '1';
 }
 
@@ -93,13 +90,100 @@ function initSettingsHandlers() {
         profileForm.addEventListener('submit', handleProfileUpdate);
     }
     
+    // Study groups
+    document.getElementById('create-group-form').addEventListener('submit', handleCreateGroup);
+    document.getElementById('join-group-form').addEventListener('submit', handleJoinGroup);
+    document.getElementById('study-groups-list').addEventListener('click', (e) => {
+        const button = e.target.closest('[data-group-action]');
+        if (!button) return;
+        
+        if (button.getAttribute('data-group-action') === 'copy') {
+            copyGroupCode(button);
+        } else {
+            handleLeaveGroup(button.getAttribute('data-id'), button.getAttribute('data-name'));
+        }
+    });
+    
+    // Two-factor authentication
+    document.getElementById('two-factor-setup-btn').addEventListener('click', startTwoFactorSetup);
+    document.getElementById('two-factor-cancel-btn').addEventListener('click', cancelTwoFactorSetup);
+    document.getElementById('two-factor-enroll-form').addEventListener('submit', handleTwoFactorEnroll);
+    document.getElementById('two-factor-manage-form').addEventListener('submit', handleTwoFactorManage);
+    document.getElementById('recovery-codes-copy-btn').addEventListener('click', copyRecoveryCodes);
+    document.getElementById('recovery-codes-download-btn').addEventListener('click', downloadRecoveryCodes);
+    document.getElementById('recovery-codes-done-btn').addEventListener('click', () => {
+        shownRecoveryCodes = [];
+        loadTwoFactor();
+    });
+    
+    // Active sessions
+    document.getElementById('sign-out-others-btn').addEventListener('click', handleSignOutOthers);
+    document.getElementById('sessions-list').addEventListener('click', (e) => {
+        const button = e.target.closest('[data-session-id]');
+        if (button) handleRevokeSession(button.getAttribute('data-session-id'));
+    });
+    
+    // Email change form
+    const emailForm = document.getElementById('email-form');
+    if (emailForm) {
+        emailForm.addEventListener('submit', handleEmailUpdate);
+    }
+    
     // Password update form
     const passwordForm = document.getElementById('password-form');
     if (passwordForm) {
         passwordForm.addEventListener('submit', handlePasswordUpdate);
+        attachStrengthMeter(
+            document.getElementById('new-password'),
+            document.getElementById('new-password-strength'),
+            () => currentUser.email
+        );
     }
 }
 
+/**
+ * Confirm it is still the student before a sensitive account change: the
+ * current password, and an authenticator code when 2FA is on. Both are checked
+ * against the current session, which stays signed in either way.
+ * @param {string} password - Current password
+ * @param {string} [code] - Authenticator code, when 2FA is on
+ */
+async function reauthenticate(password, code = '') {
+    if (!await sessionsRepo.verifyPassword(password)) {
+        throw new Error('Current password is incorrect');
+    }
+    
+    if (totpFactor) {
+        await verifyTotpCode(totpFactor.id, code);
+    }
+}
+
+/**
+ * Show the address an email change is waiting on, if any
+ * @param {Object} user - Current user object
+ */
+function renderPendingEmail(user) {
+    const notice = document.getElementById('pending-email-notice');
+    if (!notice) return;
+    
+    notice.hidden = !user.new_email;
+    notice.textContent = user.new_email
+        ? `Waiting for confirmation to change your email to ${user.new_email}. Open the links sent to both addresses.`
+        : '';
+}
+
+/**
+ * Show the message Supabase adds to the address after a confirmation link
+ * (e.g. when the other address still has to confirm)
+ */
+function showEmailLinkMessage() {
+    const message = new URLSearchParams(window.location.hash.slice(1)).get('message');
+    if (!message) return;
+    
+    window.history.replaceState(null, '', window.location.pathname + window.location.search);
+    showSuccess('email-success', message);
+}
+
 /**
  * Handle profile update form submission
  * @param {Event} e - Form submit event
@@ -115,17 +199,17 @@ async function handleProfileUpdate(e) {
         const faculty = document.getElementById('profile-faculty').value;
         const academicYear = document.getElementById('profile-year').value;
         
+        if (!isKnownFaculty(faculty)) {
+            showError('profile-error', 'Please choose your faculty from the list');
+            return;
+        }
+        
         // Update profile in database
-        const { error } = await supabase
-            .from('students')
-            .update({
-                full_name: fullName,
-                faculty: faculty,
-                academic_year: parseInt(academicYear)
-            })
-            .eq('user_id', user.id);
-            
-        if (error) throw error;
+        await studentsRepo.updateStudent(user.id, {
+            full_name: fullName,
+            faculty: faculty,
+            academic_year: parseInt(academicYear)
+        });
         
         showSuccess('profile-error', 'Profile updated successfully');
     } catch (error) {
@@ -152,6 +236,14 @@ async function handlePasswordUpdate(e) {
             return;
         }
         
+        if (newPassword === currentPassword) {
+            showError('password-error', 'New password must be different from the current one');
+            return;
+        }
+        
+        await validateNewPassword(newPassword, currentUser.email);
+        await reauthenticate(currentPassword, document.getElementById('password-mfa-code').value);
+        
         // Update password
         const { error } = await supabase.auth.updateUser({
             password: newPassword
@@ -162,10 +254,463 @@ async function handlePasswordUpdate(e) {
         // Clear form
         e.target.reset();
         
-        showSuccess('password-error', 'Password updated successfully');
+        showSuccess('password-success', 'Password updated successfully');
     } catch (error) {
         console.error('Password update error:', error);
         showError('password-error', `Failed to update password: ${error.message}`);
     }
-} 
+}
+
+/**
+ * Handle email change form submission
+ * @param {Event} e - Form submit event
+ */
+async function handleEmailUpdate(e) {
+    e.preventDefault();
+    
+    const button = e.target.querySelector('button[type="submit"]');
+    button.disabled = true;
+    
+    try {
+        const newEmail = document.getElementById('new-email').value.trim().toLowerCase();
+        const currentPassword = document.getElementById('email-current-password').value;
+        
+        if (newEmail === currentUser.email) {
+            showError('email-error', 'That is already your email');
+            return;
+        }
+        
+        await reauthenticate(currentPassword, document.getElementById('email-mfa-code').value);
+        
+        // Confirmation links bring the student back here
+        const { data, error } = await supabase.auth.updateUser(
+            { email: newEmail },
+            { emailRedirectTo: new URL('settings.html', window.location.href).href }
+        );
+        
+        if (error) throw error;
+        
+        e.target.reset();
+        currentUser = data.user;
+        renderPendingEmail(data.user);
+        
+        if (data.user.new_email) {
+            showSuccess('email-success', 'Check both inboxes and confirm the change from each.');
+        } else {
+            // Applied straight away (no confirmation needed on this backend)
+            const profile = await ensureStudentProfile(data.user);
+            populateProfileForm(profile);
+            showSuccess('email-success', 'Email updated successfully');
+        }
+    } catch (error) {
+        console.error('Email update error:', error);
+        showError('email-error', `Failed to change email: ${error.message}`);
+    } finally {
+        button.disabled = false;
+    }
+}
+
+
+/**
+ * Load and render the student's study groups
+ */
+async function loadStudyGroups() {
+    const container = document.getElementById('study-groups-list');
+    
+    try {
+        const groups = await studyGroupsRepo.listMyGroups(currentUser.id);
+        const memberCounts = await studyGroupsRepo.countMembers(groups.map(group => group.id));
+        
+        container.innerHTML = groups.length === 0
+            ? '<div class="empty-state">You are not in any study group yet.</div>'
+            : groups.map(group => {
+                const members = memberCounts.get(group.id) || 1;
+                return `
+                    <div class="study-group">
+                        <div class="study-group-details">
+                            <div class="study-group-name">${escapeHtml(group.name)}</div>
+                            <div class="study-group-meta">${members} member${members === 1 ? '' : 's'} • Code <code>${escapeHtml(group.join_code)}</code></div>
+                        </div>
+                        <button type="button" class="btn btn-small" data-group-action="copy" data-code="${escapeHtml(group.join_code)}">Copy Code</button>
+                        <button type="button" class="btn btn-small btn-danger" data-group-action="leave" data-id="${group.id}" data-name="${escapeHtml(group.name)}">Leave</button>
+                    </div>
+                `;
+            }).join('');
+    } catch (error) {
+        console.error('Failed to load study groups:', error);
+        container.innerHTML = '<div class="empty-state">Failed to load study groups. Please refresh the page.</div>';
+    }
+}
+
+/**
+ * Create a study group with a fresh join code
+ * @param {Event} e - Form submit event
+ */
+async function handleCreateGroup(e) {
+    e.preventDefault();
+    
+    const nameInput = document.getElementById('new-group-name');
+    const name = nameInput.value.trim();
+    if (!name) return;
+    
+    try {
+        await studyGroupsRepo.createGroup({
+            name: name,
+            join_code: createRandomToken(6),
+            created_by: currentUser.id
+        });
+        nameInput.value = '';
+        await loadStudyGroups();
+    } catch (error) {
+        console.error('Failed to create study group:', error);
+        showError('study-groups-error', `Failed to create the group: ${error.message}`);
+    }
+}
+
+/**
+ * Join a study group with a code from a classmate
+ * @param {Event} e - Form submit event
+ */
+async function handleJoinGroup(e) {
+    e.preventDefault();
+    
+    const codeInput = document.getElementById('join-group-code');
+    const code = codeInput.value.trim();
+    if (!code) return;
+    
+    try {
+        const group = await studyGroupsRepo.joinGroup(code);
+        codeInput.value = '';
+        showSuccess('study-groups-error', `You joined ${group.name}.`);
+        await loadStudyGroups();
+    } catch (error) {
+        console.error('Failed to join study group:', error);
+        showError('study-groups-error', `Failed to join the group: ${error.message}`);
+    }
+}
 
+/**
+ * Copy a group's join code
+ * @param {HTMLButtonElement} button - Copy button
+ */
+async function copyGroupCode(button) {
+    try {
+        await navigator.clipboard.writeText(button.getAttribute('data-code'));
+        button.textContent = 'Copied';
+        setTimeout(() => { button.textContent = 'Copy Code'; }, 2000);
+    } catch (error) {
+        console.error('Failed to copy group code:', error);
+        alert(`Copy this code: ${button.getAttribute('data-code')}`);
+    }
+}
+
+/**
+ * Leave a study group; files shared with it stay with the group
+ * @param {string} groupId - Group ID
+ * @param {string} groupName - Group name for the confirmation
+ */
+async function handleLeaveGroup(groupId, groupName) {
+    if (!confirm(`Leave ${groupName}? You won't see files shared with it anymore.`)) return;
+    
+    try {
+        await studyGroupsRepo.leaveGroup(groupId, currentUser.id);
+        await loadStudyGroups();
+    } catch (error) {
+        console.error('Failed to leave study group:', error);
+        showError('study-groups-error', `Failed to leave the group: ${error.message}`);
+    }
+}
+
+/**
+ * Show which part of the two-factor card applies
+ * @param {string} view - 'off', 'enroll', 'codes' or 'on'
+ */
+function showTwoFactorView(view) {
+    document.getElementById('two-factor-off').hidden = view !== 'off';
+    document.getElementById('two-factor-enroll-form').hidden = view !== 'enroll';
+    document.getElementById('two-factor-codes').hidden = view !== 'codes';
+    document.getElementById('two-factor-manage-form').hidden = view !== 'on';
+}
+
+/**
+ * Load the student's two-factor state and render the card
+ */
+async function loadTwoFactor() {
+    const status = document.getElementById('two-factor-status');
+    
+    try {
+        totpFactor = await getTotpFactor();
+        
+        // Password and email changes ask for a code too while 2FA is on
+        document.querySelectorAll('.mfa-reauth-field').forEach(field => {
+            field.hidden = !totpFactor;
+            field.querySelector('input').required = Boolean(totpFactor);
+        });
+        
+        if (!totpFactor) {
+            status.textContent = 'Two-factor authentication is off.';
+            showTwoFactorView('off');
+            return;
+        }
+        
+        const codes = await mfaRepo.listRecoveryCodes(currentUser.id);
+        const left = codes.filter(code => !code.used_at).length;
+        status.textContent = `Two-factor authentication is on. ${left} recovery code${left === 1 ? '' : 's'} left.`;
+        showTwoFactorView('on');
+    } catch (error) {
+        console.error('Failed to load two-factor authentication:', error);
+        status.textContent = 'Failed to load two-factor authentication. Please refresh the page.';
+    }
+}
+
+/**
+ * Start adding an authenticator: show its QR code and setup key
+ */
+async function startTwoFactorSetup() {
+    try {
+        // An earlier set-up that was never finished would block a new one
+        await removeUnverifiedFactors();
+        
+        const { data, error } = await supabase.auth.mfa.enroll({
+            factorType: 'totp',
+            friendlyName: 'Authenticator app'
+        });
+        if (error) throw error;
+        
+        pendingFactorId = data.id;
+        
+        const qr = document.getElementById('two-factor-qr');
+        qr.hidden = !data.totp.qr_code;
+        qr.src = data.totp.qr_code || '';
+        document.getElementById('two-factor-secret').textContent = data.totp.secret;
+        document.getElementById('two-factor-enroll-form').reset();
+        showTwoFactorView('enroll');
+        document.getElementById('two-factor-enroll-code').focus();
+    } catch (error) {
+        console.error('Failed to start two-factor set-up:', error);
+        showError('two-factor-error', `Failed to set up two-factor authentication: ${error.message}`);
+    }
+}
+
+/**
+ * Abandon the authenticator being set up
+ */
+async function cancelTwoFactorSetup() {
+    try {
+        if (pendingFactorId) {
+            await supabase.auth.mfa.unenroll({ factorId: pendingFactorId });
+        }
+    } catch (error) {
+        console.error('Failed to cancel two-factor set-up:', error);
+    }
+    
+    pendingFactorId = null;
+    showTwoFactorView('off');
+}
+
+/**
+ * Verify the first code from the new authenticator, then issue recovery codes
+ * @param {Event} e - Form submit event
+ */
+async function handleTwoFactorEnroll(e) {
+    e.preventDefault();
+    
+    const button = e.target.querySelector('button[type="submit"]');
+    button.disabled = true;
+    
+    try {
+        await verifyTotpCode(pendingFactorId, document.getElementById('two-factor-enroll-code').value);
+        pendingFactorId = null;
+        
+        showRecoveryCodes(await issueRecoveryCodes(currentUser.id));
+        showSuccess('two-factor-success', 'Two-factor authentication is on');
+    } catch (error) {
+        console.error('Two-factor set-up error:', error);
+        showError('two-factor-error', `Failed to turn on two-factor authentication: ${error.message}`);
+    } finally {
+        button.disabled = false;
+    }
+}
+
+/**
+ * Turn 2FA off or replace the recovery codes, after signing in again
+ * @param {SubmitEvent} e - Form submit event
+ */
+async function handleTwoFactorManage(e) {
+    e.preventDefault();
+    
+    const action = e.submitter && e.submitter.getAttribute('data-two-factor-action');
+    if (action === 'remove' && !confirm('Turn off two-factor authentication? Your password alone will be enough to sign in.')) return;
+    
+    const buttons = e.target.querySelectorAll('button[type="submit"]');
+    buttons.forEach(button => { button.disabled = true; });
+    
+    try {
+        await reauthenticate(
+            document.getElementById('two-factor-password').value,
+            document.getElementById('two-factor-code').value
+        );
+        e.target.reset();
+        
+        if (action === 'remove') {
+            const { error } = await supabase.auth.mfa.unenroll({ factorId: totpFactor.id });
+            if (error) throw error;
+            
+            await mfaRepo.deleteRecoveryCodes(currentUser.id);
+            await supabase.auth.refreshSession();
+            await loadTwoFactor();
+            showSuccess('two-factor-success', 'Two-factor authentication is off');
+        } else {
+            showRecoveryCodes(await issueRecoveryCodes(currentUser.id));
+            showSuccess('two-factor-success', 'Your old recovery codes no longer work');
+        }
+    } catch (error) {
+        console.error('Two-factor update error:', error);
+        showError('two-factor-error', `Failed to update two-factor authentication: ${error.message}`);
+    } finally {
+        buttons.forEach(button => { button.disabled = false; });
+    }
+}
+
+/**
+ * Show freshly issued recovery codes, once
+ * @param {Array<string>} codes - Recovery codes
+ */
+function showRecoveryCodes(codes) {
+    shownRecoveryCodes = codes;
+    document.getElementById('recovery-codes-list').innerHTML = codes
+        .map(code => `<li><code>${escapeHtml(code)}</code></li>`)
+        .join('');
+    document.getElementById('two-factor-status').textContent = 'Two-factor authentication is on.';
+    showTwoFactorView('codes');
+}
+
+/**
+ * Copy the recovery codes on screen
+ */
+async function copyRecoveryCodes() {
+    try {
+        await navigator.clipboard.writeText(shownRecoveryCodes.join('\n'));
+        showSuccess('two-factor-success', 'Recovery codes copied');
+    } catch (error) {
+        console.error('Failed to copy recovery codes:', error);
+        alert('Copying failed. Please write the codes down or download them.');
+    }
+}
+
+/**
+ * Save the recovery codes on screen as a text file
+ */
+function downloadRecoveryCodes() {
+    const text = [
+        `ClassMate recovery codes for ${currentUser.email}`,
+        'Each code can be used once.',
+        '',
+        ...shownRecoveryCodes
+    ].join('\n');
+    
+    const url = URL.createObjectURL(new Blob([text], { type: 'text/plain' }));
+    startDownload(url, 'classmate-recovery-codes.txt');
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/**
+ * Describe the browser and system from a user agent string
+ * @param {string} userAgent - User agent
+ * @returns {string} e.g. "Chrome on Windows"
+ */
+function describeUserAgent(userAgent) {
+    if (!userAgent) return 'Unknown device';
+    
+    const browser = [
+        [/Edg\//, 'Edge'],
+        [/OPR\/|Opera/, 'Opera'],
+        [/Firefox\//, 'Firefox'],
+        [/Chrome\//, 'Chrome'],
+        [/Safari\//, 'Safari']
+    ].find(([pattern]) => pattern.test(userAgent));
+    
+    const system = [
+        [/Android/, 'Android'],
+        [/iPhone|iPad|iPod/, 'iOS'],
+        [/Windows/, 'Windows'],
+        [/Mac OS X|Macintosh/, 'macOS'],
+        [/CrOS/, 'ChromeOS'],
+        [/Linux/, 'Linux']
+    ].find(([pattern]) => pattern.test(userAgent));
+    
+    return `${browser ? browser[1] : 'Unknown browser'} on ${system ? system[1] : 'unknown system'}`;
+}
+
+/**
+ * Load and render the student's active sessions
+ */
+async function loadSessions() {
+    const container = document.getElementById('sessions-list');
+    
+    try {
+        const sessions = await sessionsRepo.listSessions();
+        document.getElementById('sign-out-others-btn').disabled = !sessions.some(session => !session.is_current);
+        
+        container.innerHTML = sessions.length === 0
+            ? '<div class="empty-state">No active sessions found.</div>'
+            : sessions.map(session => {
+                const meta = [
+                    `Last active ${new Date(session.last_active_at).toLocaleString()}`,
+                    `Signed in ${new Date(session.created_at).toLocaleDateString()}`,
+                    session.ip
+                ].filter(Boolean).join(' • ');
+                
+                return `
+                    <div class="session-item">
+                        <div class="session-details">
+                            <div class="session-device">
+                                ${escapeHtml(describeUserAgent(session.user_agent))}
+                                ${session.is_current ? '<span class="session-current">This device</span>' : ''}
+                            </div>
+                            <div class="session-meta">${escapeHtml(meta)}</div>
+                        </div>
+                        ${session.is_current ? '' : `<button type="button" class="btn btn-small btn-danger" data-session-id="${session.id}">Sign Out</button>`}
+                    </div>
+                `;
+            }).join('');
+    } catch (error) {
+        console.error('Failed to load sessions:', error);
+        container.innerHTML = '<div class="empty-state">Failed to load sessions. Please refresh the page.</div>';
+    }
+}
+
+/**
+ * Sign out one other session
+ * @param {string} sessionId - Session ID
+ */
+async function handleRevokeSession(sessionId) {
+    if (!confirm('Sign out this session? That device will need to log in again.')) return;
+    
+    try {
+        await sessionsRepo.revokeSession(sessionId);
+        showSuccess('sessions-success', 'Session signed out');
+        await loadSessions();
+    } catch (error) {
+        console.error('Failed to revoke session:', error);
+        showError('sessions-error', `Failed to sign out the session: ${error.message}`);
+    }
+}
+
+/**
+ * Sign out every session but this one
+ */
+async function handleSignOutOthers() {
+    if (!confirm('Sign out everywhere else? Other devices will need to log in again.')) return;
+    
+    try {
+        const { error } = await supabase.auth.signOut({ scope: 'others' });
+        if (error) throw error;
+        
+        showSuccess('sessions-success', 'All other sessions were signed out');
+        await loadSessions();
+    } catch (error) {
+        console.error('Failed to sign out other sessions:', error);
+        showError('sessions-error', `Failed to sign out other sessions: ${error.message}`);
+    }
+}
@@ -0,0 +1,66 @@
+/**
+ * Share Links Module
+ * Tokens, password hashing and status for expiring share links to personal
+ * files. The share-download function hashes passwords the same way, so keep
+ * PASSWORD_ITERATIONS in step with supabase/functions/share-download.
+ */
+
+const PASSWORD_ITERATIONS = 100000;
+
+/**
+ * Encode bytes as URL-safe base64 without padding
+ * @param {Uint8Array} bytes - Bytes to encode
+ * @returns {string} Encoded text
+ */
+function toBase64Url(bytes) {
+    return btoa(String.fromCharCode(...bytes))
+        .replace(/\+/g, '-')
+        .replace(/\//g, '_')
+        .replace(/=+$/, '');
+}
+
+/**
+ * Create a random, unguessable value
+ * @param {number} [byteLength] - Number of random bytes
+ * @returns {string} URL-safe random text
+ */
+export function createRandomToken(byteLength = 24) {
+    return toBase64Url(window.crypto.getRandomValues(new Uint8Array(byteLength)));
+}
+
+/**
+ * Hash a share link password with PBKDF2-SHA-256
+ * @param {string} password - Plain text password
+ * @param {string} salt - Per-link salt
+ * @returns {Promise<string>} Hex encoded hash
+ */
+export async function hashSharePassword(password, salt) {
+    const encoder = new TextEncoder();
+    const key = await window.crypto.subtle.importKey('raw', encoder.encode(password), 'PBKDF2', false, ['deriveBits']);
+    const bits = await window.crypto.subtle.deriveBits(
+        { name: 'PBKDF2', hash: 'SHA-256', salt: encoder.encode(salt), iterations: PASSWORD_ITERATIONS },
+        key,
+        256
+    );
+    return [...new Uint8Array(bits)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Build the address someone opens to use a share link
+ * @param {string} token - Share token
+ * @returns {string} Absolute URL of the share page
+ */
+export function buildShareUrl(token) {
+    return new URL(`share.html?token=${encodeURIComponent(token)}`, window.location.href).href;
+}
+
+/**
+ * Check whether a share link can still be used
+ * @param {Object} share - Share row
+ * @param {Date} [now] - Current time
+ * @returns {boolean} True if it hasn't expired or run out of downloads
+ */
+export function isShareActive(share, now = new Date()) {
+    if (new Date(share.expires_at) <= now) return false;
+    return share.max_downloads === null || share.max_downloads === undefined || share.download_count < share.max_downloads;
+}
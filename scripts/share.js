@@ -0,0 +1,93 @@
+/**
+ * Share Module
+ * Public page behind a share link: shows the shared file and downloads it,
+ * asking for the password when the link has one. No sign-in needed.
+ */
+
+import { showError, escapeHtml } from './supabase.js';
+import * as sharesRepo from './repositories/shares.js';
+import { startDownload } from './preview.js';
+
+let shareToken = '';
+
+document.addEventListener('DOMContentLoaded', async function() {
+    shareToken = new URLSearchParams(window.location.search).get('token') || '';
+
+    document.getElementById('shared-download-form').addEventListener('submit', handleSharedDownload);
+
+    await loadSharedFile();
+});
+
+/**
+ * Format file size to human readable format
+ * @param {number} bytes - File size in bytes
+ * @returns {string} Formatted file size
+ */
+function formatFileSize(bytes) {
+    if (!bytes) return '0 Bytes';
+    const k = 1024;
+    const sizes = ['Bytes', 'KB', 'MB', 'GB', 'TB'];
+    const i = Math.floor(Math.log(bytes) / Math.log(k));
+    return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
+}
+
+/**
+ * Show what the link points to, or why it can't be used
+ */
+async function loadSharedFile() {
+    const container = document.getElementById('shared-file');
+
+    if (!shareToken) {
+        container.innerHTML = '<div class="empty-state">This link is incomplete. Ask for the full link again.</div>';
+        return;
+    }
+
+    try {
+        const info = await sharesRepo.getSharedFile(shareToken);
+        const details = [
+            formatFileSize(info.file_size),
+            `Available until ${new Date(info.expires_at).toLocaleString()}`,
+            info.downloads_left === null ? '' : `${info.downloads_left} download${info.downloads_left === 1 ? '' : 's'} left`
+        ].filter(Boolean).join(' • ');
+
+        container.innerHTML = `
+            <div class="shared-file-name">${escapeHtml(info.file_name)}</div>
+            <div class="shared-file-details">${escapeHtml(details)}</div>
+        `;
+
+        document.getElementById('shared-password-group').style.display = info.requires_password ? 'block' : 'none';
+        document.getElementById('shared-password').required = info.requires_password;
+        document.getElementById('shared-download-form').style.display = 'block';
+    } catch (error) {
+        console.error('Failed to load shared file:', error);
+        document.getElementById('shared-download-form').style.display = 'none';
+        container.innerHTML = `<div class="empty-state">${escapeHtml(error.message)}</div>`;
+    }
+}
+
+/**
+ * Redeem the link and start the download
+ * @param {Event} event - Submit event
+ */
+async function handleSharedDownload(event) {
+    event.preventDefault();
+
+    const button = event.target.querySelector('button[type="submit"]');
+    button.disabled = true;
+
+    try {
+        const { url, file_name: fileName } = await sharesRepo.downloadSharedFile(
+            shareToken,
+            document.getElementById('shared-password').value
+        );
+        startDownload(url, fileName);
+
+        // Refresh the remaining download count
+        await loadSharedFile();
+    } catch (error) {
+        console.error('Shared download failed:', error);
+        showError('shared-error', error.message);
+    } finally {
+        button.disabled = false;
+    }
+}
@@ -0,0 +1,112 @@
+/**
+ * Subtasks Module
+ * Helpers for the nested checklist stored on a task's `subtasks` column.
+ * Each item is { id, title, done, children: [...] }.
+ */
+
+/**
+ * Create a new checklist item
+ * @param {string} title - Item title
+ * @returns {Object} Checklist item
+ */
+export function createSubtask(title) {
+    return {
+        id: `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 7)}`,
+        title: title,
+        done: false,
+        children: []
+    };
+}
+
+/**
+ * Find an item and its ancestors
+ * @param {Array} items - Checklist tree
+ * @param {string} subtaskId - Item ID
+ * @param {Array} [ancestors] - Ancestors collected so far
+ * @returns {Object|null} { item, siblings, ancestors } or null if not found
+ */
+export function findSubtask(items, subtaskId, ancestors = []) {
+    for (const item of items) {
+        if (item.id === subtaskId) {
+            return { item, siblings: items, ancestors };
+        }
+        const found = findSubtask(item.children || [], subtaskId, [...ancestors, item]);
+        if (found) return found;
+    }
+    return null;
+}
+
+/**
+ * Remove an item (and its children) from the tree
+ * @param {Array} items - Checklist tree, modified in place
+ * @param {string} subtaskId - Item ID
+ */
+export function removeSubtask(items, subtaskId) {
+    const found = findSubtask(items, subtaskId);
+    if (found) {
+        found.siblings.splice(found.siblings.indexOf(found.item), 1);
+    }
+}
+
+/**
+ * Tick or untick an item. Its children follow it, and with auto-complete on,
+ * each ancestor is done exactly when all of its children are.
+ * @param {Array} items - Checklist tree, modified in place
+ * @param {string} subtaskId - Item ID
+ * @param {boolean} done - New state
+ * @param {boolean} autoComplete - Whether parents complete with their children
+ */
+export function setSubtaskDone(items, subtaskId, done, autoComplete) {
+    const found = findSubtask(items, subtaskId);
+    if (!found) return;
+
+    const mark = item => {
+        item.done = done;
+        (item.children || []).forEach(mark);
+    };
+    mark(found.item);
+
+    if (autoComplete) {
+        [...found.ancestors].reverse().forEach(ancestor => {
+            ancestor.done = ancestor.children.every(child => child.done);
+        });
+    }
+}
+
+/**
+ * Count checklist items at every level
+ * @param {Array} items - Checklist tree
+ * @returns {Object} { done, total }
+ */
+export function countSubtasks(items) {
+    return (items || []).reduce((counts, item) => {
+        const nested = countSubtasks(item.children);
+        return {
+            done: counts.done + nested.done + (item.done ? 1 : 0),
+            total: counts.total + nested.total + 1
+        };
+    }, { done: 0, total: 0 });
+}
+
+/**
+ * Check whether a non-empty checklist is fully ticked
+ * @param {Array} items - Checklist tree
+ * @returns {boolean} True if there are items and all are done
+ */
+export function allSubtasksDone(items) {
+    const { done, total } = countSubtasks(items);
+    return total > 0 && done === total;
+}
+
+/**
+ * Copy a checklist with every item unticked, for the next occurrence of a recurring task
+ * @param {Array} items - Checklist tree
+ * @returns {Array} Reset copy
+ */
+export function resetSubtasks(items) {
+    return (items || []).map(item => ({
+        ...item,
+        done: false,
+        children: resetSubtasks(item.children)
+    }));
+}
@@ -3,25 +3,41 @@
  * Manages user tasks with CRUD operations
  */
 
-import { supabase, checkAuth, showError, showSuccess, showModal, hideModal } from './supabase.js';
+import { supabase, checkAuth, showError, showSuccess, showModal, hideModal, escapeHtml } from './supabase.js';
+import * as tasksRepo from './repositories/tasks.js';
+import * as schedulesRepo from './repositories/schedules.js';
+import { createSubtask, removeSubtask, setSubtaskDone, findSubtask, countSubtasks, allSubtasksDone, resetSubtasks } from './subtasks.js';
+import { WEEKDAY_CODES, parseRule, serializeRule, getNextOccurrence, describeRule, parseDate } from './recurrence.js';
+import { purgeExpiredTrash, showUndoToast } from './trash-bin.js';
 
 // Format date to YYYY-MM-DD
 function formatDate(date) {
     return new Date(date).toISOString().split('T')[0];
 }
 
+// Filter value for tasks that aren't linked to a class
+const NO_COURSE = '__none__';
+
 let currentTaskId = null;
+let currentSubtasks = [];
+let currentUserId = null;
+let userTasks = [];
+let userClasses = [];
 
 document.addEventListener('DOMContentLoaded', async function () {
     // Check authentication
-    const user = await checkAuth(true);
+    const user = await checkAuth();
     if (!user) return;
+    currentUserId = user.id;
 
     // Initialize tasks components
     initTasksUI();
 
     // Load user's tasks
     loadUserTasks(user.id);
+
+    // The dashboard opens after every sign-in, so clear out items past their time in the Trash here
+    purgeExpiredTrash(user.id).catch(error => console.error('Failed to empty expired trash:', error));
 });
 
 /**
@@ -31,7 +47,22 @@ function initTasksUI() {
     // Add task button
     const addTaskBtn = document.getElementById('add-task-btn');
     if (addTaskBtn) {
-        addTaskBtn.addEventListener('click', () => openTaskModal());
+        addTaskBtn.addEventListener('click', async () => {
+            // Pick up classes added on the calendar since the page loaded
+            await loadUserClasses(currentUserId);
+            openTaskModal();
+        });
+    }
+
+    // Course filter and grouping
+    const courseFilter = document.getElementById('task-course-filter');
+    if (courseFilter) {
+        courseFilter.addEventListener('change', applyTaskView);
+    }
+
+    const groupToggle = document.getElementById('task-group-by-course');
+    if (groupToggle) {
+        groupToggle.addEventListener('change', applyTaskView);
     }
 
     // Task form submission
@@ -40,6 +71,35 @@ function initTasksUI() {
         taskForm.addEventListener('submit', handleTaskSubmit);
     }
 
+    // Repeat rule controls
+    const repeatSelect = document.getElementById('task-repeat');
+    if (repeatSelect) {
+        repeatSelect.addEventListener('change', updateRepeatControls);
+    }
+
+    // Checklist controls
+    const addSubtaskBtn = document.getElementById('add-subtask-btn');
+    if (addSubtaskBtn) {
+        addSubtaskBtn.addEventListener('click', handleSubtaskAdd);
+    }
+
+    const newSubtaskInput = document.getElementById('new-subtask-title');
+    if (newSubtaskInput) {
+        newSubtaskInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                handleSubtaskAdd();
+            }
+        });
+    }
+
+    const subtaskList = document.getElementById('subtask-list');
+    if (subtaskList) {
+        subtaskList.addEventListener('change', handleSubtaskToggle);
+        subtaskList.addEventListener('input', handleSubtaskRename);
+        subtaskList.addEventListener('click', handleSubtaskAction);
+    }
+
     // Delete task button
     const deleteTaskBtn = document.getElementById('delete-task-btn');
     if (deleteTaskBtn) {
@@ -56,64 +116,140 @@ function initTasksUI() {
 }
 
 /**
- * Load user's tasks from Supabase
+ * Load user's tasks and the classes they can be linked to
  * @param {string} userId - User ID
  */
 async function loadUserTasks(userId) {
     try {
-        const { data, error } = await supabase
-            .from('tasks')
-            .select('*')
-            .eq('user_id', userId)
-            .order('due_date', { ascending: true });
-
-        if (error) throw error;
-
-        renderTasks(data || []);
+        const [tasks] = await Promise.all([
+            tasksRepo.listTasks(userId),
+            loadUserClasses(userId)
+        ]);
+
+        userTasks = tasks;
+        populateCourseFilter();
+        applyTaskView();
     } catch (error) {
         console.error('Failed to load tasks:', error);
         document.getElementById('tasks-list').innerHTML = '<div class="empty-state">Failed to load tasks. Please refresh the page.</div>';
     }
 }
 
+/**
+ * Load the user's classes from the schedule
+ * @param {string} userId - User ID
+ */
+async function loadUserClasses(userId) {
+    try {
+        userClasses = await schedulesRepo.listSchedules(userId);
+    } catch (error) {
+        console.error('Failed to load classes:', error);
+        userClasses = [];
+    }
+}
+
+/**
+ * Get the course name for a linked class
+ * @param {string} scheduleId - Schedule ID
+ * @returns {string|null} Class name, or null if not linked
+ */
+function getCourseName(scheduleId) {
+    if (!scheduleId) return null;
+    const schedule = userClasses.find(item => String(item.id) === String(scheduleId));
+    return schedule ? schedule.class_name : null;
+}
+
+/**
+ * Distinct courses in the schedule. A course meeting on several days has one
+ * schedule row per day, so the first row stands in for the course.
+ * @returns {Array} Courses as { name, scheduleId }, sorted by name
+ */
+function getCourses() {
+    const courses = new Map();
+    userClasses.forEach(schedule => {
+        if (!courses.has(schedule.class_name)) {
+            courses.set(schedule.class_name, { name: schedule.class_name, scheduleId: schedule.id });
+        }
+    });
+    return [...courses.values()].sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Fill the course filter dropdown, keeping the current selection
+ */
+function populateCourseFilter() {
+    const courseFilter = document.getElementById('task-course-filter');
+    if (!courseFilter) return;
+
+    const selected = courseFilter.value;
+    courseFilter.innerHTML = `
+        <option value="">All courses</option>
+        <option value="${NO_COURSE}">No course</option>
+        ${getCourses().map(course => `<option value="${escapeHtml(course.name)}">${escapeHtml(course.name)}</option>`).join('')}
+    `;
+    courseFilter.value = [...courseFilter.options].some(option => option.value === selected) ? selected : '';
+}
+
+/**
+ * Apply the course filter and grouping to the loaded tasks and render them
+ */
+function applyTaskView() {
+    const courseFilter = document.getElementById('task-course-filter');
+    const groupToggle = document.getElementById('task-group-by-course');
+    const selectedCourse = courseFilter ? courseFilter.value : '';
+
+    const tasks = userTasks.filter(task => {
+        if (!selectedCourse) return true;
+        const courseName = getCourseName(task.schedule_id);
+        return selectedCourse === NO_COURSE ? !courseName : courseName === selectedCourse;
+    });
+
+    renderTasks(tasks, groupToggle && groupToggle.checked);
+}
+
 /**
  * Render tasks to the UI
  * @param {Array} tasks - Array of task objects
+ * @param {boolean} [groupByCourse=false] - Show tasks under a heading per course
  */
-function renderTasks(tasks) {
+function renderTasks(tasks, groupByCourse = false) {
     const tasksContainer = document.getElementById('tasks-list');
     if (!tasksContainer) return;
 
     if (tasks.length === 0) {
-        tasksContainer.innerHTML = '<div class="empty-state">No tasks yet. Add your first task!</div>';
+        tasksContainer.innerHTML = userTasks.length === 0
+            ? '<div class="empty-state">No tasks yet. Add your first task!</div>'
+            : '<div class="empty-state">No tasks for this course.</div>';
         return;
     }
 
     let tasksList = '';
 
-    tasks.forEach(task => {
-        const dueDate = new Date(task.due_date);
-        const isOverdue = dueDate < new Date() && !task.completed;
-        const dueDateStr = formatDate(task.due_date);
-
-        tasksList += `
-            <div class="task-item ${task.completed ? 'task-completed' : ''} ${isOverdue ? 'task-overdue' : ''}">
-                <input type="checkbox" class="task-checkbox" data-id="${task.id}" ${task.completed ? 'checked' : ''}>
-                <div class="task-content">
-                    <div class="task-title">
-                        ${task.title}
-                        <span class="task-priority priority-${task.priority}">${task.priority}</span>
-                    </div>
-                    <div class="task-details">
-                        Due: ${dueDateStr}
-                    </div>
-                </div>
-                <div class="task-actions">
-                    <button type="button" class="edit-task-btn" data-id="${task.id}">Edit</button>
-                </div>
-            </div>
-        `;
-    });
+    if (groupByCourse) {
+        const groups = new Map();
+        tasks.forEach(task => {
+            const courseName = getCourseName(task.schedule_id) || 'No course';
+            if (!groups.has(courseName)) groups.set(courseName, []);
+            groups.get(courseName).push(task);
+        });
+
+        // Courses alphabetically, unlinked tasks last
+        const names = [...groups.keys()].sort((a, b) => {
+            if (a === 'No course') return 1;
+            if (b === 'No course') return -1;
+            return a.localeCompare(b);
+        });
+        names.forEach(name => {
+            tasksList += `<div class="task-group-header">${escapeHtml(name)} <span>${groups.get(name).length}</span></div>`;
+            groups.get(name).forEach(task => {
+                tasksList += renderTaskItem(task, false);
+            });
+        });
+    } else {
+        tasks.forEach(task => {
+            tasksList += renderTaskItem(task, true);
+        });
+    }
 
     tasksContainer.innerHTML = tasksList;
 
@@ -127,11 +263,85 @@ function renderTasks(tasks) {
     });
 }
 
+/**
+ * Build the HTML for one task row
+ * @param {Object} task - Task object
+ * @param {boolean} showCourse - Whether to show the linked course on the row
+ * @returns {string} Task row HTML
+ */
+function renderTaskItem(task, showCourse) {
+    const dueDate = new Date(task.due_date);
+    const isOverdue = dueDate < new Date() && !task.completed;
+    const dueDateStr = formatDate(task.due_date);
+    const history = task.completed_occurrences || [];
+    const repeatInfo = task.recurrence_rule
+        ? ` • ${describeRule(task.recurrence_rule)}${history.length > 0 ? ` • ${history.length} done` : ''}`
+        : '';
+    const progress = countSubtasks(task.subtasks);
+    const progressBadge = progress.total > 0
+        ? `<span class="task-progress ${progress.done === progress.total ? 'progress-complete' : ''}" title="Checklist progress">${progress.done}/${progress.total}</span>`
+        : '';
+    const courseName = getCourseName(task.schedule_id);
+    const courseBadge = showCourse && courseName
+        ? `<span class="task-course">${escapeHtml(courseName)}</span>`
+        : '';
+
+    return `
+        <div class="task-item ${task.completed ? 'task-completed' : ''} ${isOverdue ? 'task-overdue' : ''}">
+            <input type="checkbox" class="task-checkbox" data-id="${task.id}" ${task.completed ? 'checked' : ''}>
+            <div class="task-content">
+                <div class="task-title">
+                    ${task.title}
+                    <span class="task-priority priority-${task.priority}">${task.priority}</span>
+                    ${progressBadge}
+                </div>
+                <div class="task-details">
+                    ${courseBadge}Due: ${dueDateStr}${repeatInfo}
+                </div>
+            </div>
+            <div class="task-actions">
+                <button type="button" class="edit-task-btn" data-id="${task.id}">Edit</button>
+            </div>
+        </div>
+    `;
+}
+
+/**
+ * Fill the class dropdown in the task modal
+ * @param {string|null} scheduleId - Linked schedule ID to select
+ */
+function populateClassSelect(scheduleId) {
+    const classSelect = document.getElementById('task-class');
+    if (!classSelect) return;
+
+    classSelect.innerHTML = `
+        <option value="">No class</option>
+        ${getCourses().map(course => `<option value="${course.scheduleId}">${escapeHtml(course.name)}</option>`).join('')}
+    `;
+
+    // Any schedule row of a course selects that course
+    const courseName = getCourseName(scheduleId);
+    const course = getCourses().find(item => item.name === courseName);
+    classSelect.value = course ? course.scheduleId : '';
+}
+
+/**
+ * Open the task modal for a new task linked to a class
+ * @param {string} scheduleId - Schedule ID of the class
+ */
+export async function openNewTaskForClass(scheduleId) {
+    if (currentUserId) {
+        await loadUserClasses(currentUserId);
+    }
+    openTaskModal(null, { schedule_id: scheduleId });
+}
+
 /**
  * Open task modal for adding or editing
  * @param {Object} task - Task object (null for new tasks)
+ * @param {Object} [defaults] - Prefilled values for new tasks (e.g. schedule_id)
  */
-function openTaskModal(task = null) {
+function openTaskModal(task = null, defaults = {}) {
     const modalTitle = document.getElementById('task-modal-title');
     const taskForm = document.getElementById('task-form');
     const deleteBtn = document.getElementById('delete-task-btn');
@@ -154,6 +364,11 @@ function openTaskModal(task = null) {
         document.getElementById('task-description').value = task.description || '';
         document.getElementById('task-due-date').value = formattedDate;
         document.getElementById('task-priority').value = task.priority;
+        populateRepeatControls(task.recurrence_rule);
+        renderTaskHistory(task.completed_occurrences || []);
+        document.getElementById('task-auto-complete').checked = task.auto_complete_subtasks !== false;
+        currentSubtasks = structuredClone(task.subtasks || []);
+        populateClassSelect(task.schedule_id);
 
         currentTaskId = task.id;
     } else {
@@ -165,10 +380,17 @@ function openTaskModal(task = null) {
         const today = new Date().toISOString().split('T')[0];
         document.getElementById('task-due-date').value = today;
         document.getElementById('task-priority').value = 'medium';
+        populateRepeatControls(null);
+        renderTaskHistory([]);
+        document.getElementById('task-auto-complete').checked = true;
+        currentSubtasks = [];
+        populateClassSelect(defaults.schedule_id || null);
 
         currentTaskId = null;
     }
 
+    renderSubtaskList();
+
     // Show modal
     showModal('task-modal');
 }
@@ -188,6 +410,7 @@ async function handleTaskSubmit(event) {
     const description = document.getElementById('task-description').value;
     const dueDate = document.getElementById('task-due-date').value;
     const priority = document.getElementById('task-priority').value;
+    const scheduleId = document.getElementById('task-class').value || null;
 
     // Validate form
     if (!title || !dueDate) {
@@ -195,36 +418,62 @@ async function handleTaskSubmit(event) {
         return;
     }
 
+    let recurrenceRule;
+    try {
+        recurrenceRule = readRepeatControls(dueDate);
+    } catch (error) {
+        alert(`Invalid repeat rule: ${error.message}`);
+        return;
+    }
+
+    const autoComplete = document.getElementById('task-auto-complete').checked;
+    const checklistDone = allSubtasksDone(currentSubtasks);
+    const checklistDrivesCompletion = autoComplete && countSubtasks(currentSubtasks).total > 0;
+
     try {
+        let savedTaskId = taskId;
+
         if (taskId) {
             // Update existing task
-            const { error } = await supabase
-                .from('tasks')
-                .update({
-                    title: title,
-                    description: description,
-                    due_date: dueDate,
-                    priority: priority
-                })
-                .eq('id', taskId);
-
-            if (error) throw error;
+            const changes = {
+                title: title,
+                description: description,
+                due_date: dueDate,
+                priority: priority,
+                schedule_id: scheduleId,
+                recurrence_rule: recurrenceRule,
+                subtasks: currentSubtasks,
+                auto_complete_subtasks: autoComplete
+            };
+            if (checklistDrivesCompletion && !recurrenceRule) {
+                changes.completed = checklistDone;
+            }
+            await tasksRepo.updateTask(taskId, changes);
         } else {
             // Add new task
-            const { error } = await supabase
-                .from('tasks')
-                .insert([
-                    {
-                        user_id: user.id,
-                        title: title,
-                        description: description,
-                        due_date: dueDate,
-                        priority: priority,
-                        completed: false
-                    }
-                ]);
-
-            if (error) throw error;
+            const created = await tasksRepo.createTask({
+                user_id: user.id,
+                title: title,
+                description: description,
+                due_date: dueDate,
+                priority: priority,
+                schedule_id: scheduleId,
+                recurrence_rule: recurrenceRule,
+                completed_occurrences: [],
+                subtasks: currentSubtasks,
+                auto_complete_subtasks: autoComplete,
+                completed: checklistDrivesCompletion && checklistDone && !recurrenceRule
+            });
+            savedTaskId = created.id;
+        }
+
+        // A finished checklist completes the current occurrence of a recurring task,
+        // unless the series has already ended and there is nothing left to complete
+        if (checklistDrivesCompletion && checklistDone && recurrenceRule) {
+            const savedTask = await tasksRepo.getTask(savedTaskId);
+            if (!savedTask.completed) {
+                await completeOccurrence(savedTask);
+            }
         }
 
         // Reload tasks
@@ -239,31 +488,29 @@ async function handleTaskSubmit(event) {
 }
 
 /**
- * Handle task deletion
+ * Move the open task to the Trash, with an undo prompt
  */
 async function handleTaskDelete() {
     if (!currentTaskId) return;
 
-    if (!confirm('Are you sure you want to delete this task?')) {
-        return;
-    }
+    const taskId = currentTaskId;
 
     try {
         const user = (await supabase.auth.getUser()).data.user;
         if (!user) return;
 
-        const { error } = await supabase
-            .from('tasks')
-            .delete()
-            .eq('id', currentTaskId);
-
-        if (error) throw error;
+        await tasksRepo.trashTask(taskId);
 
         // Reload tasks
         await loadUserTasks(user.id);
 
         // Hide modal
         hideModal('task-modal');
+
+        showUndoToast('Task moved to the Trash.', async () => {
+            await tasksRepo.restoreTask(taskId);
+            await loadUserTasks(user.id);
+        });
     } catch (error) {
         console.error('Failed to delete task:', error);
         alert('Failed to delete task. Please try again.');
@@ -279,12 +526,19 @@ async function handleTaskCompletion(event) {
     const completed = event.target.checked;
 
     try {
-        const { error } = await supabase
-            .from('tasks')
-            .update({ completed: completed })
-            .eq('id', taskId);
+        const task = await tasksRepo.getTask(taskId);
 
-        if (error) throw error;
+        // Completing a recurring task rolls it forward instead of closing it
+        if (completed && task.recurrence_rule) {
+            await completeOccurrence(task);
+            await loadUserTasks(task.user_id);
+            return;
+        }
+
+        await tasksRepo.updateTask(taskId, { completed: completed });
+
+        const cachedTask = userTasks.find(item => String(item.id) === String(taskId));
+        if (cachedTask) cachedTask.completed = completed;
 
         // Update task item in the UI
         const taskItem = event.target.closest('.task-item');
@@ -308,18 +562,239 @@ async function handleTaskEdit(event) {
     const taskId = event.target.getAttribute('data-id');
 
     try {
-        const { data, error } = await supabase
-            .from('tasks')
-            .select('*')
-            .eq('id', taskId)
-            .single();
+        const task = await tasksRepo.getTask(taskId);
 
-        if (error) throw error;
-
-        openTaskModal(data);
+        openTaskModal(task);
     } catch (error) {
         console.error('Failed to get task details:', error);
         alert('Failed to load task details. Please try again.');
     }
-} 
+}
+
+/**
+ * Complete the current occurrence of a recurring task and move it to the next due date
+ * @param {Object} task - Task row with a recurrence rule
+ */
+async function completeOccurrence(task) {
+    const dueDate = String(task.due_date).slice(0, 10);
+    const previous = task.completed_occurrences || [];
+    const history = [...previous, { due_date: dueDate, completed_at: new Date().toISOString() }];
+    const nextDueDate = getNextOccurrence(task.recurrence_rule, dueDate, previous.length);
+
+    if (nextDueDate) {
+        await tasksRepo.updateTask(task.id, {
+            due_date: nextDueDate,
+            completed: false,
+            completed_occurrences: history,
+            subtasks: resetSubtasks(task.subtasks)
+        });
+    } else {
+        // The series has ended, so this was the last occurrence
+        await tasksRepo.updateTask(task.id, {
+            completed: true,
+            completed_occurrences: history
+        });
+    }
+}
+
+/**
+ * Show only the repeat inputs that apply to the selected repeat mode
+ */
+function updateRepeatControls() {
+    const mode = document.getElementById('task-repeat').value;
+    const visibleGroups = {
+        '': [],
+        daily: ['task-repeat-until-group'],
+        weekly: ['task-repeat-weekdays-group', 'task-repeat-until-group'],
+        interval: ['task-repeat-interval-group', 'task-repeat-until-group'],
+        custom: ['task-repeat-rrule-group']
+    }[mode];
+
+    document.querySelectorAll('#task-form .repeat-option').forEach(group => {
+        group.style.display = visibleGroups.includes(group.id) ? 'block' : 'none';
+    });
+}
+
+/**
+ * Fill the repeat controls from a stored rule
+ * @param {string|null} ruleText - RRULE string (null for non-repeating tasks)
+ */
+function populateRepeatControls(ruleText) {
+    const repeatSelect = document.getElementById('task-repeat');
+    const weekdayInputs = document.querySelectorAll('input[name="task-repeat-weekday"]');
+
+    repeatSelect.value = '';
+    weekdayInputs.forEach(input => { input.checked = false; });
+    document.getElementById('task-repeat-interval').value = 2;
+    document.getElementById('task-repeat-rrule').value = '';
+    document.getElementById('task-repeat-until').value = '';
+
+    if (ruleText) {
+        let rule = null;
+        try {
+            rule = parseRule(ruleText);
+        } catch (error) {
+            console.error('Unsupported repeat rule:', error);
+        }
+
+        // Rules the simple controls can't express are edited as text
+        if (!rule || rule.count || (rule.freq === 'WEEKLY' && rule.interval > 1) || rule.freq === 'MONTHLY') {
+            repeatSelect.value = 'custom';
+            document.getElementById('task-repeat-rrule').value = ruleText;
+        } else if (rule.freq === 'DAILY') {
+            repeatSelect.value = rule.interval > 1 ? 'interval' : 'daily';
+            document.getElementById('task-repeat-interval').value = rule.interval;
+        } else {
+            repeatSelect.value = 'weekly';
+            weekdayInputs.forEach(input => { input.checked = rule.byDay.includes(input.value); });
+        }
+
+        if (rule && rule.until && repeatSelect.value !== 'custom') {
+            document.getElementById('task-repeat-until').value = rule.until;
+        }
+    }
+
+    updateRepeatControls();
+}
+
+/**
+ * Build an RRULE string from the repeat controls
+ * @param {string} dueDate - Due date from the form (YYYY-MM-DD), used as the default weekday
+ * @returns {string|null} RRULE string, or null when the task doesn't repeat
+ * @throws {Error} If the custom rule is invalid
+ */
+function readRepeatControls(dueDate) {
+    const mode = document.getElementById('task-repeat').value;
+    const until = document.getElementById('task-repeat-until').value || null;
+
+    switch (mode) {
+        case 'daily':
+            return serializeRule({ freq: 'DAILY', until });
+        case 'interval':
+            return serializeRule({
+                freq: 'DAILY',
+                interval: Math.max(1, parseInt(document.getElementById('task-repeat-interval').value) || 1),
+                until
+            });
+        case 'weekly': {
+            let byDay = [...document.querySelectorAll('input[name="task-repeat-weekday"]:checked')].map(input => input.value);
+            if (byDay.length === 0) {
+                byDay = [WEEKDAY_CODES[parseDate(dueDate).getDay()]];
+            }
+            return serializeRule({ freq: 'WEEKLY', byDay, until });
+        }
+        case 'custom':
+            return serializeRule(parseRule(document.getElementById('task-repeat-rrule').value));
+        default:
+            return null;
+    }
+}
+
+/**
+ * Render the completed occurrences of a recurring task in the modal
+ * @param {Array} history - Completed occurrences ({ due_date, completed_at })
+ */
+function renderTaskHistory(history) {
+    const historyGroup = document.getElementById('task-history-group');
+    const historyList = document.getElementById('task-history-list');
+    if (!historyGroup || !historyList) return;
+
+    historyGroup.style.display = history.length > 0 ? 'block' : 'none';
+    historyList.innerHTML = [...history].reverse().map(entry => `
+        <li>Due ${entry.due_date} • completed ${new Date(entry.completed_at).toLocaleDateString()}</li>
+    `).join('');
+}
+
+/**
+ * Render the checklist editor in the task modal
+ */
+function renderSubtaskList() {
+    const subtaskList = document.getElementById('subtask-list');
+    if (!subtaskList) return;
+
+    subtaskList.innerHTML = renderSubtaskItems(currentSubtasks);
+}
+
+/**
+ * Build the HTML for one level of the checklist
+ * @param {Array} items - Checklist items
+ * @returns {string} List items HTML
+ */
+function renderSubtaskItems(items) {
+    return items.map(item => `
+        <li class="subtask-item" data-id="${item.id}">
+            <div class="subtask-row">
+                <input type="checkbox" class="subtask-checkbox" ${item.done ? 'checked' : ''}>
+                <input type="text" class="subtask-title-input ${item.done ? 'subtask-done' : ''}" value="${escapeHtml(item.title)}">
+                <button type="button" class="add-child-subtask-btn" title="Add sub-item">+</button>
+                <button type="button" class="remove-subtask-btn" title="Remove">&times;</button>
+            </div>
+            ${item.children && item.children.length > 0 ? `<ul class="subtask-list">${renderSubtaskItems(item.children)}</ul>` : ''}
+        </li>
+    `).join('');
+}
+
+/**
+ * Add a top-level checklist item from the input below the list
+ */
+function handleSubtaskAdd() {
+    const input = document.getElementById('new-subtask-title');
+    const title = input.value.trim();
+    if (!title) return;
+
+    currentSubtasks.push(createSubtask(title));
+    input.value = '';
+    renderSubtaskList();
+}
+
+/**
+ * Handle ticking a checklist item
+ * @param {Event} event - Change event from the checklist
+ */
+function handleSubtaskToggle(event) {
+    if (!event.target.classList.contains('subtask-checkbox')) return;
+
+    const subtaskId = event.target.closest('.subtask-item').dataset.id;
+    const autoComplete = document.getElementById('task-auto-complete').checked;
+    setSubtaskDone(currentSubtasks, subtaskId, event.target.checked, autoComplete);
+    renderSubtaskList();
+}
+
+/**
+ * Handle editing a checklist item title
+ * @param {Event} event - Input event from the checklist
+ */
+function handleSubtaskRename(event) {
+    if (!event.target.classList.contains('subtask-title-input')) return;
+
+    const found = findSubtask(currentSubtasks, event.target.closest('.subtask-item').dataset.id);
+    if (found) {
+        found.item.title = event.target.value;
+    }
+}
 
+/**
+ * Handle the add-child and remove buttons on checklist items
+ * @param {Event} event - Click event from the checklist
+ */
+function handleSubtaskAction(event) {
+    const subtaskItem = event.target.closest('.subtask-item');
+    if (!subtaskItem) return;
+
+    if (event.target.classList.contains('remove-subtask-btn')) {
+        removeSubtask(currentSubtasks, subtaskItem.dataset.id);
+        renderSubtaskList();
+    } else if (event.target.classList.contains('add-child-subtask-btn')) {
+        const title = prompt('Sub-item title');
+        if (!title || !title.trim()) return;
+
+        const found = findSubtask(currentSubtasks, subtaskItem.dataset.id);
+        found.item.children = found.item.children || [];
+        found.item.children.push(createSubtask(title.trim()));
+        // A new open child means the parent isn't finished any more
+        if (document.getElementById('task-auto-complete').checked) {
+            [found.item, ...found.ancestors].forEach(item => { item.done = false; });
+        }
+        renderSubtaskList();
+    }
+}
@@ -0,0 +1,178 @@
+/**
+ * Trash Bin Module
+ * Deleted files, archive uploads, tasks and classes are only marked with
+ * `deleted_at` at first. They can be restored from the Trash until
+ * config.trash.retentionDays have passed; after that they are deleted for good.
+ */
+
+import { config } from './config.js';
+import * as filesRepo from './repositories/files.js';
+import * as archiveRepo from './repositories/archive.js';
+import * as tasksRepo from './repositories/tasks.js';
+import * as schedulesRepo from './repositories/schedules.js';
+import * as storageRepo from './repositories/storage.js';
+import * as sharesRepo from './repositories/shares.js';
+import * as moderationRepo from './repositories/moderation.js';
+
+// How long the undo prompt stays on screen
+const UNDO_TIMEOUT = 8000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Days left before a deleted item is removed for good
+ * @param {string} deletedAt - ISO timestamp the item was deleted at
+ * @returns {number} Whole days left, 0 once it is due
+ */
+export function daysUntilPurge(deletedAt) {
+    const purgeAt = new Date(deletedAt).getTime() + config.trash.retentionDays * DAY_MS;
+    return Math.max(0, Math.ceil((purgeAt - Date.now()) / DAY_MS));
+}
+
+/**
+ * Show a short-lived message with an Undo button, replacing any earlier one
+ * @param {string} message - What was done
+ * @param {Function} onUndo - Called when Undo is clicked; may return a promise
+ */
+export function showUndoToast(message, onUndo) {
+    document.querySelector('.undo-toast')?.remove();
+
+    const toast = document.createElement('div');
+    toast.className = 'undo-toast';
+    toast.setAttribute('role', 'status');
+    toast.innerHTML = `
+        <span class="undo-toast-message"></span>
+        <button type="button" class="btn btn-small">Undo</button>
+    `;
+    toast.querySelector('.undo-toast-message').textContent = message;
+
+    const timer = setTimeout(() => toast.remove(), UNDO_TIMEOUT);
+
+    toast.querySelector('button').addEventListener('click', async () => {
+        clearTimeout(timer);
+        toast.remove();
+
+        try {
+            await onUndo();
+        } catch (error) {
+            console.error('Undo failed:', error);
+            alert('Failed to undo. The item can still be restored from the Trash.');
+        }
+    });
+
+    document.body.appendChild(toast);
+}
+
+/**
+ * Load everything a user has in the Trash
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} { files, archive, tasks, schedules }
+ */
+export async function loadTrash(userId) {
+    const [files, archive, tasks, schedules] = await Promise.all([
+        filesRepo.listTrashedFiles(userId),
+        archiveRepo.listTrashedArchiveFiles(userId),
+        tasksRepo.listTrashedTasks(userId),
+        schedulesRepo.listTrashedSchedules(userId)
+    ]);
+
+    return { files, archive, tasks, schedules };
+}
+
+/**
+ * Delete personal files for good, with every stored version. Objects that
+ * another file or another file's history still links to are kept.
+ * @param {string} userId - User ID
+ * @param {Array} files - File rows
+ */
+export async function deleteFilesForever(userId, files) {
+    if (files.length === 0) return;
+
+    const fileIds = new Set(files.map(file => file.id));
+    const versions = (await Promise.all(files.map(file => filesRepo.listFileVersions(file.id)))).flat();
+    const paths = [...new Set([...files, ...versions].map(row => row.file_path))];
+
+    const [activeFiles, trashedFiles, sharedVersions] = await Promise.all([
+        filesRepo.listFiles(userId),
+        filesRepo.listTrashedFiles(userId),
+        filesRepo.listFileVersionsByPaths(paths)
+    ]);
+    const stillUsed = new Set([
+        ...[...activeFiles, ...trashedFiles].filter(file => !fileIds.has(file.id)).map(file => file.file_path),
+        ...sharedVersions.filter(version => !fileIds.has(version.file_id)).map(version => version.file_path)
+    ]);
+    const unusedPaths = paths.filter(path => !stillUsed.has(path));
+
+    if (unusedPaths.length > 0) {
+        await storageRepo.removeObjects(unusedPaths);
+    }
+
+    for (const file of files) {
+        await sharesRepo.deleteFileSharesForFile(file.id);
+        await filesRepo.deleteFileVersions(file.id);
+        await filesRepo.deleteFile(file.id);
+    }
+}
+
+/**
+ * Delete archive uploads for good, with their stored objects and feedback
+ * @param {Array} files - Archive rows
+ */
+export async function deleteArchiveFilesForever(files) {
+    if (files.length === 0) return;
+
+    await storageRepo.removeObjects(files.map(file => file.file_path));
+
+    for (const file of files) {
+        await archiveRepo.deleteArchiveFeedback(file.id);
+        await archiveRepo.deleteArchiveFile(file.id);
+    }
+}
+
+/**
+ * Remove another student's archive upload for good, as a moderator. Its
+ * feedback goes with the row, and the removal is logged with the reason.
+ * @param {Object} file - Archive row
+ * @param {string|null} reason - Why the file was removed
+ */
+export async function removeArchiveFileForever(file, reason) {
+    await storageRepo.removeObjects([file.file_path]);
+    await moderationRepo.removeArchiveFile(file.id, reason);
+}
+
+/**
+ * Delete tasks for good
+ * @param {Array} tasks - Task rows
+ */
+export async function deleteTasksForever(tasks) {
+    for (const task of tasks) {
+        await tasksRepo.deleteTask(task.id);
+    }
+}
+
+/**
+ * Delete classes for good
+ * @param {Array} schedules - Schedule rows
+ */
+export async function deleteSchedulesForever(schedules) {
+    for (const schedule of schedules) {
+        await schedulesRepo.deleteSchedule(schedule.id);
+    }
+}
+
+/**
+ * Delete everything that has been in the Trash longer than the retention window
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} What is left in the Trash: { files, archive, tasks, schedules }
+ */
+export async function purgeExpiredTrash(userId) {
+    const trash = await loadTrash(userId);
+    const isExpired = row => daysUntilPurge(row.deleted_at) === 0;
+
+    await deleteFilesForever(userId, trash.files.filter(isExpired));
+    await deleteArchiveFilesForever(trash.archive.filter(isExpired));
+    await deleteTasksForever(trash.tasks.filter(isExpired));
+    await deleteSchedulesForever(trash.schedules.filter(isExpired));
+
+    return Object.fromEntries(Object.entries(trash).map(([kind, rows]) => [kind, rows.filter(row => !isExpired(row))]));
+}
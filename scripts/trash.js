@@ -0,0 +1,233 @@
+/**
+ * Trash Module
+ * Lists deleted files, archive uploads, tasks and classes, and restores them
+ * or deletes them for good
+ */
+
+import { checkAuth, escapeHtml } from './supabase.js';
+import { config } from './config.js';
+import * as filesRepo from './repositories/files.js';
+import * as foldersRepo from './repositories/folders.js';
+import * as archiveRepo from './repositories/archive.js';
+import * as tasksRepo from './repositories/tasks.js';
+import * as schedulesRepo from './repositories/schedules.js';
+import {
+    daysUntilPurge,
+    deleteArchiveFilesForever,
+    deleteFilesForever,
+    deleteSchedulesForever,
+    deleteTasksForever,
+    purgeExpiredTrash
+} from './trash-bin.js';
+
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// How each kind of item is shown, restored and deleted for good
+const SECTIONS = {
+    files: {
+        title: 'My Files',
+        name: row => row.file_name,
+        detail: row => formatFileSize(row.file_size),
+        restore: restoreFile,
+        deleteForever: rows => deleteFilesForever(currentUserId, rows)
+    },
+    archive: {
+        title: 'Archive Uploads',
+        name: row => row.file_name,
+        detail: row => `${row.faculty} • Year ${row.academic_year}`,
+        restore: row => archiveRepo.restoreArchiveFile(row.id),
+        deleteForever: deleteArchiveFilesForever
+    },
+    tasks: {
+        title: 'Tasks',
+        name: row => row.title,
+        detail: row => row.due_date ? `Due ${row.due_date}` : '',
+        restore: row => tasksRepo.restoreTask(row.id),
+        deleteForever: deleteTasksForever
+    },
+    schedules: {
+        title: 'Classes',
+        name: row => row.class_name,
+        detail: row => `${DAY_NAMES[row.day] || ''} ${row.start_time || ''}–${row.end_time || ''}`.trim(),
+        restore: row => schedulesRepo.restoreSchedule(row.id),
+        deleteForever: deleteSchedulesForever
+    }
+};
+
+let currentUserId = null;
+let trash = { files: [], archive: [], tasks: [], schedules: [] };
+
+document.addEventListener('DOMContentLoaded', async function() {
+    // Check authentication
+    const user = await checkAuth();
+    if (!user) return;
+    currentUserId = user.id;
+
+    const days = config.trash.retentionDays;
+    document.getElementById('trash-notice').textContent =
+        `Deleted items can be restored for ${days} day${days === 1 ? '' : 's'}, then they are removed for good.`;
+
+    initTrashUI();
+    await loadTrashItems();
+});
+
+/**
+ * Format file size to human readable format
+ * @param {number} bytes - File size in bytes
+ * @returns {string} Formatted file size
+ */
+function formatFileSize(bytes) {
+    if (!bytes) return '0 Bytes';
+    const k = 1024;
+    const sizes = ['Bytes', 'KB', 'MB', 'GB', 'TB'];
+    const i = Math.floor(Math.log(bytes) / Math.log(k));
+    return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
+}
+
+/**
+ * Initialize the Empty Trash button and the item actions
+ */
+function initTrashUI() {
+    document.getElementById('empty-trash-btn').addEventListener('click', handleEmptyTrash);
+
+    document.getElementById('trash-sections').addEventListener('click', (e) => {
+        const button = e.target.closest('[data-trash-action]');
+        if (!button) return;
+
+        const { trashAction, kind, id } = button.dataset;
+        const row = trash[kind].find(item => item.id === id);
+        if (!row) return;
+
+        if (trashAction === 'restore') {
+            handleRestore(kind, row);
+        } else {
+            handleDeleteForever(kind, row);
+        }
+    });
+}
+
+/**
+ * Purge expired items, then load and render what is left in the Trash
+ */
+async function loadTrashItems() {
+    try {
+        trash = await purgeExpiredTrash(currentUserId);
+        renderTrash();
+    } catch (error) {
+        console.error('Failed to load trash:', error);
+        document.getElementById('trash-sections').innerHTML = '<div class="empty-state">Failed to load the Trash. Please refresh the page.</div>';
+    }
+}
+
+/**
+ * Render every non-empty section of the Trash
+ */
+function renderTrash() {
+    const container = document.getElementById('trash-sections');
+    const total = Object.values(trash).reduce((count, rows) => count + rows.length, 0);
+
+    document.getElementById('empty-trash-btn').disabled = total === 0;
+
+    if (total === 0) {
+        container.innerHTML = '<div class="empty-state">The Trash is empty.</div>';
+        return;
+    }
+
+    container.innerHTML = Object.entries(SECTIONS)
+        .filter(([kind]) => trash[kind].length > 0)
+        .map(([kind, section]) => `
+            <div class="trash-section">
+                <h3>${section.title}</h3>
+                ${trash[kind].map(row => {
+                    const daysLeft = daysUntilPurge(row.deleted_at);
+                    const meta = [
+                        section.detail(row),
+                        `Deleted ${new Date(row.deleted_at).toLocaleDateString()}`,
+                        daysLeft === 1 ? 'Removed tomorrow' : `Removed in ${daysLeft} days`
+                    ].filter(Boolean).join(' • ');
+                    return `
+                        <div class="trash-item">
+                            <div class="trash-item-details">
+                                <div class="trash-item-name">${escapeHtml(section.name(row) || 'Untitled')}</div>
+                                <div class="trash-item-meta">${escapeHtml(meta)}</div>
+                            </div>
+                            <div class="trash-item-actions">
+                                <button type="button" class="btn btn-small" data-trash-action="restore" data-kind="${kind}" data-id="${row.id}">Restore</button>
+                                <button type="button" class="btn btn-small btn-danger" data-trash-action="delete" data-kind="${kind}" data-id="${row.id}">Delete Forever</button>
+                            </div>
+                        </div>
+                    `;
+                }).join('')}
+            </div>
+        `).join('');
+}
+
+/**
+ * Restore a personal file, moving it to the top level if its folder is gone
+ * @param {Object} file - File row
+ */
+async function restoreFile(file) {
+    const folders = file.folder_id ? await foldersRepo.listFolders(currentUserId) : [];
+    const folderExists = folders.some(folder => folder.id === file.folder_id);
+
+    await filesRepo.restoreFile(file.id, folderExists ? {} : { folder_id: null });
+}
+
+/**
+ * Restore one item
+ * @param {string} kind - Section key
+ * @param {Object} row - Trashed row
+ */
+async function handleRestore(kind, row) {
+    try {
+        await SECTIONS[kind].restore(row);
+        trash[kind] = trash[kind].filter(item => item.id !== row.id);
+        renderTrash();
+    } catch (error) {
+        console.error('Failed to restore item:', error);
+        alert('Failed to restore item. Please try again.');
+    }
+}
+
+/**
+ * Delete one item for good
+ * @param {string} kind - Section key
+ * @param {Object} row - Trashed row
+ */
+async function handleDeleteForever(kind, row) {
+    const extra = kind === 'files' ? ' Its earlier versions are deleted too.' : '';
+    if (!confirm(`Delete "${SECTIONS[kind].name(row)}" forever?${extra} This action cannot be undone.`)) {
+        return;
+    }
+
+    try {
+        await SECTIONS[kind].deleteForever([row]);
+        trash[kind] = trash[kind].filter(item => item.id !== row.id);
+        renderTrash();
+    } catch (error) {
+        console.error('Failed to delete item:', error);
+        alert('Failed to delete item. Please try again.');
+        await loadTrashItems();
+    }
+}
+
+/**
+ * Delete everything in the Trash for good
+ */
+async function handleEmptyTrash() {
+    if (!confirm('Delete everything in the Trash forever? This action cannot be undone.')) {
+        return;
+    }
+
+    try {
+        for (const [kind, section] of Object.entries(SECTIONS)) {
+            await section.deleteForever(trash[kind]);
+            trash[kind] = [];
+        }
+        renderTrash();
+    } catch (error) {
+        console.error('Failed to empty trash:', error);
+        alert('Failed to empty the Trash. Please try again.');
+        await loadTrashItems();
+    }
+}
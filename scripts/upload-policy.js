@@ -0,0 +1,236 @@
+/**
+ * Upload Policy Module
+ * Checks files against the destination's upload policy (config.uploads.policies)
+ * before anything is sent: size per file and per batch, allowed extensions and
+ * MIME types, and the file's first bytes, so a renamed executable is caught.
+ */
+
+import { config } from './config.js';
+import { getExtension } from './documents.js';
+
+// Bytes read from the start of each file for sniffing
+const SNIFF_BYTES = 512;
+
+// Known file signatures: bytes at an offset, and the kind they identify
+const SIGNATURES = [
+    { kind: 'executable', label: 'a Windows program', offset: 0, bytes: [0x4D, 0x5A] },
+    { kind: 'executable', label: 'a Linux program', offset: 0, bytes: [0x7F, 0x45, 0x4C, 0x46] },
+    { kind: 'executable', label: 'a macOS program', offset: 0, bytes: [0xCF, 0xFA, 0xED, 0xFE] },
+    { kind: 'executable', label: 'a macOS program', offset: 0, bytes: [0xCE, 0xFA, 0xED, 0xFE] },
+    { kind: 'executable', label: 'a macOS program', offset: 0, bytes: [0xCA, 0xFE, 0xBA, 0xBE] },
+    { kind: 'executable', label: 'a script', offset: 0, bytes: [0x23, 0x21] },
+    { kind: 'pdf', label: 'a PDF', offset: 0, bytes: [0x25, 0x50, 0x44, 0x46] },
+    { kind: 'png', label: 'a PNG image', offset: 0, bytes: [0x89, 0x50, 0x4E, 0x47] },
+    { kind: 'jpeg', label: 'a JPEG image', offset: 0, bytes: [0xFF, 0xD8, 0xFF] },
+    { kind: 'gif', label: 'a GIF image', offset: 0, bytes: [0x47, 0x49, 0x46, 0x38] },
+    { kind: 'webp', label: 'a WebP image', offset: 8, bytes: [0x57, 0x45, 0x42, 0x50] },
+    { kind: 'zip', label: 'a ZIP archive', offset: 0, bytes: [0x50, 0x4B, 0x03, 0x04] },
+    { kind: 'zip', label: 'a ZIP archive', offset: 0, bytes: [0x50, 0x4B, 0x05, 0x06] },
+    { kind: 'ole', label: 'an old Office document', offset: 0, bytes: [0xD0, 0xCF, 0x11, 0xE0] },
+    { kind: 'rar', label: 'a RAR archive', offset: 0, bytes: [0x52, 0x61, 0x72, 0x21] },
+    { kind: '7z', label: 'a 7-Zip archive', offset: 0, bytes: [0x37, 0x7A, 0xBC, 0xAF] },
+    { kind: 'mp3', label: 'an MP3 file', offset: 0, bytes: [0x49, 0x44, 0x33] },
+    { kind: 'mp3', label: 'an MP3 file', offset: 0, bytes: [0xFF, 0xFB] },
+    { kind: 'mp3', label: 'an MP3 file', offset: 0, bytes: [0xFF, 0xF3] },
+    { kind: 'mp3', label: 'an MP3 file', offset: 0, bytes: [0xFF, 0xFA] },
+    { kind: 'mp3', label: 'an MP3 file', offset: 0, bytes: [0xFF, 0xF2] },
+    { kind: 'wav', label: 'a WAV file', offset: 8, bytes: [0x57, 0x41, 0x56, 0x45] },
+    { kind: 'ogg', label: 'an Ogg file', offset: 0, bytes: [0x4F, 0x67, 0x67, 0x53] },
+    { kind: 'mp4', label: 'an MP4/MOV file', offset: 4, bytes: [0x66, 0x74, 0x79, 0x70] },
+    // Older QuickTime files start with a movie, data or padding atom instead
+    { kind: 'mp4', label: 'an MP4/MOV file', offset: 4, bytes: [0x6D, 0x6F, 0x6F, 0x76] },
+    { kind: 'mp4', label: 'an MP4/MOV file', offset: 4, bytes: [0x6D, 0x64, 0x61, 0x74] },
+    { kind: 'mp4', label: 'an MP4/MOV file', offset: 4, bytes: [0x77, 0x69, 0x64, 0x65] },
+    { kind: 'webm', label: 'a WebM file', offset: 0, bytes: [0x1A, 0x45, 0xDF, 0xA3] }
+];
+
+// Extensions with a binary signature, and the kinds their content may have
+const EXPECTED_KINDS = {
+    pdf: ['pdf'],
+    png: ['png'],
+    jpg: ['jpeg'], jpeg: ['jpeg'],
+    gif: ['gif'],
+    webp: ['webp'],
+    docx: ['zip'], xlsx: ['zip'], pptx: ['zip'], odt: ['zip'], ods: ['zip'], odp: ['zip'], zip: ['zip'],
+    doc: ['ole'], xls: ['ole'], ppt: ['ole'],
+    rar: ['rar'],
+    '7z': ['7z'],
+    mp3: ['mp3'],
+    wav: ['wav'],
+    ogg: ['ogg'],
+    m4a: ['mp4'], mp4: ['mp4'], mov: ['mp4'],
+    webm: ['webm']
+};
+
+// Extensions that must be plain text
+const TEXT_EXTENSIONS = [
+    'txt', 'md', 'csv', 'json', 'xml', 'html', 'css', 'js', 'ts', 'py', 'java', 'c', 'cpp', 'h', 'sql', 'tex', 'svg'
+];
+
+// MIME type to record when the browser gives none, or a generic one
+const EXTENSION_MIME_TYPES = {
+    pdf: 'application/pdf',
+    doc: 'application/msword',
+    docx: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    xls: 'application/vnd.ms-excel',
+    xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    ppt: 'application/vnd.ms-powerpoint',
+    pptx: 'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+    odt: 'application/vnd.oasis.opendocument.text',
+    ods: 'application/vnd.oasis.opendocument.spreadsheet',
+    odp: 'application/vnd.oasis.opendocument.presentation',
+    csv: 'text/csv',
+    txt: 'text/plain',
+    md: 'text/markdown',
+    json: 'application/json',
+    xml: 'application/xml',
+    html: 'text/html',
+    css: 'text/css',
+    js: 'text/javascript',
+    svg: 'image/svg+xml',
+    jpg: 'image/jpeg',
+    jpeg: 'image/jpeg',
+    png: 'image/png',
+    gif: 'image/gif',
+    webp: 'image/webp',
+    mp3: 'audio/mpeg',
+    wav: 'audio/wav',
+    ogg: 'audio/ogg',
+    m4a: 'audio/mp4',
+    mp4: 'video/mp4',
+    webm: 'video/webm',
+    mov: 'video/quicktime',
+    zip: 'application/zip',
+    rar: 'application/vnd.rar',
+    '7z': 'application/x-7z-compressed'
+};
+
+/**
+ * Format a byte limit for messages
+ * @param {number} bytes - Byte count
+ * @returns {string} Size such as "100 MB"
+ */
+function formatLimit(bytes) {
+    const units = ['bytes', 'KB', 'MB', 'GB'];
+    const i = Math.min(Math.floor(Math.log(bytes) / Math.log(1024)), units.length - 1);
+    return `${parseFloat((bytes / Math.pow(1024, i)).toFixed(1))} ${units[i]}`;
+}
+
+/**
+ * Check a MIME type against allowed patterns
+ * @param {string} mimeType - MIME type
+ * @param {Array} patterns - Allowed types; a trailing * matches any suffix
+ * @returns {boolean} True if allowed
+ */
+function mimeTypeAllowed(mimeType, patterns) {
+    return patterns.some(pattern => pattern.endsWith('*')
+        ? mimeType.startsWith(pattern.slice(0, -1))
+        : mimeType === pattern
+    );
+}
+
+/**
+ * Identify a file's content from its first bytes
+ * @param {Uint8Array} bytes - Start of the file
+ * @returns {Object|null} Matching signature, or null if unknown
+ */
+function sniffSignature(bytes) {
+    return SIGNATURES.find(signature =>
+        signature.bytes.every((byte, index) => bytes[signature.offset + index] === byte)
+    ) || null;
+}
+
+/**
+ * Check one file's extension, MIME type, size and content
+ * @param {File} file - File to check
+ * @param {Object} policy - Destination policy
+ * @returns {Promise<string|null>} Reason for rejecting, or null if the file is fine
+ */
+async function checkFile(file, policy) {
+    const ext = getExtension(file.name);
+
+    if (!ext || !policy.allowedExtensions.includes(ext)) {
+        return `${ext ? `.${ext}` : 'Files without an extension'} files can't be uploaded here. Allowed: ${policy.allowedExtensions.map(item => `.${item}`).join(', ')}.`;
+    }
+
+    const declaredType = file.type && file.type !== 'application/octet-stream' ? file.type : '';
+    if (declaredType && !mimeTypeAllowed(declaredType, policy.allowedMimeTypes)) {
+        return `The file type ${declaredType} isn't allowed here.`;
+    }
+
+    if (file.size > policy.maxFileSize) {
+        return `The file is larger than the ${formatLimit(policy.maxFileSize)} limit.`;
+    }
+    if (file.size === 0) {
+        return 'The file is empty.';
+    }
+
+    const bytes = new Uint8Array(await file.slice(0, SNIFF_BYTES).arrayBuffer());
+    const signature = sniffSignature(bytes);
+
+    if (signature && signature.kind === 'executable' && !TEXT_EXTENSIONS.includes(ext)) {
+        return `The content is ${signature.label}, not a .${ext} file.`;
+    }
+    if (TEXT_EXTENSIONS.includes(ext)) {
+        if (bytes.includes(0)) return `The content is binary, not a .${ext} text file.`;
+        return null;
+    }
+
+    const expected = EXPECTED_KINDS[ext];
+    if (expected && (!signature || !expected.includes(signature.kind))) {
+        return signature
+            ? `The content is ${signature.label}, not a .${ext} file.`
+            : `The content doesn't look like a .${ext} file.`;
+    }
+
+    return null;
+}
+
+/**
+ * Check a batch of files against a destination's upload policy
+ * @param {FileList|Array} files - Files chosen by the user
+ * @param {string} destination - Policy name ('files' or 'archive')
+ * @returns {Promise<Object>} { accepted, rejected }: accepted files carry a MIME type
+ *   derived from their extension when the browser gave none; rejected entries are { name, reason }
+ */
+export async function validateUploads(files, destination) {
+    const policy = config.uploads.policies[destination];
+    const list = [...files];
+
+    if (list.length > policy.maxBatchFiles) {
+        return {
+            accepted: [],
+            rejected: [{ name: `${list.length} files`, reason: `At most ${policy.maxBatchFiles} files can be uploaded at once.` }]
+        };
+    }
+
+    const accepted = [];
+    const rejected = [];
+
+    for (const file of list) {
+        const reason = await checkFile(file, policy);
+        if (reason) {
+            rejected.push({ name: file.name, reason });
+            continue;
+        }
+
+        const ext = getExtension(file.name);
+        const type = file.type && file.type !== 'application/octet-stream'
+            ? file.type
+            : EXTENSION_MIME_TYPES[ext] || 'application/octet-stream';
+        accepted.push(type === file.type ? file : new File([file], file.name, { type, lastModified: file.lastModified }));
+    }
+
+    const batchSize = accepted.reduce((total, file) => total + file.size, 0);
+    if (batchSize > policy.maxBatchSize) {
+        return {
+            accepted: [],
+            rejected: [
+                ...rejected,
+                { name: `${accepted.length} files`, reason: `Together these files are larger than the ${formatLimit(policy.maxBatchSize)} batch limit. Upload them in smaller groups.` }
+            ]
+        };
+    }
+
+    return { accepted, rejected };
+}
@@ -0,0 +1,452 @@
+/**
+ * Upload Queue Module
+ * Shared upload queue for the files and archive pages: parallel uploads up
+ * to a limit, per-file byte progress, and pause, cancel and retry per file.
+ * Entries (including the file itself) are kept in IndexedDB, so unfinished
+ * uploads pick up again after a page reload. Each entry remembers who queued
+ * it, and signing out clears them all.
+ */
+
+import { config } from './config.js';
+import * as storageRepo from './repositories/storage.js';
+import { escapeHtml } from './supabase.js';
+
+const DATABASE_NAME = 'classmate-uploads';
+const ENTRIES_STORE = 'entries';
+
+// Finished entries stay visible this long before leaving the list
+const DONE_DISPLAY_MS = 4000;
+
+// Minimum time between progress re-renders, so row buttons stay clickable
+const PROGRESS_RENDER_MS = 250;
+
+// Statuses: queued, uploading, saving, paused, failed, done
+const ACTIVE_STATUSES = ['uploading', 'saving'];
+
+let databasePromise = null;
+
+/**
+ * Wrap an IndexedDB request in a promise
+ * @param {IDBRequest} request - Request
+ * @returns {Promise<*>} Request result
+ */
+function promisifyRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Open the queue database once. Resolves to null when IndexedDB is unavailable,
+ * in which case the queue still works but doesn't survive a reload.
+ * @returns {Promise<IDBDatabase|null>} Database
+ */
+function openDatabase() {
+    if (!databasePromise) {
+        if (!('indexedDB' in window)) {
+            databasePromise = Promise.resolve(null);
+        } else {
+            const request = window.indexedDB.open(DATABASE_NAME, 1);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(ENTRIES_STORE, { keyPath: 'id' });
+            };
+            databasePromise = promisifyRequest(request).catch(error => {
+                console.error('Upload queue storage unavailable:', error);
+                return null;
+            });
+        }
+    }
+    return databasePromise;
+}
+
+/**
+ * Save or delete a persisted entry
+ * @param {string} mode - 'put' or 'delete'
+ * @param {Object|string} value - Entry to save, or ID to delete
+ */
+async function writeEntry(mode, value) {
+    const db = await openDatabase();
+    if (!db) return;
+
+    try {
+        const store = db.transaction(ENTRIES_STORE, 'readwrite').objectStore(ENTRIES_STORE);
+        await promisifyRequest(mode === 'put' ? store.put(value) : store.delete(value));
+    } catch (error) {
+        console.error('Failed to persist upload queue:', error);
+    }
+}
+
+/**
+ * Load the persisted entries one student left in one queue
+ * @param {string} queueName - Queue name
+ * @param {string} userId - ID of the student who queued them
+ * @returns {Promise<Array>} Entries, oldest first
+ */
+async function readEntries(queueName, userId) {
+    const db = await openDatabase();
+    if (!db) return [];
+
+    const store = db.transaction(ENTRIES_STORE, 'readonly').objectStore(ENTRIES_STORE);
+    const entries = await promisifyRequest(store.getAll());
+    return entries
+        .filter(entry => entry.queue === queueName && entry.userId === userId)
+        .sort((a, b) => a.createdAt - b.createdAt);
+}
+
+/**
+ * Drop every persisted entry, so the next student on this browser doesn't
+ * inherit unfinished uploads. Called when signing out.
+ */
+export async function clearUploadQueues() {
+    const db = await openDatabase();
+    if (!db) return;
+
+    try {
+        const store = db.transaction(ENTRIES_STORE, 'readwrite').objectStore(ENTRIES_STORE);
+        await promisifyRequest(store.clear());
+    } catch (error) {
+        console.error('Failed to clear upload queue:', error);
+    }
+}
+
+/**
+ * Strip runtime-only fields before persisting an entry
+ * @param {Object} entry - Queue entry
+ * @returns {Object} Storable entry
+ */
+function toStoredEntry(entry) {
+    const { controller, renderedAt, ...stored } = entry;
+    return stored;
+}
+
+/**
+ * Create an upload queue
+ * @param {Object} options - Queue options
+ * @param {string} options.name - Queue name, separating the pages' persisted entries
+ * @param {string} options.userId - Signed-in student; only their entries are restored
+ * @param {Function} options.onComplete - Called with each uploaded entry to save its metadata
+ * @param {number} [options.concurrency] - Parallel uploads
+ * @returns {Object} Queue with add, pause, resume, cancel, retry, restore and subscribe
+ */
+export function createUploadQueue({ name, userId, onComplete, concurrency = config.uploads.concurrency }) {
+    const entries = [];
+    const listeners = new Set();
+    let rejections = [];
+
+    const notify = () => listeners.forEach(listener => listener(entries, rejections));
+    const find = id => entries.find(entry => entry.id === id);
+    const persist = entry => writeEntry('put', toStoredEntry(entry));
+
+    const setStatus = (entry, status, error = null) => {
+        entry.status = status;
+        entry.error = error;
+        persist(entry);
+        notify();
+    };
+
+    const remove = entry => {
+        entries.splice(entries.indexOf(entry), 1);
+        writeEntry('delete', entry.id);
+        notify();
+    };
+
+    /**
+     * Save the uploaded file's metadata and finish the entry
+     * @param {Object} entry - Queue entry
+     */
+    async function finish(entry) {
+        setStatus(entry, 'saving');
+        try {
+            await onComplete(entry);
+            entry.uploaded = entry.size;
+            setStatus(entry, 'done');
+            writeEntry('delete', entry.id);
+            setTimeout(() => {
+                if (entries.includes(entry)) remove(entry);
+            }, DONE_DISPLAY_MS);
+        } catch (error) {
+            console.error(`Failed to save ${entry.name}:`, error);
+            setStatus(entry, 'failed', error.message || 'Saving the file failed');
+        }
+    }
+
+    /**
+     * Upload one entry
+     * @param {Object} entry - Queue entry
+     */
+    async function run(entry) {
+        entry.controller = new AbortController();
+        setStatus(entry, 'uploading');
+
+        try {
+            await storageRepo.uploadObjectWithProgress(entry.path, entry.file, {
+                signal: entry.controller.signal,
+                onProgress: (uploaded) => {
+                    entry.uploaded = uploaded;
+                    if (Date.now() - (entry.renderedAt || 0) >= PROGRESS_RENDER_MS) {
+                        entry.renderedAt = Date.now();
+                        notify();
+                    }
+                }
+            });
+        } catch (error) {
+            entry.controller = null;
+
+            // The path is unique to this entry, so an existing object is this upload finishing before a reload
+            if (!storageRepo.isAlreadyExistsError(error)) {
+                // Pause and cancel abort on purpose and have already set the status,
+                // whatever error the interrupted transfer rejects with
+                const stopped = ['paused', 'cancelled'].includes(entry.status);
+                if (!stopped && error.name !== 'AbortError') {
+                    console.error(`Upload of ${entry.name} failed:`, error);
+                    setStatus(entry, 'failed', error.message || 'Upload failed');
+                }
+                pump();
+                return;
+            }
+        }
+
+        entry.controller = null;
+
+        // Small uploads can't always be interrupted; drop the object if the entry was cancelled meanwhile
+        if (entry.status === 'cancelled') {
+            await storageRepo.removeObjects([entry.path]).catch(() => {});
+            pump();
+            return;
+        }
+
+        entry.uploadComplete = true;
+        await finish(entry);
+        pump();
+    }
+
+    /**
+     * Start queued entries while there is room
+     */
+    function pump() {
+        let active = entries.filter(entry => ACTIVE_STATUSES.includes(entry.status)).length;
+        entries.filter(entry => entry.status === 'queued').forEach(entry => {
+            if (active >= concurrency) return;
+            active++;
+            run(entry);
+        });
+    }
+
+    return {
+        /**
+         * Queue files for upload
+         * @param {FileList|Array} files - Files to upload
+         * @param {Function} describe - Returns { path, meta } for each file
+         */
+        add(files, describe) {
+            [...files].forEach(file => {
+                const { path, meta = {} } = describe(file);
+                const entry = {
+                    id: `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`,
+                    queue: name,
+                    userId,
+                    file,
+                    name: file.name,
+                    type: file.type,
+                    size: file.size,
+                    path,
+                    meta,
+                    status: 'queued',
+                    uploaded: 0,
+                    uploadComplete: false,
+                    error: null,
+                    createdAt: Date.now()
+                };
+                entries.push(entry);
+                persist(entry);
+            });
+            notify();
+            pump();
+        },
+
+        /**
+         * Show files that were turned away before upload, replacing earlier ones
+         * @param {Array} rejected - Rejections as { name, reason }
+         */
+        reject(rejected) {
+            rejections = rejected;
+            notify();
+        },
+
+        /**
+         * Hide the rejection messages
+         */
+        dismissRejections() {
+            rejections = [];
+            notify();
+        },
+
+        /**
+         * Pause an upload; resumable uploads keep the chunks already sent
+         * @param {string} id - Entry ID
+         */
+        pause(id) {
+            const entry = find(id);
+            if (!entry || !['queued', 'uploading'].includes(entry.status)) return;
+
+            setStatus(entry, 'paused');
+            if (entry.controller) entry.controller.abort();
+        },
+
+        /**
+         * Continue a paused upload
+         * @param {string} id - Entry ID
+         */
+        resume(id) {
+            const entry = find(id);
+            if (!entry || entry.status !== 'paused') return;
+
+            setStatus(entry, 'queued');
+            pump();
+        },
+
+        /**
+         * Stop an upload and drop it from the queue
+         * @param {string} id - Entry ID
+         */
+        async cancel(id) {
+            const entry = find(id);
+            if (!entry || entry.status === 'saving' || entry.status === 'done') return;
+
+            entry.status = 'cancelled';
+            if (entry.controller) entry.controller.abort();
+            remove(entry);
+
+            if (entry.size >= config.uploads.resumableThreshold && !entry.uploadComplete) {
+                await storageRepo.discardResumableUpload(entry.path).catch(error => {
+                    console.error('Failed to discard partial upload:', error);
+                });
+            }
+        },
+
+        /**
+         * Try a failed entry again; if only saving its metadata failed, just that is repeated
+         * @param {string} id - Entry ID
+         */
+        async retry(id) {
+            const entry = find(id);
+            if (!entry || entry.status !== 'failed') return;
+
+            if (entry.uploadComplete) {
+                await finish(entry);
+            } else {
+                setStatus(entry, 'queued');
+                pump();
+            }
+        },
+
+        /**
+         * Load entries left over from an earlier page load and continue them
+         */
+        async restore() {
+            const stored = await readEntries(name, userId);
+            stored.forEach(entry => {
+                if (find(entry.id)) return;
+                // Uploads cut off by the reload go back in line; paused and failed ones wait for the user
+                if (ACTIVE_STATUSES.includes(entry.status)) {
+                    entry.status = entry.uploadComplete ? 'failed' : 'queued';
+                    if (entry.uploadComplete) entry.error = 'Page closed before the file was saved';
+                }
+                entries.push(entry);
+            });
+            notify();
+            pump();
+        },
+
+        /**
+         * Listen for queue changes
+         * @param {Function} listener - Called with the entries after every change
+         */
+        subscribe(listener) {
+            listeners.add(listener);
+            listener(entries, rejections);
+        }
+    };
+}
+
+/**
+ * Format a byte count for the queue rows
+ * @param {number} bytes - Byte count
+ * @returns {string} Formatted size
+ */
+function formatBytes(bytes) {
+    if (!bytes) return '0 B';
+    const units = ['B', 'KB', 'MB', 'GB'];
+    const i = Math.min(Math.floor(Math.log(bytes) / Math.log(1024)), units.length - 1);
+    return `${parseFloat((bytes / Math.pow(1024, i)).toFixed(1))} ${units[i]}`;
+}
+
+/**
+ * Show a queue in a container, with a row and controls per file
+ * @param {HTMLElement} container - List container
+ * @param {Object} queue - Queue from createUploadQueue
+ */
+export function mountUploadQueue(container, queue) {
+    const statusText = {
+        queued: 'Waiting',
+        uploading: 'Uploading',
+        saving: 'Saving',
+        paused: 'Paused',
+        failed: 'Failed',
+        done: 'Done'
+    };
+
+    container.addEventListener('click', (e) => {
+        const button = e.target.closest('[data-upload-action]');
+        if (!button) return;
+        e.stopPropagation();
+        queue[button.dataset.uploadAction](button.dataset.id);
+    });
+
+    queue.subscribe((entries, rejections) => {
+        container.style.display = entries.length > 0 || rejections.length > 0 ? 'block' : 'none';
+
+        const rejectionList = rejections.length > 0 ? `
+            <div class="upload-rejections" role="alert">
+                <div class="upload-entry-header">
+                    <strong>${rejections.length === 1 ? 'This file was not uploaded' : 'These files were not uploaded'}</strong>
+                    <button type="button" class="btn btn-small" data-upload-action="dismissRejections">Dismiss</button>
+                </div>
+                <ul>
+                    ${rejections.map(rejection => `<li><strong>${escapeHtml(rejection.name)}</strong>: ${escapeHtml(rejection.reason)}</li>`).join('')}
+                </ul>
+            </div>
+        ` : '';
+
+        container.innerHTML = rejectionList + entries.map(entry => {
+            const percent = entry.size ? Math.round((entry.uploaded / entry.size) * 100) : 100;
+            const actions = [];
+            if (['queued', 'uploading'].includes(entry.status)) actions.push(['pause', 'Pause']);
+            if (entry.status === 'paused') actions.push(['resume', 'Resume']);
+            if (entry.status === 'failed') actions.push(['retry', 'Retry']);
+            if (!['saving', 'done'].includes(entry.status)) actions.push(['cancel', 'Cancel']);
+
+            return `
+                <div class="upload-entry upload-${entry.status}">
+                    <div class="upload-entry-header">
+                        <span class="upload-entry-name">${escapeHtml(entry.name)}</span>
+                        <span class="upload-entry-status">${statusText[entry.status] || entry.status}</span>
+                    </div>
+                    <div class="progress-bar">
+                        <div class="progress" style="width: ${percent}%"></div>
+                    </div>
+                    <div class="upload-entry-footer">
+                        <span class="upload-entry-bytes">${formatBytes(entry.uploaded)} of ${formatBytes(entry.size)}</span>
+                        ${entry.error ? `<span class="upload-entry-error">${escapeHtml(entry.error)}</span>` : ''}
+                        <span class="upload-entry-actions">
+                            ${actions.map(([action, label]) =>
+                                `<button type="button" class="btn btn-small" data-upload-action="${action}" data-id="${entry.id}">${label}</button>`
+                            ).join('')}
+                        </span>
+                    </div>
+                </div>
+            `;
+        }).join('');
+    });
+}
@@ -0,0 +1,95 @@
+/**
+ * mfa-recovery Edge Function
+ * Lets a student who lost their authenticator finish signing in with one of
+ * their recovery codes. Called with the session from the password step; a
+ * matching unused code is spent and the student's TOTP factors are removed, so
+ * the password session is enough again and 2FA can be set up afresh.
+ *
+ * Codes are hashed the same way as in scripts/mfa.js; keep the two in step.
+ */
+
+import { createClient } from 'https://esm.sh/@supabase/supabase-js@2';
+
+const corsHeaders = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'authorization, x-client-info, apikey, content-type'
+};
+
+/**
+ * Build a JSON response
+ * @param {number} status - HTTP status
+ * @param {Object} body - Response body
+ * @returns {Response} Response with CORS headers
+ */
+function json(status: number, body: Record<string, unknown>): Response {
+    return new Response(JSON.stringify(body), {
+        status,
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+    });
+}
+
+/**
+ * Hash a recovery code with SHA-256, ignoring case, spaces and dashes
+ * @param {string} code - Recovery code as typed
+ * @returns {Promise<string>} Hex encoded hash
+ */
+async function hashRecoveryCode(code: string): Promise<string> {
+    const normalized = code.toUpperCase().replace(/[^A-Z0-9]/g, '');
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(normalized));
+    return [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+Deno.serve(async (req) => {
+    if (req.method === 'OPTIONS') {
+        return new Response('ok', { headers: corsHeaders });
+    }
+
+    const { code = '' } = await req.json().catch(() => ({}));
+    const jwt = (req.headers.get('Authorization') || '').replace(/^Bearer\s+/i, '');
+    if (!code || !jwt) {
+        return json(400, { error: 'Invalid request.' });
+    }
+
+    const supabase = createClient(Deno.env.get('SUPABASE_URL')!, Deno.env.get('SUPABASE_SERVICE_ROLE_KEY')!);
+
+    const { data: { user }, error: userError } = await supabase.auth.getUser(jwt);
+    if (userError || !user) {
+        return json(401, { error: 'Sign in with your password first.' });
+    }
+
+    // Spend the code only if it is still unused, so it works exactly once
+    const { data: spent, error } = await supabase
+        .from('mfa_recovery_codes')
+        .update({ used_at: new Date().toISOString() })
+        .eq('user_id', user.id)
+        .eq('code_hash', await hashRecoveryCode(code))
+        .is('used_at', null)
+        .select('id');
+
+    if (error) {
+        console.error('Failed to redeem recovery code:', error);
+        return json(500, { error: 'Something went wrong. Please try again.' });
+    }
+    if (!spent || spent.length === 0) {
+        return json(403, { error: 'That recovery code is not valid or has already been used.' });
+    }
+
+    const { data: factors, error: listError } = await supabase.auth.admin.mfa.listFactors({ userId: user.id });
+    if (listError) {
+        console.error('Failed to list factors:', listError);
+        return json(500, { error: 'Something went wrong. Please try again.' });
+    }
+
+    for (const factor of factors.factors) {
+        const { error: deleteError } = await supabase.auth.admin.mfa.deleteFactor({ id: factor.id, userId: user.id });
+        if (deleteError) {
+            console.error('Failed to remove factor:', deleteError);
+            return json(500, { error: 'Something went wrong. Please try again.' });
+        }
+    }
+
+    // The remaining codes belonged to the factors that were just removed
+    await supabase.from('mfa_recovery_codes').delete().eq('user_id', user.id);
+
+    return json(200, { ok: true });
+});
@@ -0,0 +1,158 @@
+/**
+ * share-download Edge Function
+ * Serves share links for personal files in the private `student-files` bucket.
+ * Anyone with the link may call it: 'info' describes the shared file, 'download'
+ * checks the password and download limit, counts the download and returns a
+ * short-lived signed URL. Runs with the service role, so it is the only path
+ * from a share token to a file. Password guesses are limited per link by
+ * claim_share_password_attempt() in the database.
+ *
+ * Keep PASSWORD_ITERATIONS in step with scripts/share-links.js.
+ */
+
+import { createClient } from 'https://esm.sh/@supabase/supabase-js@2';
+
+const BUCKET = 'student-files';
+const PASSWORD_ITERATIONS = 100000;
+
+// Shared download URLs only need to last until the browser starts the download
+const DOWNLOAD_URL_SECONDS = 60;
+
+const corsHeaders = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'authorization, x-client-info, apikey, content-type'
+};
+
+/**
+ * Build a JSON response
+ * @param {number} status - HTTP status
+ * @param {Object} body - Response body
+ * @returns {Response} Response with CORS headers
+ */
+function json(status: number, body: Record<string, unknown>): Response {
+    return new Response(JSON.stringify(body), {
+        status,
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+    });
+}
+
+/**
+ * Hash a share link password with PBKDF2-SHA-256
+ * @param {string} password - Plain text password
+ * @param {string} salt - Per-link salt
+ * @returns {Promise<string>} Hex encoded hash
+ */
+async function hashSharePassword(password: string, salt: string): Promise<string> {
+    const encoder = new TextEncoder();
+    const key = await crypto.subtle.importKey('raw', encoder.encode(password), 'PBKDF2', false, ['deriveBits']);
+    const bits = await crypto.subtle.deriveBits(
+        { name: 'PBKDF2', hash: 'SHA-256', salt: encoder.encode(salt), iterations: PASSWORD_ITERATIONS },
+        key,
+        256
+    );
+    return [...new Uint8Array(bits)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Compare two strings in time that doesn't depend on where they differ
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {boolean} Whether they are equal
+ */
+function timingSafeEqual(a: string, b: string): boolean {
+    const encoder = new TextEncoder();
+    const left = encoder.encode(a);
+    const right = encoder.encode(b);
+    let difference = left.length ^ right.length;
+    for (let i = 0; i < left.length; i++) {
+        difference |= left[i] ^ (right[i] ?? 0);
+    }
+    return difference === 0;
+}
+
+Deno.serve(async (req) => {
+    if (req.method === 'OPTIONS') {
+        return new Response('ok', { headers: corsHeaders });
+    }
+
+    const { action, token, password = '' } = await req.json().catch(() => ({}));
+    if (!token || !['info', 'download'].includes(action)) {
+        return json(400, { error: 'Invalid request.' });
+    }
+
+    const supabase = createClient(Deno.env.get('SUPABASE_URL')!, Deno.env.get('SUPABASE_SERVICE_ROLE_KEY')!);
+
+    const { data: share, error } = await supabase
+        .from('file_shares')
+        .select('*, files(file_name, file_path, file_size, deleted_at)')
+        .eq('token', token)
+        .maybeSingle();
+
+    if (error) {
+        console.error('Failed to load share:', error);
+        return json(500, { error: 'Something went wrong. Please try again.' });
+    }
+    if (!share || !share.files || share.files.deleted_at) {
+        return json(404, { error: 'This link does not exist or has been revoked.' });
+    }
+    if (new Date(share.expires_at) <= new Date()) {
+        return json(410, { error: 'This link has expired.' });
+    }
+
+    const downloadsLeft = share.max_downloads === null ? null : share.max_downloads - share.download_count;
+    if (downloadsLeft !== null && downloadsLeft <= 0) {
+        return json(410, { error: 'This link has reached its download limit.' });
+    }
+
+    const file = share.files;
+
+    if (action === 'info') {
+        return json(200, {
+            file_name: file.file_name,
+            file_size: file.file_size,
+            expires_at: share.expires_at,
+            requires_password: Boolean(share.password_hash),
+            downloads_left: downloadsLeft
+        });
+    }
+
+    if (share.password_hash) {
+        const { data: allowed, error: attemptError } = await supabase
+            .rpc('claim_share_password_attempt', { share_id: share.id });
+
+        if (attemptError) {
+            console.error('Failed to count password attempt:', attemptError);
+            return json(500, { error: 'Something went wrong. Please try again.' });
+        }
+        if (!allowed) {
+            return json(429, { error: 'Too many wrong passwords. Please try again later.' });
+        }
+        if (!timingSafeEqual(await hashSharePassword(password, share.password_salt), share.password_hash)) {
+            return json(403, { error: 'Wrong password.' });
+        }
+    }
+
+    // Only count the download if nobody else used the same slot in the meantime;
+    // the right password also clears the guess count
+    const { data: counted } = await supabase
+        .from('file_shares')
+        .update({ download_count: share.download_count + 1, failed_attempts: 0, locked_until: null })
+        .eq('id', share.id)
+        .eq('download_count', share.download_count)
+        .select('id');
+
+    if (!counted || counted.length === 0) {
+        return json(409, { error: 'The link was used at the same moment. Please try again.' });
+    }
+
+    const { data: signed, error: signError } = await supabase.storage
+        .from(BUCKET)
+        .createSignedUrl(file.file_path, DOWNLOAD_URL_SECONDS, { download: file.file_name });
+
+    if (signError) {
+        console.error('Failed to sign shared file:', signError);
+        return json(404, { error: 'The shared file is no longer stored.' });
+    }
+
+    return json(200, { url: signed.signedUrl, file_name: file.file_name });
+});
@@ -0,0 +1,5 @@
+-- Recurring tasks: an RRULE subset (see scripts/recurrence.js) and the
+-- occurrences completed so far, as [{ "due_date": "YYYY-MM-DD", "completed_at": timestamptz }]
+alter table public.tasks
+    add column if not exists recurrence_rule text,
+    add column if not exists completed_occurrences jsonb not null default '[]'::jsonb;
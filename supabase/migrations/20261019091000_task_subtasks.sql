@@ -0,0 +1,5 @@
+-- Nested checklists on tasks: [{ "id", "title", "done", "children": [...] }]
+-- auto_complete_subtasks completes the task once every checklist item is done
+alter table public.tasks
+    add column if not exists subtasks jsonb not null default '[]'::jsonb,
+    add column if not exists auto_complete_subtasks boolean not null default true;
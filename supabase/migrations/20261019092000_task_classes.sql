@@ -0,0 +1,5 @@
+-- Link a task to a class on the weekly schedule
+alter table public.tasks
+    add column if not exists schedule_id uuid references public.schedules (id) on delete set null;
+
+create index if not exists tasks_schedule_id_idx on public.tasks (schedule_id);
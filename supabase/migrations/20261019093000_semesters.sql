@@ -0,0 +1,40 @@
+-- Semesters with holiday and exam-period breaks, and per-occurrence class exceptions
+create table if not exists public.semesters (
+    id uuid primary key default gen_random_uuid(),
+    user_id uuid not null references auth.users (id) on delete cascade,
+    name text not null,
+    start_date date not null,
+    end_date date not null,
+    -- [{ "label": "Spring break", "type": "holiday" | "exam", "start_date": "...", "end_date": "..." }]
+    blackouts jsonb not null default '[]'::jsonb,
+    created_at timestamptz not null default now(),
+    check (end_date >= start_date)
+);
+
+alter table public.semesters enable row level security;
+
+create policy "Users manage their own semesters" on public.semesters
+    for all using (auth.uid() = user_id) with check (auth.uid() = user_id);
+
+-- Classes without a semester show in every semester
+alter table public.schedules
+    add column if not exists semester_id uuid references public.semesters (id) on delete set null;
+
+create table if not exists public.schedule_exceptions (
+    id uuid primary key default gen_random_uuid(),
+    user_id uuid not null references auth.users (id) on delete cascade,
+    schedule_id uuid not null references public.schedules (id) on delete cascade,
+    occurrence_date date not null,
+    type text not null check (type in ('cancelled', 'moved')),
+    new_date date,
+    new_start_time time,
+    new_end_time time,
+    note text,
+    created_at timestamptz not null default now(),
+    unique (schedule_id, occurrence_date)
+);
+
+alter table public.schedule_exceptions enable row level security;
+
+create policy "Users manage their own schedule exceptions" on public.schedule_exceptions
+    for all using (auth.uid() = user_id) with check (auth.uid() = user_id);
@@ -0,0 +1,6 @@
+-- Text extracted from PDF, DOCX and plain-text uploads, used by the search page
+alter table public.files
+    add column if not exists content_text text;
+
+alter table public.archive
+    add column if not exists content_text text;
@@ -0,0 +1,22 @@
+-- Nested folders and free-form tags for personal files
+create table if not exists public.folders (
+    id uuid primary key default gen_random_uuid(),
+    user_id uuid not null references auth.users (id) on delete cascade,
+    parent_id uuid references public.folders (id) on delete cascade,
+    name text not null,
+    created_at timestamptz not null default now()
+);
+
+create index if not exists folders_parent_id_idx on public.folders (parent_id);
+
+alter table public.folders enable row level security;
+
+create policy "Users manage their own folders" on public.folders
+    for all using (auth.uid() = user_id) with check (auth.uid() = user_id);
+
+alter table public.files
+    add column if not exists folder_id uuid references public.folders (id) on delete set null,
+    add column if not exists tags text[] not null default '{}';
+
+create index if not exists files_folder_id_idx on public.files (folder_id);
+create index if not exists files_tags_idx on public.files using gin (tags);
@@ -0,0 +1,12 @@
+-- SHA-256 of each upload's content, computed in the browser, used to catch duplicate uploads
+alter table public.files
+    add column if not exists content_hash text;
+
+alter table public.archive
+    add column if not exists content_hash text;
+
+create index if not exists files_user_content_hash_idx
+    on public.files (user_id, content_hash);
+
+create index if not exists archive_faculty_year_content_hash_idx
+    on public.archive (faculty, academic_year, content_hash);
@@ -0,0 +1,20 @@
+-- Earlier versions of personal files; the files row always holds the current version
+create table if not exists public.file_versions (
+    id uuid primary key default gen_random_uuid(),
+    file_id uuid not null references public.files (id) on delete cascade,
+    user_id uuid not null references auth.users (id) on delete cascade,
+    file_path text not null,
+    file_type text,
+    file_size bigint,
+    content_text text,
+    content_hash text,
+    uploaded_at timestamptz not null default now()
+);
+
+create index if not exists file_versions_file_id_idx on public.file_versions (file_id);
+create index if not exists file_versions_file_path_idx on public.file_versions (file_path);
+
+alter table public.file_versions enable row level security;
+
+create policy "Users manage their own file versions" on public.file_versions
+    for all using (auth.uid() = user_id) with check (auth.uid() = user_id);
@@ -0,0 +1,18 @@
+-- Soft delete: rows with deleted_at set are in the Trash and can be restored
+-- until the client purges them after the retention window (config.trash.retentionDays)
+alter table public.files
+    add column if not exists deleted_at timestamptz;
+
+alter table public.archive
+    add column if not exists deleted_at timestamptz;
+
+alter table public.tasks
+    add column if not exists deleted_at timestamptz;
+
+alter table public.schedules
+    add column if not exists deleted_at timestamptz;
+
+create index if not exists files_deleted_at_idx on public.files (user_id, deleted_at);
+create index if not exists archive_deleted_at_idx on public.archive (user_id, deleted_at);
+create index if not exists tasks_deleted_at_idx on public.tasks (user_id, deleted_at);
+create index if not exists schedules_deleted_at_idx on public.schedules (user_id, deleted_at);
@@ -0,0 +1,32 @@
+-- Make the bucket private: objects are read through short-lived signed URLs,
+-- which need read access under these policies
+update storage.buckets set public = false where id = 'student-files';
+
+create policy "Students read their own files" on storage.objects
+    for select to authenticated
+    using (bucket_id = 'student-files' and (storage.foldername(name))[1] = auth.uid()::text);
+
+create policy "Students read the archive" on storage.objects
+    for select to authenticated
+    using (bucket_id = 'student-files' and (storage.foldername(name))[1] = 'archive');
+
+-- Expiring share links for personal files, served by the share-download function
+create table if not exists public.file_shares (
+    id uuid primary key default gen_random_uuid(),
+    file_id uuid not null references public.files (id) on delete cascade,
+    user_id uuid not null references auth.users (id) on delete cascade,
+    token text not null unique,
+    expires_at timestamptz not null,
+    password_salt text,
+    password_hash text,
+    max_downloads integer check (max_downloads is null or max_downloads > 0),
+    download_count integer not null default 0,
+    created_at timestamptz not null default now()
+);
+
+create index if not exists file_shares_file_id_idx on public.file_shares (file_id);
+
+alter table public.file_shares enable row level security;
+
+create policy "Users manage their own share links" on public.file_shares
+    for all using (auth.uid() = user_id) with check (auth.uid() = user_id);
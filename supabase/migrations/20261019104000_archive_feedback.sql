@@ -0,0 +1,94 @@
+-- Star ratings, threaded comments and reports on shared archive files
+
+-- Set when a file is first reported; cleared once it has been reviewed
+alter table public.archive
+    add column if not exists flagged_at timestamptz,
+    add column if not exists report_count integer not null default 0;
+
+create table if not exists public.archive_ratings (
+    id uuid primary key default gen_random_uuid(),
+    archive_id uuid not null references public.archive (id) on delete cascade,
+    user_id uuid not null references auth.users (id) on delete cascade,
+    rating smallint not null check (rating between 1 and 5),
+    created_at timestamptz not null default now(),
+    unique (archive_id, user_id)
+);
+
+create table if not exists public.archive_comments (
+    id uuid primary key default gen_random_uuid(),
+    archive_id uuid not null references public.archive (id) on delete cascade,
+    parent_id uuid references public.archive_comments (id) on delete cascade,
+    user_id uuid not null references auth.users (id) on delete cascade,
+    user_name text,
+    body text not null check (length(trim(body)) > 0),
+    created_at timestamptz not null default now()
+);
+
+create table if not exists public.archive_reports (
+    id uuid primary key default gen_random_uuid(),
+    archive_id uuid not null references public.archive (id) on delete cascade,
+    user_id uuid not null references auth.users (id) on delete cascade,
+    reason text not null check (reason in ('wrong_course', 'spam', 'copyright', 'other')),
+    details text,
+    status text not null default 'open' check (status in ('open', 'dismissed', 'resolved')),
+    created_at timestamptz not null default now(),
+    unique (archive_id, user_id)
+);
+
+create index if not exists archive_ratings_archive_id_idx on public.archive_ratings (archive_id);
+create index if not exists archive_comments_archive_id_idx on public.archive_comments (archive_id, created_at);
+create index if not exists archive_reports_status_idx on public.archive_reports (status, created_at);
+
+alter table public.archive_ratings enable row level security;
+alter table public.archive_comments enable row level security;
+alter table public.archive_reports enable row level security;
+
+create policy "Students read archive ratings" on public.archive_ratings
+    for select to authenticated using (true);
+
+create policy "Students rate other students' uploads" on public.archive_ratings
+    for insert to authenticated
+    with check (
+        auth.uid() = user_id
+        and not exists (select 1 from public.archive where archive.id = archive_id and archive.user_id = auth.uid())
+    );
+
+create policy "Students change their own ratings" on public.archive_ratings
+    for update to authenticated using (auth.uid() = user_id) with check (auth.uid() = user_id);
+
+create policy "Students read archive comments" on public.archive_comments
+    for select to authenticated using (true);
+
+create policy "Students post their own comments" on public.archive_comments
+    for insert to authenticated with check (auth.uid() = user_id);
+
+create policy "Students delete their own comments" on public.archive_comments
+    for delete to authenticated using (auth.uid() = user_id);
+
+create policy "Students read their own reports" on public.archive_reports
+    for select to authenticated using (auth.uid() = user_id);
+
+-- Reporters may not update the archive row themselves, so filing the report
+-- and flagging the file happen together here
+create or replace function public.report_archive_file(target_id uuid, report_reason text, report_details text default null)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+    if auth.uid() is null then
+        raise exception 'Not signed in' using errcode = '42501';
+    end if;
+
+    insert into public.archive_reports (archive_id, user_id, reason, details)
+    values (target_id, auth.uid(), report_reason, nullif(trim(report_details), ''));
+
+    update public.archive
+    set flagged_at = coalesce(flagged_at, now()),
+        report_count = report_count + 1
+    where id = target_id;
+end;
+$$;
+
+grant execute on function public.report_archive_file(uuid, text, text) to authenticated;
@@ -0,0 +1,14 @@
+-- Course metadata for archive uploads, for browsing faculty → year → course → material type.
+-- Uploads from before this stay uncategorized.
+alter table public.archive
+    add column if not exists course_code text,
+    add column if not exists course_name text,
+    add column if not exists material_type text
+        check (material_type in ('lecture', 'exam', 'assignment', 'notes', 'solution')),
+    add column if not exists semester text
+        check (semester in ('fall', 'spring', 'summer')),
+    add column if not exists exam_year integer
+        check (exam_year between 1950 and 2100);
+
+create index if not exists archive_course_idx
+    on public.archive (faculty, academic_year, course_code, material_type);
@@ -0,0 +1,157 @@
+-- Roles and a moderation workflow for the shared archive.
+-- Students' uploads wait for a moderator; class representatives, moderators
+-- and admins publish directly. Moderators look after their own faculty,
+-- admins after every faculty. The first admin is set from the SQL editor:
+--   update public.students set role = 'admin' where user_id = '<user id>';
+
+alter table public.students
+    add column if not exists role text not null default 'student'
+        check (role in ('student', 'class_rep', 'moderator', 'admin'));
+
+-- Role of the signed-in student
+create or replace function public.student_role()
+returns text
+language sql
+stable
+security definer
+set search_path = public
+as $$
+    select coalesce((select role from public.students where user_id = auth.uid()), 'student');
+$$;
+
+-- Whether the signed-in student may moderate files of a faculty
+create or replace function public.moderates_faculty(target_faculty text)
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+    select exists (
+        select 1 from public.students
+        where user_id = auth.uid()
+          and (role = 'admin' or (role = 'moderator' and faculty = target_faculty))
+    );
+$$;
+
+-- Only admins change roles; the SQL editor (no signed-in user) may always
+create or replace function public.protect_student_role()
+returns trigger
+language plpgsql
+as $$
+begin
+    if auth.uid() is not null and public.student_role() <> 'admin' then
+        if tg_op = 'INSERT' then
+            new.role := 'student';
+        elsif new.role is distinct from old.role then
+            raise exception 'Only admins can change roles' using errcode = '42501';
+        end if;
+    end if;
+    return new;
+end;
+$$;
+
+create trigger students_protect_role
+    before insert or update on public.students
+    for each row execute function public.protect_student_role();
+
+create policy "Admins update any student" on public.students
+    for update to authenticated
+    using (public.student_role() = 'admin') with check (public.student_role() = 'admin');
+
+-- Existing files stay published
+alter table public.archive
+    add column if not exists status text not null default 'approved'
+        check (status in ('pending', 'approved', 'rejected')),
+    add column if not exists reviewed_by uuid references auth.users (id) on delete set null,
+    add column if not exists reviewed_at timestamptz,
+    add column if not exists review_reason text;
+
+alter table public.archive alter column status set default 'pending';
+
+create index if not exists archive_status_idx on public.archive (faculty, status, uploaded_at);
+
+-- Uploads can't approve themselves
+create or replace function public.enforce_archive_review()
+returns trigger
+language plpgsql
+as $$
+begin
+    if auth.uid() is null then
+        return new;
+    end if;
+
+    if tg_op = 'INSERT' then
+        new.status := case when public.student_role() = 'student' then 'pending' else 'approved' end;
+        new.reviewed_by := null;
+        new.reviewed_at := null;
+        new.review_reason := null;
+    elsif (new.status, new.reviewed_by, new.reviewed_at, new.review_reason)
+            is distinct from (old.status, old.reviewed_by, old.reviewed_at, old.review_reason)
+        and not public.moderates_faculty(old.faculty) then
+        raise exception 'Only moderators can review files' using errcode = '42501';
+    end if;
+    return new;
+end;
+$$;
+
+create trigger archive_enforce_review
+    before insert or update on public.archive
+    for each row execute function public.enforce_archive_review();
+
+-- Unreviewed and rejected files are only visible to their uploader and moderators
+create policy "Archive shows approved files" on public.archive
+    as restrictive for select to authenticated
+    using (status = 'approved' or user_id = auth.uid() or public.moderates_faculty(faculty));
+
+create policy "Moderators update files in their faculty" on public.archive
+    for update to authenticated
+    using (public.moderates_faculty(faculty)) with check (public.moderates_faculty(faculty));
+
+create policy "Moderators delete files in their faculty" on public.archive
+    for delete to authenticated
+    using (public.moderates_faculty(faculty));
+
+create policy "Moderators delete archive objects in their faculty" on storage.objects
+    for delete to authenticated
+    using (
+        bucket_id = 'student-files'
+        and (storage.foldername(name))[1] = 'archive'
+        and public.moderates_faculty((storage.foldername(name))[2])
+    );
+
+create policy "Moderators read reports in their faculty" on public.archive_reports
+    for select to authenticated
+    using (exists (select 1 from public.archive where archive.id = archive_id and public.moderates_faculty(archive.faculty)));
+
+create policy "Moderators close reports in their faculty" on public.archive_reports
+    for update to authenticated
+    using (exists (select 1 from public.archive where archive.id = archive_id and public.moderates_faculty(archive.faculty)));
+
+-- Every submission and moderation action
+create table if not exists public.moderation_log (
+    id uuid primary key default gen_random_uuid(),
+    actor_id uuid references auth.users (id) on delete set null,
+    actor_name text,
+    action text not null check (action in (
+        'submit', 'approve', 'reject', 'delete', 'recategorize', 'dismiss_reports', 'role_change'
+    )),
+    archive_id uuid references public.archive (id) on delete set null,
+    file_name text,
+    faculty text,
+    target_user_id uuid references auth.users (id) on delete set null,
+    reason text,
+    details jsonb not null default '{}'::jsonb,
+    created_at timestamptz not null default now()
+);
+
+create index if not exists moderation_log_faculty_idx on public.moderation_log (faculty, created_at desc);
+
+alter table public.moderation_log enable row level security;
+
+create policy "Students log their own actions" on public.moderation_log
+    for insert to authenticated with check (auth.uid() = actor_id);
+
+create policy "Moderators read the log of their faculty" on public.moderation_log
+    for select to authenticated
+    using (public.moderates_faculty(faculty) or public.student_role() = 'admin');
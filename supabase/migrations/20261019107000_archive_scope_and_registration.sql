@@ -0,0 +1,210 @@
+-- Faculties students can choose from at sign-up and in their profile.
+-- Keep in step with `faculties` in scripts/config.js.
+create table if not exists public.faculties (
+    name text primary key
+);
+
+insert into public.faculties (name) values
+    ('Agriculture'), ('Arts'), ('Commerce'), ('Computer Science'), ('Dentistry'),
+    ('Education'), ('Engineering'), ('Law'), ('Medicine'), ('Nursing'),
+    ('Pharmacy'), ('Science')
+on conflict (name) do nothing;
+
+alter table public.faculties enable row level security;
+
+create policy "Anyone reads the faculties" on public.faculties
+    for select to anon, authenticated using (true);
+
+-- New or changed faculties must come from the list; an empty faculty marks an
+-- unfinished profile, which the app sends through onboarding
+create or replace function public.validate_student_faculty()
+returns trigger
+language plpgsql
+as $$
+begin
+    if new.faculty <> ''
+        and (tg_op = 'INSERT' or new.faculty is distinct from old.faculty)
+        and not exists (select 1 from public.faculties where name = new.faculty) then
+        raise exception 'Unknown faculty: %', new.faculty using errcode = '23514';
+    end if;
+    return new;
+end;
+$$;
+
+create trigger students_validate_faculty
+    before insert or update on public.students
+    for each row execute function public.validate_student_faculty();
+
+-- Create the profile from the sign-up form as soon as the account exists, so
+-- it is there after email verification even though sign-up had no session
+create or replace function public.handle_new_user()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    requested_faculty text := coalesce(new.raw_user_meta_data ->> 'faculty', '');
+    requested_year integer;
+begin
+    begin
+        requested_year := (new.raw_user_meta_data ->> 'academic_year')::integer;
+    exception when others then
+        requested_year := null;
+    end;
+
+    if not exists (select 1 from public.faculties where name = requested_faculty) then
+        requested_faculty := '';
+    end if;
+
+    insert into public.students (user_id, email, full_name, faculty, academic_year)
+    select new.id,
+           new.email,
+           coalesce(trim(new.raw_user_meta_data ->> 'full_name'), ''),
+           requested_faculty,
+           case when requested_year between 1 and 6 then requested_year else 1 end
+    where not exists (select 1 from public.students where user_id = new.id);
+
+    return new;
+end;
+$$;
+
+create trigger on_auth_user_created
+    after insert on auth.users
+    for each row execute function public.handle_new_user();
+
+-- Named study groups that archive files can be shared with
+create table if not exists public.study_groups (
+    id uuid primary key default gen_random_uuid(),
+    name text not null check (length(trim(name)) > 0),
+    join_code text not null unique,
+    created_by uuid not null references auth.users (id) on delete cascade,
+    created_at timestamptz not null default now()
+);
+
+create table if not exists public.study_group_members (
+    group_id uuid not null references public.study_groups (id) on delete cascade,
+    user_id uuid not null references auth.users (id) on delete cascade,
+    joined_at timestamptz not null default now(),
+    primary key (group_id, user_id)
+);
+
+create index if not exists study_group_members_user_id_idx on public.study_group_members (user_id);
+
+create or replace function public.is_group_member(target_group uuid)
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+    select exists (select 1 from public.study_group_members where group_id = target_group and user_id = auth.uid());
+$$;
+
+alter table public.study_groups enable row level security;
+alter table public.study_group_members enable row level security;
+
+create policy "Members read their groups" on public.study_groups
+    for select to authenticated using (public.is_group_member(id) or created_by = auth.uid());
+
+create policy "Students create groups" on public.study_groups
+    for insert to authenticated with check (created_by = auth.uid());
+
+create policy "Members read who is in their groups" on public.study_group_members
+    for select to authenticated using (public.is_group_member(group_id));
+
+create policy "Creators join their own groups" on public.study_group_members
+    for insert to authenticated
+    with check (
+        user_id = auth.uid()
+        and exists (select 1 from public.study_groups where id = group_id and created_by = auth.uid())
+    );
+
+create policy "Members leave groups" on public.study_group_members
+    for delete to authenticated using (user_id = auth.uid());
+
+-- Everyone else joins with the group's code
+create or replace function public.join_study_group(code text)
+returns public.study_groups
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    target public.study_groups;
+begin
+    if auth.uid() is null then
+        raise exception 'Not signed in' using errcode = '42501';
+    end if;
+
+    select * into target from public.study_groups where join_code = trim(code);
+    if not found then
+        raise exception 'No study group has this code' using errcode = 'P0002';
+    end if;
+
+    insert into public.study_group_members (group_id, user_id)
+    values (target.id, auth.uid())
+    on conflict do nothing;
+
+    return target;
+end;
+$$;
+
+grant execute on function public.join_study_group(text) to authenticated;
+
+-- Who an archive upload is shared with. Existing files keep the audience the
+-- archive was meant for: the uploader's year in their faculty.
+alter table public.archive
+    add column if not exists visibility text not null default 'year'
+        check (visibility in ('year', 'faculty', 'university', 'group')),
+    add column if not exists study_group_id uuid references public.study_groups (id) on delete set null;
+
+alter table public.archive
+    add constraint archive_group_scope check (visibility <> 'group' or study_group_id is not null) not valid;
+
+create index if not exists archive_visibility_idx on public.archive (visibility, faculty, academic_year);
+
+-- Whether the signed-in student may see an archive file
+create or replace function public.can_view_archive_file(
+    file_user_id uuid,
+    file_faculty text,
+    file_year integer,
+    file_visibility text,
+    file_group uuid
+)
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+    select file_user_id = auth.uid()
+        or public.moderates_faculty(file_faculty)
+        or file_visibility = 'university'
+        or (file_visibility = 'group' and public.is_group_member(file_group))
+        or exists (
+            select 1 from public.students
+            where user_id = auth.uid()
+              and faculty = file_faculty
+              and (file_visibility = 'faculty' or (file_visibility = 'year' and academic_year = file_year))
+        );
+$$;
+
+create policy "Archive respects each file's sharing scope" on public.archive
+    as restrictive for select to authenticated
+    using (public.can_view_archive_file(user_id, faculty, academic_year, visibility, study_group_id));
+
+-- Signed URLs follow the same scope as the rows
+drop policy if exists "Students read the archive" on storage.objects;
+
+create policy "Students read archive files shared with them" on storage.objects
+    for select to authenticated
+    using (
+        bucket_id = 'student-files'
+        and (storage.foldername(name))[1] = 'archive'
+        and exists (
+            select 1 from public.archive
+            where archive.file_path = storage.objects.name
+              and public.can_view_archive_file(archive.user_id, archive.faculty, archive.academic_year, archive.visibility, archive.study_group_id)
+        )
+    );
@@ -0,0 +1,46 @@
+-- Email changes go through Supabase Auth. With "Secure email change" on (the
+-- project default) the change only lands on auth.users once both the old and
+-- the new address have confirmed it; the profile then follows.
+create or replace function public.sync_student_email()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+    update public.students
+    set email = new.email
+    where user_id = new.id
+      and email is distinct from new.email;
+
+    return new;
+end;
+$$;
+
+create trigger on_auth_user_email_changed
+    after update of email on auth.users
+    for each row execute function public.sync_student_email();
+
+-- The profile email always mirrors the sign-in address; students can't set it themselves
+create or replace function public.protect_student_email()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+    new.email := coalesce((select email from auth.users where id = new.user_id), new.email);
+    return new;
+end;
+$$;
+
+create trigger students_protect_email
+    before insert or update of email on public.students
+    for each row execute function public.protect_student_email();
+
+-- Bring profiles changed before this migration back in step
+update public.students s
+set email = u.email
+from auth.users u
+where u.id = s.user_id
+  and s.email is distinct from u.email;
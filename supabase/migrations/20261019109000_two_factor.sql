@@ -0,0 +1,68 @@
+-- Two-factor sign-in. TOTP factors live in Supabase Auth (auth.mfa_factors);
+-- this adds one-time recovery codes and makes students who turned 2FA on
+-- finish the second step before their data can be reached.
+
+-- Recovery codes are stored as SHA-256 hashes of the normalised code (see
+-- scripts/mfa.js); the mfa-recovery function redeems them
+create table if not exists public.mfa_recovery_codes (
+    id uuid primary key default gen_random_uuid(),
+    user_id uuid not null references auth.users (id) on delete cascade,
+    code_hash text not null,
+    used_at timestamptz,
+    created_at timestamptz not null default now(),
+    unique (user_id, code_hash)
+);
+
+alter table public.mfa_recovery_codes enable row level security;
+
+create policy "Students see their recovery codes" on public.mfa_recovery_codes
+    for select to authenticated using (user_id = auth.uid());
+
+create policy "Students add their recovery codes" on public.mfa_recovery_codes
+    for insert to authenticated with check (user_id = auth.uid());
+
+create policy "Students delete their recovery codes" on public.mfa_recovery_codes
+    for delete to authenticated using (user_id = auth.uid());
+
+-- True once the session has passed the second factor, or when the student has none
+create or replace function public.mfa_satisfied()
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+    select coalesce(auth.jwt() ->> 'aal', 'aal1') = 'aal2'
+        or not exists (
+            select 1 from auth.mfa_factors
+            where user_id = auth.uid() and status = 'verified'
+        );
+$$;
+
+-- A password alone is not enough for students with 2FA: every table the app
+-- reads as a signed-in student, and their stored objects, wait for the second factor
+do $$
+declare
+    table_name text;
+begin
+    foreach table_name in array array[
+        'students', 'files', 'file_versions', 'file_shares', 'folders',
+        'archive', 'archive_ratings', 'archive_comments', 'archive_reports',
+        'tasks', 'schedules', 'schedule_exceptions', 'semesters',
+        'study_groups', 'study_group_members', 'moderation_log', 'mfa_recovery_codes'
+    ] loop
+        execute format(
+            'create policy "Second factor required" on public.%I as restrictive
+                for all to authenticated
+                using (public.mfa_satisfied())
+                with check (public.mfa_satisfied())',
+            table_name
+        );
+    end loop;
+end;
+$$;
+
+create policy "Second factor required" on storage.objects as restrictive
+    for all to authenticated
+    using (public.mfa_satisfied())
+    with check (public.mfa_satisfied());
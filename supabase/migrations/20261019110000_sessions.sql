@@ -0,0 +1,58 @@
+-- Let students see where they are signed in and end those sessions.
+-- auth.sessions is not exposed to the API, so both go through functions that
+-- only ever touch the caller's own sessions.
+
+create or replace function public.list_my_sessions()
+returns table (
+    id uuid,
+    created_at timestamptz,
+    last_active_at timestamptz,
+    user_agent text,
+    ip text,
+    aal text,
+    is_current boolean
+)
+language sql
+stable
+security definer
+set search_path = public
+as $$
+    select s.id,
+           s.created_at,
+           coalesce(s.refreshed_at::timestamptz, s.updated_at, s.created_at),
+           s.user_agent,
+           host(s.ip),
+           s.aal::text,
+           s.id::text = auth.jwt() ->> 'session_id'
+    from auth.sessions s
+    where s.user_id = auth.uid()
+      and public.mfa_satisfied()
+      and (s.not_after is null or s.not_after > now())
+    order by 3 desc;
+$$;
+
+-- Ends the session's refresh token right away; its access token stops working
+-- the next time it is checked against the server
+create or replace function public.revoke_session(target_session_id uuid)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+    if auth.uid() is null or not public.mfa_satisfied() then
+        raise exception 'Not allowed' using errcode = '42501';
+    end if;
+
+    delete from auth.sessions
+    where id = target_session_id
+      and user_id = auth.uid();
+
+    if not found then
+        raise exception 'Session not found' using errcode = 'P0002';
+    end if;
+end;
+$$;
+
+grant execute on function public.list_my_sessions() to authenticated;
+grant execute on function public.revoke_session(uuid) to authenticated;
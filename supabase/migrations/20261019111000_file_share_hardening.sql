@@ -0,0 +1,57 @@
+-- Share links may only point at the creator's own files: checking user_id alone
+-- let anyone share another student's file by its id and download it through
+-- share-download, which reads storage with the service role.
+drop policy if exists "Users manage their own share links" on public.file_shares;
+
+create policy "Users manage their own share links" on public.file_shares
+    for all
+    using (
+        auth.uid() = user_id
+        and exists (select 1 from public.files f where f.id = file_id and f.user_id = auth.uid())
+    )
+    with check (
+        auth.uid() = user_id
+        and exists (select 1 from public.files f where f.id = file_id and f.user_id = auth.uid())
+    );
+
+-- Password guesses are counted per link: after five in a row without the right
+-- password the link is locked for 15 minutes, so passwords can't be guessed at
+-- full speed. A correct password resets the count (see share-download).
+alter table public.file_shares
+    add column if not exists failed_attempts integer not null default 0,
+    add column if not exists locked_until timestamptz;
+
+-- Take one password attempt before the password is checked, so parallel
+-- requests can't all slip in before the lock is set. Returns false while the
+-- link is locked.
+create or replace function public.claim_share_password_attempt(share_id uuid)
+returns boolean
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    attempts integer;
+begin
+    -- An expired lock starts a fresh count
+    update public.file_shares
+    set failed_attempts = case when locked_until is null then failed_attempts + 1 else 1 end
+    where id = share_id
+      and (locked_until is null or locked_until <= now())
+    returning failed_attempts into attempts;
+
+    if not found then
+        return false;
+    end if;
+
+    update public.file_shares
+    set locked_until = case when attempts >= 5 then now() + interval '15 minutes' end
+    where id = share_id;
+
+    return true;
+end;
+$$;
+
+-- Only share-download, running with the service role, takes attempts
+revoke execute on function public.claim_share_password_attempt(uuid) from public, anon, authenticated;
+grant execute on function public.claim_share_password_attempt(uuid) to service_role;
@@ -0,0 +1,205 @@
+-- Tighten the archive moderation rules from 20261019106000: the faculty a
+-- moderator looks after is set by admins, uploaders can't move or unflag
+-- their files, and the moderation log is written by the database rather than
+-- the browser, so it can't be skipped or forged.
+
+-- Only admins change roles, or the faculty of a moderator or class
+-- representative (moderates_faculty() trusts it); the SQL editor may always
+create or replace function public.protect_student_role()
+returns trigger
+language plpgsql
+as $$
+begin
+    if auth.uid() is not null and public.student_role() <> 'admin' then
+        if tg_op = 'INSERT' then
+            new.role := 'student';
+        elsif new.role is distinct from old.role then
+            raise exception 'Only admins can change roles' using errcode = '42501';
+        elsif new.faculty is distinct from old.faculty and old.role in ('class_rep', 'moderator') then
+            raise exception 'Only admins can change the faculty of moderators and class representatives'
+                using errcode = '42501';
+        end if;
+    end if;
+    return new;
+end;
+$$;
+
+-- Uploads can't approve themselves, and only moderators move a file to another
+-- faculty, year or course or clear its reports. Security definer functions
+-- such as report_archive_file() run as their owner and are trusted.
+create or replace function public.enforce_archive_review()
+returns trigger
+language plpgsql
+as $$
+begin
+    if auth.uid() is null or current_user <> 'authenticated' then
+        return new;
+    end if;
+
+    if tg_op = 'INSERT' then
+        new.status := case when public.student_role() = 'student' then 'pending' else 'approved' end;
+        new.reviewed_by := null;
+        new.reviewed_at := null;
+        new.review_reason := null;
+        new.flagged_at := null;
+        new.report_count := 0;
+    elsif not public.moderates_faculty(old.faculty) then
+        if (new.status, new.reviewed_by, new.reviewed_at, new.review_reason)
+                is distinct from (old.status, old.reviewed_by, old.reviewed_at, old.review_reason) then
+            raise exception 'Only moderators can review files' using errcode = '42501';
+        end if;
+        if (new.faculty, new.academic_year, new.course_code, new.course_name, new.material_type, new.semester, new.exam_year)
+                is distinct from (old.faculty, old.academic_year, old.course_code, old.course_name, old.material_type, old.semester, old.exam_year) then
+            raise exception 'Only moderators can recategorise files' using errcode = '42501';
+        end if;
+        if (new.flagged_at, new.report_count) is distinct from (old.flagged_at, old.report_count) then
+            raise exception 'Only moderators can clear reports' using errcode = '42501';
+        end if;
+    end if;
+    return new;
+end;
+$$;
+
+-- The log is only written by the triggers below
+drop policy if exists "Students log their own actions" on public.moderation_log;
+
+-- Name of the signed-in student as the log shows it
+create or replace function public.moderation_actor_name()
+returns text
+language sql
+stable
+security definer
+set search_path = public
+as $$
+    select coalesce(
+        (select nullif(full_name, '') from public.students where user_id = auth.uid()),
+        auth.jwt() ->> 'email'
+    );
+$$;
+
+-- Submissions, reviews, recategorisations and removals of archive files
+create or replace function public.log_archive_change()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    category_columns text[] := array['academic_year', 'course_code', 'course_name', 'material_type', 'semester', 'exam_year'];
+    previous_category jsonb;
+    new_category jsonb;
+begin
+    if tg_op = 'INSERT' then
+        insert into public.moderation_log (actor_id, actor_name, action, archive_id, file_name, faculty, details)
+        values (auth.uid(), public.moderation_actor_name(), 'submit', new.id, new.file_name, new.faculty,
+                jsonb_build_object('status', new.status));
+        return new;
+    end if;
+
+    if tg_op = 'DELETE' then
+        -- Students emptying their own Trash isn't moderation. The reason comes
+        -- from remove_archive_file(); the row is gone, so its id goes in details.
+        if auth.uid() is distinct from old.user_id then
+            insert into public.moderation_log (actor_id, actor_name, action, file_name, faculty, target_user_id, reason, details)
+            values (auth.uid(), public.moderation_actor_name(), 'delete', old.file_name, old.faculty, old.user_id,
+                    nullif(current_setting('moderation.reason', true), ''),
+                    jsonb_build_object('archive_id', old.id, 'file_path', old.file_path));
+        end if;
+        return old;
+    end if;
+
+    if new.status is distinct from old.status and new.status in ('approved', 'rejected') then
+        insert into public.moderation_log (actor_id, actor_name, action, archive_id, file_name, faculty, target_user_id, reason)
+        values (auth.uid(), public.moderation_actor_name(),
+                case when new.status = 'approved' then 'approve' else 'reject' end,
+                new.id, new.file_name, new.faculty, new.user_id,
+                case when new.status = 'rejected' then new.review_reason end);
+    end if;
+
+    select jsonb_object_agg(key, value) into previous_category
+    from jsonb_each(to_jsonb(old)) where key = any(category_columns);
+    select jsonb_object_agg(key, value) into new_category
+    from jsonb_each(to_jsonb(new)) where key = any(category_columns);
+
+    if new_category is distinct from previous_category then
+        insert into public.moderation_log (actor_id, actor_name, action, archive_id, file_name, faculty, target_user_id, details)
+        values (auth.uid(), public.moderation_actor_name(), 'recategorize', new.id, new.file_name, new.faculty, new.user_id,
+                jsonb_build_object('from', previous_category, 'to', new_category));
+    end if;
+
+    return new;
+end;
+$$;
+
+create trigger archive_log_changes
+    after insert or update or delete on public.archive
+    for each row execute function public.log_archive_change();
+
+-- Dismissed reports, one entry per file however many reports it had
+create or replace function public.log_dismissed_reports()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+    insert into public.moderation_log (actor_id, actor_name, action, archive_id, file_name, faculty, target_user_id, details)
+    select auth.uid(), public.moderation_actor_name(), 'dismiss_reports', a.id, a.file_name, a.faculty, a.user_id,
+           jsonb_build_object('reasons', jsonb_agg(r.reason order by r.created_at))
+    from new_reports r
+    join old_reports o on o.id = r.id
+    join public.archive a on a.id = r.archive_id
+    where o.status = 'open' and r.status = 'dismissed'
+    group by a.id, a.file_name, a.faculty, a.user_id;
+    return null;
+end;
+$$;
+
+create trigger archive_reports_log_dismissals
+    after update on public.archive_reports
+    referencing old table as old_reports new table as new_reports
+    for each statement execute function public.log_dismissed_reports();
+
+-- Role changes
+create or replace function public.log_role_change()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+    if new.role is distinct from old.role then
+        insert into public.moderation_log (actor_id, actor_name, action, faculty, target_user_id, details)
+        values (auth.uid(), public.moderation_actor_name(), 'role_change', new.faculty, new.user_id,
+                jsonb_build_object('name', new.full_name, 'from', old.role, 'to', new.role));
+    end if;
+    return new;
+end;
+$$;
+
+create trigger students_log_role_change
+    after update of role on public.students
+    for each row execute function public.log_role_change();
+
+-- Moderators remove other students' files through here, so the log entry
+-- written by archive_log_changes can say why
+create or replace function public.remove_archive_file(target_id uuid, removal_reason text default null)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+    perform set_config('moderation.reason', coalesce(trim(removal_reason), ''), true);
+
+    delete from public.archive
+    where id = target_id
+      and public.moderates_faculty(faculty);
+
+    if not found then
+        raise exception 'Only moderators can remove files' using errcode = '42501';
+    end if;
+end;
+$$;
+
+grant execute on function public.remove_archive_file(uuid, text) to authenticated;
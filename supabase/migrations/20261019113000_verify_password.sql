@@ -0,0 +1,66 @@
+-- Sensitive account changes ask for the current password again. Signing in
+-- with it would start a second session and leave the current one behind, so
+-- the password is checked here instead. Five wrong passwords in a row lock the
+-- check for 15 minutes, as Supabase Auth rate-limits password sign-ins.
+create table if not exists public.password_check_attempts (
+    user_id uuid primary key references auth.users (id) on delete cascade,
+    failed_attempts integer not null default 0,
+    locked_until timestamptz
+);
+
+-- No policies: only verify_my_password() reads and writes it
+alter table public.password_check_attempts enable row level security;
+
+create or replace function public.verify_my_password(current_password text)
+returns boolean
+language plpgsql
+security definer
+set search_path = public, extensions
+as $$
+declare
+    attempts public.password_check_attempts;
+    matches boolean;
+    next_attempts integer;
+begin
+    if auth.uid() is null then
+        raise exception 'Not signed in' using errcode = '42501';
+    end if;
+
+    select * into attempts
+    from public.password_check_attempts
+    where user_id = auth.uid()
+    for update;
+
+    if attempts.locked_until > now() then
+        raise exception 'Too many wrong passwords. Please try again later';
+    end if;
+
+    -- Accounts created through a provider have no password to compare with
+    select case
+               when coalesce(encrypted_password, '') = '' then false
+               else encrypted_password = crypt(current_password, encrypted_password)
+           end
+    into matches
+    from auth.users
+    where id = auth.uid();
+
+    if coalesce(matches, false) then
+        delete from public.password_check_attempts where user_id = auth.uid();
+        return true;
+    end if;
+
+    -- An expired lock starts a fresh count
+    next_attempts := case when attempts.locked_until is null then coalesce(attempts.failed_attempts, 0) + 1 else 1 end;
+
+    insert into public.password_check_attempts (user_id, failed_attempts, locked_until)
+    values (auth.uid(), next_attempts, case when next_attempts >= 5 then now() + interval '15 minutes' end)
+    on conflict (user_id) do update
+    set failed_attempts = excluded.failed_attempts,
+        locked_until = excluded.locked_until;
+
+    return false;
+end;
+$$;
+
+revoke execute on function public.verify_my_password(text) from public, anon;
+grant execute on function public.verify_my_password(text) to authenticated;